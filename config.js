@@ -2,12 +2,14 @@
 
 const CONFIG = {
     // Data structure constants
+    // Defaults for the browser; in Node.js the frame constants below are
+    // derived from frame-layout.json (see the export at the bottom)
     BOOL_COUNT: 40,
     INT_SEND_COUNT: 16,
     INT_RECEIVE_COUNT: 10,
 
     // Byte sizes
-    EXPECTED_RECEIVE_SIZE: 26, // 5 bytes (40 packed bools) + 1 byte (padding) + 20 bytes (10 ints)
+    EXPECTED_RECEIVE_SIZE: 30, // 5 bytes (40 packed bools) + 1 byte (padding) + 8 INT/UINT (16 bytes) + 2 REAL (8 bytes)
     EXPECTED_SEND_SIZE: 32,    // 16 ints * 2 bytes
 
     // Communication settings
@@ -65,6 +67,16 @@ const CONFIG = {
 
 // Export for both Node.js (main process) and browser (renderer)
 if (typeof module !== 'undefined' && module.exports) {
+    const { loadLayout, splitFields } = require('./frame-codec');
+    const layout = loadLayout();
+    const rxFields = splitFields(layout.rx);
+
+    CONFIG.BOOL_COUNT = rxFields.boolFields.length;
+    CONFIG.INT_SEND_COUNT = splitFields(layout.tx).intFields.length;
+    CONFIG.INT_RECEIVE_COUNT = rxFields.intFields.length;
+    CONFIG.EXPECTED_RECEIVE_SIZE = layout.rx.size;
+    CONFIG.EXPECTED_SEND_SIZE = layout.tx.size;
+
     module.exports = CONFIG;
 }
 
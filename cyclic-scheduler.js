@@ -0,0 +1,138 @@
+// Cyclic Scheduler - Drift-compensating periodic timer for the auto-send loop
+// setInterval drifts: every callback runs late by the timer latency and the
+// errors add up. The scheduler aims every tick at start + n × interval instead,
+// so a late tick is made up by a shorter wait before the next one. A tick that
+// is more than a whole interval late skips the missed deadlines (counted in
+// getStats) rather than sending a burst of frames to the PLC.
+//
+// Every tick is timestamped. getStats reports the achieved periods (rolling
+// mean/p95/max/jitter), the missed deadlines and the overruns: ticks that came
+// due while the previous asynchronous onTick was still running.
+
+const { performance } = require('perf_hooks');
+const { TimingStats } = require('./timing-stats');
+
+class CyclicScheduler {
+    /**
+     * @param {Object} options
+     * @param {number} options.intervalMs - Tick interval in milliseconds
+     * @param {Function} options.onTick - Called on every tick (a returned promise keeps the tick pending until it settles)
+     * @param {number} [options.statsWindow=500] - Number of periods in the rolling statistics
+     */
+    constructor({ intervalMs, onTick, statsWindow = 500 }) {
+        this.intervalMs = intervalMs;
+        this.onTick = onTick;
+        this.timer = null;
+        this.nextTickAt = 0;
+        this.ticks = 0;
+        this.missed = 0;
+        this.overruns = 0;
+        this.lastTickAt = null;
+        this.pending = 0;
+        this.periods = new TimingStats({ windowSize: statsWindow });
+    }
+
+    /**
+     * Start ticking (the first tick runs immediately)
+     */
+    start() {
+        if (this.timer) return;
+
+        this.ticks = 0;
+        this.missed = 0;
+        this.overruns = 0;
+        this.lastTickAt = null;
+        this.periods.reset();
+        this.nextTickAt = performance.now();
+        this.scheduleNext();
+    }
+
+    /**
+     * Stop ticking
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Whether the scheduler is ticking
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.timer !== null;
+    }
+
+    /**
+     * Change the interval (a running scheduler continues from the next tick)
+     * @param {number} intervalMs - New interval in milliseconds
+     */
+    setIntervalMs(intervalMs) {
+        this.intervalMs = intervalMs;
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.nextTickAt = performance.now() + intervalMs;
+            this.periods.reset();
+            this.scheduleNext();
+        }
+    }
+
+    /**
+     * Get tick counters since start and the rolling period statistics
+     * @returns {Object} { ticks, missed, overruns, lastTickAt, periodMs }
+     *   lastTickAt is a performance.now() timestamp (null before the first tick),
+     *   periodMs is { samples, mean, stdDev, p95, max } or null before the second tick
+     */
+    getStats() {
+        return {
+            ticks: this.ticks,
+            missed: this.missed,
+            overruns: this.overruns,
+            lastTickAt: this.lastTickAt,
+            periodMs: this.periods.summary()
+        };
+    }
+
+    scheduleNext() {
+        const delay = Math.max(0, this.nextTickAt - performance.now());
+        this.timer = setTimeout(() => this.tick(), delay);
+    }
+
+    tick() {
+        const now = performance.now();
+        const lateMs = now - this.nextTickAt;
+
+        // Skip deadlines that have passed completely
+        const skipped = Math.floor(lateMs / this.intervalMs);
+        if (skipped > 0) {
+            this.missed += skipped;
+            this.nextTickAt += skipped * this.intervalMs;
+        }
+
+        if (this.lastTickAt !== null) {
+            this.periods.record(now - this.lastTickAt);
+        }
+        this.lastTickAt = now;
+        this.ticks++;
+        this.nextTickAt += this.intervalMs;
+
+        // Schedule first, so a slow or asynchronous callback cannot shift the cycle
+        this.scheduleNext();
+
+        if (this.pending > 0) {
+            this.overruns++;
+        }
+
+        const result = this.onTick();
+        if (result && typeof result.then === 'function') {
+            this.pending++;
+            const settle = () => { this.pending--; };
+            result.then(settle, settle);
+        }
+    }
+}
+
+module.exports = CyclicScheduler;
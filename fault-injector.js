@@ -0,0 +1,209 @@
+// Fault Injector - Bad network conditions for the TCP/UDP test server
+// Sits between the simulated PLC and the socket and damages the responses on
+// purpose, so the panel's receive path (frame reassembly, parseReceivedData)
+// and the command acknowledgment logic can be tested without a real plant:
+//   - drop:        drop N% of the responses
+//   - delay/jitter: delay every response by a fixed time plus a random share
+//                  (the byte order is kept, like on a real TCP link)
+//   - truncate:    cut N% of the responses short
+//   - bitflip:     flip one random bit in N% of the responses
+//   - double:      hold N% of the responses back and send them coalesced with
+//                  the next one in a single write
+//   - stall-ack:   never acknowledge a command (int-9 stays 0)
+//   - reset-after: reset the socket (TCP RST) after N responses (UDP: the
+//                  server forgets the client)
+// The faults can be changed at any time (CLI flags at start, control port
+// while running); every connection uses the current settings.
+
+const { LATENCY_TOKEN_MIN } = require('./latency-probe');
+
+const ACK_INDEX = 9; // RX int-9: command acknowledgment
+
+// Supported faults: option name (CLI/control port) -> setting, type and range
+const FAULTS = {
+    'drop': { key: 'drop', type: 'percent', help: 'drop N% of the responses' },
+    'delay': { key: 'delayMs', type: 'ms', help: 'delay every response by N ms' },
+    'jitter': { key: 'jitterMs', type: 'ms', help: 'add a random delay of up to N ms' },
+    'truncate': { key: 'truncate', type: 'percent', help: 'cut N% of the responses short' },
+    'bitflip': { key: 'bitflip', type: 'percent', help: 'flip one random bit in N% of the responses' },
+    'double': { key: 'double', type: 'percent', help: 'send N% of the responses coalesced with the next one' },
+    'stall-ack': { key: 'stallAck', type: 'flag', help: 'never acknowledge a command (on/off)' },
+    'reset-after': { key: 'resetAfter', type: 'count', help: 'reset the socket after N responses (0 = never)' }
+};
+
+const NO_FAULTS = {
+    drop: 0,
+    delayMs: 0,
+    jitterMs: 0,
+    truncate: 0,
+    bitflip: 0,
+    double: 0,
+    stallAck: false,
+    resetAfter: 0
+};
+
+class FaultInjector {
+    /**
+     * @param {Object} [faults] - Initial settings (see NO_FAULTS)
+     * @param {Object} [options]
+     * @param {Function} [options.random=Math.random] - Random source in [0, 1)
+     */
+    constructor(faults = {}, { random = Math.random } = {}) {
+        this.random = random;
+        this.faults = { ...NO_FAULTS, ...faults };
+    }
+
+    /**
+     * Change one fault by its option name
+     * @param {string} name - Option name (e.g. 'drop', 'stall-ack')
+     * @param {string|number|boolean} value - New value ('on'/'off' for flags)
+     * @throws {Error} If the fault is unknown or the value is out of range
+     */
+    set(name, value) {
+        const fault = FAULTS[name];
+        if (!fault) {
+            throw new Error(`Unknown fault "${name}" (${Object.keys(FAULTS).join(', ')})`);
+        }
+
+        if (fault.type === 'flag') {
+            if (value === true || value === 'on' || value === '1') {
+                this.faults[fault.key] = true;
+            } else if (value === false || value === 'off' || value === '0') {
+                this.faults[fault.key] = false;
+            } else {
+                throw new Error(`${name} must be on or off`);
+            }
+            return;
+        }
+
+        const number = Number(value);
+        const max = fault.type === 'percent' ? 100 : Infinity;
+        if (value === '' || !Number.isFinite(number) || number < 0 || number > max) {
+            throw new Error(`${name} must be a number ${fault.type === 'percent' ? 'from 0 to 100' : '>= 0'}`);
+        }
+        this.faults[fault.key] = fault.type === 'count' ? Math.floor(number) : number;
+    }
+
+    /**
+     * Switch all faults off
+     */
+    clear() {
+        this.faults = { ...NO_FAULTS };
+    }
+
+    /**
+     * Describe the active faults in one line
+     * @returns {string}
+     */
+    describe() {
+        const active = Object.entries(FAULTS)
+            .filter(([, fault]) => this.faults[fault.key])
+            .map(([name, fault]) => {
+                const value = this.faults[fault.key];
+                if (fault.type === 'flag') return name;
+                return `${name} ${value}${fault.type === 'percent' ? '%' : fault.type === 'ms' ? 'ms' : ''}`;
+            });
+        return active.length > 0 ? active.join(', ') : 'none';
+    }
+
+    /**
+     * Apply the response faults to the PLC status before it is encoded
+     * @param {Object} response - { bools, ints } in RX layout order (changed in place)
+     * @returns {Object} The response
+     */
+    applyToResponse(response) {
+        // Latency test tokens still get through, only the acknowledgment stalls
+        if (this.faults.stallAck && response.ints[ACK_INDEX] < LATENCY_TOKEN_MIN) {
+            response.ints[ACK_INDEX] = 0;
+        }
+        return response;
+    }
+
+    /**
+     * Create the faulty sender for one connection
+     * @param {Object} socket - Client socket, or any object with write(chunk), destroyed and resetAndDestroy()
+     * @returns {Object} { send(frame), close() } - close() cancels delayed writes
+     */
+    createChannel(socket) {
+        const timers = new Set();
+        let responseCount = 0;
+        let heldFrame = null;
+        let lastWriteAt = 0;
+
+        const chance = percent => percent > 0 && this.random() * 100 < percent;
+
+        const write = (chunk) => {
+            const delayMs = this.faults.delayMs + this.random() * this.faults.jitterMs;
+
+            // Never overtake an earlier, longer delayed response
+            const writeAt = Math.max(Date.now() + delayMs, lastWriteAt);
+            lastWriteAt = writeAt;
+
+            if (writeAt <= Date.now()) {
+                socket.write(chunk);
+                return;
+            }
+
+            const timer = setTimeout(() => {
+                timers.delete(timer);
+                if (!socket.destroyed) socket.write(chunk);
+            }, writeAt - Date.now());
+            timers.add(timer);
+        };
+
+        return {
+            /**
+             * Send one encoded response frame through the faults
+             * @param {Buffer} frame - Encoded RX frame
+             */
+            send: (frame) => {
+                responseCount++;
+
+                if (this.faults.resetAfter > 0 && responseCount > this.faults.resetAfter) {
+                    console.log(`[fault] Resetting the connection after ${this.faults.resetAfter} responses`);
+                    socket.resetAndDestroy();
+                    return;
+                }
+
+                if (chance(this.faults.drop)) {
+                    console.log('[fault] Response dropped');
+                    return;
+                }
+
+                let chunk = frame;
+
+                if (chance(this.faults.truncate)) {
+                    const length = 1 + Math.floor(this.random() * (frame.length - 1));
+                    chunk = chunk.subarray(0, length);
+                    console.log(`[fault] Response truncated to ${length} of ${frame.length} bytes`);
+                }
+
+                if (chance(this.faults.bitflip)) {
+                    const bit = Math.floor(this.random() * chunk.length * 8);
+                    chunk = Buffer.from(chunk);
+                    chunk[bit >> 3] ^= 1 << (bit & 7);
+                    console.log(`[fault] Bit ${bit & 7} of byte ${bit >> 3} flipped`);
+                }
+
+                if (heldFrame) {
+                    chunk = Buffer.concat([heldFrame, chunk]);
+                    heldFrame = null;
+                    console.log(`[fault] Two responses sent in one write (${chunk.length} bytes)`);
+                } else if (chance(this.faults.double)) {
+                    heldFrame = chunk;
+                    return;
+                }
+
+                write(chunk);
+            },
+
+            close: () => {
+                timers.forEach(timer => clearTimeout(timer));
+                timers.clear();
+                heldFrame = null;
+            }
+        };
+    }
+}
+
+module.exports = { FaultInjector, FAULTS, NO_FAULTS };
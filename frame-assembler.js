@@ -0,0 +1,136 @@
+// Frame Assembler - Reassembles the PLC byte stream into fixed-size frames
+// TCP is a byte stream with no message boundaries: at 50Hz a single 'data'
+// chunk can carry several frames (52, 78 bytes) or only part of one (13 + 13).
+// One assembler is created per connection so leftovers never leak between links.
+//
+// Resync: the frames carry no header or length, so a misaligned frame cannot be
+// recognised by its content. TCP itself never loses bytes, but a sender that
+// writes a short or padded frame (a PLC fault, the test server's truncate fault)
+// shifts every frame after it. The stream timing is used instead: the PLC writes
+// whole frames, so an aligned stream keeps returning to a frame boundary between
+// chunks, while a misaligned one keeps a partial frame buffered for good. Once
+// the buffer has not been empty for staleTimeoutMs, the pending bytes are dropped
+// when the next chunk arrives, which then starts on a frame boundary again.
+// The timeout is well above a late tail (Nagle, delayed ACK, retransmits), so
+// those are still completed; frames delivered while misaligned cannot be told
+// apart and are passed on as received.
+
+class FrameAssembler {
+    /**
+     * @param {number} frameSize - Size of one complete frame in bytes
+     * @param {Function} onFrame - Called with each complete frame Buffer
+     * @param {Object} [options]
+     * @param {number} [options.staleTimeoutMs=500] - A partial frame pending this long without
+     *        the buffer emptying is dropped when the next chunk arrives (0 disables resync)
+     * @param {Function} [options.onDiscard] - Called with (byteCount, reason) when bytes are dropped
+     */
+    constructor(frameSize, onFrame, options = {}) {
+        this.frameSize = frameSize;
+        this.onFrame = onFrame;
+        this.staleTimeoutMs = options.staleTimeoutMs !== undefined ? options.staleTimeoutMs : 500;
+        this.onDiscard = options.onDiscard || null;
+
+        this.buffer = Buffer.alloc(0);
+        this.partialSince = 0; // When the buffer last went from empty to holding a partial frame
+        this.stats = {
+            frames: 0,          // Complete frames delivered
+            droppedBytes: 0,    // Bytes thrown away (stale partials, short/odd datagrams)
+            partialChunks: 0,   // Chunks that ended in the middle of a frame
+            resyncs: 0          // Times a stale partial frame was dropped to realign the stream
+        };
+    }
+
+    /**
+     * Feed a chunk from a stream socket (TCP)
+     * Bytes that do not complete a frame are kept until the next chunk; a
+     * partial frame that never lets the buffer empty is dropped as stale.
+     * @param {Buffer} chunk - Raw bytes as received
+     */
+    push(chunk) {
+        const now = Date.now();
+
+        if (this.buffer.length > 0 && this.staleTimeoutMs > 0 && now - this.partialSince > this.staleTimeoutMs) {
+            this.discard(this.buffer.length, 'stale partial frame');
+            this.stats.resyncs++;
+            this.buffer = Buffer.alloc(0);
+        }
+
+        const hadPartial = this.buffer.length > 0;
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        let offset = 0;
+        while (this.buffer.length - offset >= this.frameSize) {
+            this.deliver(this.buffer.subarray(offset, offset + this.frameSize));
+            offset += this.frameSize;
+        }
+
+        // Keep the remainder (copied so the original chunk can be released)
+        this.buffer = Buffer.from(this.buffer.subarray(offset));
+        if (this.buffer.length > 0) {
+            this.stats.partialChunks++;
+            if (!hadPartial) {
+                this.partialSince = now;
+            }
+        }
+    }
+
+    /**
+     * Feed a datagram from a message socket (UDP)
+     * Datagram boundaries are preserved, so a remainder is never carried over:
+     * every complete frame is delivered and trailing bytes are dropped.
+     * @param {Buffer} datagram - Raw datagram payload
+     */
+    pushDatagram(datagram) {
+        const frameCount = Math.floor(datagram.length / this.frameSize);
+
+        for (let i = 0; i < frameCount; i++) {
+            const offset = i * this.frameSize;
+            this.deliver(datagram.subarray(offset, offset + this.frameSize));
+        }
+
+        const remainder = datagram.length - frameCount * this.frameSize;
+        if (remainder > 0) {
+            this.stats.partialChunks++;
+            this.discard(remainder, frameCount === 0 ? 'short datagram' : 'trailing bytes in datagram');
+        }
+    }
+
+    /**
+     * Hand a complete frame to the callback
+     * @param {Buffer} frame - Exactly frameSize bytes
+     */
+    deliver(frame) {
+        this.stats.frames++;
+        this.onFrame(frame);
+    }
+
+    /**
+     * Record dropped bytes and notify the listener
+     * @param {number} byteCount - Number of bytes dropped
+     * @param {string} reason - Human-readable reason
+     */
+    discard(byteCount, reason) {
+        this.stats.droppedBytes += byteCount;
+        if (this.onDiscard) {
+            this.onDiscard(byteCount, reason);
+        }
+    }
+
+    /**
+     * Drop any buffered partial frame (e.g. on reconnect)
+     */
+    reset() {
+        this.buffer = Buffer.alloc(0);
+        this.partialSince = 0;
+    }
+
+    /**
+     * Get a copy of the framing statistics
+     * @returns {Object} { frames, droppedBytes, partialChunks, resyncs, pendingBytes }
+     */
+    getStats() {
+        return { ...this.stats, pendingBytes: this.buffer.length };
+    }
+}
+
+module.exports = FrameAssembler;
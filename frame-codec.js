@@ -0,0 +1,222 @@
+// Frame Codec - Encodes and decodes PLC frames from a declarative layout
+// The layout (frame-layout.json) lists every field of the TX and RX frames with
+// its byte offset, type, bit position (BOOL only), name and unit. When the PLC
+// program changes, only the layout file needs to be edited.
+//
+// Decoded frames keep the shape the renderer already uses:
+//   { bools: [...BOOL fields in layout order], ints: [...numeric fields in layout order] }
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LAYOUT_PATH = path.join(__dirname, 'frame-layout.json');
+
+// Supported field types (all multi-byte values are big-endian, as sent by the S7)
+// Names follow the S7 data types: INT = INT16, DINT = 32-bit signed, REAL = float32
+const FIELD_TYPES = {
+    BOOL: { size: 1 },
+    UINT16: {
+        size: 2,
+        min: 0,
+        max: 65535,
+        integer: true,
+        read: (buffer, offset) => buffer.readUInt16BE(offset),
+        write: (buffer, value, offset) => buffer.writeUInt16BE(value, offset)
+    },
+    INT16: {
+        size: 2,
+        min: -32768,
+        max: 32767,
+        integer: true,
+        read: (buffer, offset) => buffer.readInt16BE(offset),
+        write: (buffer, value, offset) => buffer.writeInt16BE(value, offset)
+    },
+    DINT: {
+        size: 4,
+        min: -2147483648,
+        max: 2147483647,
+        integer: true,
+        read: (buffer, offset) => buffer.readInt32BE(offset),
+        write: (buffer, value, offset) => buffer.writeInt32BE(value, offset)
+    },
+    REAL: {
+        size: 4,
+        min: -3.4028234663852886e38,
+        max: 3.4028234663852886e38,
+        integer: false,
+        read: (buffer, offset) => buffer.readFloatBE(offset),
+        write: (buffer, value, offset) => buffer.writeFloatBE(value, offset)
+    }
+};
+
+/**
+ * Validate a frame layout and throw a descriptive error if it is inconsistent
+ * @param {Object} layout - Parsed layout with tx and rx sections
+ * @returns {Object} The same layout
+ */
+function validateLayout(layout) {
+    ['tx', 'rx'].forEach(direction => {
+        const section = layout[direction];
+        if (!section || !Number.isInteger(section.size) || !Array.isArray(section.fields)) {
+            throw new Error(`Frame layout: "${direction}" must have an integer "size" and a "fields" array`);
+        }
+
+        // Byte offset -> the field using it (BOOL fields share a byte: bits maps bit -> name)
+        const usedBytes = new Map();
+
+        section.fields.forEach((field, index) => {
+            const where = `${direction}.fields[${index}] (${field.name || 'unnamed'})`;
+            const type = FIELD_TYPES[field.type];
+
+            if (!type) {
+                throw new Error(`Frame layout: ${where} has unknown type "${field.type}"`);
+            }
+            if (!Number.isInteger(field.offset) || field.offset < 0 || field.offset + type.size > section.size) {
+                throw new Error(`Frame layout: ${where} offset ${field.offset} does not fit in ${section.size} bytes`);
+            }
+            if (field.type === 'BOOL' && (!Number.isInteger(field.bit) || field.bit < 0 || field.bit > 7)) {
+                throw new Error(`Frame layout: ${where} needs a "bit" between 0 and 7`);
+            }
+
+            for (let offset = field.offset; offset < field.offset + type.size; offset++) {
+                const other = usedBytes.get(offset);
+                const otherName = other && (other.bits ? other.bits.get(field.bit) || other.name : other.name);
+                if (other && (field.type !== 'BOOL' || !other.bits || other.bits.has(field.bit))) {
+                    throw new Error(`Frame layout: ${where} overlaps ${otherName || 'unnamed'} at byte ${offset}`);
+                }
+                if (field.type === 'BOOL') {
+                    const bits = other ? other.bits : new Map();
+                    usedBytes.set(offset, { name: field.name, bits: bits.set(field.bit, field.name) });
+                } else {
+                    usedBytes.set(offset, { name: field.name });
+                }
+            }
+        });
+    });
+
+    return layout;
+}
+
+/**
+ * Load and validate a layout file
+ * @param {string} [filePath] - Path to the layout JSON (defaults to frame-layout.json)
+ * @returns {Object} Validated layout
+ */
+function loadLayout(filePath = DEFAULT_LAYOUT_PATH) {
+    const layout = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return validateLayout(layout);
+}
+
+/**
+ * Decode one frame
+ * @param {Object} section - Layout section (layout.tx or layout.rx)
+ * @param {Buffer} buffer - Exactly section.size bytes
+ * @returns {Object} { bools, ints }
+ */
+function decodeFrame(section, buffer) {
+    const bools = [];
+    const ints = [];
+
+    section.fields.forEach(field => {
+        if (field.type === 'BOOL') {
+            bools.push((buffer[field.offset] & (1 << field.bit)) !== 0);
+        } else {
+            ints.push(FIELD_TYPES[field.type].read(buffer, field.offset));
+        }
+    });
+
+    return { bools, ints };
+}
+
+/**
+ * Clamp a value to the range of a field type
+ * Integer types are rounded; non-numeric values become 0.
+ * @param {string} typeName - Field type (UINT16, INT16, DINT, REAL)
+ * @param {*} value - Value to coerce
+ * @returns {number} Value that can be written without overflow
+ */
+function coerceValue(typeName, value) {
+    const type = FIELD_TYPES[typeName];
+    let number = Number(value);
+
+    if (!Number.isFinite(number)) {
+        number = 0;
+    }
+    if (type.integer) {
+        number = Math.round(number);
+    }
+
+    return Math.max(type.min, Math.min(type.max, number));
+}
+
+/**
+ * Encode one frame
+ * Values are clamped to the field type range; missing values are sent as 0.
+ * Bytes not covered by any field (e.g. PLC padding) are 0.
+ * @param {Object} section - Layout section (layout.tx or layout.rx)
+ * @param {Object} values - { bools: boolean[], ints: number[] } in layout order
+ * @returns {Buffer} Encoded frame of section.size bytes
+ */
+function encodeFrame(section, { bools = [], ints = [] }) {
+    const buffer = Buffer.alloc(section.size);
+    let boolIndex = 0;
+    let intIndex = 0;
+
+    section.fields.forEach(field => {
+        if (field.type === 'BOOL') {
+            if (bools[boolIndex++]) {
+                buffer[field.offset] |= (1 << field.bit);
+            }
+        } else {
+            FIELD_TYPES[field.type].write(buffer, coerceValue(field.type, ints[intIndex++]), field.offset);
+        }
+    });
+
+    return buffer;
+}
+
+/**
+ * Split a layout section into its BOOL and numeric fields
+ * @param {Object} section - Layout section (layout.tx or layout.rx)
+ * @returns {Object} { boolFields, intFields }
+ */
+function splitFields(section) {
+    return {
+        boolFields: section.fields.filter(field => field.type === 'BOOL'),
+        intFields: section.fields.filter(field => field.type !== 'BOOL')
+    };
+}
+
+/**
+ * Copy a layout with each numeric field annotated with its value range
+ * Used by the renderer to configure inputs and format values without
+ * duplicating the type table.
+ * @param {Object} layout - Validated layout
+ * @returns {Object} Layout copy whose numeric fields carry min, max and integer
+ */
+function describeLayout(layout) {
+    const describeSection = section => ({
+        ...section,
+        fields: section.fields.map(field => {
+            if (field.type === 'BOOL') {
+                return { ...field };
+            }
+            const { min, max, integer } = FIELD_TYPES[field.type];
+            return { ...field, min, max, integer };
+        })
+    });
+
+    return { ...layout, tx: describeSection(layout.tx), rx: describeSection(layout.rx) };
+}
+
+module.exports = {
+    FIELD_TYPES,
+    DEFAULT_LAYOUT_PATH,
+    validateLayout,
+    loadLayout,
+    decodeFrame,
+    encodeFrame,
+    coerceValue,
+    splitFields,
+    describeLayout
+};
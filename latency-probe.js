@@ -0,0 +1,193 @@
+// Latency Probe - Round-trip latency test on the debug echo integers
+// While a test runs, every sent frame carries a new token in TX int-6 and the
+// PLC (in debug echo mode) returns the last token it received in RX int-9.
+// The round-trip time of a token runs from its send to the first received
+// frame that echoes it; a token that is not echoed within echoTimeoutMs counts
+// as a lost echo.
+//
+// Tokens start above every control command id, so an echoed token in RX int-9
+// is never taken for a command acknowledgment.
+
+const { performance } = require('perf_hooks');
+const { percentile } = require('./timing-stats');
+
+const LATENCY_TOKEN_MIN = 1000;
+const LATENCY_TOKEN_MAX = 65535; // TX int-6 is a UINT16
+
+const DEFAULT_ECHO_TIMEOUT_MS = 1000;
+
+// Upper bounds of the histogram buckets in ms (the last bucket takes everything up to the echo timeout)
+const HISTOGRAM_BOUNDS_MS = [1, 2, 5, 10, 20, 50, 100, 200, 500, Infinity];
+
+// A run stops by itself after this many tokens (about two hours at 50Hz)
+const MAX_SAMPLES = 360000;
+
+class LatencyProbe {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.echoTimeoutMs] - Time after which an unanswered token is lost
+     */
+    constructor({ echoTimeoutMs = DEFAULT_ECHO_TIMEOUT_MS } = {}) {
+        this.echoTimeoutMs = echoTimeoutMs;
+        this.running = false;
+        this.startedAt = null;      // Date of the run start (for reports)
+        this.startedAtMs = 0;       // performance.now() at the run start
+        this.stoppedAtMs = 0;
+        this.samples = [];          // { token, sentMs, rttMs, lost } in send order - rttMs stays null unless echoed in time
+        this.pending = new Map();   // token -> sample
+        this.nextTokenValue = LATENCY_TOKEN_MIN;
+    }
+
+    /**
+     * Start a new run (previous samples are discarded)
+     */
+    start() {
+        this.running = true;
+        this.startedAt = new Date();
+        this.startedAtMs = performance.now();
+        this.stoppedAtMs = 0;
+        this.samples = [];
+        this.pending.clear();
+        this.nextTokenValue = LATENCY_TOKEN_MIN;
+    }
+
+    /**
+     * Stop the run (tokens still in flight count as lost, the samples stay for export)
+     */
+    stop() {
+        if (!this.running) return;
+
+        this.running = false;
+        this.stoppedAtMs = performance.now();
+        this.pending.forEach(sample => { sample.lost = true; });
+        this.pending.clear();
+    }
+
+    /**
+     * Whether a run is in progress
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.running;
+    }
+
+    /**
+     * Take the token for the frame that is about to be sent
+     * @returns {number} Token for TX int-6
+     */
+    nextToken() {
+        this.expire();
+
+        const token = this.nextTokenValue;
+        this.nextTokenValue = token >= LATENCY_TOKEN_MAX ? LATENCY_TOKEN_MIN : token + 1;
+
+        const sample = {
+            token,
+            sentMs: performance.now() - this.startedAtMs,
+            rttMs: null,
+            lost: false
+        };
+        this.samples.push(sample);
+        this.pending.set(token, sample);
+
+        if (this.samples.length >= MAX_SAMPLES) {
+            this.stop();
+        }
+
+        return token;
+    }
+
+    /**
+     * Withdraw a token whose frame could not be sent
+     * @param {number} token - Token returned by nextToken
+     */
+    cancelToken(token) {
+        const sample = this.pending.get(token);
+        if (!sample) return;
+
+        this.pending.delete(token);
+        this.samples.splice(this.samples.lastIndexOf(sample), 1);
+    }
+
+    /**
+     * Match a received echo value (RX int-9) against the tokens in flight
+     * Repeated echoes of an answered token are ignored.
+     * @param {number} value - Echoed value
+     */
+    echoReceived(value) {
+        if (!this.running) return;
+
+        const sample = this.pending.get(value);
+        if (!sample) return;
+
+        this.pending.delete(value);
+
+        const rttMs = performance.now() - this.startedAtMs - sample.sentMs;
+        if (rttMs > this.echoTimeoutMs) {
+            sample.lost = true;
+        } else {
+            sample.rttMs = rttMs;
+        }
+    }
+
+    // Count tokens that were not echoed within the timeout as lost
+    expire() {
+        const now = performance.now() - this.startedAtMs;
+
+        for (const [token, sample] of this.pending) {
+            if (now - sample.sentMs <= this.echoTimeoutMs) break; // Map keeps send order
+            sample.lost = true;
+            this.pending.delete(token);
+        }
+    }
+
+    /**
+     * Get the figures of the current (or last) run
+     * @returns {Object} { running, startedAt, durationMs, sent, received, lost, pending,
+     *   minMs, meanMs, p99Ms, maxMs, histogram: [{ upToMs, count }] }
+     */
+    getSummary() {
+        if (this.running) this.expire();
+
+        const rtts = this.samples.filter(sample => sample.rttMs !== null).map(sample => sample.rttMs);
+        rtts.sort((a, b) => a - b);
+
+        const histogram = HISTOGRAM_BOUNDS_MS.map(upToMs => ({ upToMs: Number.isFinite(upToMs) ? upToMs : null, count: 0 }));
+        rtts.forEach(rttMs => {
+            histogram[HISTOGRAM_BOUNDS_MS.findIndex(upToMs => rttMs <= upToMs)].count++;
+        });
+
+        const endMs = this.running ? performance.now() : this.stoppedAtMs;
+
+        return {
+            running: this.running,
+            startedAt: this.startedAt ? this.startedAt.toISOString() : null,
+            durationMs: this.startedAt ? endMs - this.startedAtMs : 0,
+            sent: this.samples.length,
+            received: rtts.length,
+            lost: this.samples.filter(sample => sample.lost).length,
+            pending: this.pending.size,
+            minMs: rtts.length > 0 ? rtts[0] : null,
+            meanMs: rtts.length > 0 ? rtts.reduce((sum, rttMs) => sum + rttMs, 0) / rtts.length : null,
+            p99Ms: rtts.length > 0 ? percentile(rtts, 0.99) : null,
+            maxMs: rtts.length > 0 ? rtts[rtts.length - 1] : null,
+            histogram
+        };
+    }
+
+    /**
+     * Export the samples of the run as CSV (one row per token)
+     * @returns {string} CSV text: seq, token, sent_ms, rtt_ms, status (ok, lost or pending)
+     */
+    toCsv() {
+        const rows = this.samples.map((sample, index) => {
+            const status = sample.rttMs !== null ? 'ok' : (sample.lost ? 'lost' : 'pending');
+            const rtt = sample.rttMs !== null ? sample.rttMs.toFixed(3) : '';
+            return `${index + 1},${sample.token},${sample.sentMs.toFixed(3)},${rtt},${status}`;
+        });
+
+        return ['seq,token,sent_ms,rtt_ms,status', ...rows].join('\n') + '\n';
+    }
+}
+
+module.exports = { LatencyProbe, LATENCY_TOKEN_MIN, LATENCY_TOKEN_MAX, DEFAULT_ECHO_TIMEOUT_MS };
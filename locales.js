@@ -11,9 +11,21 @@ const LOCALES = {
         connection: 'Connection:',
         disconnected: 'Disconnected',
         connected: 'Connected',
+        reconnecting: 'Reconnecting',
         autoSend50Hz: 'Auto-Send (50Hz)',
+        autoReconnect: 'Auto-Reconnect',
+        reconnectInitialDelay: 'First Retry After (ms):',
+        reconnectMaxDelay: 'Max Retry Delay (ms):',
+        reconnectMaxAttempts: 'Max Attempts (0 = unlimited):',
+        rxWatchdog: 'RX Watchdog',
+        rxDegradedFactor: 'Stale After (send intervals):',
+        rxLostFactor: 'Lost After (send intervals):',
         autoSend: 'Auto-Send',
         debugEcho: 'Debug Echo',
+        sendTimingAvg: 'avg',
+        sendTimingMissed: 'missed',
+        sendTimingOverruns: 'overruns',
+        sendTimingTitle: 'Achieved send rate, send period (mean ± jitter, p95, max over the last cycles), missed cycles and overruns since auto-send started',
 
         // Tabs
         tabCommands: 'Control Commands',
@@ -26,9 +38,6 @@ const LOCALES = {
 
         // System Control
         systemControl: 'System Control',
-        startExperiment: 'Start Experiment',
-        stopExperiment: 'Stop Experiment',
-        clearFaults: 'Clear Faults',
 
         // Power & Servo Control
         powerServoControl: 'Power & Servo Control',
@@ -46,25 +55,23 @@ const LOCALES = {
 
         // Position & Special Functions
         positionSpecialFunctions: 'Position & Special Functions',
-        xPositionMove: 'X Position Move',
-        yPositionMove: 'Y Position Move',
-        zPositionMove: 'Z Position Move',
-        xyPositionMove: 'XY Position Move',
-        precisionAlign: 'Precision Align',
-        tensionSetting: 'Tension Setting',
 
         // Emergency Stops
         emergencyStops: 'Emergency Stops',
-        stopXAxis: 'Stop X-Axis',
-        stopYAxis: 'Stop Y-Axis',
-        stopZAxis: 'Stop Z-Axis',
-        stopXYZ: 'STOP XYZ',
-        emergencyStop: 'Emergency Stop + Clear Pulse',
 
         // Monitor tab
         statusMonitoring: 'Status Monitoring',
         systemStatusIndicators: 'System Status Indicators (40 Boolean Values)',
         statusValues: 'Status Values (10 Integers)',
+        latencyTest: 'Round-Trip Latency (TX[6] → RX[9])',
+        latencyStart: 'Start Test',
+        latencyStop: 'Stop Test',
+        latencyExport: 'Export CSV',
+        latencyNoRun: 'No test run yet - the PLC must echo TX[6] in RX[9] (debug echo)',
+        latencySent: 'Sent',
+        latencyEchoed: 'Echoed',
+        latencyLost: 'Lost',
+        latencyMean: 'mean',
         logTitle: 'Log',
 
         // Boolean status labels
@@ -112,6 +119,27 @@ const LOCALES = {
         udpTargetHostHint: 'Remote host to send data',
         udpTargetPort: 'UDP Target Port:',
         udpTargetPortHint: 'Remote port to send data',
+        s7: 'S7',
+        s7Settings: 'S7 Settings',
+        s7Host: 'PLC Address:',
+        s7Port: 'ISO-on-TCP Port:',
+        s7Rack: 'Rack:',
+        s7Slot: 'Slot:',
+        s7WriteDb: 'Send DB:',
+        s7WriteOffset: 'Send DB Offset:',
+        s7ReadDb: 'Receive DB:',
+        s7ReadOffset: 'Receive DB Offset:',
+        modbus: 'Modbus TCP',
+        modbusSettings: 'Modbus TCP Settings',
+        modbusHost: 'Server Address:',
+        modbusPort: 'Port:',
+        modbusUnitId: 'Unit ID:',
+        modbusWriteAddress: 'Holding Registers (sent values):',
+        modbusBitSource: 'Status Bits From:',
+        modbusDiscreteInputs: 'Discrete Inputs (FC02)',
+        modbusCoils: 'Coils (FC01)',
+        modbusBitAddress: 'Status Bit Address:',
+        modbusRegisterAddress: 'Input Registers (status values):',
         host: 'Host:',
         port: 'Port:',
         connect: 'Connect',
@@ -154,6 +182,7 @@ const LOCALES = {
         commFlag: 'Comm Flag:',
         commFlagTooltip: '0:No Connection, 1234:Connected',
         controlCommand: 'Control Command:',
+        jogSpeed: 'Jog Speed:',
 
         // Unit hints
         unitRange04: '0-4',
@@ -162,32 +191,80 @@ const LOCALES = {
         unitStatus: 'Status',
         unitCmdId: 'Cmd ID',
 
-        // Command names
+        // Command names (keys from renderer/core/command-registry.js)
         commands: {
-            1: 'Start Experiment',
-            2: 'Stop Experiment',
-            3: 'Driver Power ON',
-            4: 'Driver Power OFF',
-            5: 'Servo Module ON',
-            6: 'Servo Module OFF',
-            7: 'X+',
-            8: 'X-',
-            9: 'Y+',
-            10: 'Y-',
-            11: 'Z+',
-            12: 'Z-',
-            13: 'X Position Move',
-            14: 'Stop X-Axis',
-            15: 'Y Position Move',
-            16: 'Stop Y-Axis',
-            17: 'Z Position Move',
-            18: 'Stop Z-Axis',
-            19: 'STOP XYZ',
-            20: 'XY Position Move',
-            21: 'Precision Align',
-            22: 'Tension Setting',
-            23: 'Emergency Stop + Clear Pulse',
-            30: 'Clear Faults'
+            startExperiment: 'Start Experiment',
+            stopExperiment: 'Stop Experiment',
+            driverPowerOn: 'Driver Power ON',
+            driverPowerOff: 'Driver Power OFF',
+            servoOn: 'Servo Module ON',
+            servoOff: 'Servo Module OFF',
+            xPlus: 'X+',
+            xMinus: 'X-',
+            yPlus: 'Y+',
+            yMinus: 'Y-',
+            zPlus: 'Z+',
+            zMinus: 'Z-',
+            xPlusYPlus: 'X+ Y+',
+            xPlusYMinus: 'X+ Y-',
+            xMinusYPlus: 'X- Y+',
+            xMinusYMinus: 'X- Y-',
+            xPositionMove: 'X Position Move',
+            stopX: 'Stop X-Axis',
+            yPositionMove: 'Y Position Move',
+            stopY: 'Stop Y-Axis',
+            zPositionMove: 'Z Position Move',
+            stopZ: 'Stop Z-Axis',
+            stopXYZ: 'STOP XYZ',
+            xyPositionMove: 'XY Position Move',
+            precisionAlign: 'Precision Align',
+            tensionSetting: 'Tension Setting',
+            emergencyStop: 'Emergency Stop + Clear Pulse',
+            clearFaults: 'Clear Faults'
+        },
+
+        // Manual control
+        joystickDiagonal: '8 Directions',
+        stepJog: 'Step Jog',
+        stepJogReady: 'Ready',
+        stepJogMoving: 'Moving',
+        positionCurrent: 'Current',
+        positionTarget: 'Target',
+        positionToGo: 'To Go',
+        positionGo: 'Go',
+        positionGoXY: 'Go XY',
+        posComplete: 'Pos Complete',
+        positionTargetInvalid: 'Enter a number',
+        positionTargetWhole: 'Whole mm only',
+        positionTargetRange: 'Allowed range:',
+        proportionalJog: 'Proportional Jog',
+        jogCurve: 'Curve',
+        jogCurveLinear: 'Linear',
+        jogCurveExpo: 'Expo',
+        jogMaxSpeed: 'Max',
+        keyboardControl: 'Keyboard Control',
+        keyHold: 'hold',
+        gamepad: 'Gamepad',
+        gamepadNone: 'No gamepad connected',
+
+        // Interlocks (rule ids from renderer/core/interlock-rules.js)
+        interlocksActive: 'Active Interlocks',
+        interlockBlocked: 'Blocked by interlock',
+        interlockOverridden: 'overridden',
+        interlockOverride: 'Override',
+        interlockConfirm: 'Override this interlock? The blocked commands will be sent to the PLC.',
+        interlockRules: {
+            emergencyStop: 'Emergency stop is active',
+            xPlusHardLimit: 'X+ hard limit reached',
+            xMinusHardLimit: 'X- hard limit reached',
+            yPlusHardLimit: 'Y+ hard limit reached',
+            yMinusHardLimit: 'Y- hard limit reached',
+            xPlusSoftLimit: 'X+ soft limit reached',
+            xMinusSoftLimit: 'X- soft limit reached',
+            servosOff: 'Not all servos are active',
+            xServoOff: 'X servo is not active',
+            yServoOff: 'Y servo is not active',
+            zServoOff: 'Z servo is not active'
         }
     },
 
@@ -200,9 +277,21 @@ const LOCALES = {
         connection: '连接状态:',
         disconnected: '已断开',
         connected: '已连接',
+        reconnecting: '正在重连',
         autoSend50Hz: '自动发送 (50Hz)',
+        autoReconnect: '自动重连',
+        reconnectInitialDelay: '首次重试延迟 (ms):',
+        reconnectMaxDelay: '最大重试延迟 (ms):',
+        reconnectMaxAttempts: '最大尝试次数 (0 = 不限):',
+        rxWatchdog: '接收看门狗',
+        rxDegradedFactor: '数据过期 (发送周期数):',
+        rxLostFactor: '数据丢失 (发送周期数):',
         autoSend: '自动发送',
         debugEcho: '调试回显',
+        sendTimingAvg: '平均',
+        sendTimingMissed: '错过',
+        sendTimingOverruns: '超时',
+        sendTimingTitle: '实际发送频率、发送周期 (最近周期的平均值 ± 抖动、p95、最大值)、自动发送启动以来错过的周期和超时次数',
 
         // Tabs
         tabCommands: '控制命令',
@@ -215,9 +304,6 @@ const LOCALES = {
 
         // System Control
         systemControl: '系统控制',
-        startExperiment: '开始实验',
-        stopExperiment: '停止实验',
-        clearFaults: '清除故障',
 
         // Power & Servo Control
         powerServoControl: '电源和伺服控制',
@@ -235,25 +321,23 @@ const LOCALES = {
 
         // Position & Special Functions
         positionSpecialFunctions: '位置和特殊功能',
-        xPositionMove: 'X位置移动',
-        yPositionMove: 'Y位置移动',
-        zPositionMove: 'Z位置移动',
-        xyPositionMove: 'XY位置移动',
-        precisionAlign: '精密对准',
-        tensionSetting: '张力设置',
 
         // Emergency Stops
         emergencyStops: '紧急停止',
-        stopXAxis: '停止X轴',
-        stopYAxis: '停止Y轴',
-        stopZAxis: '停止Z轴',
-        stopXYZ: '停止XYZ',
-        emergencyStop: '紧急停止 + 清除脉冲',
 
         // Monitor tab
         statusMonitoring: '状态监控',
         systemStatusIndicators: '系统状态指示器（40个布尔值）',
         statusValues: '状态值（10个整数）',
+        latencyTest: '往返延迟 (TX[6] → RX[9])',
+        latencyStart: '开始测试',
+        latencyStop: '停止测试',
+        latencyExport: '导出 CSV',
+        latencyNoRun: '尚未测试 - PLC 需在 RX[9] 中回显 TX[6] (调试回显)',
+        latencySent: '已发送',
+        latencyEchoed: '已回显',
+        latencyLost: '丢失',
+        latencyMean: '平均',
         logTitle: '日志',
 
         // Boolean status labels
@@ -301,6 +385,27 @@ const LOCALES = {
         udpTargetHostHint: '发送数据的远程主机',
         udpTargetPort: 'UDP目标端口:',
         udpTargetPortHint: '发送数据的远程端口',
+        s7: 'S7',
+        s7Settings: 'S7设置',
+        s7Host: 'PLC地址:',
+        s7Port: 'ISO-on-TCP端口:',
+        s7Rack: '机架号:',
+        s7Slot: '槽号:',
+        s7WriteDb: '发送DB:',
+        s7WriteOffset: '发送DB偏移:',
+        s7ReadDb: '接收DB:',
+        s7ReadOffset: '接收DB偏移:',
+        modbus: 'Modbus TCP',
+        modbusSettings: 'Modbus TCP设置',
+        modbusHost: '服务器地址:',
+        modbusPort: '端口:',
+        modbusUnitId: '单元ID:',
+        modbusWriteAddress: '保持寄存器（发送值）:',
+        modbusBitSource: '状态位来源:',
+        modbusDiscreteInputs: '离散输入 (FC02)',
+        modbusCoils: '线圈 (FC01)',
+        modbusBitAddress: '状态位地址:',
+        modbusRegisterAddress: '输入寄存器（状态值）:',
         host: '主机:',
         port: '端口:',
         connect: '连接',
@@ -343,6 +448,7 @@ const LOCALES = {
         commFlag: '通信标志:',
         commFlagTooltip: '0:无连接, 1234:已连接',
         controlCommand: '控制命令:',
+        jogSpeed: '点动速度:',
 
         // Unit hints
         unitRange04: '0-4',
@@ -351,32 +457,80 @@ const LOCALES = {
         unitStatus: '状态',
         unitCmdId: '命令ID',
 
-        // Command names
+        // Command names (keys from renderer/core/command-registry.js)
         commands: {
-            1: '开始实验',
-            2: '停止实验',
-            3: '驱动器电源开',
-            4: '驱动器电源关',
-            5: '伺服模块开',
-            6: '伺服模块关',
-            7: 'X+',
-            8: 'X-',
-            9: 'Y+',
-            10: 'Y-',
-            11: 'Z+',
-            12: 'Z-',
-            13: 'X位置移动',
-            14: '停止X轴',
-            15: 'Y位置移动',
-            16: '停止Y轴',
-            17: 'Z位置移动',
-            18: '停止Z轴',
-            19: '停止XYZ',
-            20: 'XY位置移动',
-            21: '精密对准',
-            22: '张力设置',
-            23: '紧急停止 + 清除脉冲',
-            30: '清除故障'
+            startExperiment: '开始实验',
+            stopExperiment: '停止实验',
+            driverPowerOn: '驱动器电源开',
+            driverPowerOff: '驱动器电源关',
+            servoOn: '伺服模块开',
+            servoOff: '伺服模块关',
+            xPlus: 'X+',
+            xMinus: 'X-',
+            yPlus: 'Y+',
+            yMinus: 'Y-',
+            zPlus: 'Z+',
+            zMinus: 'Z-',
+            xPlusYPlus: 'X+ Y+',
+            xPlusYMinus: 'X+ Y-',
+            xMinusYPlus: 'X- Y+',
+            xMinusYMinus: 'X- Y-',
+            xPositionMove: 'X位置移动',
+            stopX: '停止X轴',
+            yPositionMove: 'Y位置移动',
+            stopY: '停止Y轴',
+            zPositionMove: 'Z位置移动',
+            stopZ: '停止Z轴',
+            stopXYZ: '停止XYZ',
+            xyPositionMove: 'XY位置移动',
+            precisionAlign: '精密对准',
+            tensionSetting: '张力设置',
+            emergencyStop: '紧急停止 + 清除脉冲',
+            clearFaults: '清除故障'
+        },
+
+        // Manual control
+        joystickDiagonal: '8方向',
+        stepJog: '步进点动',
+        stepJogReady: '就绪',
+        stepJogMoving: '移动中',
+        positionCurrent: '当前',
+        positionTarget: '目标',
+        positionToGo: '剩余',
+        positionGo: '移动',
+        positionGoXY: 'XY移动',
+        posComplete: '定位完成',
+        positionTargetInvalid: '请输入数字',
+        positionTargetWhole: '仅限整数毫米',
+        positionTargetRange: '允许范围:',
+        proportionalJog: '比例点动',
+        jogCurve: '曲线',
+        jogCurveLinear: '线性',
+        jogCurveExpo: '指数',
+        jogMaxSpeed: '最大',
+        keyboardControl: '键盘控制',
+        keyHold: '按住',
+        gamepad: '手柄',
+        gamepadNone: '未连接手柄',
+
+        // Interlocks (rule ids from renderer/core/interlock-rules.js)
+        interlocksActive: '生效的联锁',
+        interlockBlocked: '被联锁禁止',
+        interlockOverridden: '已解除',
+        interlockOverride: '解除',
+        interlockConfirm: '确定解除此联锁? 被禁止的命令将发送到PLC。',
+        interlockRules: {
+            emergencyStop: '急停已触发',
+            xPlusHardLimit: '已到达X+硬限位',
+            xMinusHardLimit: '已到达X-硬限位',
+            yPlusHardLimit: '已到达Y+硬限位',
+            yMinusHardLimit: '已到达Y-硬限位',
+            xPlusSoftLimit: '已到达X+软限位',
+            xMinusSoftLimit: '已到达X-软限位',
+            servosOff: '伺服未全部激活',
+            xServoOff: 'X轴伺服未激活',
+            yServoOff: 'Y轴伺服未激活',
+            zServoOff: 'Z轴伺服未激活'
         }
     }
 };
@@ -1,13 +1,53 @@
 //This is a multi-window Electron app. Any settings/state changes must sync across all windows via IPC. 
 // Check for existing windows and implement synchronization from the start.
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog } = require('electron');
+const fs = require('fs');
 const net = require('net');
 const dgram = require('dgram');
 const path = require('path');
+const FrameAssembler = require('./frame-assembler');
+const S7Client = require('./s7-client');
+const ModbusClient = require('./modbus-client');
+const { ReconnectPolicy } = require('./reconnect-policy');
+const { RxWatchdog, LINK_HEALTH } = require('./rx-watchdog');
+const CyclicScheduler = require('./cyclic-scheduler');
+const { LatencyProbe } = require('./latency-probe');
+const { loadLayout, decodeFrame, encodeFrame, splitFields, describeLayout } = require('./frame-codec');
+const { getRegisterSpan, tablesToFrame } = require('./modbus-protocol');
 let mainWindow;
 let settingsWindow = null;
 let tcpClient = null;
+let tcpClientPort = 0;   // Fixed local port of the TCP client (0 = auto-assigned)
 let udpSocket = null;
+let rxAssembler = null; // Per-connection frame reassembly for received data
+let s7Client = null;
+let s7Settings = null;   // DB areas of the active S7 connection
+let s7ExchangeBusy = false;
+let modbusClient = null;
+let modbusSettings = null; // Register addresses of the active Modbus connection
+let modbusExchangeBusy = false;
+
+// Supported transport protocols
+const PROTOCOLS = ['tcp', 'udp', 's7', 'modbus'];
+
+// Automatic reconnect (opt-in, configured from the settings window)
+const reconnectPolicy = new ReconnectPolicy();
+
+// Receive watchdog - publishes 'linkHealth' when received data goes stale
+const rxWatchdog = new RxWatchdog({
+    onChange: (health, silenceMs) => {
+        if (health !== LINK_HEALTH.OK && appState.connection.connected) {
+            console.warn(`Link ${health}: no frame received for ${silenceMs} ms`);
+        }
+        broadcastStateChange('linkHealth', health);
+    }
+});
+
+// Round-trip latency test on the debug echo integers (TX int-6 -> RX int-9)
+const latencyProbe = new LatencyProbe();
+
+// TX/RX frame layout (frame-layout.json) - drives encoding, decoding and the monitor grids
+const frameLayout = loadLayout();
 
 // ========== UNIFIED STATE MANAGEMENT ==========
 // Centralized application state - single source of truth
@@ -16,7 +56,7 @@ const appState = {
         connected: false,
         error: null
     },
-    protocol: 'tcp', // 'tcp' or 'udp'
+    protocol: 'tcp', // 'tcp', 'udp', 's7' or 'modbus'
     tcpSettings: {
         host: 'localhost',
         port: 8080,
@@ -32,7 +72,27 @@ const appState = {
     tcpData: {
         bools: [],
         ints: []
-    }
+    },
+    rxStats: {
+        frames: 0,
+        droppedBytes: 0,
+        partialChunks: 0,
+        resyncs: 0,
+        pendingBytes: 0
+    },
+    autoReconnect: reconnectPolicy.getSettings(),
+    linkHealth: LINK_HEALTH.LOST, // 'ok', 'degraded' or 'lost' (no fresh frames / not connected)
+    rxWatchdog: rxWatchdog.getSettings(),
+    autoSend: {
+        enabled: false,  // Auto-send toggle
+        intervalMs: 20,  // Send interval (default 50Hz)
+        running: false   // Enabled and connected - the cyclic sender is sending
+    },
+    txValues: null,      // Parameter values of the TX frame, null until a window pushed them
+    txCommand: 0,        // Control command in the TX frame (int-9)
+    txJogSpeed: 0,       // Proportional jog speed in the TX frame (int-7, % - 0 = full speed)
+    sendTiming: null,    // Achieved auto-send timing (see reportSendTiming), null before the first run
+    latencyTest: null    // Figures of the current or last latency test (see LatencyProbe.getSummary)
 };
 
 // Broadcast state changes to all windows
@@ -56,11 +116,46 @@ function broadcastStateChange(stateKey, value) {
     });
 }
 
+// Publish the connection state
+// The RX watchdog and the cyclic sender run while connected, so 'linkHealth'
+// and 'autoSend' follow every change.
+function setConnectionState(connection) {
+    broadcastStateChange('connection', connection);
+
+    if (connection.connected) {
+        rxWatchdog.start();
+    } else {
+        rxWatchdog.stop();
+
+        // A latency test ends with the link - the figures stay for export
+        if (latencyProbe.isRunning()) {
+            stopLatencyTest();
+        }
+    }
+
+    // Auto-send follows the link (it also resumes after an automatic reconnect)
+    updateAutoSend();
+}
+
 // Get current state (for new windows)
 function getAppState() {
     return appState;
 }
 
+// Create a fresh frame assembler for a new connection
+// Every complete frame goes to parseReceivedData exactly once; dropped bytes
+// are logged and published as 'rxStats' so they are visible in every window.
+function createRxAssembler() {
+    rxAssembler = new FrameAssembler(frameLayout.rx.size, parseReceivedData, {
+        onDiscard: (byteCount, reason) => {
+            console.warn(`Dropped ${byteCount} received bytes (${reason})`);
+            broadcastStateChange('rxStats', rxAssembler.getStats());
+        }
+    });
+    broadcastStateChange('rxStats', rxAssembler.getStats());
+    return rxAssembler;
+}
+
 // Int2Byte conversion function
 function Int2Byte(i) {
     const bytes = Buffer.allocUnsafe(2);
@@ -143,11 +238,42 @@ app.whenReady().then(() => {
         // Load protocol and connection settings
         mainWindow.webContents.executeJavaScript('localStorage.getItem("protocol")')
             .then(savedProtocol => {
-                if (savedProtocol === 'tcp' || savedProtocol === 'udp') {
+                if (PROTOCOLS.includes(savedProtocol)) {
                     appState.protocol = savedProtocol;
                 }
             })
             .catch(err => console.error('Failed to load protocol:', err));
+
+        // Load automatic reconnect settings
+        mainWindow.webContents.executeJavaScript(`({
+            enabled: localStorage.getItem('auto-reconnect-enabled'),
+            initialDelayMs: localStorage.getItem('reconnect-initial-delay-ms'),
+            maxDelayMs: localStorage.getItem('reconnect-max-delay-ms'),
+            maxAttempts: localStorage.getItem('reconnect-max-attempts')
+        })`)
+            .then(saved => {
+                appState.autoReconnect = reconnectPolicy.configure({
+                    enabled: saved.enabled === 'true',
+                    initialDelayMs: parseInt(saved.initialDelayMs),
+                    maxDelayMs: parseInt(saved.maxDelayMs),
+                    maxAttempts: parseInt(saved.maxAttempts)
+                });
+            })
+            .catch(err => console.error('Failed to load auto-reconnect settings:', err));
+
+        // Load RX watchdog settings (timeouts are multiples of the send interval,
+        // which the main window pushes with the auto-send settings)
+        mainWindow.webContents.executeJavaScript(`({
+            degradedFactor: localStorage.getItem('rx-degraded-factor'),
+            lostFactor: localStorage.getItem('rx-lost-factor')
+        })`)
+            .then(saved => {
+                appState.rxWatchdog = rxWatchdog.configure({
+                    degradedFactor: parseInt(saved.degradedFactor),
+                    lostFactor: parseInt(saved.lostFactor)
+                });
+            })
+            .catch(err => console.error('Failed to load RX watchdog settings:', err));
     });
 
     app.on('activate', function () {
@@ -157,163 +283,292 @@ app.whenReady().then(() => {
 
 app.on('window-all-closed', function () {
     // Clean up connections on app shutdown
-    if (tcpClient) {
-        tcpClient.removeAllListeners();
-        tcpClient.destroy();
-        tcpClient = null;
-    }
-    if (udpSocket) {
-        udpSocket.removeAllListeners();
-        udpSocket.close();
-        udpSocket = null;
-    }
+    stopReconnecting();
+    closeAllTransports();
+    rxWatchdog.stop();
+    autoSendScheduler.stop();
+    stopSendTimingReports();
+    latencyProbe.stop();
+    stopLatencyReports();
     if (process.platform !== 'darwin') app.quit();
 });
 
-// TCP Connection Handler
-ipcMain.handle('tcp-connect', async (event, host, port, clientPort) => {
+// ========== CONNECTION LIFECYCLE ==========
+// Every protocol has an internal connect function that resolves once the link
+// is up (and broadcasts connected) or rejects with an Error. A link that drops
+// afterwards is reported through handleConnectionLost, which either broadcasts
+// the disconnect or - with auto-reconnect on - retries with exponential backoff.
+
+// Connection the operator opened last ({ protocol, settings }); null after an
+// intentional disconnect, so only links the operator still wants are retried
+let activeConnection = null;
+let reconnectTimer = null;
+
+// Open a connection with the settings of one protocol
+// Resolves with a status message
+function openConnection(protocol, settings) {
+    switch (protocol) {
+        case 'tcp': return connectTcp(settings);
+        case 'udp': return connectUdp(settings);
+        case 's7': return connectS7(settings);
+        case 'modbus': return connectModbus(settings);
+        default: return Promise.reject(new Error(`Unknown protocol: ${protocol}`));
+    }
+}
+
+// Open the connection requested by the operator (connect button)
+async function connectFromOperator(protocol, settings) {
+    stopReconnecting();
+
+    try {
+        const message = await openConnection(protocol, settings);
+        activeConnection = { protocol, settings };
+        return { success: true, message };
+    } catch (error) {
+        console.error(`${protocol.toUpperCase()} Error:`, error);
+
+        // Update state and broadcast
+        setConnectionState({ connected: false, error: error.message });
+
+        return { success: false, message: error.message };
+    }
+}
+
+// An established link went down without the operator asking for it
+function handleConnectionLost(errorMessage) {
+    if (activeConnection && reconnectPolicy.isEnabled()) {
+        scheduleReconnect(errorMessage);
+        return;
+    }
+
+    activeConnection = null;
+
+    // Update state and broadcast
+    setConnectionState({ connected: false, error: errorMessage });
+}
+
+// Arm the next reconnect attempt
+// While waiting the connection state carries reconnecting: true plus the
+// attempt counter, so every window can show it in the status indicator.
+function scheduleReconnect(errorMessage) {
+    const delayMs = reconnectPolicy.nextDelay();
+    const { maxAttempts } = reconnectPolicy.getSettings();
+
+    if (delayMs === null) {
+        console.log(`Giving up after ${maxAttempts} reconnect attempts`);
+        activeConnection = null;
+        reconnectPolicy.reset();
+        setConnectionState({
+            connected: false,
+            error: `Reconnect failed after ${maxAttempts} attempts${errorMessage ? `: ${errorMessage}` : ''}`
+        });
+        return;
+    }
+
+    const attempt = reconnectPolicy.attempts;
+    console.log(`Reconnect attempt ${attempt} in ${delayMs} ms (${errorMessage || 'connection closed'})`);
+
+    setConnectionState({
+        connected: false,
+        error: null,
+        reconnecting: true,
+        attempt,
+        maxAttempts,
+        delayMs,
+        lastError: errorMessage || null
+    });
+
+    reconnectTimer = setTimeout(async () => {
+        reconnectTimer = null;
+        const target = activeConnection;
+        if (!target) return;
+
+        try {
+            await openConnection(target.protocol, target.settings);
+            console.log(`Reconnected after ${attempt} attempt(s)`);
+            reconnectPolicy.reset();
+
+            // The operator disconnected while this attempt was in flight
+            if (activeConnection !== target) {
+                closeAllTransports();
+                setConnectionState({ connected: false, error: null });
+            }
+        } catch (error) {
+            if (activeConnection === target) {
+                scheduleReconnect(error.message);
+            }
+        }
+    }, delayMs);
+}
+
+// Whether a dropped link is waiting for (or in) a reconnect attempt
+function isReconnecting() {
+    return reconnectTimer !== null || appState.connection.reconnecting === true;
+}
+
+// Forget the operator's connection and cancel a pending reconnect
+// Returns true if a reconnect was pending
+function stopReconnecting() {
+    const wasReconnecting = isReconnecting();
+
+    activeConnection = null;
+    if (reconnectTimer) {
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+    }
+    reconnectPolicy.reset();
+
+    return wasReconnecting;
+}
+
+// Close every transport without broadcasting (shutdown and protocol switch)
+function closeAllTransports() {
+    destroyTcpClient();
+    closeUdpSocket();
+    closeS7Client();
+    closeModbusClient();
+}
+
+// ========== TCP HANDLERS ==========
+// Close the TCP client at once, without close events
+// With a fixed client port the connection is reset instead of closed with FIN:
+// an active close leaves the port in TIME_WAIT for up to 2 minutes, so binding
+// it again (next connect or reconnect) would fail with EADDRINUSE.
+function destroyTcpClient() {
+    if (!tcpClient) return;
+
+    const socket = tcpClient;
+    tcpClient = null;
+    socket.removeAllListeners();
+    socket.on('error', () => {}); // Ignore late errors of the discarded socket
+
+    if (tcpClientPort > 0 && socket.readyState === 'open') {
+        socket.resetAndDestroy();
+    } else {
+        socket.destroy();
+    }
+}
+
+// Connect the TCP client
+// settings: { host, port, clientPort } (clientPort 0 = auto-assign)
+function connectTcp({ host, port, clientPort }) {
     return new Promise((resolve, reject) => {
         // Clean up existing connection if any
-        if (tcpClient) {
-            tcpClient.removeAllListeners();
-            tcpClient.destroy();
-            tcpClient = null;
-        }
+        destroyTcpClient();
 
-        // Add a small delay if reconnecting to allow port to be released
-        // This helps with TIME_WAIT state when using specific client ports
-        const reconnectDelay = (clientPort && clientPort > 0) ? 1000 : 0;
+        const socket = new net.Socket();
+        const assembler = createRxAssembler();
+        let established = false;
 
-        setTimeout(() => {
-            tcpClient = new net.Socket();
+        tcpClient = socket;
+        tcpClientPort = clientPort > 0 ? clientPort : 0;
 
-            // Enable address/port reuse to avoid TIME_WAIT issues
-            tcpClient.setNoDelay(true); // Disable Nagle's algorithm for real-time data
+        socket.setNoDelay(true); // Disable Nagle's algorithm for real-time data
 
-            // Set up connection options
-            const connectionOptions = {
-                port: port,
-                host: host
-            };
+        // Set up connection options
+        const connectionOptions = {
+            port: port,
+            host: host
+        };
 
-            // Only set localPort if clientPort is specified (non-zero)
-            if (clientPort && clientPort > 0) {
-                connectionOptions.localPort = clientPort;
-                console.log('Binding to client port:', clientPort);
-            }
+        // Only set localPort if clientPort is specified (non-zero)
+        if (tcpClientPort > 0) {
+            connectionOptions.localPort = tcpClientPort;
+            console.log('Binding to client port:', tcpClientPort);
+        }
 
-            tcpClient.connect(connectionOptions, () => {
-                const clientPortMsg = clientPort > 0 ? ` (client port: ${clientPort})` : '';
-                console.log(`Connected to TCP server: ${host}:${port}${clientPortMsg}`);
+        // Connection timeout
+        const connectTimer = setTimeout(() => {
+            if (tcpClient === socket) {
+                destroyTcpClient();
+            }
+            reject(new Error('Connection timeout'));
+        }, 5000);
 
-                // Update state and broadcast
-                broadcastStateChange('connection', { connected: true, error: null });
+        socket.connect(connectionOptions, () => {
+            established = true;
+            clearTimeout(connectTimer);
 
-                resolve({ success: true, message: 'Connected successfully' });
-            });
+            const clientPortMsg = tcpClientPort > 0 ? ` (client port: ${tcpClientPort})` : '';
+            console.log(`Connected to TCP server: ${host}:${port}${clientPortMsg}`);
 
-            tcpClient.on('data', (data) => {
-                console.log('Received data:', data);
-                parseReceivedData(data);
-            });
+            // Update state and broadcast
+            setConnectionState({ connected: true, error: null });
 
-            tcpClient.on('error', (err) => {
-                console.error('TCP Error:', err);
+            resolve('Connected successfully');
+        });
 
-                // Provide user-friendly error message for port conflicts
-                let errorMessage = err.message;
-                if (err.code === 'EADDRINUSE' && clientPort > 0) {
-                    errorMessage = `Client port ${clientPort} is still in use from previous connection. Please wait 30 seconds or set client port to 0 (auto-assign).`;
-                }
+        socket.on('data', (data) => {
+            console.log('Received data:', data);
+            assembler.push(data);
+        });
 
-                // Update state and broadcast
-                broadcastStateChange('connection', { connected: false, error: errorMessage });
+        socket.on('error', (err) => {
+            console.error('TCP Error:', err);
+            clearTimeout(connectTimer);
 
-                // Clean up on error
-                if (tcpClient) {
-                    tcpClient.removeAllListeners();
-                    tcpClient.destroy();
-                    tcpClient = null;
-                }
+            // Provide user-friendly error message for port conflicts
+            // (reconnect attempts keep retrying until the port is free)
+            let errorMessage = err.message;
+            if (err.code === 'EADDRINUSE' && tcpClientPort > 0) {
+                errorMessage = `Client port ${tcpClientPort} is still in use by another connection (TIME_WAIT). Try again shortly or set client port to 0 (auto-assign).`;
+            }
 
-                reject({ success: false, message: errorMessage });
-            });
+            // Clean up on error
+            if (tcpClient === socket) {
+                destroyTcpClient();
+            }
 
-            tcpClient.on('close', () => {
-                console.log('Connection closed');
+            if (established) {
+                handleConnectionLost(errorMessage);
+            } else {
+                reject(new Error(errorMessage));
+            }
+        });
 
-                // Update state and broadcast
-                broadcastStateChange('connection', { connected: false, error: null });
-            });
+        socket.on('close', () => {
+            console.log('Connection closed', assembler.getStats());
+            if (tcpClient === socket) {
+                tcpClient = null;
+            }
 
-            // Connection timeout
-            setTimeout(() => {
-                if (!appState.connection.connected) {
-                    if (tcpClient) {
-                        tcpClient.removeAllListeners();
-                        tcpClient.destroy();
-                        tcpClient = null;
-                    }
-                    reject({ success: false, message: 'Connection timeout' });
-                }
-            }, 5000);
-        }, reconnectDelay);
+            handleConnectionLost(null);
+        });
     });
+}
+
+// TCP Connection Handler
+ipcMain.handle('tcp-connect', async (event, host, port, clientPort) => {
+    return connectFromOperator('tcp', { host, port, clientPort });
 });
 
-// Parse received data: 40 bools + 10 ints
+// Parse one received frame using the RX layout
+// Called by the frame assembler, so the buffer is always exactly one frame
 function parseReceivedData(data) {
     try {
-        // Expected data format (PLC specific):
-        // Bytes 0-4:   40 bools packed into 5 bytes (8 bits per byte)
-        // Byte 5:      Padding/unused byte (PLC specific)
-        // Bytes 6-25:  10 ints (20 bytes with Int2Byte format)
-        // Total expected: 5 + 1 + 20 = 26 bytes
-
-        if (data.length >= 26) {
-            // Unpack 40 bools from first 5 bytes
-            const bools = [];
-            for (let byteIndex = 0; byteIndex < 5; byteIndex++) {
-                const byte = data[byteIndex];
-                // Extract 8 bits from each byte (LSB to MSB)
-                for (let bitIndex = 0; bitIndex < 8; bitIndex++) {
-                    const boolValue = (byte & (1 << bitIndex)) !== 0;
-                    bools.push(boolValue);
-                }
-            }
+        const { bools, ints } = decodeFrame(frameLayout.rx, data);
+        rxWatchdog.frameReceived();
+        lastRxDebugInt = ints[RX_DEBUG_ECHO_INDEX];
+        latencyProbe.echoReceived(lastRxDebugInt);
 
-            // Skip byte 5 (padding/unused byte)
-            // Parse 10 integers from bytes 6-25 (20 bytes total)
-            const ints = [];
-            for (let i = 0; i < 10; i++) {
-                const offset = 6 + (i * 2);  // Start from byte 6 (7th byte)
-                // Big-endian format: high byte first, then low byte
-                const value = (data[offset] << 8) | data[offset + 1];
-                ints.push(value);
-            }
-
-            // Update state and broadcast
-            broadcastStateChange('tcpData', { bools, ints });
+        // Update state and broadcast
+        broadcastStateChange('tcpData', { bools, ints });
 
-            console.log('Parsed data - Bools:', bools.length, 'Ints:', ints.length);
-        } else {
-            console.warn(`Received insufficient data: ${data.length} bytes (expected 26)`);
-        }
+        console.log('Parsed data - Bools:', bools.length, 'Ints:', ints.length);
     } catch (error) {
         console.error('Error parsing data:', error);
     }
 }
 
-// Send 16 integers
-ipcMain.handle('tcp-send', async (event, integers) => {
+// Send a TX frame (one value per numeric TX field) over TCP
+async function sendTcpFrame(integers) {
     if (!tcpClient || !appState.connection.connected) {
         return { success: false, message: 'Not connected to server' };
     }
 
     try {
-        // Convert 16 integers to bytes (32 bytes total)
-        const buffers = integers.map(int => Int2Byte(int));
-        const dataToSend = Buffer.concat(buffers);
+        // Encode the integers with the TX layout
+        const dataToSend = encodeFrame(frameLayout.tx, { ints: integers });
 
         tcpClient.write(dataToSend);
         console.log('Sent data:', dataToSend);
@@ -322,6 +577,11 @@ ipcMain.handle('tcp-send', async (event, integers) => {
         console.error('Error sending data:', error);
         return { success: false, message: error.message };
     }
+}
+
+// Send TX frame (16 integers)
+ipcMain.handle('tcp-send', async (event, integers) => {
+    return sendTcpFrame(integers);
 });
 
 // Send command
@@ -344,17 +604,25 @@ ipcMain.handle('tcp-send-command', async (event, commandId) => {
 
 // TCP Disconnect handler
 ipcMain.handle('tcp-disconnect', async () => {
+    const wasReconnecting = stopReconnecting();
+
     if (tcpClient) {
+        // Reset a fixed client port right away so it can be bound again (no TIME_WAIT)
+        if (tcpClientPort > 0) {
+            destroyTcpClient();
+            setConnectionState({ connected: false, error: null });
+            return { success: true, message: 'Disconnected' };
+        }
+
+        const socket = tcpClient;
         try {
-            // Gracefully close the connection
-            tcpClient.end();
+            // Gracefully close the connection (the close event broadcasts it)
+            socket.end();
 
             // Force destroy after a short timeout if not closed gracefully
             setTimeout(() => {
-                if (tcpClient) {
-                    tcpClient.removeAllListeners();
-                    tcpClient.destroy();
-                    tcpClient = null;
+                if (tcpClient === socket) {
+                    destroyTcpClient();
                 }
             }, 500);
 
@@ -362,49 +630,69 @@ ipcMain.handle('tcp-disconnect', async () => {
         } catch (error) {
             console.error('Error during disconnect:', error);
             // Force cleanup on error
-            if (tcpClient) {
-                tcpClient.removeAllListeners();
-                tcpClient.destroy();
-                tcpClient = null;
-            }
+            destroyTcpClient();
+            setConnectionState({ connected: false, error: null });
             return { success: true, message: 'Disconnected with errors' };
         }
     }
-    return { success: false, message: 'No active connection' };
+    return disconnectWithoutTransport(wasReconnecting, 'No active connection');
 });
 
+// Disconnect requested while no transport is open
+// A pending reconnect counts as a connection: disconnect cancels it.
+function disconnectWithoutTransport(wasReconnecting, message) {
+    if (!wasReconnecting) {
+        return { success: false, message };
+    }
+
+    setConnectionState({ connected: false, error: null });
+    return { success: true, message: 'Reconnect cancelled' };
+}
+
 // ========== UDP HANDLERS ==========
-// UDP Connection Handler (bind to listening port)
-ipcMain.handle('udp-connect', async (event, listeningPort, targetHost, targetPort) => {
+// Close the UDP socket without close events
+function closeUdpSocket() {
+    if (!udpSocket) return;
+
+    udpSocket.removeAllListeners();
+    udpSocket.close();
+    udpSocket = null;
+}
+
+// Bind the UDP socket to the listening port
+// settings: { listeningPort, targetHost, targetPort }
+function connectUdp({ listeningPort, targetHost, targetPort }) {
     return new Promise((resolve, reject) => {
         // Clean up existing UDP socket if any
-        if (udpSocket) {
-            udpSocket.removeAllListeners();
-            udpSocket.close();
-            udpSocket = null;
-        }
+        closeUdpSocket();
+
+        const socket = dgram.createSocket('udp4');
+        const assembler = createRxAssembler();
+        let bound = false;
 
-        udpSocket = dgram.createSocket('udp4');
+        udpSocket = socket;
 
         // Bind to listening port to receive data
-        udpSocket.bind(listeningPort, () => {
+        socket.bind(listeningPort, () => {
+            bound = true;
             console.log(`UDP socket bound to port ${listeningPort}`);
             console.log(`UDP target: ${targetHost}:${targetPort}`);
 
-            // Update state and broadcast
-            broadcastStateChange('connection', { connected: true, error: null });
+            // Update state and broadcast (the cyclic sender sends to this target)
+            broadcastStateChange('udpSettings', { listeningPort, targetHost, targetPort });
+            setConnectionState({ connected: true, error: null });
 
-            resolve({ success: true, message: 'UDP socket ready' });
+            resolve('UDP socket ready');
         });
 
         // Listen for incoming UDP messages
-        udpSocket.on('message', (data, rinfo) => {
+        socket.on('message', (data, rinfo) => {
             console.log(`Received UDP data from ${rinfo.address}:${rinfo.port}:`, data);
-            parseReceivedData(data);
+            assembler.pushDatagram(data);
         });
 
         // Handle errors
-        udpSocket.on('error', (err) => {
+        socket.on('error', (err) => {
             console.error('UDP Error:', err);
 
             // Provide user-friendly error message for port conflicts
@@ -413,62 +701,62 @@ ipcMain.handle('udp-connect', async (event, listeningPort, targetHost, targetPor
                 errorMessage = `UDP port ${listeningPort} is already in use. Please choose a different port.`;
             }
 
-            // Update state and broadcast
-            broadcastStateChange('connection', { connected: false, error: errorMessage });
-
             // Clean up on error
-            if (udpSocket) {
-                udpSocket.removeAllListeners();
-                udpSocket.close();
-                udpSocket = null;
+            if (udpSocket === socket) {
+                closeUdpSocket();
             }
 
-            reject({ success: false, message: errorMessage });
+            if (bound) {
+                handleConnectionLost(errorMessage);
+            } else {
+                reject(new Error(errorMessage));
+            }
         });
 
         // Handle socket close
-        udpSocket.on('close', () => {
+        socket.on('close', () => {
             console.log('UDP socket closed');
+            if (udpSocket === socket) {
+                udpSocket = null;
+            }
 
-            // Update state and broadcast
-            broadcastStateChange('connection', { connected: false, error: null });
+            handleConnectionLost(null);
         });
     });
+}
+
+// UDP Connection Handler (bind to listening port)
+ipcMain.handle('udp-connect', async (event, listeningPort, targetHost, targetPort) => {
+    return connectFromOperator('udp', { listeningPort, targetHost, targetPort });
 });
 
 // UDP Disconnect handler
 ipcMain.handle('udp-disconnect', async () => {
+    const wasReconnecting = stopReconnecting();
+
     if (udpSocket) {
         try {
-            udpSocket.removeAllListeners();
-            udpSocket.close();
-            udpSocket = null;
-
-            return { success: true, message: 'UDP socket closed' };
+            closeUdpSocket();
         } catch (error) {
             console.error('Error during UDP disconnect:', error);
-            // Force cleanup on error
-            if (udpSocket) {
-                udpSocket.removeAllListeners();
-                udpSocket.close();
-                udpSocket = null;
-            }
-            return { success: true, message: 'UDP socket closed with errors' };
+            udpSocket = null;
         }
+
+        setConnectionState({ connected: false, error: null });
+        return { success: true, message: 'UDP socket closed' };
     }
-    return { success: false, message: 'No active UDP socket' };
+    return disconnectWithoutTransport(wasReconnecting, 'No active UDP socket');
 });
 
-// UDP Send handler
-ipcMain.handle('udp-send', async (event, integers, targetHost, targetPort) => {
+// Send a TX frame as one UDP datagram
+async function sendUdpFrame(integers, targetHost, targetPort) {
     if (!udpSocket) {
         return { success: false, message: 'UDP socket not initialized' };
     }
 
     try {
-        // Convert 16 integers to bytes (32 bytes total)
-        const buffers = integers.map(int => Int2Byte(int));
-        const dataToSend = Buffer.concat(buffers);
+        // Encode the integers with the TX layout
+        const dataToSend = encodeFrame(frameLayout.tx, { ints: integers });
 
         // Send UDP datagram
         udpSocket.send(dataToSend, targetPort, targetHost, (err) => {
@@ -484,6 +772,493 @@ ipcMain.handle('udp-send', async (event, integers, targetHost, targetPort) => {
         console.error('Error sending UDP data:', error);
         return { success: false, message: error.message };
     }
+}
+
+// UDP Send handler
+ipcMain.handle('udp-send', async (event, integers, targetHost, targetPort) => {
+    return sendUdpFrame(integers, targetHost, targetPort);
+});
+
+// ========== S7 HANDLERS ==========
+// Close the S7 connection without close events
+function closeS7Client() {
+    if (!s7Client) return;
+
+    s7Client.onClose = null;
+    s7Client.disconnect();
+    s7Client = null;
+}
+
+// Connect to the CPU selected by rack/slot (ISO-on-TCP)
+// settings: { host, port, rack, slot, writeDb, writeOffset, readDb, readOffset }
+async function connectS7(settings) {
+    // Clean up existing connection if any
+    closeS7Client();
+
+    const client = new S7Client({
+        onClose: (error) => {
+            console.log('S7 connection closed');
+            if (s7Client === client) {
+                s7Client = null;
+            }
+
+            handleConnectionLost(error ? error.message : null);
+        }
+    });
+
+    try {
+        await client.connect(settings);
+    } catch (error) {
+        client.onClose = null;
+        throw error;
+    }
+
+    s7Client = client;
+    s7Settings = settings;
+    s7ExchangeBusy = false;
+
+    console.log(`Connected to S7 PLC: ${settings.host}:${settings.port} (rack ${settings.rack}, slot ${settings.slot}, PDU ${client.pduSize})`);
+    console.log(`S7 areas: send DB${settings.writeDb}.DBB${settings.writeOffset}, receive DB${settings.readDb}.DBB${settings.readOffset}`);
+
+    // Update state and broadcast
+    setConnectionState({ connected: true, error: null });
+
+    return 'Connected successfully';
+}
+
+// S7 Connection Handler
+ipcMain.handle('s7-connect', async (event, settings) => {
+    return connectFromOperator('s7', settings);
+});
+
+// S7 Disconnect handler
+ipcMain.handle('s7-disconnect', async () => {
+    const wasReconnecting = stopReconnecting();
+
+    if (s7Client) {
+        closeS7Client();
+        setConnectionState({ connected: false, error: null });
+        return { success: true, message: 'Disconnected' };
+    }
+    return disconnectWithoutTransport(wasReconnecting, 'No active connection');
+});
+
+// Exchange one frame with the PLC
+// One exchange = write the TX frame to the send DB, then read the RX frame from
+// the receive DB. The RX frame is published as 'tcpData' like TCP/UDP replies.
+async function exchangeS7(integers) {
+    if (!s7Client || !appState.connection.connected) {
+        return { success: false, message: 'Not connected to PLC' };
+    }
+
+    // Skip this cycle instead of queueing writes behind a slow PLC
+    if (s7ExchangeBusy) {
+        return { success: false, message: 'Previous S7 exchange still in progress' };
+    }
+
+    s7ExchangeBusy = true;
+    try {
+        // Encode the integers with the TX layout
+        const dataToSend = encodeFrame(frameLayout.tx, { ints: integers });
+
+        await s7Client.writeArea(s7Settings.writeDb, s7Settings.writeOffset, dataToSend);
+        const received = await s7Client.readArea(s7Settings.readDb, s7Settings.readOffset, frameLayout.rx.size);
+
+        parseReceivedData(received);
+        return { success: true, message: 'Data exchanged successfully' };
+    } catch (error) {
+        console.error('Error exchanging S7 data:', error);
+        return { success: false, message: error.message };
+    } finally {
+        s7ExchangeBusy = false;
+    }
+}
+
+// S7 Send handler
+ipcMain.handle('s7-send', async (event, integers) => {
+    return exchangeS7(integers);
+});
+
+// ========== MODBUS HANDLERS ==========
+// Close the Modbus connection without close events
+function closeModbusClient() {
+    if (!modbusClient) return;
+
+    modbusClient.onClose = null;
+    modbusClient.disconnect();
+    modbusClient = null;
+}
+
+// Connect to the Modbus TCP server
+// settings: { host, port, unitId, writeAddress, bitSource ('coils' or 'discrete'), bitAddress, registerAddress }
+async function connectModbus(settings) {
+    // Clean up existing connection if any
+    closeModbusClient();
+
+    const client = new ModbusClient({
+        onClose: (error) => {
+            console.log('Modbus connection closed');
+            if (modbusClient === client) {
+                modbusClient = null;
+            }
+
+            handleConnectionLost(error ? error.message : null);
+        }
+    });
+
+    try {
+        await client.connect(settings);
+    } catch (error) {
+        client.onClose = null;
+        client.disconnect();
+        throw error;
+    }
+
+    modbusClient = client;
+    modbusSettings = settings;
+    modbusExchangeBusy = false;
+
+    console.log(`Connected to Modbus server: ${settings.host}:${settings.port} (unit ${settings.unitId})`);
+    console.log(`Modbus map: holding registers from ${settings.writeAddress}, ${settings.bitSource} from ${settings.bitAddress}, input registers from ${settings.registerAddress}`);
+
+    // Update state and broadcast
+    setConnectionState({ connected: true, error: null });
+
+    return 'Connected successfully';
+}
+
+// Modbus Connection Handler
+ipcMain.handle('modbus-connect', async (event, settings) => {
+    return connectFromOperator('modbus', settings);
+});
+
+// Modbus Disconnect handler
+ipcMain.handle('modbus-disconnect', async () => {
+    const wasReconnecting = stopReconnecting();
+
+    if (modbusClient) {
+        closeModbusClient();
+        setConnectionState({ connected: false, error: null });
+        return { success: true, message: 'Disconnected' };
+    }
+    return disconnectWithoutTransport(wasReconnecting, 'No active connection');
+});
+
+// Exchange one frame with the Modbus server
+// One exchange = write the TX frame to holding registers (FC16), then poll the
+// status bits (FC01/FC02) and status values (FC04). They are put back into an
+// RX frame and published as 'tcpData' like TCP/UDP replies.
+async function exchangeModbus(integers) {
+    if (!modbusClient || !appState.connection.connected) {
+        return { success: false, message: 'Not connected to Modbus server' };
+    }
+
+    // Skip this cycle instead of queueing requests behind a slow gateway
+    if (modbusExchangeBusy) {
+        return { success: false, message: 'Previous Modbus exchange still in progress' };
+    }
+
+    modbusExchangeBusy = true;
+    try {
+        // Encode the integers with the TX layout (one register per 2 bytes)
+        const dataToSend = encodeFrame(frameLayout.tx, { ints: integers });
+        await modbusClient.writeMultipleRegisters(modbusSettings.writeAddress, dataToSend);
+
+        const bitCount = splitFields(frameLayout.rx).boolFields.length;
+        const bits = modbusSettings.bitSource === 'coils'
+            ? await modbusClient.readCoils(modbusSettings.bitAddress, bitCount)
+            : await modbusClient.readDiscreteInputs(modbusSettings.bitAddress, bitCount);
+        const registers = await modbusClient.readInputRegisters(modbusSettings.registerAddress, getRegisterSpan(frameLayout.rx).count);
+
+        parseReceivedData(tablesToFrame(frameLayout.rx, bits, registers));
+        return { success: true, message: 'Data exchanged successfully' };
+    } catch (error) {
+        console.error('Error exchanging Modbus data:', error);
+        return { success: false, message: error.message };
+    } finally {
+        modbusExchangeBusy = false;
+    }
+}
+
+// Modbus Send handler
+ipcMain.handle('modbus-send', async (event, integers) => {
+    return exchangeModbus(integers);
+});
+
+// ========== CYCLIC SENDER ==========
+// Auto-send runs in the main process, so minimized or background windows (whose
+// timers Chromium throttles) cannot slow down the stream to the PLC. Renderers
+// only push the TX values, the command and the debug echo flag when they change.
+
+// Position of the control command, the jog speed and the debug echo value in
+// the TX integers, and of the echoed value in the RX integers
+const TX_COMMAND_INDEX = 9;
+const TX_JOG_SPEED_INDEX = 7;
+const TX_DEBUG_ECHO_INDEX = 6;
+const RX_DEBUG_ECHO_INDEX = 9;
+
+// Contents of the next TX frame
+const txParams = {
+    values: new Array(splitFields(frameLayout.tx).intFields.length).fill(0),
+    command: 0,
+    jogSpeed: 0, // % of the speed-mode speed for jogs, 0 = full speed (not proportional)
+    debugEcho: false
+};
+let lastRxDebugInt = null;
+
+const autoSendScheduler = new CyclicScheduler({
+    intervalMs: appState.autoSend.intervalMs,
+    onTick: () => sendTxFrame()
+});
+
+// Auto-send timing is published once per second while the sender runs
+const SEND_TIMING_REPORT_MS = 1000;
+let sendTimingTimer = null;
+let sendTimingStartedAt = 0;
+let lastSendTimingReport = null; // { at, ticks } of the previous report
+
+// Publish the achieved send timing as 'sendTiming'
+// { running, intervalMs, rateHz, meanMs, p95Ms, maxMs, jitterMs, ticks, missed, overruns }
+// The periods are rolling over the last cycles. rateHz covers the last report
+// interval, or the whole run in the final report after the sender stopped.
+function reportSendTiming() {
+    const { ticks, missed, overruns, periodMs } = autoSendScheduler.getStats();
+    const now = Date.now();
+    const previous = autoSendScheduler.isRunning()
+        ? lastSendTimingReport
+        : { at: sendTimingStartedAt, ticks: 0 };
+    const elapsedMs = now - previous.at;
+
+    lastSendTimingReport = { at: now, ticks };
+
+    broadcastStateChange('sendTiming', {
+        running: autoSendScheduler.isRunning(),
+        intervalMs: appState.autoSend.intervalMs,
+        rateHz: elapsedMs > 0 ? (ticks - previous.ticks) * 1000 / elapsedMs : null,
+        meanMs: periodMs ? periodMs.mean : null,
+        p95Ms: periodMs ? periodMs.p95 : null,
+        maxMs: periodMs ? periodMs.max : null,
+        jitterMs: periodMs ? periodMs.stdDev : null,
+        ticks,
+        missed,
+        overruns
+    });
+}
+
+function startSendTimingReports() {
+    sendTimingStartedAt = Date.now();
+    lastSendTimingReport = { at: sendTimingStartedAt, ticks: 0 };
+    sendTimingTimer = setInterval(reportSendTiming, SEND_TIMING_REPORT_MS);
+}
+
+function stopSendTimingReports() {
+    if (sendTimingTimer) {
+        clearInterval(sendTimingTimer);
+        sendTimingTimer = null;
+    }
+}
+
+// The integers of the next TX frame
+function buildTxIntegers() {
+    const integers = txParams.values.slice();
+    integers[TX_COMMAND_INDEX] = txParams.command;
+    integers[TX_JOG_SPEED_INDEX] = txParams.jogSpeed;
+
+    if (latencyProbe.isRunning()) {
+        // Latency test: a new token for the PLC to echo
+        integers[TX_DEBUG_ECHO_INDEX] = latencyProbe.nextToken();
+    } else if (txParams.debugEcho && lastRxDebugInt !== null) {
+        // Debug echo: send back the last received debug value (round-trip counter)
+        integers[TX_DEBUG_ECHO_INDEX] = lastRxDebugInt;
+    }
+
+    return integers;
+}
+
+// Send the current TX frame over the active protocol
+async function sendTxFrame() {
+    const integers = buildTxIntegers();
+    let result;
+
+    switch (appState.protocol) {
+        case 'udp': result = await sendUdpFrame(integers, appState.udpSettings.targetHost, appState.udpSettings.targetPort); break;
+        case 's7': result = await exchangeS7(integers); break;
+        case 'modbus': result = await exchangeModbus(integers); break;
+        default: result = await sendTcpFrame(integers);
+    }
+
+    // A token that never went out is not a lost echo
+    if (!result.success && latencyProbe.isRunning()) {
+        latencyProbe.cancelToken(integers[TX_DEBUG_ECHO_INDEX]);
+    }
+
+    return result;
+}
+
+// Apply auto-send changes and run the cyclic sender while enabled and connected
+// changes: { enabled, intervalMs } (any subset)
+function updateAutoSend(changes = {}) {
+    const previous = appState.autoSend;
+    const autoSend = { ...previous, ...changes };
+
+    if (autoSend.intervalMs !== previous.intervalMs) {
+        autoSendScheduler.setIntervalMs(autoSend.intervalMs);
+        console.log(`Auto-send interval set to ${autoSend.intervalMs} ms`);
+
+        // RX watchdog timeouts are multiples of the send interval
+        broadcastStateChange('rxWatchdog', rxWatchdog.configure({ sendIntervalMs: autoSend.intervalMs }));
+    }
+
+    autoSend.running = autoSend.enabled && appState.connection.connected;
+    if (autoSend.running && !autoSendScheduler.isRunning()) {
+        autoSendScheduler.start();
+        startSendTimingReports();
+        console.log(`Auto-send started at ${autoSend.intervalMs} ms`);
+    } else if (!autoSend.running && autoSendScheduler.isRunning()) {
+        const { ticks, missed, overruns } = autoSendScheduler.getStats();
+        autoSendScheduler.stop();
+        stopSendTimingReports();
+        reportSendTiming(); // Final figures, marked as not running
+        console.log(`Auto-send stopped after ${ticks} frames (${missed} missed cycles, ${overruns} overruns)`);
+    }
+
+    if (autoSend.enabled !== previous.enabled ||
+        autoSend.intervalMs !== previous.intervalMs ||
+        autoSend.running !== previous.running) {
+        broadcastStateChange('autoSend', autoSend);
+    }
+}
+
+// Enable/disable auto-send or change its interval
+// settings: { enabled, intervalMs } (any subset)
+ipcMain.handle('set-auto-send', async (event, settings) => {
+    const changes = {};
+
+    if (typeof settings.enabled === 'boolean') {
+        changes.enabled = settings.enabled;
+    }
+    if (Number.isInteger(settings.intervalMs) && settings.intervalMs >= 1 && settings.intervalMs <= 10000) {
+        changes.intervalMs = settings.intervalMs;
+    }
+
+    updateAutoSend(changes);
+    return { success: true, autoSend: appState.autoSend };
+});
+
+// Update the contents of the TX frame
+// params: { values (one per numeric TX field), command, jogSpeed (0-100), debugEcho } (any subset)
+ipcMain.handle('set-tx-params', async (event, params) => {
+    if (Array.isArray(params.values) && params.values.length === txParams.values.length) {
+        const changed = params.values.some((value, i) => value !== txParams.values[i]);
+        txParams.values = params.values.slice();
+
+        // Other windows show the new values (e.g. targets written by the step jog)
+        if (changed) {
+            broadcastStateChange('txValues', txParams.values.slice());
+        }
+    }
+
+    if (Number.isInteger(params.command) && params.command !== txParams.command) {
+        txParams.command = params.command;
+        broadcastStateChange('txCommand', params.command);
+    }
+
+    if (Number.isInteger(params.jogSpeed) && params.jogSpeed >= 0 && params.jogSpeed <= 100 &&
+        params.jogSpeed !== txParams.jogSpeed) {
+        txParams.jogSpeed = params.jogSpeed;
+        broadcastStateChange('txJogSpeed', params.jogSpeed);
+    }
+
+    if (typeof params.debugEcho === 'boolean') {
+        txParams.debugEcho = params.debugEcho;
+    }
+
+    return { success: true };
+});
+
+// Send the current TX frame once (Send button)
+ipcMain.handle('send-tx-frame', async () => {
+    return sendTxFrame();
+});
+
+// ========== LATENCY TEST ==========
+// Every frame sent during the test carries a token in TX int-6 that the PLC
+// echoes in RX int-9 (see latency-probe.js), so the samples come at the send
+// rate. The figures are published as 'latencyTest' once per second.
+const LATENCY_REPORT_MS = 1000;
+let latencyReportTimer = null;
+
+function reportLatencyTest() {
+    broadcastStateChange('latencyTest', latencyProbe.getSummary());
+
+    // The probe stops by itself once a run is full
+    if (!latencyProbe.isRunning()) {
+        stopLatencyReports();
+    }
+}
+
+function stopLatencyReports() {
+    if (latencyReportTimer) {
+        clearInterval(latencyReportTimer);
+        latencyReportTimer = null;
+    }
+}
+
+function stopLatencyTest() {
+    latencyProbe.stop();
+    stopLatencyReports();
+    reportLatencyTest();
+
+    const { sent, received, lost } = appState.latencyTest;
+    console.log(`Latency test stopped: ${sent} tokens sent, ${received} echoed, ${lost} lost`);
+}
+
+// Start a latency test (discards the previous run)
+ipcMain.handle('start-latency-test', async () => {
+    if (!appState.connection.connected) {
+        return { success: false, message: 'Not connected' };
+    }
+
+    stopLatencyReports();
+    latencyProbe.start();
+    latencyReportTimer = setInterval(reportLatencyTest, LATENCY_REPORT_MS);
+    reportLatencyTest();
+
+    console.log('Latency test started');
+    return { success: true, latencyTest: appState.latencyTest };
+});
+
+// Stop the latency test (the samples stay available for export)
+ipcMain.handle('stop-latency-test', async () => {
+    if (latencyProbe.isRunning()) {
+        stopLatencyTest();
+    }
+    return { success: true, latencyTest: appState.latencyTest };
+});
+
+// Save the samples of the current or last run as CSV
+ipcMain.handle('export-latency-csv', async (event) => {
+    const summary = latencyProbe.getSummary();
+    if (summary.sent === 0) {
+        return { success: false, message: 'No latency samples to export' };
+    }
+
+    const stamp = summary.startedAt.replace(/[:.]/g, '-');
+    const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+        defaultPath: `latency-${stamp}.csv`,
+        filters: [{ name: 'CSV', extensions: ['csv'] }]
+    });
+
+    if (canceled || !filePath) {
+        return { success: false, canceled: true, message: 'Export canceled' };
+    }
+
+    try {
+        await fs.promises.writeFile(filePath, latencyProbe.toCsv(), 'utf8');
+        return { success: true, filePath, message: `Saved ${summary.sent} samples` };
+    } catch (error) {
+        return { success: false, message: error.message };
+    }
 });
 
 // ========== UNIFIED STATE HANDLERS ==========
@@ -492,6 +1267,12 @@ ipcMain.handle('get-app-state', async () => {
     return getAppState();
 });
 
+// Get the TX/RX frame layout (renderer sizes its displays and inputs from it)
+// Numeric fields carry their type range (min, max, integer)
+ipcMain.handle('get-frame-layout', async () => {
+    return describeLayout(frameLayout);
+});
+
 // Update theme
 ipcMain.handle('set-theme', async (event, theme) => {
     broadcastStateChange('theme', theme);
@@ -504,26 +1285,42 @@ ipcMain.handle('set-language', async (event, language) => {
     return { success: true };
 });
 
+// Update the automatic reconnect settings
+// settings: { enabled, initialDelayMs, maxDelayMs, maxAttempts }
+ipcMain.handle('set-auto-reconnect', async (event, settings) => {
+    const effective = reconnectPolicy.configure(settings);
+    broadcastStateChange('autoReconnect', effective);
+
+    // Switching it off ends a pending reconnect
+    if (!effective.enabled && isReconnecting()) {
+        stopReconnecting();
+        setConnectionState({ connected: false, error: null });
+    }
+
+    return { success: true, settings: effective };
+});
+
+// Update the RX watchdog settings
+// settings: { sendIntervalMs, degradedFactor, lostFactor } (any subset)
+ipcMain.handle('set-rx-watchdog', async (event, settings) => {
+    const effective = rxWatchdog.configure(settings);
+    broadcastStateChange('rxWatchdog', effective);
+    return { success: true, settings: effective };
+});
+
 // Switch protocol (auto-disconnects if connected)
 ipcMain.handle('set-protocol', async (event, protocol) => {
-    if (protocol !== 'tcp' && protocol !== 'udp') {
-        return { success: false, message: 'Invalid protocol. Must be "tcp" or "udp"' };
-    }
-
-    // Auto-disconnect if connected
-    if (appState.connection.connected) {
-        if (appState.protocol === 'tcp' && tcpClient) {
-            tcpClient.removeAllListeners();
-            tcpClient.destroy();
-            tcpClient = null;
-        } else if (appState.protocol === 'udp' && udpSocket) {
-            udpSocket.removeAllListeners();
-            udpSocket.close();
-            udpSocket = null;
-        }
+    if (!PROTOCOLS.includes(protocol)) {
+        return { success: false, message: `Invalid protocol. Must be one of: ${PROTOCOLS.join(', ')}` };
+    }
+
+    // Auto-disconnect if connected (or waiting to reconnect)
+    const wasReconnecting = stopReconnecting();
+    if (appState.connection.connected || wasReconnecting) {
+        closeAllTransports();
 
         // Update connection state
-        broadcastStateChange('connection', { connected: false, error: null });
+        setConnectionState({ connected: false, error: null });
     }
 
     // Update protocol
@@ -0,0 +1,284 @@
+// Modbus Client - Reads and writes a Modbus TCP server or gateway (port 502)
+// Used by the 'modbus' protocol: the sent integers go to holding registers
+// (FC16), the status bits are polled as coils (FC01) or discrete inputs (FC02)
+// and the status values as input registers (FC04).
+//
+// Requests are serialized - many gateways only handle one transaction at a time.
+
+const net = require('net');
+const {
+    FC_READ_COILS,
+    FC_READ_DISCRETE_INPUTS,
+    FC_READ_INPUT_REGISTERS,
+    FC_WRITE_MULTIPLE_REGISTERS,
+    EXCEPTION_FLAG,
+    MAX_READ_BITS,
+    MAX_READ_REGISTERS,
+    MAX_WRITE_REGISTERS,
+    buildAdu,
+    MbapReader,
+    unpackBits,
+    describeException
+} = require('./modbus-protocol');
+
+class ModbusClient {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs=1000] - Timeout for each request
+     * @param {Function} [options.onClose] - Called with (error|null) when the connection ends
+     */
+    constructor(options = {}) {
+        this.timeoutMs = options.timeoutMs || 1000;
+        this.onClose = options.onClose || null;
+
+        this.socket = null;
+        this.reader = null;
+        this.waiter = null;
+        this.unitId = 1;
+        this.transactionId = 0;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Open the TCP connection
+     * @param {Object} settings
+     * @param {string} settings.host - Server or gateway address
+     * @param {number} [settings.port=502] - Modbus TCP port
+     * @param {number} [settings.unitId=1] - Unit identifier
+     * @returns {Promise<void>}
+     */
+    async connect({ host, port = 502, unitId = 1 }) {
+        this.unitId = unitId;
+
+        await new Promise((resolve, reject) => {
+            this.socket = net.connect({ host, port }, resolve);
+            this.socket.setNoDelay(true);
+            this.socket.setTimeout(this.timeoutMs * 5, () => {
+                this.socket.destroy(new Error('Connection timeout'));
+            });
+            this.socket.once('error', reject);
+        });
+
+        this.socket.setTimeout(0);
+        this.reader = new MbapReader(message => this.handleMessage(message));
+        this.socket.on('data', chunk => {
+            try {
+                this.reader.push(chunk);
+            } catch (error) {
+                this.socket.destroy(error);
+            }
+        });
+        this.socket.on('error', error => this.failPending(error));
+        this.socket.on('close', hadError => {
+            this.failPending(new Error('Connection closed'));
+            this.socket = null;
+            if (this.onClose) {
+                this.onClose(hadError ? new Error('Connection lost') : null);
+            }
+        });
+    }
+
+    /**
+     * Close the connection
+     */
+    disconnect() {
+        if (this.socket) {
+            this.socket.destroy();
+        }
+    }
+
+    /**
+     * Whether the connection is open
+     * @returns {boolean}
+     */
+    isConnected() {
+        return this.socket !== null && !this.socket.destroyed;
+    }
+
+    /**
+     * Read coils (FC01)
+     * @param {number} address - First coil address (0-based)
+     * @param {number} count - Number of coils
+     * @returns {Promise<boolean[]>} Coil states
+     */
+    readCoils(address, count) {
+        return this.readBits(FC_READ_COILS, address, count);
+    }
+
+    /**
+     * Read discrete inputs (FC02)
+     * @param {number} address - First input address (0-based)
+     * @param {number} count - Number of inputs
+     * @returns {Promise<boolean[]>} Input states
+     */
+    readDiscreteInputs(address, count) {
+        return this.readBits(FC_READ_DISCRETE_INPUTS, address, count);
+    }
+
+    /**
+     * Read input registers (FC04)
+     * @param {number} address - First register address (0-based)
+     * @param {number} count - Number of registers
+     * @returns {Promise<Buffer>} Register contents (2 bytes per register, big-endian)
+     */
+    async readInputRegisters(address, count) {
+        if (count < 1 || count > MAX_READ_REGISTERS) {
+            throw new Error(`Cannot read ${count} registers (1-${MAX_READ_REGISTERS})`);
+        }
+
+        const response = await this.request(this.buildReadRequest(FC_READ_INPUT_REGISTERS, address, count));
+        const bytes = response.subarray(2, 2 + response[1]);
+
+        if (bytes.length !== count * 2) {
+            throw new Error(`Read of ${count} input registers returned ${bytes.length} bytes`);
+        }
+        return Buffer.from(bytes);
+    }
+
+    /**
+     * Write holding registers (FC16)
+     * @param {number} address - First register address (0-based)
+     * @param {Buffer} data - Register contents (2 bytes per register, padded if odd)
+     * @returns {Promise<void>}
+     */
+    async writeMultipleRegisters(address, data) {
+        const count = Math.ceil(data.length / 2);
+        if (count < 1 || count > MAX_WRITE_REGISTERS) {
+            throw new Error(`Cannot write ${count} registers (1-${MAX_WRITE_REGISTERS})`);
+        }
+
+        const pdu = Buffer.alloc(6 + count * 2);
+        pdu[0] = FC_WRITE_MULTIPLE_REGISTERS;
+        pdu.writeUInt16BE(address, 1);
+        pdu.writeUInt16BE(count, 3);
+        pdu[5] = count * 2;
+        data.copy(pdu, 6);
+
+        await this.request(pdu);
+    }
+
+    /**
+     * Read coils or discrete inputs
+     * @param {number} functionCode - FC_READ_COILS or FC_READ_DISCRETE_INPUTS
+     * @param {number} address - First address
+     * @param {number} count - Number of bits
+     * @returns {Promise<boolean[]>} Bit values
+     */
+    async readBits(functionCode, address, count) {
+        if (count < 1 || count > MAX_READ_BITS) {
+            throw new Error(`Cannot read ${count} bits (1-${MAX_READ_BITS})`);
+        }
+
+        const response = await this.request(this.buildReadRequest(functionCode, address, count));
+        const bytes = response.subarray(2, 2 + response[1]);
+
+        if (bytes.length !== Math.ceil(count / 8)) {
+            throw new Error(`Read of ${count} bits returned ${bytes.length} bytes`);
+        }
+        return unpackBits(bytes, count);
+    }
+
+    /**
+     * Build a read request PDU
+     * @param {number} functionCode - Read function code
+     * @param {number} address - First address
+     * @param {number} count - Quantity
+     * @returns {Buffer} PDU
+     */
+    buildReadRequest(functionCode, address, count) {
+        const pdu = Buffer.alloc(5);
+        pdu[0] = functionCode;
+        pdu.writeUInt16BE(address, 1);
+        pdu.writeUInt16BE(count, 3);
+        return pdu;
+    }
+
+    /**
+     * Send a request PDU and wait for the response PDU
+     * @param {Buffer} pdu - Request PDU
+     * @returns {Promise<Buffer>} Response PDU (exceptions are thrown)
+     */
+    request(pdu) {
+        return this.enqueue(async () => {
+            this.transactionId = (this.transactionId + 1) & 0xffff;
+            const response = await this.exchange(buildAdu(this.transactionId, this.unitId, pdu), this.transactionId);
+
+            if (response[0] === (pdu[0] | EXCEPTION_FLAG)) {
+                throw new Error(`Function ${pdu[0]} at address ${pdu.readUInt16BE(1)} failed: ${describeException(response[1])}`);
+            }
+            if (response[0] !== pdu[0]) {
+                throw new Error(`Unexpected function code ${response[0]} in response`);
+            }
+            return response;
+        });
+    }
+
+    /**
+     * Run a task after all previously queued tasks
+     * @param {Function} task - Async function
+     * @returns {Promise<*>} Result of the task
+     */
+    enqueue(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Write a message and wait for the response with the same transaction ID
+     * @param {Buffer} adu - Complete Modbus TCP message
+     * @param {number} transactionId - Expected transaction ID
+     * @returns {Promise<Buffer>} Response PDU
+     */
+    exchange(adu, transactionId) {
+        if (!this.isConnected()) {
+            return Promise.reject(new Error('Not connected to Modbus server'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.waiter = null;
+                reject(new Error('Modbus server did not respond in time'));
+            }, this.timeoutMs);
+
+            this.waiter = {
+                transactionId,
+                resolve: pdu => {
+                    clearTimeout(timer);
+                    this.waiter = null;
+                    resolve(pdu);
+                },
+                reject: error => {
+                    clearTimeout(timer);
+                    this.waiter = null;
+                    reject(error);
+                }
+            };
+
+            this.socket.write(adu);
+        });
+    }
+
+    /**
+     * Route a received message to the pending request
+     * @param {Object} message - { transactionId, unitId, pdu }
+     */
+    handleMessage(message) {
+        // Ignore late responses to requests that already timed out
+        if (this.waiter && message.transactionId === this.waiter.transactionId) {
+            this.waiter.resolve(message.pdu);
+        }
+    }
+
+    /**
+     * Reject the pending request
+     * @param {Error} error - Reason
+     */
+    failPending(error) {
+        if (this.waiter) {
+            this.waiter.reject(error);
+        }
+    }
+}
+
+module.exports = ModbusClient;
@@ -0,0 +1,225 @@
+// Modbus Protocol - Shared framing for Modbus TCP
+// Used by the Modbus client (main process) and the local Modbus server stand-in.
+// Each message is an MBAP header (7 bytes) followed by the PDU (function code + data).
+// Only the functions the panel needs are implemented.
+//
+// Frame mapping: the BOOL fields of a layout section map to consecutive coils /
+// discrete inputs (layout order), the numeric fields to a block of registers
+// holding the same big-endian bytes as the frame (DINT/REAL span two registers,
+// high word first).
+
+const { FIELD_TYPES } = require('./frame-codec');
+
+const MBAP_HEADER_SIZE = 7;
+const MODBUS_PROTOCOL_ID = 0;
+
+// Function codes
+const FC_READ_COILS = 0x01;
+const FC_READ_DISCRETE_INPUTS = 0x02;
+const FC_READ_HOLDING_REGISTERS = 0x03;
+const FC_READ_INPUT_REGISTERS = 0x04;
+const FC_WRITE_MULTIPLE_REGISTERS = 0x10;
+
+// Exception responses set the high bit of the function code
+const EXCEPTION_FLAG = 0x80;
+
+// Exception codes
+const EXCEPTION_ILLEGAL_FUNCTION = 0x01;
+const EXCEPTION_ILLEGAL_DATA_ADDRESS = 0x02;
+const EXCEPTION_ILLEGAL_DATA_VALUE = 0x03;
+
+const EXCEPTION_MESSAGES = {
+    0x01: 'Illegal function',
+    0x02: 'Illegal data address (check the register addresses)',
+    0x03: 'Illegal data value',
+    0x04: 'Server device failure',
+    0x06: 'Server device busy',
+    0x0a: 'Gateway path unavailable',
+    0x0b: 'Gateway target device failed to respond (check the unit ID)'
+};
+
+// Per-request quantity limits from the Modbus specification
+const MAX_READ_BITS = 2000;
+const MAX_READ_REGISTERS = 125;
+const MAX_WRITE_REGISTERS = 123;
+
+/**
+ * Build a complete Modbus TCP message
+ * @param {number} transactionId - Echoed by the server to match the response
+ * @param {number} unitId - Unit identifier (slave address behind a gateway)
+ * @param {Buffer} pdu - Function code and data
+ * @returns {Buffer} MBAP header + PDU
+ */
+function buildAdu(transactionId, unitId, pdu) {
+    const header = Buffer.alloc(MBAP_HEADER_SIZE);
+    header.writeUInt16BE(transactionId & 0xffff, 0);
+    header.writeUInt16BE(MODBUS_PROTOCOL_ID, 2);
+    header.writeUInt16BE(pdu.length + 1, 4); // Unit ID + PDU
+    header[6] = unitId;
+    return Buffer.concat([header, pdu]);
+}
+
+/**
+ * Split a TCP byte stream into complete Modbus TCP messages
+ * The MBAP header carries the length, so partial and coalesced chunks are handled here.
+ */
+class MbapReader {
+    /**
+     * @param {Function} onMessage - Called with { transactionId, unitId, pdu }
+     */
+    constructor(onMessage) {
+        this.onMessage = onMessage;
+        this.buffer = Buffer.alloc(0);
+    }
+
+    /**
+     * Feed received bytes
+     * @param {Buffer} chunk - Raw bytes as received
+     */
+    push(chunk) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        while (this.buffer.length >= MBAP_HEADER_SIZE) {
+            if (this.buffer.readUInt16BE(2) !== MODBUS_PROTOCOL_ID) {
+                throw new Error(`Invalid Modbus protocol ID ${this.buffer.readUInt16BE(2)}`);
+            }
+
+            const length = this.buffer.readUInt16BE(4);
+            if (length < 2) {
+                throw new Error(`Invalid Modbus length ${length}`);
+            }
+
+            const total = MBAP_HEADER_SIZE - 1 + length;
+            if (this.buffer.length < total) {
+                break; // Wait for the rest of the message
+            }
+
+            const message = {
+                transactionId: this.buffer.readUInt16BE(0),
+                unitId: this.buffer[6],
+                pdu: Buffer.from(this.buffer.subarray(MBAP_HEADER_SIZE, total))
+            };
+            this.buffer = this.buffer.subarray(total);
+            this.onMessage(message);
+        }
+    }
+}
+
+/**
+ * Pack booleans into bytes, least significant bit first (coil/discrete input order)
+ * @param {boolean[]} bits - Bit values
+ * @returns {Buffer} Packed bytes
+ */
+function packBits(bits) {
+    const bytes = Buffer.alloc(Math.ceil(bits.length / 8));
+    bits.forEach((bit, index) => {
+        if (bit) {
+            bytes[index >> 3] |= 1 << (index & 7);
+        }
+    });
+    return bytes;
+}
+
+/**
+ * Unpack bytes into booleans, least significant bit first
+ * @param {Buffer} bytes - Packed bytes
+ * @param {number} count - Number of bits to unpack
+ * @returns {boolean[]} Bit values
+ */
+function unpackBits(bytes, count) {
+    const bits = [];
+    for (let index = 0; index < count; index++) {
+        bits.push((bytes[index >> 3] & (1 << (index & 7))) !== 0);
+    }
+    return bits;
+}
+
+/**
+ * Describe an exception code
+ * @param {number} code - Exception code
+ * @returns {string} Human-readable message
+ */
+function describeException(code) {
+    return EXCEPTION_MESSAGES[code] || `Exception 0x${code.toString(16).padStart(2, '0')}`;
+}
+
+/**
+ * Get the register block that holds the numeric fields of a layout section
+ * @param {Object} section - Layout section (layout.tx or layout.rx)
+ * @returns {Object} { offset, count } - first byte offset in the frame and number of registers
+ */
+function getRegisterSpan(section) {
+    const numericFields = section.fields.filter(field => field.type !== 'BOOL');
+    if (numericFields.length === 0) {
+        return { offset: 0, count: 0 };
+    }
+
+    const offset = Math.min(...numericFields.map(field => field.offset));
+    const end = Math.max(...numericFields.map(field => field.offset + FIELD_TYPES[field.type].size));
+    return { offset, count: Math.ceil((end - offset) / 2) };
+}
+
+/**
+ * Split an encoded frame into its bit values and register block
+ * @param {Object} section - Layout section
+ * @param {Buffer} frame - Encoded frame of section.size bytes
+ * @returns {Object} { bits: boolean[], registers: Buffer }
+ */
+function frameToTables(section, frame) {
+    const span = getRegisterSpan(section);
+    const registers = Buffer.alloc(span.count * 2);
+    frame.copy(registers, 0, span.offset, Math.min(frame.length, span.offset + registers.length));
+
+    const bits = section.fields
+        .filter(field => field.type === 'BOOL')
+        .map(field => (frame[field.offset] & (1 << field.bit)) !== 0);
+
+    return { bits, registers };
+}
+
+/**
+ * Rebuild an encoded frame from bit values and a register block
+ * @param {Object} section - Layout section
+ * @param {boolean[]} bits - One value per BOOL field, in layout order
+ * @param {Buffer} registers - Register block as returned by getRegisterSpan
+ * @returns {Buffer} Frame of section.size bytes that decodeFrame() understands
+ */
+function tablesToFrame(section, bits, registers) {
+    const frame = Buffer.alloc(section.size);
+    const span = getRegisterSpan(section);
+    registers.copy(frame, span.offset, 0, Math.min(registers.length, section.size - span.offset));
+
+    section.fields
+        .filter(field => field.type === 'BOOL')
+        .forEach((field, index) => {
+            if (bits[index]) {
+                frame[field.offset] |= 1 << field.bit;
+            }
+        });
+
+    return frame;
+}
+
+module.exports = {
+    MBAP_HEADER_SIZE,
+    FC_READ_COILS,
+    FC_READ_DISCRETE_INPUTS,
+    FC_READ_HOLDING_REGISTERS,
+    FC_READ_INPUT_REGISTERS,
+    FC_WRITE_MULTIPLE_REGISTERS,
+    EXCEPTION_FLAG,
+    EXCEPTION_ILLEGAL_FUNCTION,
+    EXCEPTION_ILLEGAL_DATA_ADDRESS,
+    EXCEPTION_ILLEGAL_DATA_VALUE,
+    MAX_READ_BITS,
+    MAX_READ_REGISTERS,
+    MAX_WRITE_REGISTERS,
+    buildAdu,
+    MbapReader,
+    packBits,
+    unpackBits,
+    describeException,
+    getRegisterSpan,
+    frameToTables,
+    tablesToFrame
+};
@@ -0,0 +1,182 @@
+// Modbus Test Server - Local stand-in for a Modbus TCP gateway
+// Answers FC01/02/03/04/16 requests, so the 'Modbus' protocol can be tested
+// without hardware.
+//
+// The panel's sent frame is written to holding registers 0-15. Every write
+// updates the status bits (coils and discrete inputs 0-39) and the status values
+// (input registers 0-9) with the same simulated PLC logic as the TCP test server
+// (simulated-plc.js).
+//
+// Usage: node modbus-test-server.js [port]   (default 502; ports < 1024 may need admin rights on Linux)
+
+const net = require('net');
+const { loadLayout, decodeFrame, encodeFrame } = require('./frame-codec');
+const { createSimulatedPlc } = require('./simulated-plc');
+const { RigModel } = require('./rig-model');
+const {
+    FC_READ_COILS,
+    FC_READ_DISCRETE_INPUTS,
+    FC_READ_HOLDING_REGISTERS,
+    FC_READ_INPUT_REGISTERS,
+    FC_WRITE_MULTIPLE_REGISTERS,
+    EXCEPTION_FLAG,
+    EXCEPTION_ILLEGAL_FUNCTION,
+    EXCEPTION_ILLEGAL_DATA_ADDRESS,
+    EXCEPTION_ILLEGAL_DATA_VALUE,
+    buildAdu,
+    MbapReader,
+    packBits,
+    getRegisterSpan,
+    frameToTables
+} = require('./modbus-protocol');
+
+const PORT = parseInt(process.argv[2]) || 502;
+const HOST = 'localhost';
+
+// Size of each data table (addresses 0 to TABLE_SIZE - 1)
+const TABLE_SIZE = 256;
+
+// Same frame layout as the Electron app (frame-layout.json)
+const frameLayout = loadLayout();
+
+// One simulated rig for the whole server: positions, power and calibration
+// survive reconnects, like the real stand
+const rig = new RigModel();
+const TX_REGISTER_COUNT = Math.ceil(frameLayout.tx.size / 2);
+
+// Create TCP server
+const server = net.createServer((socket) => {
+    console.log('Client connected:', socket.remoteAddress, socket.remotePort);
+
+    // Data tables and simulated PLC response state PER CONNECTION
+    const holdingRegisters = Buffer.alloc(TABLE_SIZE * 2);
+    const inputRegisters = Buffer.alloc(TABLE_SIZE * 2);
+    const coils = new Array(TABLE_SIZE).fill(false);
+    const discreteInputs = new Array(TABLE_SIZE).fill(false);
+    const plc = createSimulatedPlc(frameLayout, rig);
+
+    const reader = new MbapReader((message) => {
+        const response = handleRequest(message.pdu);
+        socket.write(buildAdu(message.transactionId, message.unitId, response));
+    });
+
+    socket.on('data', (data) => {
+        try {
+            reader.push(data);
+        } catch (error) {
+            console.error('Protocol error:', error.message);
+            socket.destroy();
+        }
+    });
+
+    socket.on('end', () => {
+        console.log('Client disconnected');
+        // A held jog stops with the connection
+        plc.reset();
+    });
+
+    socket.on('error', (err) => {
+        console.error('Socket error:', err.message);
+    });
+
+    // Answer one request PDU
+    function handleRequest(pdu) {
+        const functionCode = pdu[0];
+        const address = pdu.readUInt16BE(1);
+        const count = pdu.readUInt16BE(3);
+
+        const exception = (code) => Buffer.from([functionCode | EXCEPTION_FLAG, code]);
+
+        switch (functionCode) {
+            case FC_READ_COILS:
+            case FC_READ_DISCRETE_INPUTS: {
+                if (address + count > TABLE_SIZE) {
+                    return exception(EXCEPTION_ILLEGAL_DATA_ADDRESS);
+                }
+                const table = functionCode === FC_READ_COILS ? coils : discreteInputs;
+                const bytes = packBits(table.slice(address, address + count));
+                return Buffer.concat([Buffer.from([functionCode, bytes.length]), bytes]);
+            }
+
+            case FC_READ_HOLDING_REGISTERS:
+            case FC_READ_INPUT_REGISTERS: {
+                if (address + count > TABLE_SIZE) {
+                    return exception(EXCEPTION_ILLEGAL_DATA_ADDRESS);
+                }
+                const table = functionCode === FC_READ_HOLDING_REGISTERS ? holdingRegisters : inputRegisters;
+                const bytes = table.subarray(address * 2, (address + count) * 2);
+                return Buffer.concat([Buffer.from([functionCode, bytes.length]), bytes]);
+            }
+
+            case FC_WRITE_MULTIPLE_REGISTERS: {
+                if (address + count > TABLE_SIZE) {
+                    return exception(EXCEPTION_ILLEGAL_DATA_ADDRESS);
+                }
+                if (pdu[5] !== count * 2 || pdu.length < 6 + count * 2) {
+                    return exception(EXCEPTION_ILLEGAL_DATA_VALUE);
+                }
+                pdu.copy(holdingRegisters, address * 2, 6, 6 + count * 2);
+                if (address < TX_REGISTER_COUNT) {
+                    updateResponse();
+                }
+                return pdu.subarray(0, 5);
+            }
+
+            default:
+                console.log(`Unsupported function ${functionCode}`);
+                return exception(EXCEPTION_ILLEGAL_FUNCTION);
+        }
+    }
+
+    // Recompute the status tables from the sent frame (one write = one PLC cycle)
+    function updateResponse() {
+        const receivedIntegers = decodeFrame(frameLayout.tx, holdingRegisters.subarray(0, frameLayout.tx.size)).ints;
+        const { bits, registers } = frameToTables(frameLayout.rx, encodeFrame(frameLayout.rx, plc.respond(receivedIntegers)));
+
+        bits.forEach((bit, index) => {
+            coils[index] = bit;
+            discreteInputs[index] = bit;
+        });
+        registers.copy(inputRegisters, 0);
+    }
+});
+
+// Start server
+server.listen(PORT, HOST, () => {
+    const rxBitCount = frameToTables(frameLayout.rx, Buffer.alloc(frameLayout.rx.size)).bits.length;
+    const rxRegisterCount = getRegisterSpan(frameLayout.rx).count;
+
+    console.log('═══════════════════════════════════════════');
+    console.log('  Modbus Test Server Running');
+    console.log('═══════════════════════════════════════════');
+    console.log(`  Host: ${HOST}`);
+    console.log(`  Port: ${PORT}`);
+    console.log(`  Holding registers 0-${TX_REGISTER_COUNT - 1}: sent frame`);
+    console.log(`  Coils / discrete inputs 0-${rxBitCount - 1}: status bits`);
+    console.log(`  Input registers 0-${rxRegisterCount - 1}: status values`);
+    console.log('  Any unit ID is accepted');
+    console.log('═══════════════════════════════════════════');
+    console.log('\nWaiting for connections...\n');
+});
+
+server.on('error', (err) => {
+    if (err.code === 'EADDRINUSE') {
+        console.error(`Error: Port ${PORT} is already in use`);
+        console.error('Please close the other application or change the port');
+    } else if (err.code === 'EACCES') {
+        console.error(`Error: No permission to listen on port ${PORT}`);
+        console.error('Run with a port above 1024, e.g. node modbus-test-server.js 1502');
+    } else {
+        console.error('Server error:', err.message);
+    }
+    process.exit(1);
+});
+
+// Handle graceful shutdown
+process.on('SIGINT', () => {
+    console.log('\n\nShutting down server...');
+    server.close(() => {
+        console.log('Server closed');
+        process.exit(0);
+    });
+});
@@ -0,0 +1,404 @@
+// PLC CLI - Headless client for scripted PLC communication
+// Drives the PLC from shell scripts and bench runs without the Electron UI.
+// Uses the same frame layout, codec and cyclic sender as main.js: the TX frame
+// is sent every --interval ms, a --command is held in int-9 until the PLC
+// echoes it in RX int-9 (then cleared, unless --hold), and the decoded status
+// can be streamed to stdout as JSON lines.
+//
+//   node plc-cli.js --command 3                                  # Driver Power ON, wait for the ack
+//   node plc-cli.js --set targetX=100 --command 13 --timeout 5000
+//   node plc-cli.js --protocol udp --stream --duration 10000 > status.jsonl
+//
+// Every line on stdout is one JSON object with an "event" field (connected,
+// ack, timeout, status, disconnected); diagnostics go to stderr.
+
+const net = require('net');
+const dgram = require('dgram');
+const fs = require('fs');
+const { loadLayout, decodeFrame, encodeFrame, splitFields, coerceValue } = require('./frame-codec');
+const FrameAssembler = require('./frame-assembler');
+const CyclicScheduler = require('./cyclic-scheduler');
+
+const EXIT_CODES = {
+    OK: 0,
+    USAGE: 1,               // Bad arguments or settings file
+    CONNECT_FAILED: 2,      // Could not connect / bind
+    TIMEOUT: 3,             // No acknowledgment (or no frame) within --timeout
+    CONNECTION_LOST: 4      // The link closed before the run was over
+};
+
+const TX_COMMAND_INDEX = 9;   // Control command in the TX frame (int-9)
+const RX_ACK_INDEX = 9;       // Command acknowledgment in the RX frame (int-9)
+const CONNECT_TIMEOUT_MS = 5000;
+
+const USAGE = `Usage: node plc-cli.js [options]
+Connection (same keys as the panel settings):
+  --config FILE              JSON with protocol, tcpSettings and/or udpSettings (like the panel state)
+  --protocol tcp|udp         Transport (default tcp)
+  --tcp-host H               TCP server host (default localhost)
+  --tcp-port N               TCP server port (default 8080)
+  --tcp-client-port N        Local TCP port (default 0 = auto-assign)
+  --udp-listening-port N     Local UDP port for the replies (default 8081)
+  --udp-target-host H        UDP target host (default localhost)
+  --udp-target-port N        UDP target port (default 8080)
+Frame:
+  --set NAME=VALUE           Set a TX parameter by field name or index 0-15 (repeatable)
+  --command ID               Send a control command and wait for its acknowledgment
+  --hold                     Keep sending the command after the acknowledgment (jogs)
+  --interval MS              Send period (default 20 = 50Hz)
+Run:
+  --timeout MS               Time to wait for the acknowledgment or the first frame (default 2000)
+  --stream                   Print every received status frame as a JSON line
+  --duration MS              Keep running this long after the acknowledgment (default 0; with --stream: until Ctrl+C)
+Exit codes: 0 ok, 1 usage, 2 connect failed, 3 timeout, 4 connection lost`;
+
+const frameLayout = loadLayout();
+const txIntFields = splitFields(frameLayout.tx).intFields;
+const rxFields = splitFields(frameLayout.rx);
+
+// Parse the command line into run options
+function parseArgs(args) {
+    const options = {
+        protocol: 'tcp',
+        tcpSettings: { host: 'localhost', port: 8080, clientPort: 0 },
+        udpSettings: { listeningPort: 8081, targetHost: 'localhost', targetPort: 8080 },
+        txValues: new Array(txIntFields.length).fill(0),
+        command: null,
+        hold: false,
+        intervalMs: 20,
+        timeoutMs: 2000,
+        stream: false,
+        durationMs: null
+    };
+
+    const next = (i, name) => {
+        if (i >= args.length) throw new Error(`${name} needs a value`);
+        return args[i];
+    };
+    const numberArg = (value, name, min, max) => {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min || number > max) {
+            throw new Error(`${name} must be a whole number from ${min} to ${max}`);
+        }
+        return number;
+    };
+    const portArg = (value, name, min = 1) => numberArg(value, name, min, 65535);
+
+    // The settings file first, so flags override it regardless of their order
+    const configIndex = args.indexOf('--config');
+    if (configIndex !== -1) {
+        applyConfig(options, next(configIndex + 1, '--config'));
+    }
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+
+        switch (arg) {
+            case '--config':
+                i++;
+                break;
+            case '--protocol':
+                options.protocol = next(++i, arg).toLowerCase();
+                break;
+            case '--tcp-host':
+                options.tcpSettings.host = next(++i, arg);
+                break;
+            case '--tcp-port':
+                options.tcpSettings.port = portArg(next(++i, arg), arg);
+                break;
+            case '--tcp-client-port':
+                options.tcpSettings.clientPort = portArg(next(++i, arg), arg, 0);
+                break;
+            case '--udp-listening-port':
+                options.udpSettings.listeningPort = portArg(next(++i, arg), arg);
+                break;
+            case '--udp-target-host':
+                options.udpSettings.targetHost = next(++i, arg);
+                break;
+            case '--udp-target-port':
+                options.udpSettings.targetPort = portArg(next(++i, arg), arg);
+                break;
+            case '--set':
+                setTxValue(options.txValues, next(++i, arg));
+                break;
+            case '--command':
+                options.command = numberArg(next(++i, arg), arg, 1, 65535);
+                break;
+            case '--hold':
+                options.hold = true;
+                break;
+            case '--interval':
+                options.intervalMs = numberArg(next(++i, arg), arg, 1, 1000);
+                break;
+            case '--timeout':
+                options.timeoutMs = numberArg(next(++i, arg), arg, 1, 3600000);
+                break;
+            case '--stream':
+                options.stream = true;
+                break;
+            case '--duration':
+                options.durationMs = numberArg(next(++i, arg), arg, 0, Number.MAX_SAFE_INTEGER);
+                break;
+            case '--help':
+                console.log(USAGE);
+                process.exit(EXIT_CODES.OK);
+                break;
+            default:
+                throw new Error(`Unknown option ${arg}`);
+        }
+    }
+
+    if (options.protocol !== 'tcp' && options.protocol !== 'udp') {
+        throw new Error('--protocol must be tcp or udp');
+    }
+    if (options.hold && options.command === null) {
+        throw new Error('--hold needs a --command');
+    }
+
+    return options;
+}
+
+// Read protocol/tcpSettings/udpSettings from a settings file
+function applyConfig(options, filePath) {
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read ${filePath}: ${error.message}`);
+    }
+
+    if (config.protocol) options.protocol = String(config.protocol).toLowerCase();
+    Object.assign(options.tcpSettings, config.tcpSettings || {});
+    Object.assign(options.udpSettings, config.udpSettings || {});
+}
+
+// Apply one NAME=VALUE (field name or index), clamped to the field type
+function setTxValue(txValues, assignment) {
+    const match = /^([^=]+)=(.+)$/.exec(assignment);
+    if (!match) {
+        throw new Error(`--set needs NAME=VALUE, got "${assignment}"`);
+    }
+
+    const [, key, value] = match;
+    const index = /^\d+$/.test(key) ? Number(key) : txIntFields.findIndex(field => field.name === key);
+    if (index < 0 || index >= txIntFields.length) {
+        throw new Error(`Unknown TX parameter "${key}" (${txIntFields.map(field => field.name).join(', ')})`);
+    }
+    if (!Number.isFinite(Number(value))) {
+        throw new Error(`${txIntFields[index].name} must be a number, got "${value}"`);
+    }
+
+    txValues[index] = coerceValue(txIntFields[index].type, value);
+}
+
+// Print one JSON line on stdout
+function emit(event, fields = {}) {
+    process.stdout.write(`${JSON.stringify({ event, ...fields })}\n`);
+}
+
+// RX values named by the layout
+function describeStatus({ bools, ints }) {
+    const named = (fields, values) => Object.fromEntries(fields.map((field, index) => [field.name, values[index]]));
+    return { bools: named(rxFields.boolFields, bools), ints: named(rxFields.intFields, ints) };
+}
+
+// ========== TRANSPORTS ==========
+// Both resolve to { send(buffer), close() } once the link is up and call
+// onFrame for every complete RX frame and onClose when the link goes away.
+
+function connectTcp({ host, port, clientPort }, onFrame, onClose) {
+    return new Promise((resolve, reject) => {
+        const socket = new net.Socket();
+        const assembler = new FrameAssembler(frameLayout.rx.size, onFrame, {
+            onDiscard: (byteCount, reason) => console.error(`Dropped ${byteCount} received bytes (${reason})`)
+        });
+        let established = false;
+
+        socket.setNoDelay(true);
+
+        const connectTimer = setTimeout(() => {
+            socket.destroy();
+            reject(new Error('Connection timeout'));
+        }, CONNECT_TIMEOUT_MS);
+
+        const connectionOptions = { host, port };
+        if (clientPort > 0) {
+            connectionOptions.localPort = clientPort;
+        }
+
+        socket.connect(connectionOptions, () => {
+            established = true;
+            clearTimeout(connectTimer);
+            resolve({
+                send: buffer => socket.write(buffer),
+                close: () => socket.destroy()
+            });
+        });
+
+        socket.on('data', data => assembler.push(data));
+
+        socket.on('error', (err) => {
+            clearTimeout(connectTimer);
+            if (!established) {
+                reject(err);
+            } else {
+                console.error('TCP Error:', err.message);
+            }
+        });
+
+        socket.on('close', () => {
+            if (established) onClose();
+        });
+    });
+}
+
+function connectUdp({ listeningPort, targetHost, targetPort }, onFrame, onClose) {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket('udp4');
+        const assembler = new FrameAssembler(frameLayout.rx.size, onFrame, {
+            onDiscard: (byteCount, reason) => console.error(`Dropped ${byteCount} received bytes (${reason})`)
+        });
+        let bound = false;
+        let closing = false;
+
+        socket.on('message', datagram => assembler.pushDatagram(datagram));
+
+        socket.on('error', (err) => {
+            if (!bound) {
+                reject(err);
+            } else {
+                console.error('UDP Error:', err.message);
+            }
+        });
+
+        socket.on('close', () => {
+            if (bound && !closing) onClose();
+        });
+
+        socket.bind(listeningPort, () => {
+            bound = true;
+            resolve({
+                send: buffer => socket.send(buffer, targetPort, targetHost, (err) => {
+                    if (err) console.error('Error sending UDP data:', err.message);
+                }),
+                close: () => {
+                    closing = true;
+                    socket.close();
+                }
+            });
+        });
+    });
+}
+
+// ========== RUN ==========
+async function run(options) {
+    const startedAt = Date.now();
+    const txValues = options.txValues.slice();
+    let link = null;
+    let scheduler = null;
+    let finished = false;
+    let waitTimer = null;
+    let durationTimer = null;
+    let firstFrame = true;
+    let commandSentAt = 0;
+    let acknowledged = options.command === null;
+
+    const finish = (exitCode) => {
+        if (finished) return;
+        finished = true;
+
+        clearTimeout(waitTimer);
+        clearTimeout(durationTimer);
+        if (scheduler) scheduler.stop();
+        if (link) link.close();
+        process.exitCode = exitCode;
+    };
+
+    // Keep running after the acknowledgment (or the first frame) as long as asked
+    const startDuration = () => {
+        if (options.durationMs !== null) {
+            durationTimer = setTimeout(() => finish(EXIT_CODES.OK), options.durationMs);
+        } else if (!options.stream) {
+            finish(EXIT_CODES.OK);
+        }
+    };
+
+    const onFrame = (frame) => {
+        if (finished) return;
+
+        const values = decodeFrame(frameLayout.rx, frame);
+
+        if (options.stream) {
+            emit('status', { t: Date.now() - startedAt, ...describeStatus(values) });
+        }
+
+        if (!acknowledged && values.ints[RX_ACK_INDEX] === options.command) {
+            acknowledged = true;
+            clearTimeout(waitTimer);
+            emit('ack', { command: options.command, ms: Date.now() - commandSentAt });
+            if (!options.hold) {
+                txValues[TX_COMMAND_INDEX] = 0;
+            }
+            startDuration();
+        } else if (firstFrame && options.command === null) {
+            clearTimeout(waitTimer);
+            startDuration();
+        }
+        firstFrame = false;
+    };
+
+    const onClose = () => {
+        if (finished) return;
+        emit('disconnected', { t: Date.now() - startedAt });
+        console.error('Connection lost');
+        finish(EXIT_CODES.CONNECTION_LOST);
+    };
+
+    const settings = options.protocol === 'udp' ? options.udpSettings : options.tcpSettings;
+    try {
+        link = options.protocol === 'udp'
+            ? await connectUdp(settings, onFrame, onClose)
+            : await connectTcp(settings, onFrame, onClose);
+    } catch (error) {
+        console.error(`Connection failed: ${error.message}`);
+        process.exitCode = EXIT_CODES.CONNECT_FAILED;
+        return;
+    }
+
+    emit('connected', { protocol: options.protocol, ...settings });
+
+    process.on('SIGINT', () => finish(EXIT_CODES.OK));
+
+    if (options.command !== null) {
+        txValues[TX_COMMAND_INDEX] = options.command;
+    }
+    commandSentAt = Date.now();
+
+    waitTimer = setTimeout(() => {
+        if (options.command !== null) {
+            emit('timeout', { command: options.command, ms: options.timeoutMs });
+            console.error(`No acknowledgment for command ${options.command} within ${options.timeoutMs} ms`);
+        } else {
+            emit('timeout', { ms: options.timeoutMs });
+            console.error(`No frame received within ${options.timeoutMs} ms`);
+        }
+        finish(EXIT_CODES.TIMEOUT);
+    }, options.timeoutMs);
+
+    scheduler = new CyclicScheduler({
+        intervalMs: options.intervalMs,
+        onTick: () => link.send(encodeFrame(frameLayout.tx, { ints: txValues }))
+    });
+    scheduler.start();
+}
+
+let options;
+try {
+    options = parseArgs(process.argv.slice(2));
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error(USAGE);
+    process.exit(EXIT_CODES.USAGE);
+}
+
+run(options);
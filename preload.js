@@ -12,6 +12,26 @@ contextBridge.exposeInMainWorld('electronAPI', {
     udpDisconnect: () => ipcRenderer.invoke('udp-disconnect'),
     udpSend: (integers, targetHost, targetPort) => ipcRenderer.invoke('udp-send', integers, targetHost, targetPort),
 
+    // S7 connection methods (settings: host, port, rack, slot, writeDb, writeOffset, readDb, readOffset)
+    s7Connect: (settings) => ipcRenderer.invoke('s7-connect', settings),
+    s7Disconnect: () => ipcRenderer.invoke('s7-disconnect'),
+    s7Send: (integers) => ipcRenderer.invoke('s7-send', integers),
+
+    // Modbus connection methods (settings: host, port, unitId, writeAddress, bitSource, bitAddress, registerAddress)
+    modbusConnect: (settings) => ipcRenderer.invoke('modbus-connect', settings),
+    modbusDisconnect: () => ipcRenderer.invoke('modbus-disconnect'),
+    modbusSend: (integers) => ipcRenderer.invoke('modbus-send', integers),
+
+    // Cyclic sender (runs in the main process)
+    setAutoSend: (settings) => ipcRenderer.invoke('set-auto-send', settings),
+    setTxParams: (params) => ipcRenderer.invoke('set-tx-params', params),
+    sendTxFrame: () => ipcRenderer.invoke('send-tx-frame'),
+
+    // Round-trip latency test (debug echo integers)
+    startLatencyTest: () => ipcRenderer.invoke('start-latency-test'),
+    stopLatencyTest: () => ipcRenderer.invoke('stop-latency-test'),
+    exportLatencyCsv: () => ipcRenderer.invoke('export-latency-csv'),
+
     // Protocol management
     setProtocol: (protocol) => ipcRenderer.invoke('set-protocol', protocol),
 
@@ -25,9 +45,14 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // Get entire app state (for initialization)
     getAppState: () => ipcRenderer.invoke('get-app-state'),
 
+    // Get TX/RX frame layout (field offsets, types, names, units)
+    getFrameLayout: () => ipcRenderer.invoke('get-frame-layout'),
+
     // Update specific state values
     setTheme: (theme) => ipcRenderer.invoke('set-theme', theme),
     setLanguage: (language) => ipcRenderer.invoke('set-language', language),
+    setAutoReconnect: (settings) => ipcRenderer.invoke('set-auto-reconnect', settings),
+    setRxWatchdog: (settings) => ipcRenderer.invoke('set-rx-watchdog', settings),
 
     // Single unified state change listener
     onStateChanged: (callback) => {
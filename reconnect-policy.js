@@ -0,0 +1,82 @@
+// Reconnect Policy - Exponential backoff for automatic reconnects
+// Delays double after every failed attempt (1s, 2s, 4s, ...) up to maxDelayMs.
+// The attempt counter is reset once a connection has been re-established.
+
+const DEFAULT_RECONNECT_SETTINGS = {
+    enabled: false,         // Opt-in: without it a dropped link stays disconnected
+    initialDelayMs: 1000,   // Delay before the first attempt
+    maxDelayMs: 30000,      // Upper bound for the delay
+    maxAttempts: 0          // 0 = retry until the operator disconnects
+};
+
+class ReconnectPolicy {
+    /**
+     * @param {Object} [settings] - Overrides for DEFAULT_RECONNECT_SETTINGS
+     */
+    constructor(settings = {}) {
+        this.settings = { ...DEFAULT_RECONNECT_SETTINGS };
+        this.attempts = 0;
+        this.configure(settings);
+    }
+
+    /**
+     * Update the settings (invalid values keep their previous value)
+     * @param {Object} settings - { enabled, initialDelayMs, maxDelayMs, maxAttempts }
+     * @returns {Object} The effective settings
+     */
+    configure(settings) {
+        const positive = (value, fallback) => (Number.isFinite(value) && value > 0 ? value : fallback);
+
+        this.settings = {
+            enabled: settings.enabled !== undefined ? settings.enabled === true : this.settings.enabled,
+            initialDelayMs: positive(settings.initialDelayMs, this.settings.initialDelayMs),
+            maxDelayMs: positive(settings.maxDelayMs, this.settings.maxDelayMs),
+            maxAttempts: Number.isInteger(settings.maxAttempts) && settings.maxAttempts >= 0
+                ? settings.maxAttempts
+                : this.settings.maxAttempts
+        };
+        this.settings.maxDelayMs = Math.max(this.settings.maxDelayMs, this.settings.initialDelayMs);
+
+        return this.getSettings();
+    }
+
+    /**
+     * Get a copy of the settings
+     * @returns {Object} { enabled, initialDelayMs, maxDelayMs, maxAttempts }
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Whether automatic reconnect is switched on
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.settings.enabled;
+    }
+
+    /**
+     * Count the next attempt and get its delay
+     * @returns {number|null} Delay in milliseconds, or null when maxAttempts is used up
+     */
+    nextDelay() {
+        const { initialDelayMs, maxDelayMs, maxAttempts } = this.settings;
+
+        if (maxAttempts > 0 && this.attempts >= maxAttempts) {
+            return null;
+        }
+
+        this.attempts++;
+        return Math.min(initialDelayMs * Math.pow(2, this.attempts - 1), maxDelayMs);
+    }
+
+    /**
+     * Start counting from the first attempt again
+     */
+    reset() {
+        this.attempts = 0;
+    }
+}
+
+module.exports = { ReconnectPolicy, DEFAULT_RECONNECT_SETTINGS };
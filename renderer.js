@@ -2,6 +2,10 @@
 import stateManager from './renderer/core/state-manager.js';
 import eventBus, { Events } from './renderer/core/event-bus.js';
 import logger from './renderer/core/logger.js';
+import commandController from './renderer/core/command-controller.js';
+import interlocks from './renderer/core/interlocks.js';
+import positionMonitor from './renderer/core/position-monitor.js';
+import { getCommandName, isMomentary } from './renderer/core/command-registry.js';
 
 // Import connection modules
 import connectionManager from './renderer/connection/connection-manager.js';
@@ -10,12 +14,21 @@ import dataSender from './renderer/connection/data-sender.js';
 
 // Import data modules
 import dataReceiver from './renderer/data/data-receiver.js';
+import frameLayout from './renderer/data/frame-layout.js';
+import latencyTest from './renderer/data/latency-test.js';
 
 // Import control modules
 import commandButtonsManager from './renderer/controls/command-buttons.js';
 import powerSwitchesManager from './renderer/controls/power-switches.js';
-import joystickControl, { COMMANDS } from './renderer/controls/joystick-control.js';
+import commandTimeout from './renderer/controls/command-timeout.js';
+import interlockDisplay from './renderer/controls/interlock-display.js';
+import keyboardControl from './renderer/controls/keyboard-control.js';
+import gamepadControl from './renderer/controls/gamepad-control.js';
+import joystickControl from './renderer/controls/joystick-control.js';
 import sliderControl from './renderer/controls/slider-control.js';
+import proportionalJog from './renderer/controls/proportional-jog.js';
+import stepJog from './renderer/controls/step-jog.js';
+import positionPanel from './renderer/controls/position-panel.js';
 
 // Import settings and UI modules
 import settingsManager from './renderer/settings/settings-manager.js';
@@ -23,13 +36,17 @@ import speedModeHandler from './renderer/settings/speed-mode-handler.js';
 import uiInitializers from './renderer/ui/ui-initializers.js';
 
 // Import utility helpers
-import { addLog, isMainWindow, getCommandName } from './renderer/utils/helpers.js';
+import { addLog, isMainWindow } from './renderer/utils/helpers.js';
 
 // DOM Elements - Protocol Selection
 const protocolTcpRadio = document.getElementById('protocol-tcp');
 const protocolUdpRadio = document.getElementById('protocol-udp');
+const protocolS7Radio = document.getElementById('protocol-s7');
+const protocolModbusRadio = document.getElementById('protocol-modbus');
 const tcpSettingsSection = document.getElementById('tcp-settings');
 const udpSettingsSection = document.getElementById('udp-settings');
+const s7SettingsSection = document.getElementById('s7-settings');
+const modbusSettingsSection = document.getElementById('modbus-settings');
 
 // DOM Elements - TCP Settings
 const tcpHostInput = document.getElementById('tcp-host');
@@ -41,12 +58,38 @@ const udpListeningPortInput = document.getElementById('udp-listening-port');
 const udpTargetHostInput = document.getElementById('udp-target-host');
 const udpTargetPortInput = document.getElementById('udp-target-port');
 
+// DOM Elements - S7 Settings
+const s7HostInput = document.getElementById('s7-host');
+const s7PortInput = document.getElementById('s7-port');
+const s7RackInput = document.getElementById('s7-rack');
+const s7SlotInput = document.getElementById('s7-slot');
+const s7WriteDbInput = document.getElementById('s7-write-db');
+const s7WriteOffsetInput = document.getElementById('s7-write-offset');
+const s7ReadDbInput = document.getElementById('s7-read-db');
+const s7ReadOffsetInput = document.getElementById('s7-read-offset');
+
+// DOM Elements - Modbus Settings
+const modbusHostInput = document.getElementById('modbus-host');
+const modbusPortInput = document.getElementById('modbus-port');
+const modbusUnitIdInput = document.getElementById('modbus-unit-id');
+const modbusWriteAddressInput = document.getElementById('modbus-write-address');
+const modbusBitSourceSelect = document.getElementById('modbus-bit-source');
+const modbusBitAddressInput = document.getElementById('modbus-bit-address');
+const modbusRegisterAddressInput = document.getElementById('modbus-register-address');
+
 // DOM Elements - Common Controls
 const connectBtn = document.getElementById('connect-btn');
 const disconnectBtn = document.getElementById('disconnect-btn');
 const sendBtn = document.getElementById('send-btn');
 const autoSendToggle = document.getElementById('auto-send-toggle');
 const autoSendIndicator = document.getElementById('auto-send-indicator');
+const sendTimingPanel = document.getElementById('send-timing');
+const autoReconnectToggle = document.getElementById('auto-reconnect-toggle');
+const reconnectInitialDelayInput = document.getElementById('reconnect-initial-delay');
+const reconnectMaxDelayInput = document.getElementById('reconnect-max-delay');
+const reconnectMaxAttemptsInput = document.getElementById('reconnect-max-attempts');
+const rxDegradedFactorInput = document.getElementById('rx-degraded-factor');
+const rxLostFactorInput = document.getElementById('rx-lost-factor');
 const statusIndicator = document.getElementById('status-indicator');
 const boolDisplay = document.getElementById('bool-display');
 const intDisplay = document.getElementById('int-display');
@@ -71,7 +114,28 @@ function loadSettings() {
         udpListeningPortInput,
         udpTargetHostInput,
         udpTargetPortInput,
+        s7HostInput,
+        s7PortInput,
+        s7RackInput,
+        s7SlotInput,
+        s7WriteDbInput,
+        s7WriteOffsetInput,
+        s7ReadDbInput,
+        s7ReadOffsetInput,
+        modbusHostInput,
+        modbusPortInput,
+        modbusUnitIdInput,
+        modbusWriteAddressInput,
+        modbusBitSourceSelect,
+        modbusBitAddressInput,
+        modbusRegisterAddressInput,
         autoSendToggle,
+        autoReconnectToggle,
+        reconnectInitialDelayInput,
+        reconnectMaxDelayInput,
+        reconnectMaxAttemptsInput,
+        rxDegradedFactorInput,
+        rxLostFactorInput,
         debugModeToggle,
         sendLatencyInput,
         updateProtocolUI
@@ -87,19 +151,44 @@ function saveSettings() {
         udpListeningPortInput,
         udpTargetHostInput,
         udpTargetPortInput,
+        s7HostInput,
+        s7PortInput,
+        s7RackInput,
+        s7SlotInput,
+        s7WriteDbInput,
+        s7WriteOffsetInput,
+        s7ReadDbInput,
+        s7ReadOffsetInput,
+        modbusHostInput,
+        modbusPortInput,
+        modbusUnitIdInput,
+        modbusWriteAddressInput,
+        modbusBitSourceSelect,
+        modbusBitAddressInput,
+        modbusRegisterAddressInput,
         autoSendToggle,
+        autoReconnectToggle,
+        reconnectInitialDelayInput,
+        reconnectMaxDelayInput,
+        reconnectMaxAttemptsInput,
+        rxDegradedFactorInput,
+        rxLostFactorInput,
         debugModeToggle,
         sendLatencyInput
     });
 }
 
-// Update protocol UI (show/hide TCP or UDP settings)
+// Update protocol UI (show the settings section and check the radio of the current protocol)
 function updateProtocolUI() {
     protocolHandler.updateProtocolUI({
         tcpSettingsSection,
         udpSettingsSection,
+        s7SettingsSection,
+        modbusSettingsSection,
         protocolTcpRadio,
-        protocolUdpRadio
+        protocolUdpRadio,
+        protocolS7Radio,
+        protocolModbusRadio
     });
 }
 
@@ -120,8 +209,12 @@ function initializeDisplays() {
 }
 
 // Update connection status
-function updateConnectionStatus(connected) {
+// connectionState is the 'connection' state from the main process; while it
+// says reconnecting, the indicator shows the attempt and Disconnect cancels it.
+function updateConnectionStatus(connected, connectionState = {}) {
+    const reconnecting = !connected && connectionState.reconnecting === true;
     stateManager.set('isConnected', connected);
+    stateManager.set('isReconnecting', reconnecting);
 
     // Emit connection status event
     eventBus.emit(Events.CONNECTION_STATUS, { connected });
@@ -144,20 +237,19 @@ function updateConnectionStatus(connected) {
         powerSwitchesManager.handleConnectionStatus(true);
         joystickControl.handleConnectionStatus(true);
         sliderControl.handleConnectionStatus(true);
+        latencyTest.handleConnectionStatus(true);
 
         addLog('Successfully connected to server', 'success');
-
-        // Auto-start 50Hz sending ONLY in main window if toggle is checked
-        if (isMainWindow() && autoSendToggle && autoSendToggle.checked && !dataSender.isAutoSendActive()) {
-            startAutoSend();
-        }
     } else {
-        if (statusIndicator) {
+        if (statusIndicator && reconnecting) {
+            statusIndicator.textContent = formatReconnectStatus(connectionState);
+            statusIndicator.className = 'status-reconnecting';
+        } else if (statusIndicator) {
             statusIndicator.textContent = window.t('disconnected');
             statusIndicator.className = 'status-disconnected';
         }
-        if (connectBtn) connectBtn.disabled = false;
-        if (disconnectBtn) disconnectBtn.disabled = true;
+        if (connectBtn) connectBtn.disabled = reconnecting;
+        if (disconnectBtn) disconnectBtn.disabled = !reconnecting;
         if (sendBtn) sendBtn.disabled = true;
         commandButtons.forEach(btn => btn.disabled = true);
 
@@ -165,17 +257,98 @@ function updateConnectionStatus(connected) {
         powerSwitchesManager.handleConnectionStatus(false);
         joystickControl.handleConnectionStatus(false);
         sliderControl.handleConnectionStatus(false);
+        latencyTest.handleConnectionStatus(false);
+
+        if (reconnecting) {
+            const reason = connectionState.lastError ? ` (${connectionState.lastError})` : '';
+            addLog(`Connection lost${reason} - reconnect attempt ${connectionState.attempt} in ${connectionState.delayMs} ms`, 'warning');
+        } else {
+            addLog('Disconnected from server', 'info');
+        }
+    }
+}
 
-        addLog('Disconnected from server', 'info');
+// Status indicator text while reconnecting, e.g. "Reconnecting (2/5)"
+function formatReconnectStatus(connectionState) {
+    const { attempt, maxAttempts } = connectionState;
+    return `${window.t('reconnecting')} (${maxAttempts > 0 ? `${attempt}/${maxAttempts}` : attempt})`;
+}
+
+// Show the auto-reconnect settings of the main process in the settings inputs
+function applyAutoReconnectSettings(settings) {
+    if (!settings) return;
+    if (autoReconnectToggle) autoReconnectToggle.checked = settings.enabled;
+    if (reconnectInitialDelayInput) reconnectInitialDelayInput.value = settings.initialDelayMs;
+    if (reconnectMaxDelayInput) reconnectMaxDelayInput.value = settings.maxDelayMs;
+    if (reconnectMaxAttemptsInput) reconnectMaxAttemptsInput.value = settings.maxAttempts;
+}
+
+// Auto-reconnect settings (settings window) - saved and sent to the main process
+[autoReconnectToggle, reconnectInitialDelayInput, reconnectMaxDelayInput, reconnectMaxAttemptsInput].forEach(input => {
+    if (!input) return;
+
+    input.addEventListener('change', async () => {
+        const settings = await connectionManager.setAutoReconnect(connectionManager.getAutoReconnectSettings({
+            autoReconnectToggle,
+            reconnectInitialDelayInput,
+            reconnectMaxDelayInput,
+            reconnectMaxAttemptsInput
+        }));
 
-        // Stop auto-send on disconnect (only matters for main window)
-        if (dataSender.isAutoSendActive()) {
-            stopAutoSend();
+        // Show the values main.js accepted (invalid ones keep their previous value)
+        applyAutoReconnectSettings(settings);
+        saveSettings();
+    });
+});
+
+// Apply the RX watchdog link health to the monitor grid and motion controls
+// Stale data is only logged on a live link (disconnects are logged already).
+let staleDataReported = false;
+function updateLinkHealth(health) {
+    stateManager.set('linkHealth', health);
+    eventBus.emit(Events.LINK_HEALTH_CHANGED, { health });
+
+    uiInitializers.updateDisplayHealth(health);
+    joystickControl.handleLinkHealth(health);
+    sliderControl.handleLinkHealth(health);
+
+    if (health === 'ok') {
+        if (staleDataReported) {
+            addLog('Receiving PLC data again - motion controls enabled', 'success');
+            staleDataReported = false;
         }
+    } else if (stateManager.get('isConnected')) {
+        const level = health === 'lost' ? 'error' : 'warning';
+        addLog(`PLC data ${health === 'lost' ? 'lost' : 'stale'} - no frames received, motion controls disabled`, level);
+        staleDataReported = true;
+    } else {
+        staleDataReported = false;
     }
 }
 
-// Connect to server (TCP or UDP based on protocol)
+// Show the RX watchdog timeouts of the main process in the settings inputs
+function applyRxWatchdogSettings(settings) {
+    if (!settings) return;
+    if (rxDegradedFactorInput) rxDegradedFactorInput.value = settings.degradedFactor;
+    if (rxLostFactorInput) rxLostFactorInput.value = settings.lostFactor;
+}
+
+// RX watchdog timeouts (settings window) - saved and sent to the main process
+[rxDegradedFactorInput, rxLostFactorInput].forEach(input => {
+    if (!input) return;
+
+    input.addEventListener('change', async () => {
+        const settings = await connectionManager.setRxWatchdog(connectionManager.getRxWatchdogSettings({
+            rxDegradedFactorInput,
+            rxLostFactorInput
+        }));
+
+        applyRxWatchdogSettings(settings);
+        saveSettings();
+    });
+});
+
+// Connect to server (TCP, UDP, S7 or Modbus based on protocol)
 if (connectBtn) {
     connectBtn.addEventListener('click', async () => {
         connectBtn.disabled = true;
@@ -190,7 +363,22 @@ if (connectBtn) {
             tcpClientPortInput,
             udpListeningPortInput,
             udpTargetHostInput,
-            udpTargetPortInput
+            udpTargetPortInput,
+            s7HostInput,
+            s7PortInput,
+            s7RackInput,
+            s7SlotInput,
+            s7WriteDbInput,
+            s7WriteOffsetInput,
+            s7ReadDbInput,
+            s7ReadOffsetInput,
+            modbusHostInput,
+            modbusPortInput,
+            modbusUnitIdInput,
+            modbusWriteAddressInput,
+            modbusBitSourceSelect,
+            modbusBitAddressInput,
+            modbusRegisterAddressInput
         });
 
         // Connect using connectionManager
@@ -204,29 +392,47 @@ if (connectBtn) {
     });
 }
 
-// Start auto-send function
-function startAutoSend() {
-    dataSender.startAutoSend();
+// Apply the auto-send state of the main process (the cyclic sender runs there)
+// It starts on connect and stops on disconnect by itself while the toggle is on.
+function applyAutoSendState(autoSend) {
+    if (!autoSend) return;
+
+    dataSender.handleAutoSendState(autoSend);
 
-    // Update UI
     if (autoSendIndicator) {
-        autoSendIndicator.textContent = window.t('on');
-        autoSendIndicator.className = 'auto-send-indicator active';
+        autoSendIndicator.textContent = window.t(autoSend.running ? 'on' : 'off');
+        autoSendIndicator.className = autoSend.running ? 'auto-send-indicator active' : 'auto-send-indicator';
     }
+    if (autoSendToggle) autoSendToggle.checked = autoSend.enabled;
+    if (sendLatencyInput) sendLatencyInput.value = autoSend.intervalMs;
 }
 
-// Stop auto-send function
-function stopAutoSend() {
-    dataSender.stopAutoSend();
+// Show the achieved send timing in the settings window, next to the Auto-Send toggle
+// Highlighted while cycles are missed or overrun, or the p95 period is 50% over the interval.
+let previousSendTiming = null;
+function updateSendTiming(timing) {
+    dataSender.handleSendTiming(timing);
 
-    // Update UI
-    if (autoSendIndicator) {
-        autoSendIndicator.textContent = window.t('off');
-        autoSendIndicator.className = 'auto-send-indicator';
-    }
+    if (!sendTimingPanel || !timing) return;
+
+    const ms = value => (value === null ? '--' : value.toFixed(1));
+    const rate = timing.rateHz === null ? '--' : timing.rateHz.toFixed(1);
+    const jitter = timing.jitterMs === null ? '' : `±${ms(timing.jitterMs)}`;
+
+    sendTimingPanel.textContent = `${rate} Hz | ${window.t('sendTimingAvg')} ${ms(timing.meanMs)}${jitter} ` +
+        `p95 ${ms(timing.p95Ms)} max ${ms(timing.maxMs)} ms | ` +
+        `${window.t('sendTimingMissed')} ${timing.missed} | ${window.t('sendTimingOverruns')} ${timing.overruns}`;
+    sendTimingPanel.title = window.t('sendTimingTitle');
+
+    const newlyLate = previousSendTiming !== null && timing.running &&
+        (timing.missed > previousSendTiming.missed || timing.overruns > previousSendTiming.overruns);
+    const slowPeriod = timing.p95Ms !== null && timing.p95Ms > timing.intervalMs * 1.5;
+    sendTimingPanel.classList.toggle('timing-late', timing.running && (newlyLate || slowPeriod));
+
+    previousSendTiming = timing;
 }
 
-// Disconnect from server (TCP or UDP)
+// Disconnect from server (TCP, UDP, S7 or Modbus)
 if (disconnectBtn) {
     disconnectBtn.addEventListener('click', async () => {
         await connectionManager.disconnect();
@@ -234,19 +440,11 @@ if (disconnectBtn) {
     });
 }
 
-// Auto-send toggle - only functional in main window
+// Auto-send toggle - switches the cyclic sender in the main process
 if (autoSendToggle) {
     autoSendToggle.addEventListener('change', () => {
         saveSettings(); // Save the toggle state
-
-        // Only control auto-send in main window
-        if (isMainWindow()) {
-            if (autoSendToggle.checked && stateManager.get('isConnected')) {
-                startAutoSend();
-            } else {
-                stopAutoSend();
-            }
-        }
+        dataSender.setAutoSend({ enabled: autoSendToggle.checked });
     });
 }
 
@@ -255,6 +453,7 @@ if (debugModeToggle) {
     debugModeToggle.addEventListener('change', () => {
         stateManager.set('debugModeEnabled', debugModeToggle.checked);
         saveSettings(); // Save the toggle state
+        dataSender.setDebugEcho(debugModeToggle.checked);
 
         if (debugModeToggle.checked) {
             addLog('Debug echo mode enabled: RX[9] → TX[6]', 'info');
@@ -313,23 +512,20 @@ if (sendBtn) {
     });
 }
 
-// Handle PLC command acknowledgment
+// Handle PLC command acknowledgment (RX int-9 echoes the current command, every frame)
 function handleCommandAcknowledgment(acknowledgedCmd) {
-    // Axis movement commands (joystick/slider): 7-12
-    const isAxisMovementCommand = acknowledgedCmd >= COMMANDS.X_PLUS &&
-                                   acknowledgedCmd <= COMMANDS.Z_MINUS;
+    // Only the first echo of a command changes its state
+    if (!commandController.acknowledge(acknowledgedCmd)) return;
 
-    if (isAxisMovementCommand) {
-        // For axis movement, just log the acknowledgment and update the acknowledged command
-        stateManager.set('acknowledgedCommand', acknowledgedCmd);
+    if (isMomentary(acknowledgedCmd)) {
+        // Jogs (joystick/slider) stay active while held: just log the acknowledgment
         logger.info(`PLC acknowledged: ${getCommandName(acknowledgedCmd)}`);
 
         // Delegate to control modules
         joystickControl.handleAcknowledgment(acknowledgedCmd);
         sliderControl.handleAcknowledgment(acknowledgedCmd);
     } else {
-        // For button commands and power switches, clear the highlight and reset command
-        commandButtonsManager.handleAcknowledgment();
+        // Button commands and power switches completed: the command buttons restore the controls
         logger.success(`PLC acknowledged and completed: ${getCommandName(acknowledgedCmd)}`);
     }
 }
@@ -339,7 +535,7 @@ window.electronAPI.onConnectionStatus((data) => {
     if (data.connected) {
         updateConnectionStatus(true);
     } else {
-        updateConnectionStatus(false);
+        updateConnectionStatus(false, data);
         if (data.error) {
             addLog(`Connection error: ${data.error}`, 'error');
         }
@@ -363,7 +559,7 @@ function initializeWindowControls() {
 
 // Setup input change listeners for auto-save (delegate to uiInitializers module)
 function setupInputListeners() {
-    uiInitializers.setupInputListeners(saveSettings);
+    uiInitializers.setupInputListeners(saveSettings, () => dataSender.pushTxValues());
 }
 
 // ========== REMOVED: localStorage cross-window sync ==========
@@ -389,6 +585,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Initialize UI initializers module
     uiInitializers.init(window.electronAPI);
 
+    // Load the TX/RX frame layout before building displays from it
+    await frameLayout.init(window.electronAPI);
+
     // Load saved settings first
     loadSettings();
 
@@ -397,41 +596,71 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     // Initialize only the components that exist in this window
     initializeDisplays();
+    uiInitializers.initializeParameterInputs();
     commandButtonsManager.init();
     powerSwitchesManager.init();
+    commandTimeout.init();
+    interlocks.init();
+    interlockDisplay.init();
+    positionMonitor.init();
     initializeTabs();
     initializeSettingsButton();
     initializeWindowControls();
     setupInputListeners();
     joystickControl.init();
     sliderControl.init();
+    proportionalJog.init();
+    stepJog.init();
+    positionPanel.init();
+    keyboardControl.init();
+    gamepadControl.init();
+    latencyTest.init(window.electronAPI);
 
     // ========== UNIFIED STATE INITIALIZATION ==========
     // Get entire app state from main process
     try {
+        // The main window hands its saved send parameters to the cyclic sender
+        if (isMainWindow()) {
+            await dataSender.pushTxValues();
+            await dataSender.setDebugEcho(stateManager.get('debugModeEnabled'));
+            await dataSender.setAutoSend({
+                enabled: autoSendToggle ? autoSendToggle.checked : false,
+                intervalMs: stateManager.get('sendLatencyMs')
+            });
+        }
+
         const appState = await window.electronAPI.getAppState();
 
         // Apply protocol state
         if (appState.protocol) {
             settingsManager.setCurrentProtocol(appState.protocol);
-            if (protocolTcpRadio && protocolUdpRadio) {
-                if (appState.protocol === 'tcp') {
-                    protocolTcpRadio.checked = true;
-                } else {
-                    protocolUdpRadio.checked = true;
-                }
-            }
             updateProtocolUI();
         }
 
         // Apply connection state
         if (appState.connection) {
-            updateConnectionStatus(appState.connection.connected);
+            updateConnectionStatus(appState.connection.connected, appState.connection);
             if (appState.connection.error && logContainer) {
                 addLog(`Connection error: ${appState.connection.error}`, 'error');
             }
         }
 
+        // Apply auto-reconnect and RX watchdog settings
+        applyAutoReconnectSettings(appState.autoReconnect);
+        applyRxWatchdogSettings(appState.rxWatchdog);
+
+        // Apply auto-send state and the last send timing report
+        applyAutoSendState(appState.autoSend);
+        updateSendTiming(appState.sendTiming);
+
+        // Apply the current or last latency test
+        latencyTest.handleState(appState.latencyTest);
+
+        // Apply link health (after the connection state, which the motion controls combine it with)
+        if (appState.linkHealth) {
+            updateLinkHealth(appState.linkHealth);
+        }
+
         // Apply theme state (theme-manager.js will handle this)
         // Apply language state (language-manager.js will handle this)
 
@@ -460,6 +689,22 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     }
 
+    if (protocolS7Radio) {
+        protocolS7Radio.addEventListener('change', () => {
+            if (protocolS7Radio.checked) {
+                handleProtocolSwitch('s7');
+            }
+        });
+    }
+
+    if (protocolModbusRadio) {
+        protocolModbusRadio.addEventListener('change', () => {
+            if (protocolModbusRadio.checked) {
+                handleProtocolSwitch('modbus');
+            }
+        });
+    }
+
     // Only log if log container exists
     if (logContainer) {
         addLog('Application started', 'info');
@@ -485,18 +730,58 @@ document.addEventListener('DOMContentLoaded', async () => {
         window.electronAPI.onStateChanged((key, value) => {
             if (key === 'protocol' && value !== settingsManager.getCurrentProtocol()) {
                 settingsManager.setCurrentProtocol(value);
-                if (protocolTcpRadio && protocolUdpRadio) {
-                    if (value === 'tcp') {
-                        protocolTcpRadio.checked = true;
-                    } else {
-                        protocolUdpRadio.checked = true;
-                    }
-                }
                 updateProtocolUI();
                 if (logContainer) {
                     addLog(`Protocol changed to ${value.toUpperCase()} by another window`, 'info');
                 }
             }
+
+            if (key === 'autoReconnect') {
+                applyAutoReconnectSettings(value);
+            }
+
+            if (key === 'rxWatchdog') {
+                applyRxWatchdogSettings(value);
+            }
+
+            if (key === 'linkHealth') {
+                updateLinkHealth(value);
+            }
+
+            if (key === 'autoSend') {
+                applyAutoSendState(value);
+            }
+
+            if (key === 'sendTiming') {
+                updateSendTiming(value);
+            }
+
+            if (key === 'latencyTest') {
+                latencyTest.handleState(value);
+            }
+
+            // Parameter values pushed by another window (int-7 and int-9 are filled in by the main process)
+            if (key === 'txValues' && Array.isArray(value)) {
+                value.forEach((fieldValue, i) => {
+                    const input = document.getElementById(`int-${i}`);
+                    if (input && i !== 9 && i !== 7 && input !== document.activeElement && input.value !== String(fieldValue)) {
+                        input.value = fieldValue;
+                    }
+                });
+                positionPanel.handleTxValues(value);
+            }
+
+            // Command sent by the cyclic sender (shown in int-9)
+            if (key === 'txCommand') {
+                const commandInput = document.getElementById('int-9');
+                if (commandInput) commandInput.value = value;
+            }
+
+            // Proportional jog speed sent by the cyclic sender (shown in int-7)
+            if (key === 'txJogSpeed') {
+                const jogSpeedInput = document.getElementById('int-7');
+                if (jogSpeedInput) jogSpeedInput.value = value;
+            }
         });
     }
 });
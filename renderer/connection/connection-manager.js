@@ -1,6 +1,6 @@
 /**
  * Connection Manager
- * Handles TCP and UDP connection lifecycle
+ * Handles TCP, UDP, S7 and Modbus TCP connection lifecycle
  */
 
 import stateManager from '../core/state-manager.js';
@@ -26,7 +26,7 @@ class ConnectionManager {
     }
 
     /**
-     * Connect to server (TCP or UDP based on current protocol)
+     * Connect to server (TCP, UDP, S7 or Modbus based on current protocol)
      * @param {Object} settings - Connection settings with protocol-specific params
      * @returns {Promise<Object>} Connection result
      */
@@ -38,6 +38,10 @@ class ConnectionManager {
 
             if (protocol === 'tcp') {
                 result = await this.connectTCP(settings);
+            } else if (protocol === 's7') {
+                result = await this.connectS7(settings);
+            } else if (protocol === 'modbus') {
+                result = await this.connectModbus(settings);
             } else {
                 result = await this.connectUDP(settings);
             }
@@ -106,7 +110,56 @@ class ConnectionManager {
     }
 
     /**
-     * Disconnect from server (TCP or UDP)
+     * Connect via S7 (ISO-on-TCP)
+     * @param {Object} settings - S7 settings (host, port, rack, slot, writeDb, writeOffset, readDb, readOffset)
+     * @returns {Promise<Object>} Connection result
+     */
+    async connectS7(settings) {
+        const { host, port, rack, slot, writeDb, readDb } = settings;
+
+        if (!host || !port) {
+            throw new Error('Invalid S7 host or port');
+        }
+        if (!writeDb || !readDb) {
+            throw new Error('Invalid S7 DB numbers');
+        }
+
+        logger.info(`Connecting to S7 PLC ${host}:${port} (rack ${rack}, slot ${slot})...`);
+
+        const result = await this.electronAPI.s7Connect(settings);
+
+        if (result.success) {
+            logger.success(`Connected to S7 PLC ${host} - send DB${writeDb}, receive DB${readDb}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Connect via Modbus TCP
+     * @param {Object} settings - Modbus settings (host, port, unitId, writeAddress, bitSource, bitAddress, registerAddress)
+     * @returns {Promise<Object>} Connection result
+     */
+    async connectModbus(settings) {
+        const { host, port, unitId } = settings;
+
+        if (!host || !port) {
+            throw new Error('Invalid Modbus host or port');
+        }
+
+        logger.info(`Connecting to Modbus server ${host}:${port} (unit ${unitId})...`);
+
+        const result = await this.electronAPI.modbusConnect(settings);
+
+        if (result.success) {
+            logger.success(`Connected to Modbus server ${host}:${port}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Disconnect from server (TCP, UDP, S7 or Modbus)
      * @returns {Promise<void>}
      */
     async disconnect() {
@@ -115,6 +168,10 @@ class ConnectionManager {
         try {
             if (protocol === 'tcp') {
                 await this.electronAPI.tcpDisconnect();
+            } else if (protocol === 's7') {
+                await this.electronAPI.s7Disconnect();
+            } else if (protocol === 'modbus') {
+                await this.electronAPI.modbusDisconnect();
             } else {
                 await this.electronAPI.udpDisconnect();
             }
@@ -132,6 +189,8 @@ class ConnectionManager {
      * @param {Object} data - Connection status data
      */
     handleConnectionStatusUpdate(data) {
+        stateManager.set('isReconnecting', data.reconnecting === true);
+
         if (data.connected) {
             stateManager.set('isConnected', true);
             eventBus.emit(Events.CONNECTION_STATUS, { connected: true });
@@ -157,6 +216,10 @@ class ConnectionManager {
 
         if (protocol === 'tcp') {
             return this.getTCPSettings(elements);
+        } else if (protocol === 's7') {
+            return this.getS7Settings(elements);
+        } else if (protocol === 'modbus') {
+            return this.getModbusSettings(elements);
         } else {
             return this.getUDPSettings(elements);
         }
@@ -210,6 +273,167 @@ class ConnectionManager {
         return { listeningPort, targetHost, targetPort };
     }
 
+    /**
+     * Get S7 settings from inputs or localStorage
+     * @param {Object} elements - DOM input elements
+     * @returns {Object} S7 settings
+     */
+    getS7Settings(elements) {
+        const {
+            s7HostInput,
+            s7PortInput,
+            s7RackInput,
+            s7SlotInput,
+            s7WriteDbInput,
+            s7WriteOffsetInput,
+            s7ReadDbInput,
+            s7ReadOffsetInput
+        } = elements;
+
+        // Use localStorage fallback pattern for cross-window compatibility
+        const readNumber = (input, key, fallback) => {
+            const value = input ? parseInt(input.value) : parseInt(localStorage.getItem(key));
+            return Number.isInteger(value) ? value : fallback;
+        };
+
+        const host = s7HostInput
+            ? s7HostInput.value.trim()
+            : (localStorage.getItem('s7-host') || 'localhost');
+
+        return {
+            host,
+            port: readNumber(s7PortInput, 's7-port', 102),
+            rack: readNumber(s7RackInput, 's7-rack', 0),
+            slot: readNumber(s7SlotInput, 's7-slot', 1),
+            writeDb: readNumber(s7WriteDbInput, 's7-write-db', 1),
+            writeOffset: readNumber(s7WriteOffsetInput, 's7-write-offset', 0),
+            readDb: readNumber(s7ReadDbInput, 's7-read-db', 2),
+            readOffset: readNumber(s7ReadOffsetInput, 's7-read-offset', 0)
+        };
+    }
+
+    /**
+     * Get Modbus settings from inputs or localStorage
+     * @param {Object} elements - DOM input elements
+     * @returns {Object} Modbus settings
+     */
+    getModbusSettings(elements) {
+        const {
+            modbusHostInput,
+            modbusPortInput,
+            modbusUnitIdInput,
+            modbusWriteAddressInput,
+            modbusBitSourceSelect,
+            modbusBitAddressInput,
+            modbusRegisterAddressInput
+        } = elements;
+
+        // Use localStorage fallback pattern for cross-window compatibility
+        const readNumber = (input, key, fallback) => {
+            const value = input ? parseInt(input.value) : parseInt(localStorage.getItem(key));
+            return Number.isInteger(value) ? value : fallback;
+        };
+
+        const host = modbusHostInput
+            ? modbusHostInput.value.trim()
+            : (localStorage.getItem('modbus-host') || 'localhost');
+
+        const bitSource = modbusBitSourceSelect
+            ? modbusBitSourceSelect.value
+            : (localStorage.getItem('modbus-bit-source') || 'discrete');
+
+        return {
+            host,
+            port: readNumber(modbusPortInput, 'modbus-port', 502),
+            unitId: readNumber(modbusUnitIdInput, 'modbus-unit-id', 1),
+            writeAddress: readNumber(modbusWriteAddressInput, 'modbus-write-address', 0),
+            bitSource: bitSource === 'coils' ? 'coils' : 'discrete',
+            bitAddress: readNumber(modbusBitAddressInput, 'modbus-bit-address', 0),
+            registerAddress: readNumber(modbusRegisterAddressInput, 'modbus-register-address', 0)
+        };
+    }
+
+    /**
+     * Get automatic reconnect settings from inputs or localStorage
+     * @param {Object} elements - DOM elements (autoReconnectToggle, reconnectInitialDelayInput,
+     *   reconnectMaxDelayInput, reconnectMaxAttemptsInput)
+     * @returns {Object} { enabled, initialDelayMs, maxDelayMs, maxAttempts }
+     */
+    getAutoReconnectSettings(elements) {
+        const {
+            autoReconnectToggle,
+            reconnectInitialDelayInput,
+            reconnectMaxDelayInput,
+            reconnectMaxAttemptsInput
+        } = elements;
+
+        // Use localStorage fallback pattern for cross-window compatibility
+        const readNumber = (input, key, fallback) => {
+            const value = input ? parseInt(input.value) : parseInt(localStorage.getItem(key));
+            return Number.isInteger(value) ? value : fallback;
+        };
+
+        const enabled = autoReconnectToggle
+            ? autoReconnectToggle.checked
+            : localStorage.getItem('auto-reconnect-enabled') === 'true';
+
+        return {
+            enabled,
+            initialDelayMs: readNumber(reconnectInitialDelayInput, 'reconnect-initial-delay-ms', 1000),
+            maxDelayMs: readNumber(reconnectMaxDelayInput, 'reconnect-max-delay-ms', 30000),
+            maxAttempts: readNumber(reconnectMaxAttemptsInput, 'reconnect-max-attempts', 0)
+        };
+    }
+
+    /**
+     * Send automatic reconnect settings to the main process
+     * @param {Object} settings - { enabled, initialDelayMs, maxDelayMs, maxAttempts }
+     * @returns {Promise<Object>} The effective settings
+     */
+    async setAutoReconnect(settings) {
+        const result = await this.electronAPI.setAutoReconnect(settings);
+        const { enabled, initialDelayMs, maxDelayMs, maxAttempts } = result.settings;
+
+        if (enabled) {
+            const attemptsMsg = maxAttempts > 0 ? `${maxAttempts} attempts` : 'unlimited attempts';
+            logger.info(`Auto-reconnect on: ${initialDelayMs} ms doubling up to ${maxDelayMs} ms, ${attemptsMsg}`);
+        } else {
+            logger.info('Auto-reconnect off');
+        }
+
+        return result.settings;
+    }
+
+    /**
+     * Get RX watchdog timeouts from inputs or localStorage
+     * @param {Object} elements - DOM elements (rxDegradedFactorInput, rxLostFactorInput)
+     * @returns {Object} { degradedFactor, lostFactor } in send intervals
+     */
+    getRxWatchdogSettings(elements) {
+        const { rxDegradedFactorInput, rxLostFactorInput } = elements;
+
+        // Use localStorage fallback pattern for cross-window compatibility
+        const readNumber = (input, key, fallback) => {
+            const value = input ? parseInt(input.value) : parseInt(localStorage.getItem(key));
+            return Number.isInteger(value) ? value : fallback;
+        };
+
+        return {
+            degradedFactor: readNumber(rxDegradedFactorInput, 'rx-degraded-factor', 3),
+            lostFactor: readNumber(rxLostFactorInput, 'rx-lost-factor', 10)
+        };
+    }
+
+    /**
+     * Send RX watchdog settings to the main process
+     * @param {Object} settings - { sendIntervalMs, degradedFactor, lostFactor } (any subset)
+     * @returns {Promise<Object>} The effective settings
+     */
+    async setRxWatchdog(settings) {
+        const result = await this.electronAPI.setRxWatchdog(settings);
+        return result.settings;
+    }
+
     /**
      * Check if currently connected
      * @returns {boolean} Connection status
@@ -220,7 +444,7 @@ class ConnectionManager {
 
     /**
      * Get current protocol
-     * @returns {string} Current protocol ('tcp' or 'udp')
+     * @returns {string} Current protocol ('tcp', 'udp', 's7' or 'modbus')
      */
     getProtocol() {
         return stateManager.get('currentProtocol');
@@ -1,16 +1,17 @@
 /**
  * Data Sender
- * Handles sending integer data to PLC via TCP or UDP
+ * Feeds the cyclic sender in the main process: pushes parameter values, the
+ * current command and the auto-send settings when they change
  */
 
 import stateManager from '../core/state-manager.js';
 import eventBus, { Events } from '../core/event-bus.js';
 import logger from '../core/logger.js';
+import frameLayout from '../data/frame-layout.js';
 
 class DataSender {
     constructor() {
         this.electronAPI = null;
-        this.autoSendInterval = null;
     }
 
     /**
@@ -19,10 +20,20 @@ class DataSender {
      */
     init(electronAPI) {
         this.electronAPI = electronAPI;
+
+        // The cyclic sender in the main process sends the current command
+        stateManager.subscribe('currentCommand', (command) => {
+            this.electronAPI.setTxParams({ command });
+        });
+
+        // ... and the proportional jog speed (int-7)
+        stateManager.subscribe('jogSpeed', (jogSpeed) => {
+            this.electronAPI.setTxParams({ jogSpeed });
+        });
     }
 
     /**
-     * Collect and send integer data to PLC
+     * Send the current values once (Send button)
      * @returns {Promise<Object>} Send result
      */
     async sendIntegerData() {
@@ -30,91 +41,93 @@ class DataSender {
             return { success: false, message: 'Not connected' };
         }
 
-        // Collect 16 integer values
-        const integers = this.collectIntegerValues();
-
         try {
-            let result;
-            const protocol = stateManager.get('currentProtocol');
-
-            if (protocol === 'tcp') {
-                result = await this.sendViaTCP(integers);
-            } else {
-                result = await this.sendViaUDP(integers);
-            }
-
-            // Only log errors if not in auto-send mode (to avoid spam)
-            if (!result.success && !this.autoSendInterval) {
-                logger.error(`Send failed: ${result.message}`);
-            }
+            // Make sure the main process sends what the inputs show
+            const integers = await this.pushTxValues();
+            const result = await this.electronAPI.sendTxFrame();
 
-            // Emit data send event
             if (result.success) {
                 eventBus.emit(Events.DATA_SEND, { integers });
             } else {
+                logger.error(`Send failed: ${result.message}`);
                 eventBus.emit(Events.DATA_SEND_ERROR, { error: result.message });
             }
 
             return result;
         } catch (error) {
-            if (!this.autoSendInterval) {
-                logger.error(`Send error: ${error.message}`);
-            }
+            logger.error(`Send error: ${error.message}`);
             return { success: false, message: error.message };
         }
     }
 
     /**
-     * Collect 16 integer values from inputs or state
-     * @returns {number[]} Array of 16 integers
+     * Push the parameter values to the cyclic sender in the main process
+     * Call whenever a parameter input changes.
+     * @returns {Promise<number[]>} The pushed values
+     */
+    async pushTxValues() {
+        const values = this.collectIntegerValues();
+        await this.electronAPI.setTxParams({ values });
+        return values;
+    }
+
+    /**
+     * Write parameter values from the main window (e.g. position targets) and push them
+     * @param {Object} valuesByIndex - New values by TX integer index
+     * @returns {Promise<number[]>} The pushed values
+     */
+    async setTxValues(valuesByIndex) {
+        Object.entries(valuesByIndex).forEach(([index, value]) => {
+            localStorage.setItem(`int-${index}`, String(value));
+
+            const input = document.getElementById(`int-${index}`);
+            if (input) input.value = value;
+        });
+        return this.pushTxValues();
+    }
+
+    /**
+     * Switch the debug echo (TX int-6 carries the last received RX int-9)
+     * @param {boolean} enabled - Debug mode state
+     */
+    async setDebugEcho(enabled) {
+        await this.electronAPI.setTxParams({ debugEcho: enabled });
+    }
+
+    /**
+     * Collect integer values from inputs or localStorage
+     * The command (int-9), the jog speed (int-7) and the debug echo (int-6) are filled in by the main process.
+     * @returns {number[]} Array of integers, one per numeric TX layout field
      */
     collectIntegerValues() {
         const integers = [];
         const currentCommand = stateManager.get('currentCommand');
-        const debugModeEnabled = stateManager.get('debugModeEnabled');
-        const lastReceivedDebugInt = stateManager.get('lastReceivedDebugInt');
 
-        for (let i = 0; i < 16; i++) {
+        const txIntCount = frameLayout.getTxIntCount();
+        const txIntFields = frameLayout.getTxIntFields();
+
+        for (let i = 0; i < txIntCount; i++) {
             let value;
+            const input = document.getElementById(`int-${i}`);
 
             if (i === 9) {
                 // Int-9 is the Control Command - use currentCommand value
                 value = currentCommand;
-                const input = document.getElementById(`int-${i}`);
-                if (input) {
-                    input.value = currentCommand; // Update display if element exists
-                }
-            } else if (i === 6 && debugModeEnabled && lastReceivedDebugInt !== null) {
-                // Int-6 in debug mode - use the last received debug int (RX[9])
-                value = lastReceivedDebugInt;
-                const input = document.getElementById(`int-${i}`);
-                if (input) {
-                    input.value = lastReceivedDebugInt; // Update display if element exists
-                }
+            } else if (input) {
+                // Read from input if it exists (settings window)
+                value = input.value;
             } else {
-                const input = document.getElementById(`int-${i}`);
-                if (input) {
-                    // Read from input if it exists (settings window)
-                    value = parseInt(input.value) || 0;
-                } else {
-                    // Read from localStorage if input doesn't exist (main window)
-                    value = parseInt(localStorage.getItem(`int-${i}`)) || 0;
-                }
+                // Read from localStorage if input doesn't exist (main window)
+                value = localStorage.getItem(`int-${i}`);
             }
 
-            // Ensure value is within 16-bit unsigned range (0-65535)
-            const clampedValue = Math.max(0, Math.min(65535, value));
+            // Ensure value is within the range of the field type (UINT16, INT16, DINT, REAL)
+            const clampedValue = frameLayout.coerceValue(txIntFields[i], value);
             integers.push(clampedValue);
 
-            // Store the sent debug int value (before we receive the next packet)
-            if (i === 6 && debugModeEnabled) {
-                stateManager.set('lastSentDebugInt', clampedValue);
-            }
-
             // Update input if value was clamped (except for command int)
-            if (value !== clampedValue && i !== 9) {
-                const input = document.getElementById(`int-${i}`);
-                if (input) {
+            if (String(value) !== String(clampedValue) && i !== 9) {
+                if (input && input.value !== '') {
                     input.value = clampedValue;
                 }
             }
@@ -124,112 +137,63 @@ class DataSender {
     }
 
     /**
-     * Send data via TCP
-     * @param {number[]} integers - Array of 16 integers
-     * @returns {Promise<Object>} Send result
-     */
-    async sendViaTCP(integers) {
-        return await this.electronAPI.tcpSend(integers);
-    }
-
-    /**
-     * Send data via UDP
-     * @param {number[]} integers - Array of 16 integers
-     * @returns {Promise<Object>} Send result
+     * Enable or disable auto-send
+     * The main process sends while auto-send is enabled and the link is up.
+     * @param {Object} settings - { enabled, intervalMs } (any subset)
+     * @returns {Promise<Object>} Auto-send state { enabled, intervalMs, running }
      */
-    async sendViaUDP(integers) {
-        // Get UDP target settings using localStorage fallback pattern
-        const targetHost = this.getUDPTargetHost();
-        const targetPort = this.getUDPTargetPort();
-
-        return await this.electronAPI.udpSend(integers, targetHost, targetPort);
+    async setAutoSend(settings) {
+        const result = await this.electronAPI.setAutoSend(settings);
+        return result.autoSend;
     }
 
     /**
-     * Get UDP target host from input or localStorage
-     * @returns {string} Target host
+     * Handle auto-send state updates from the main process
+     * @param {Object} autoSend - { enabled, intervalMs, running }
      */
-    getUDPTargetHost() {
-        const udpTargetHostInput = document.getElementById('udp-target-host');
-        return udpTargetHostInput
-            ? udpTargetHostInput.value.trim()
-            : (localStorage.getItem('udp-target-host') || 'localhost');
-    }
+    handleAutoSendState(autoSend) {
+        const wasActive = stateManager.get('autoSendActive');
 
-    /**
-     * Get UDP target port from input or localStorage
-     * @returns {number} Target port
-     */
-    getUDPTargetPort() {
-        const udpTargetPortInput = document.getElementById('udp-target-port');
-        return udpTargetPortInput
-            ? parseInt(udpTargetPortInput.value)
-            : (parseInt(localStorage.getItem('udp-target-port')) || 8080);
-    }
+        stateManager.set('autoSendActive', autoSend.running);
+        stateManager.set('sendLatencyMs', autoSend.intervalMs);
 
-    /**
-     * Start auto-send interval
-     * @param {Function} callback - Optional callback to run after each send
-     */
-    startAutoSend(callback) {
-        if (this.autoSendInterval) {
-            return; // Already running
+        if (autoSend.running && !wasActive) {
+            const frequency = (1000 / autoSend.intervalMs).toFixed(1);
+            logger.success(`Auto-send started at ${autoSend.intervalMs}ms interval (~${frequency}Hz)`);
+            eventBus.emit(Events.AUTO_SEND_STARTED, { interval: autoSend.intervalMs, frequency });
+        } else if (!autoSend.running && wasActive) {
+            logger.info('Auto-send stopped');
+            eventBus.emit(Events.AUTO_SEND_STOPPED);
         }
-
-        const sendLatencyMs = stateManager.get('sendLatencyMs');
-
-        this.autoSendInterval = setInterval(async () => {
-            await this.sendIntegerData();
-            if (callback) callback();
-        }, sendLatencyMs);
-
-        stateManager.set('autoSendInterval', this.autoSendInterval);
-
-        const frequency = (1000 / sendLatencyMs).toFixed(1);
-        logger.success(`Auto-send started at ${sendLatencyMs}ms interval (~${frequency}Hz)`);
-
-        eventBus.emit(Events.AUTO_SEND_STARTED, { interval: sendLatencyMs, frequency });
     }
 
     /**
-     * Stop auto-send interval
+     * Handle send timing reports from the main process (about once per second while sending)
+     * @param {Object|null} timing - { running, intervalMs, rateHz, meanMs, p95Ms, maxMs, jitterMs, ticks, missed, overruns }
      */
-    stopAutoSend() {
-        if (this.autoSendInterval) {
-            clearInterval(this.autoSendInterval);
-            this.autoSendInterval = null;
-            stateManager.set('autoSendInterval', null);
+    handleSendTiming(timing) {
+        stateManager.set('sendTiming', timing);
 
-            logger.info('Auto-send stopped');
-            eventBus.emit(Events.AUTO_SEND_STOPPED);
+        if (timing) {
+            eventBus.emit(Events.AUTO_SEND_STATS, timing);
         }
     }
 
     /**
      * Check if auto-send is running
-     * @returns {boolean} True if auto-send is active
+     * @returns {boolean} True if the main process is sending cyclically
      */
     isAutoSendActive() {
-        return this.autoSendInterval !== null;
+        return stateManager.get('autoSendActive');
     }
 
     /**
      * Update auto-send interval
      * @param {number} newLatencyMs - New interval in milliseconds
-     * @param {Function} callback - Optional callback to run after each send
      */
-    updateAutoSendInterval(newLatencyMs, callback) {
-        const wasRunning = this.isAutoSendActive();
-
-        if (wasRunning) {
-            this.stopAutoSend();
-        }
-
+    async updateAutoSendInterval(newLatencyMs) {
         stateManager.set('sendLatencyMs', newLatencyMs);
-
-        if (wasRunning && stateManager.get('isConnected')) {
-            this.startAutoSend(callback);
-        }
+        await this.setAutoSend({ intervalMs: newLatencyMs });
 
         const frequency = (1000 / newLatencyMs).toFixed(1);
         logger.info(`Send latency changed to ${newLatencyMs}ms (~${frequency}Hz)`);
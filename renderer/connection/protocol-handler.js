@@ -1,12 +1,15 @@
 /**
  * Protocol Handler
- * Manages protocol switching between TCP and UDP
+ * Manages protocol switching between TCP, UDP, S7 and Modbus TCP
  */
 
 import stateManager from '../core/state-manager.js';
 import eventBus, { Events } from '../core/event-bus.js';
 import logger from '../core/logger.js';
 
+// Supported protocols (must match PROTOCOLS in main.js)
+export const PROTOCOLS = ['tcp', 'udp', 's7', 'modbus'];
+
 class ProtocolHandler {
     constructor() {
         this.electronAPI = null;
@@ -21,8 +24,8 @@ class ProtocolHandler {
     }
 
     /**
-     * Switch protocol between TCP and UDP
-     * @param {string} newProtocol - The new protocol ('tcp' or 'udp')
+     * Switch protocol between TCP, UDP, S7 and Modbus TCP
+     * @param {string} newProtocol - The new protocol ('tcp', 'udp', 's7' or 'modbus')
      * @returns {Promise<Object>} Result of protocol switch
      */
     async switchProtocol(newProtocol) {
@@ -34,8 +37,8 @@ class ProtocolHandler {
         }
 
         // Validate protocol
-        if (newProtocol !== 'tcp' && newProtocol !== 'udp') {
-            return { success: false, message: 'Invalid protocol. Must be "tcp" or "udp"' };
+        if (!PROTOCOLS.includes(newProtocol)) {
+            return { success: false, message: `Invalid protocol. Must be one of: ${PROTOCOLS.join(', ')}` };
         }
 
         try {
@@ -64,7 +67,7 @@ class ProtocolHandler {
 
     /**
      * Get current protocol
-     * @returns {string} Current protocol ('tcp' or 'udp')
+     * @returns {string} Current protocol ('tcp', 'udp', 's7' or 'modbus')
      */
     getCurrentProtocol() {
         return stateManager.get('currentProtocol');
@@ -75,24 +78,44 @@ class ProtocolHandler {
      * @param {Object} elements - DOM elements for protocol selection
      */
     updateProtocolUI(elements) {
-        const { tcpSettingsSection, udpSettingsSection, protocolTcpRadio, protocolUdpRadio } = elements;
+        const {
+            tcpSettingsSection,
+            udpSettingsSection,
+            s7SettingsSection,
+            modbusSettingsSection,
+            protocolTcpRadio,
+            protocolUdpRadio,
+            protocolS7Radio,
+            protocolModbusRadio
+        } = elements;
 
         if (!tcpSettingsSection || !udpSettingsSection) {
             return;
         }
 
         const currentProtocol = stateManager.get('currentProtocol');
+        const sections = {
+            tcp: tcpSettingsSection,
+            udp: udpSettingsSection,
+            s7: s7SettingsSection,
+            modbus: modbusSettingsSection
+        };
+        const radios = {
+            tcp: protocolTcpRadio,
+            udp: protocolUdpRadio,
+            s7: protocolS7Radio,
+            modbus: protocolModbusRadio
+        };
+
+        // Show only the settings of the current protocol
+        PROTOCOLS.forEach(protocol => {
+            if (sections[protocol]) {
+                sections[protocol].style.display = protocol === currentProtocol ? 'block' : 'none';
+            }
+        });
 
-        if (currentProtocol === 'tcp') {
-            tcpSettingsSection.style.display = 'block';
-            udpSettingsSection.style.display = 'none';
-
-            if (protocolTcpRadio) protocolTcpRadio.checked = true;
-        } else {
-            tcpSettingsSection.style.display = 'none';
-            udpSettingsSection.style.display = 'block';
-
-            if (protocolUdpRadio) protocolUdpRadio.checked = true;
+        if (radios[currentProtocol]) {
+            radios[currentProtocol].checked = true;
         }
     }
 
@@ -101,7 +124,7 @@ class ProtocolHandler {
      * @param {string} protocol - Saved protocol value
      */
     setProtocolFromSettings(protocol) {
-        if (protocol === 'tcp' || protocol === 'udp') {
+        if (PROTOCOLS.includes(protocol)) {
             stateManager.set('currentProtocol', protocol);
         }
     }
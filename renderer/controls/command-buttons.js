@@ -1,11 +1,17 @@
 /**
  * Command Buttons Manager
- * Handles command button clicks and acknowledgment logic
+ * Builds the command buttons from the command registry and handles their
+ * clicks, acknowledgment and acknowledgment timeout logic
  */
 
 import stateManager from '../core/state-manager.js';
 import eventBus, { Events } from '../core/event-bus.js';
 import logger from '../core/logger.js';
+import commandController, { CommandState } from '../core/command-controller.js';
+import { CommandCategory, getCommand, getPanelCommands, getCommandName } from '../core/command-registry.js';
+
+// Source the buttons request the command channel with
+const COMMAND_SOURCE = 'button';
 
 class CommandButtonsManager {
     constructor() {
@@ -19,6 +25,7 @@ class CommandButtonsManager {
      * Initialize command buttons
      */
     init() {
+        this.renderButtons();
         this.commandButtons = document.querySelectorAll('.btn-command');
         this.loadingIcon = document.getElementById('cmd-loading-icon');
         this.commandInput = document.getElementById('int-9');
@@ -30,6 +37,47 @@ class CommandButtonsManager {
         }
 
         this.attachEventListeners();
+
+        // Follow the command channel, whichever control set the command
+        stateManager.subscribe('currentCommand', (commandId) => this.updateCommandDisplay(commandId));
+        stateManager.subscribe('waitingForAcknowledgment', (waiting) => this.updateLoadingIcon(waiting));
+
+        // Restore the controls once a button command completed
+        // (jogs, moves and the power switches follow their own completions)
+        eventBus.on(Events.COMMAND_STATE_CHANGED, ({ state, source }) => {
+            if (state === CommandState.COMPLETED && source === COMMAND_SOURCE) {
+                this.handleAcknowledgment();
+            }
+        });
+
+        // Listen for enable events from other components (power switches)
+        eventBus.on('command-buttons:enable', () => this.enableAllButtons());
+
+        // Give up on a command the PLC never acknowledged (see command-timeout.js)
+        eventBus.on(Events.COMMAND_TIMEOUT, (data) => this.handleTimeout(data));
+
+        // Button presses from other controls (keyboard shortcuts)
+        eventBus.on('command-buttons:press', ({ commandId }) => this.pressCommand(commandId));
+    }
+
+    /**
+     * Generate the buttons of every command panel group (containers with data-command-panel)
+     */
+    renderButtons() {
+        document.querySelectorAll('[data-command-panel]').forEach(container => {
+            container.innerHTML = '';
+
+            getPanelCommands(container.dataset.commandPanel).forEach(command => {
+                const btn = document.createElement('button');
+                btn.className = ['btn', 'btn-command', command.panel.className].filter(Boolean).join(' ');
+                btn.dataset.cmd = command.id;
+                btn.dataset.i18n = command.i18nKey;
+                btn.dataset.danger = command.danger;
+                btn.textContent = getCommandName(command.id);
+                btn.disabled = true;
+                container.appendChild(btn);
+            });
+        });
     }
 
     /**
@@ -52,7 +100,10 @@ class CommandButtonsManager {
         }
 
         const commandId = parseInt(btn.dataset.cmd);
-        const commandName = btn.dataset.name || btn.textContent;
+
+        if (!commandController.request(commandId, COMMAND_SOURCE)) {
+            return;
+        }
 
         // Update UI state
         this.setActiveButton(btn);
@@ -61,14 +112,27 @@ class CommandButtonsManager {
         // Disable power switches while waiting for acknowledgment
         eventBus.emit('power-switches:disable');
 
-        // Set waiting state
-        this.setWaitingForAcknowledgment(true);
+        logger.success(`Command set: ${getCommandName(commandId)} (ID: ${commandId}) - waiting for acknowledgment...`);
+    }
+
+    /**
+     * Press the button of a command as if it was clicked
+     * Stop buttons work even while they are disabled by a pending command.
+     * @param {number} commandId - Command ID
+     */
+    pressCommand(commandId) {
+        const btn = [...this.commandButtons].find(button => parseInt(button.dataset.cmd) === commandId);
+        if (!btn) return;
+
+        const definition = getCommand(commandId);
+        const isStop = Boolean(definition && definition.category === CommandCategory.STOP);
 
-        // Update command
-        this.setCommand(commandId, commandName);
+        if (btn.disabled && !isStop && stateManager.get('isConnected')) {
+            logger.warning(`${getCommandName(commandId)} not available until the current command is acknowledged`);
+            return;
+        }
 
-        logger.success(`Command set: ${commandName} (ID: ${commandId}) - waiting for acknowledgment...`);
-        eventBus.emit(Events.COMMAND_SET, { commandId, commandName });
+        this.handleCommandClick(btn);
     }
 
     /**
@@ -76,8 +140,8 @@ class CommandButtonsManager {
      * @param {HTMLElement} activeBtn - The button to activate
      */
     setActiveButton(activeBtn) {
-        // Remove active class from all buttons
-        this.commandButtons.forEach(btn => btn.classList.remove('active-command'));
+        // Remove active and timed out state from all buttons
+        this.commandButtons.forEach(btn => btn.classList.remove('active-command', 'ack-timeout'));
 
         // Add active class to clicked button
         activeBtn.classList.add('active-command');
@@ -129,26 +193,20 @@ class CommandButtonsManager {
     }
 
     /**
-     * Set waiting for acknowledgment state
+     * Show or hide the waiting for acknowledgment icon
      * @param {boolean} waiting - Whether waiting for acknowledgment
      */
-    setWaitingForAcknowledgment(waiting) {
-        stateManager.set('waitingForAcknowledgment', waiting);
-
-        // Show/hide loading icon
+    updateLoadingIcon(waiting) {
         if (this.loadingIcon) {
             this.loadingIcon.style.display = waiting ? 'inline-block' : 'none';
         }
     }
 
     /**
-     * Set current command
+     * Show the command in the channel (whichever control set it)
      * @param {number} commandId - The command ID
-     * @param {string} commandName - The command name
      */
-    setCommand(commandId, commandName) {
-        stateManager.set('currentCommand', commandId);
-
+    updateCommandDisplay(commandId) {
         // Update int-9 display immediately
         if (this.commandInput) {
             this.commandInput.value = commandId;
@@ -156,20 +214,14 @@ class CommandButtonsManager {
 
         // Update current command display
         if (this.cmdDisplay) {
-            this.cmdDisplay.textContent = `${commandId} - ${commandName}`;
+            this.cmdDisplay.textContent = `${commandId} - ${getCommandName(commandId)}`;
         }
     }
 
-    /**
-     * Clear current command
-     */
-    clearCommand() {
-        this.setCommand(0, 'None');
-    }
-
     /**
      * Handle command acknowledgment from PLC
-     * This is called when PLC echoes the command back
+     * Called when a button command completed; the command controller has
+     * already reset the command to zero
      */
     handleAcknowledgment() {
         // Clear active state
@@ -181,13 +233,27 @@ class CommandButtonsManager {
         // Re-enable power switches
         eventBus.emit('power-switches:enable');
 
-        // Clear waiting state
-        this.setWaitingForAcknowledgment(false);
+        logger.success('Command acknowledged and completed by PLC');
+    }
+
+    /**
+     * Handle a command the PLC did not acknowledge in time
+     * Restores the controls like an acknowledgment, but marks the button as timed out
+     * @param {Object} data - { commandId, source } of the COMMAND_TIMEOUT event
+     */
+    handleTimeout({ commandId, source }) {
+        this.clearActiveButtons();
 
-        // Reset command to zero
-        this.clearCommand();
+        if (source === COMMAND_SOURCE) {
+            const btn = [...this.commandButtons].find(button => parseInt(button.dataset.cmd) === commandId);
+            if (btn) btn.classList.add('ack-timeout');
+        }
 
-        logger.success('Command acknowledged and completed by PLC');
+        // Re-enable the controls (only if the connection is still up)
+        if (stateManager.get('isConnected')) {
+            this.enableAllButtons();
+        }
+        eventBus.emit('power-switches:enable');
     }
 }
 
@@ -0,0 +1,132 @@
+/**
+ * Command Timeout
+ * Watches latched commands (buttons, power switches) for their PLC
+ * acknowledgment. If RX int-9 does not echo the command within its timeout,
+ * the command is resent (dropped to 0 for a few send intervals, then set again)
+ * as often as the registry allows; after the last attempt COMMAND_TIMEOUT
+ * tells the controls to give up and restore themselves.
+ */
+
+import stateManager from '../core/state-manager.js';
+import eventBus, { Events } from '../core/event-bus.js';
+import logger from '../core/logger.js';
+import commandController from '../core/command-controller.js';
+import { getAckPolicy, isMomentary } from '../core/command-registry.js';
+
+// Send intervals the command stays 0 before a resend, so the PLC sees a new command
+const RESEND_GAP_INTERVALS = 3;
+const MIN_RESEND_GAP_MS = 50;
+
+class CommandTimeout {
+    constructor() {
+        this.pending = null; // { commandId, commandName, source, attempt, retries, timeoutMs }
+        this.timer = null;
+    }
+
+    /**
+     * Initialize the acknowledgment watch
+     */
+    init() {
+        // Only the main window sends commands
+        if (!document.querySelector('[data-command-panel]')) {
+            return;
+        }
+
+        eventBus.on(Events.COMMAND_SET, (data) => this.handleCommandSet(data));
+        eventBus.on(Events.COMMAND_ACKNOWLEDGED, (data) => this.handleAcknowledged(data));
+    }
+
+    /**
+     * Start watching a command the operator just set
+     * @param {Object} data - { commandId, commandName, source }
+     */
+    handleCommandSet({ commandId, commandName, source }) {
+        this.cancel();
+
+        if (!commandId || isMomentary(commandId)) {
+            return;
+        }
+
+        const { timeoutMs, retries } = getAckPolicy(commandId);
+        this.pending = { commandId, commandName, source, attempt: 1, retries, timeoutMs };
+        this.startTimer();
+    }
+
+    /**
+     * Stop watching once the PLC echoed the command
+     * @param {Object} data - { command }
+     */
+    handleAcknowledged({ command }) {
+        if (!this.pending || command !== this.pending.commandId) {
+            return;
+        }
+
+        if (this.pending.attempt > 1) {
+            logger.info(`${this.pending.commandName} acknowledged on attempt ${this.pending.attempt}`);
+        }
+        this.cancel();
+    }
+
+    /**
+     * Stop watching without an outcome
+     */
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.pending = null;
+    }
+
+    startTimer() {
+        this.timer = setTimeout(() => this.handleTimeout(), this.pending.timeoutMs);
+    }
+
+    handleTimeout() {
+        const pending = this.pending;
+
+        // Another control took the channel in the meantime
+        if (commandController.getCommand() !== pending.commandId) {
+            this.cancel();
+            return;
+        }
+
+        const canRetry = pending.attempt <= pending.retries && stateManager.get('isConnected');
+
+        if (!canRetry) {
+            this.cancel();
+            commandController.timeOut();
+            logger.error(`${pending.commandName} (ID: ${pending.commandId}) not acknowledged by PLC within ${pending.timeoutMs} ms` +
+                ` (${pending.attempt} attempt${pending.attempt > 1 ? 's' : ''}) - controls restored`);
+            eventBus.emit(Events.COMMAND_TIMEOUT, {
+                commandId: pending.commandId,
+                commandName: pending.commandName,
+                source: pending.source,
+                attempts: pending.attempt
+            });
+            return;
+        }
+
+        pending.attempt++;
+        logger.warning(`${pending.commandName} not acknowledged within ${pending.timeoutMs} ms - resending (attempt ${pending.attempt} of ${pending.retries + 1})`);
+        eventBus.emit(Events.COMMAND_RETRY, {
+            commandId: pending.commandId,
+            commandName: pending.commandName,
+            source: pending.source,
+            attempt: pending.attempt
+        });
+
+        // Drop the command for a few cycles so the PLC sees the resend as a new command
+        const gapMs = Math.max(RESEND_GAP_INTERVALS * stateManager.get('sendLatencyMs'), MIN_RESEND_GAP_MS);
+        commandController.resend(gapMs);
+        this.timer = setTimeout(() => this.handleTimeout(), gapMs + pending.timeoutMs);
+    }
+}
+
+// Export singleton instance
+const commandTimeout = new CommandTimeout();
+
+// For debugging in browser console
+if (typeof window !== 'undefined') {
+    window.__commandTimeout = commandTimeout;
+}
+
+export default commandTimeout;
@@ -0,0 +1,30 @@
+/**
+ * Gamepad Bindings
+ * Mapping of the gamepad control (gamepad-control.js) for controllers with
+ * the browser's "standard" layout (Xbox/PlayStation style). Edit this table
+ * to change the sticks, thresholds or buttons.
+ */
+
+import { COMMANDS } from '../core/command-registry.js';
+
+export const GAMEPAD_BINDINGS = {
+    // X/Y jog: left stick, same direction logic as the on-screen joystick
+    xyStick: { xAxis: 0, yAxis: 1 },
+    xyDeadzone: 0.5, // Sticks drift, so larger than the on-screen joystick's
+    xyDiagonal: false, // true: 8 directions, the diagonals jog X and Y together (commands 24-27)
+
+    // Z jog: right trigger Z+, left trigger Z-, or else the right stick up/down
+    zTriggers: { plus: 7, minus: 6 },
+    zTriggerThreshold: 0.5,
+    zStick: { axis: 3 },
+    zDeadzone: 0.5,
+
+    // Buttons sending a command once per press (standard button index -> command)
+    buttons: {
+        1: COMMANDS.STOP_XYZ,           // B / Circle
+        8: COMMANDS.EMERGENCY_STOP,     // Back / View / Share
+        2: COMMANDS.STOP_EXPERIMENT,    // X / Square
+        3: COMMANDS.CLEAR_FAULTS,       // Y / Triangle
+        9: COMMANDS.START_EXPERIMENT    // Start / Menu / Options
+    }
+};
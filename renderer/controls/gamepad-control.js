@@ -0,0 +1,237 @@
+/**
+ * Gamepad Control
+ * Jogs and commands from a game controller (browser Gamepad API, mapping in
+ * gamepad-bindings.js). The left stick jogs X/Y with the joystick's direction
+ * logic, the triggers or the right stick jog Z, and buttons press command
+ * buttons. The pad is polled every animation frame while one is connected;
+ * a jog stops at once when the pad disconnects, and after a forced stop
+ * (stop command, interlock, stale link) the stick must return to neutral
+ * before it jogs again.
+ */
+
+import eventBus from '../core/event-bus.js';
+import logger from '../core/logger.js';
+import { COMMANDS, getCommandName } from '../core/command-registry.js';
+import { getDirectionCommand } from './joystick-control.js';
+import { HeldJog } from './held-jog.js';
+import { GAMEPAD_BINDINGS } from './gamepad-bindings.js';
+
+class GamepadControl {
+    constructor() {
+        this.statusElement = null;
+        this.gamepadIndex = null;
+        this.gamepadId = '';
+        this.pollHandle = null;
+        this.previousButtons = [];
+        this.jog = new HeldJog('gamepad', () => this.stopJog());
+        this.lockedUntilNeutral = false;
+    }
+
+    /**
+     * Initialize gamepad control
+     */
+    init() {
+        this.statusElement = document.getElementById('gamepad-status');
+
+        // Only initialize if the status exists (doesn't exist in settings window)
+        if (!this.statusElement || typeof navigator.getGamepads !== 'function') {
+            return;
+        }
+
+        // Browsers report a pad on its first button press or stick movement
+        window.addEventListener('gamepadconnected', (e) => this.handleConnected(e.gamepad));
+        window.addEventListener('gamepaddisconnected', (e) => this.handleDisconnected(e.gamepad.index));
+
+        // Hidden windows get no gamepad updates: never keep jogging on stale input
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) this.stopJog('window hidden');
+        });
+
+        window.addEventListener('languageChanged', () => this.updateStatus());
+
+        // Stops, stale data and interlocks stop the jog until the stick is back at neutral
+        this.jog.init();
+
+        this.updateStatus();
+    }
+
+    /**
+     * Start using a newly connected pad (the first one wins)
+     * @param {Gamepad} gamepad - Connected pad
+     */
+    handleConnected(gamepad) {
+        if (this.gamepadIndex !== null) {
+            logger.info(`Gamepad connected but not used (${this.gamepadId} is active): ${gamepad.id}`);
+            return;
+        }
+
+        this.gamepadIndex = gamepad.index;
+        this.gamepadId = gamepad.id;
+        this.previousButtons = gamepad.buttons.map(button => button.pressed);
+
+        // A stick already deflected must not start a jog
+        this.lockedUntilNeutral = true;
+
+        logger.success(`Gamepad connected: ${gamepad.id}`);
+        this.updateStatus();
+        this.startPolling();
+    }
+
+    /**
+     * Stop at once when the active pad disconnects, then switch to another connected pad
+     * @param {number} index - Index of the disconnected pad
+     */
+    handleDisconnected(index) {
+        if (index !== this.gamepadIndex) return;
+
+        this.stopPolling();
+        if (this.jog.command !== 0) {
+            this.jog.release();
+            logger.warning(`Gamepad disconnected: ${this.gamepadId} - motion stopped`);
+        } else {
+            logger.warning(`Gamepad disconnected: ${this.gamepadId}`);
+        }
+
+        this.gamepadIndex = null;
+        this.gamepadId = '';
+        this.updateStatus();
+
+        const next = [...navigator.getGamepads()].find(pad => pad && pad.connected);
+        if (next) {
+            this.handleConnected(next);
+        }
+    }
+
+    startPolling() {
+        const poll = () => {
+            this.pollHandle = requestAnimationFrame(poll);
+            this.poll();
+        };
+        this.pollHandle = requestAnimationFrame(poll);
+    }
+
+    stopPolling() {
+        cancelAnimationFrame(this.pollHandle);
+        this.pollHandle = null;
+    }
+
+    /**
+     * Read the pad once (every animation frame)
+     */
+    poll() {
+        const gamepad = navigator.getGamepads()[this.gamepadIndex];
+        if (!gamepad || !gamepad.connected) {
+            this.handleDisconnected(this.gamepadIndex);
+            return;
+        }
+
+        this.handleButtons(gamepad);
+        this.setJogCommand(this.getJogCommand(gamepad));
+    }
+
+    /**
+     * Determine the jog from the sticks and triggers (X/Y before Z)
+     * @param {Gamepad} gamepad - Pad state
+     * @returns {number} Command ID (0 = none)
+     */
+    getJogCommand(gamepad) {
+        const { xyStick, xyDeadzone, xyDiagonal, zTriggers, zTriggerThreshold, zStick, zDeadzone } = GAMEPAD_BINDINGS;
+        const axis = (index) => gamepad.axes[index] || 0;
+        const trigger = (index) => (gamepad.buttons[index] ? gamepad.buttons[index].value : 0);
+
+        // Gamepad Y axes point down
+        const xyCommand = getDirectionCommand({ x: axis(xyStick.xAxis), y: -axis(xyStick.yAxis) }, xyDeadzone, xyDiagonal);
+        if (xyCommand !== 0) {
+            return xyCommand;
+        }
+
+        const plus = trigger(zTriggers.plus);
+        const minus = trigger(zTriggers.minus);
+        if (plus >= zTriggerThreshold || minus >= zTriggerThreshold) {
+            return plus >= minus ? COMMANDS.Z_PLUS : COMMANDS.Z_MINUS;
+        }
+
+        const z = -axis(zStick.axis);
+        if (Math.abs(z) >= zDeadzone) {
+            return z > 0 ? COMMANDS.Z_PLUS : COMMANDS.Z_MINUS;
+        }
+
+        return 0;
+    }
+
+    /**
+     * Press the command buttons of newly pressed pad buttons
+     * @param {Gamepad} gamepad - Pad state
+     */
+    handleButtons(gamepad) {
+        gamepad.buttons.forEach((button, index) => {
+            const commandId = GAMEPAD_BINDINGS.buttons[index];
+            if (commandId !== undefined && button.pressed && !this.previousButtons[index]) {
+                eventBus.emit('command-buttons:press', { commandId });
+            }
+        });
+        this.previousButtons = gamepad.buttons.map(button => button.pressed);
+    }
+
+    /**
+     * Send a jog when the stick changes direction (0 = neutral, release it)
+     * @param {number} command - Command ID
+     */
+    setJogCommand(command) {
+        if (this.lockedUntilNeutral) {
+            if (command !== 0) return;
+            this.lockedUntilNeutral = false;
+        }
+
+        if (command === this.jog.command) return;
+
+        this.jog.set(command);
+        this.updateStatus();
+    }
+
+    /**
+     * Stop the jog; the stick has to return to neutral before the next one
+     * @param {string} [reason] - Logged reason
+     */
+    stopJog(reason) {
+        if (reason && this.jog.command !== 0) {
+            logger.warning(`${getCommandName(this.jog.command)} stopped (${reason})`);
+        }
+
+        this.jog.release();
+        this.lockedUntilNeutral = true;
+        this.updateStatus();
+    }
+
+    /**
+     * Show the active pad and its jog
+     */
+    updateStatus() {
+        if (!this.statusElement) return;
+
+        const t = (key) => {
+            return typeof window.t === 'function' ? window.t(key) : key;
+        };
+
+        if (this.gamepadIndex === null) {
+            this.statusElement.textContent = t('gamepadNone');
+        } else if (this.jog.isRunning()) {
+            this.statusElement.textContent = `${t('gamepad')}: ${getCommandName(this.jog.command)} ${t('active')}`;
+        } else {
+            this.statusElement.textContent = `${t('gamepad')}: ${this.gamepadId}`;
+        }
+
+        this.statusElement.classList.toggle('connected', this.gamepadIndex !== null);
+        this.statusElement.classList.toggle('active', this.jog.isRunning());
+    }
+}
+
+// Export singleton instance
+const gamepadControl = new GamepadControl();
+
+// For debugging in browser console
+if (typeof window !== 'undefined') {
+    window.__gamepadControl = gamepadControl;
+}
+
+export default gamepadControl;
@@ -0,0 +1,146 @@
+/**
+ * Held Jog
+ * The jog of one hold-to-run control (joystick, Z slider, keyboard, gamepad):
+ * the command is in the channel while the control is held and released when
+ * it lets go. The jog is also stopped for the control when a stop command
+ * takes over the channel, motion is no longer allowed (no connection or
+ * stale PLC data) or its direction becomes interlocked; the control resets
+ * itself in its onStop callback.
+ */
+
+import stateManager from '../core/state-manager.js';
+import eventBus, { Events } from '../core/event-bus.js';
+import logger from '../core/logger.js';
+import commandController from '../core/command-controller.js';
+import interlocks from '../core/interlocks.js';
+import { getCommandName } from '../core/command-registry.js';
+import proportionalJog from './proportional-jog.js';
+
+export class HeldJog {
+    /**
+     * @param {string} source - Control name, the owner in the command controller
+     * @param {Function} onStop - Called when the jog was stopped for the control
+     */
+    constructor(source, onStop) {
+        this.source = source;
+        this.onStop = onStop;
+        this.command = 0; // Jog of the control's position (may be refused by the command controller)
+    }
+
+    /**
+     * Stop the jog when the channel, the link or the interlocks no longer allow it
+     */
+    init() {
+        // Let go if a stop command took over the command channel
+        stateManager.subscribe('commandOwner', (owner) => {
+            if (this.command !== 0 && owner !== null && owner !== this.source) {
+                this.stop();
+            }
+        });
+
+        // Stop jogging without a connection or fresh PLC data
+        const handleMotionAllowedChange = () => {
+            if (this.command !== 0 && !commandController.isMotionAllowed()) {
+                this.stop('no fresh PLC data');
+            }
+        };
+        stateManager.subscribe('isConnected', handleMotionAllowedChange);
+        stateManager.subscribe('linkHealth', handleMotionAllowedChange);
+
+        // Stop a jog whose direction became interlocked
+        eventBus.on(Events.INTERLOCKS_CHANGED, () => {
+            if (this.command !== 0 && interlocks.getBlockingRule(this.command)) {
+                this.stop('interlock');
+            }
+        });
+    }
+
+    /**
+     * Put the jog of the control's position in the command channel
+     * The speed goes out before the command, so a jog never starts at full speed;
+     * it is left alone when the command controller is going to refuse the jog.
+     * @param {number} command - Command ID (0 = neutral, release it)
+     * @param {number} [speed] - Proportional jog speed in %, 0 = full speed
+     * @returns {boolean} False if the jog was refused
+     */
+    set(command, speed = 0) {
+        if (command === this.command) return true;
+
+        if (command === 0) {
+            this.release();
+            return true;
+        }
+
+        this.command = command;
+
+        if (!commandController.isMotionAllowed()) {
+            logger.error(`${getCommandName(command)} ignored: no connection or no fresh PLC data`);
+            this.releaseChannel();
+            return false;
+        }
+
+        // Only a jog the controller will take sets the speed: a refused one (another
+        // control's command, interlocked direction) must not change int-7 under it
+        if (commandController.isAvailableTo(this.source, command) && !interlocks.getBlockingRule(command)) {
+            proportionalJog.setSpeed(this.source, speed);
+        }
+
+        // A refused jog must not leave the previous one running (this also resets its speed)
+        if (!commandController.request(command, this.source)) {
+            this.releaseChannel();
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Follow the deflection of a held jog (proportional jog)
+     * @param {number} speed - Speed in %
+     * @returns {boolean} True if the sent speed changed
+     */
+    setSpeed(speed) {
+        if (this.command === 0 || commandController.getOwner() !== this.source || speed === stateManager.get('jogSpeed')) {
+            return false;
+        }
+
+        proportionalJog.setSpeed(this.source, speed);
+        return true;
+    }
+
+    /**
+     * Let go of the jog
+     */
+    release() {
+        this.command = 0;
+        this.releaseChannel();
+    }
+
+    /**
+     * Whether the control's jog is in the command channel
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.command !== 0 && commandController.getOwner() === this.source;
+    }
+
+    /**
+     * Clear the control's command and speed, never those of another control
+     */
+    releaseChannel() {
+        commandController.release(this.source);
+        proportionalJog.release(this.source);
+    }
+
+    /**
+     * Stop the jog for the control
+     * @param {string} [reason] - Logged reason
+     */
+    stop(reason) {
+        if (reason) {
+            logger.warning(`${getCommandName(this.command)} stopped (${reason})`);
+        }
+
+        this.release();
+        this.onStop();
+    }
+}
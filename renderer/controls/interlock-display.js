@@ -0,0 +1,116 @@
+/**
+ * Interlock Display
+ * Marks the controls blocked by an active interlock (every element with a
+ * data-cmd: command buttons, joystick and slider direction labels) with the
+ * reason as tooltip, and lists the active interlocks with an Override button
+ * for the overridable ones.
+ */
+
+import eventBus, { Events } from '../core/event-bus.js';
+import interlocks from '../core/interlocks.js';
+
+class InterlockDisplay {
+    constructor() {
+        this.panel = null;
+        this.list = null;
+    }
+
+    /**
+     * Initialize the interlock display
+     */
+    init() {
+        this.panel = document.getElementById('interlock-panel');
+        this.list = document.getElementById('interlock-list');
+
+        // Only initialize if the panel exists (doesn't exist in settings window)
+        if (!this.panel || !this.list) {
+            return;
+        }
+
+        eventBus.on(Events.INTERLOCKS_CHANGED, () => this.render());
+        window.addEventListener('languageChanged', () => this.render());
+
+        this.list.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-rule]');
+            if (btn) {
+                interlocks.override(btn.dataset.rule);
+            }
+        });
+    }
+
+    /**
+     * Update the control marks and the list of active interlocks
+     */
+    render() {
+        this.markControls();
+        this.renderList();
+    }
+
+    /**
+     * Mark every control of a blocked or overridden command
+     */
+    markControls() {
+        const t = (key) => {
+            return typeof window.t === 'function' ? window.t(key) : key;
+        };
+
+        document.querySelectorAll('[data-cmd]').forEach(element => {
+            const commandId = parseInt(element.dataset.cmd);
+            const blocking = interlocks.getBlockingRule(commandId);
+            const overridden = interlocks.getOverriddenRules(commandId);
+
+            element.classList.toggle('interlocked', Boolean(blocking));
+            element.classList.toggle('interlock-overridden', !blocking && overridden.length > 0);
+
+            if (blocking) {
+                element.title = `${t('interlockBlocked')}: ${interlocks.getReason(blocking)}`;
+            } else if (overridden.length > 0) {
+                element.title = `${t('interlockOverridden')}: ${overridden.map(rule => interlocks.getReason(rule)).join(', ')}`;
+            } else {
+                element.removeAttribute('title');
+            }
+        });
+    }
+
+    /**
+     * List the active interlocks
+     */
+    renderList() {
+        const t = (key) => {
+            return typeof window.t === 'function' ? window.t(key) : key;
+        };
+
+        const active = interlocks.getActiveRules();
+        this.panel.style.display = active.length > 0 ? '' : 'none';
+        this.list.innerHTML = '';
+
+        active.forEach(({ rule, reason, overridden }) => {
+            const item = document.createElement('div');
+            item.className = `interlock-item${overridden ? ' overridden' : ''}`;
+
+            const label = document.createElement('span');
+            label.textContent = overridden ? `${reason} (${t('interlockOverridden')})` : reason;
+            item.appendChild(label);
+
+            if (rule.overridable && !overridden) {
+                const btn = document.createElement('button');
+                btn.className = 'btn btn-secondary btn-interlock-override';
+                btn.dataset.rule = rule.id;
+                btn.textContent = t('interlockOverride');
+                item.appendChild(btn);
+            }
+
+            this.list.appendChild(item);
+        });
+    }
+}
+
+// Export singleton instance
+const interlockDisplay = new InterlockDisplay();
+
+// For debugging in browser console
+if (typeof window !== 'undefined') {
+    window.__interlockDisplay = interlockDisplay;
+}
+
+export default interlockDisplay;
@@ -1,34 +1,76 @@
 /**
  * Joystick Control Manager
  * Handles XY-axis joystick control with canvas drawing
+ * In 8-direction mode the diagonals jog X and Y together (combined jog
+ * commands 24-27). With proportional jog on, the deflection also sets the jog
+ * speed, shown as a ring around the base.
  */
 
 import stateManager from '../core/state-manager.js';
 import eventBus, { Events } from '../core/event-bus.js';
 import logger from '../core/logger.js';
+import commandController from '../core/command-controller.js';
+import { COMMANDS, getCommandName } from '../core/command-registry.js';
+import proportionalJog from './proportional-jog.js';
+import { HeldJog } from './held-jog.js';
 
 // Constants
 const JOYSTICK_RADIUS = 80;
 const JOYSTICK_HANDLE_RADIUS = 24;
 const JOYSTICK_DEADZONE = 0.3; // 30% deadzone in center
+const SPEED_RING_WIDTH = 4;
+const SECTOR_ANGLE = Math.PI / 4; // 8-direction mode: 45° per direction
 
-// Command mappings
-export const COMMANDS = {
-    X_PLUS: 7,
-    X_MINUS: 8,
-    Y_PLUS: 9,
-    Y_MINUS: 10,
-    Z_PLUS: 11,
-    Z_MINUS: 12
-};
+// Jogs of the 8 directions, counterclockwise from X+ (sectors centered on the axes and diagonals)
+const SECTOR_COMMANDS = [
+    COMMANDS.X_PLUS, COMMANDS.X_PLUS_Y_PLUS, COMMANDS.Y_PLUS, COMMANDS.X_MINUS_Y_PLUS,
+    COMMANDS.X_MINUS, COMMANDS.X_MINUS_Y_MINUS, COMMANDS.Y_MINUS, COMMANDS.X_PLUS_Y_MINUS
+];
+
+const XY_JOG_COMMANDS = [COMMANDS.X_PLUS, COMMANDS.X_MINUS, COMMANDS.Y_PLUS, COMMANDS.Y_MINUS, ...SECTOR_COMMANDS];
+
+/**
+ * Jog command of a stick position (shared by the joystick and the gamepad)
+ * @param {Object} position - Normalized {x, y}: -1 to 1, positive y is up
+ * @param {number} [deadzone] - Magnitude below which no command is sent
+ * @param {boolean} [diagonal] - 8 directions (diagonals jog X and Y together) instead of 4
+ * @returns {number} Command ID (0 inside the deadzone)
+ */
+export function getDirectionCommand(position, deadzone = JOYSTICK_DEADZONE, diagonal = false) {
+    const absX = Math.abs(position.x);
+    const absY = Math.abs(position.y);
+
+    // Check if in deadzone
+    const magnitude = Math.sqrt(absX * absX + absY * absY);
+    if (magnitude < deadzone) {
+        return 0; // No command
+    }
+
+    if (diagonal) {
+        const sector = Math.round(Math.atan2(position.y, position.x) / SECTOR_ANGLE);
+        return SECTOR_COMMANDS[(sector + SECTOR_COMMANDS.length) % SECTOR_COMMANDS.length];
+    }
+
+    // Determine primary direction (X or Y has larger magnitude)
+    if (absX > absY) {
+        // X direction is primary
+        return position.x > 0 ? COMMANDS.X_PLUS : COMMANDS.X_MINUS;
+    } else {
+        // Y direction is primary
+        return position.y > 0 ? COMMANDS.Y_PLUS : COMMANDS.Y_MINUS;
+    }
+}
 
 class JoystickControl {
     constructor() {
         this.canvas = null;
         this.ctx = null;
         this.statusElement = null;
+        this.diagonalToggle = null;
+        this.diagonal = false; // 8-direction mode
         this.position = { x: 0, y: 0 }; // Normalized: -1 to 1
         this.isActive = false;
+        this.jog = new HeldJog('joystick', () => this.handleMouseUp());
     }
 
     /**
@@ -37,6 +79,7 @@ class JoystickControl {
     init() {
         this.canvas = document.getElementById('joystick-canvas');
         this.statusElement = document.getElementById('joystick-status');
+        this.diagonalToggle = document.getElementById('joystick-diagonal-toggle');
 
         // Only initialize if canvas exists (may not exist in settings window)
         if (!this.canvas) {
@@ -44,6 +87,13 @@ class JoystickControl {
         }
 
         this.ctx = this.canvas.getContext('2d');
+
+        this.diagonal = localStorage.getItem('joystick-diagonal-enabled') === 'true';
+        if (this.diagonalToggle) {
+            this.diagonalToggle.checked = this.diagonal;
+            this.diagonalToggle.addEventListener('change', () => this.setDiagonal(this.diagonalToggle.checked));
+        }
+
         this.draw();
 
         this.attachEventListeners();
@@ -69,6 +119,22 @@ class JoystickControl {
                 this.handleMouseUp();
             }
         });
+
+        // Stops, stale data and interlocks let go of the handle
+        this.jog.init();
+    }
+
+    /**
+     * Switch between 4 and 8 directions (saved in localStorage)
+     * @param {boolean} diagonal - Whether the diagonals jog X and Y together
+     */
+    setDiagonal(diagonal) {
+        this.diagonal = diagonal;
+        localStorage.setItem('joystick-diagonal-enabled', String(diagonal));
+
+        // A held jog changes with the next movement
+        this.draw();
+        logger.info(`Joystick ${diagonal ? '8' : '4'}-direction mode`);
     }
 
     /**
@@ -150,6 +216,19 @@ class JoystickControl {
         this.ctx.lineTo(centerX + JOYSTICK_RADIUS, centerY);
         this.ctx.stroke();
 
+        // Draw sector guides (8-direction mode): the borders between the directions
+        if (this.diagonal) {
+            this.ctx.setLineDash([3, 3]);
+            this.ctx.beginPath();
+            for (let i = 0; i < SECTOR_COMMANDS.length; i++) {
+                const angle = (i + 0.5) * SECTOR_ANGLE;
+                this.ctx.moveTo(centerX + Math.cos(angle) * JOYSTICK_RADIUS * JOYSTICK_DEADZONE, centerY - Math.sin(angle) * JOYSTICK_RADIUS * JOYSTICK_DEADZONE);
+                this.ctx.lineTo(centerX + Math.cos(angle) * JOYSTICK_RADIUS, centerY - Math.sin(angle) * JOYSTICK_RADIUS);
+            }
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+        }
+
         // Calculate handle position
         const handleX = centerX + this.position.x * (JOYSTICK_RADIUS - JOYSTICK_HANDLE_RADIUS);
         const handleY = centerY - this.position.y * (JOYSTICK_RADIUS - JOYSTICK_HANDLE_RADIUS); // Invert Y for canvas
@@ -169,6 +248,24 @@ class JoystickControl {
             this.ctx.stroke();
         }
 
+        // Draw speed ring (proportional jog): clockwise from the top, full circle = 100%
+        if (this.isActive && this.jog.command !== 0 && proportionalJog.isEnabled()) {
+            const ringRadius = JOYSTICK_RADIUS - SPEED_RING_WIDTH / 2;
+            const startAngle = -Math.PI / 2;
+
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, centerY, ringRadius, startAngle, startAngle + 2 * Math.PI * proportionalJog.settings.maxSpeed / 100);
+            this.ctx.strokeStyle = getCSSVar('--border-secondary');
+            this.ctx.lineWidth = SPEED_RING_WIDTH;
+            this.ctx.stroke();
+
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, centerY, ringRadius, startAngle, startAngle + 2 * Math.PI * stateManager.get('jogSpeed') / 100);
+            this.ctx.strokeStyle = isAcknowledged ? getCSSVar('--success-border') : getCSSVar('--accent-primary');
+            this.ctx.lineWidth = SPEED_RING_WIDTH;
+            this.ctx.stroke();
+        }
+
         // Draw handle (joystick knob) - only show green if acknowledged
         this.ctx.beginPath();
         this.ctx.arc(handleX, handleY, JOYSTICK_HANDLE_RADIUS, 0, 2 * Math.PI);
@@ -214,23 +311,16 @@ class JoystickControl {
      * @returns {number} Command ID
      */
     getCommand() {
-        const absX = Math.abs(this.position.x);
-        const absY = Math.abs(this.position.y);
-
-        // Check if in deadzone
-        const magnitude = Math.sqrt(absX * absX + absY * absY);
-        if (magnitude < JOYSTICK_DEADZONE) {
-            return 0; // No command
-        }
+        return getDirectionCommand(this.position, JOYSTICK_DEADZONE, this.diagonal);
+    }
 
-        // Determine primary direction (X or Y has larger magnitude)
-        if (absX > absY) {
-            // X direction is primary
-            return this.position.x > 0 ? COMMANDS.X_PLUS : COMMANDS.X_MINUS;
-        } else {
-            // Y direction is primary
-            return this.position.y > 0 ? COMMANDS.Y_PLUS : COMMANDS.Y_MINUS;
-        }
+    /**
+     * Jog speed of the joystick position (proportional jog)
+     * @returns {number} Speed in %, 0 = full speed
+     */
+    getSpeed() {
+        const magnitude = Math.sqrt(this.position.x * this.position.x + this.position.y * this.position.y);
+        return proportionalJog.getSpeed(magnitude, JOYSTICK_DEADZONE);
     }
 
     /**
@@ -245,16 +335,11 @@ class JoystickControl {
             return typeof window.t === 'function' ? window.t(key) : key;
         };
 
-        let statusText = t('inactive');
-
-        if (command === COMMANDS.X_PLUS) {
-            statusText = `X+ ${t('active')}`;
-        } else if (command === COMMANDS.X_MINUS) {
-            statusText = `X- ${t('active')}`;
-        } else if (command === COMMANDS.Y_PLUS) {
-            statusText = `Y+ ${t('active')}`;
-        } else if (command === COMMANDS.Y_MINUS) {
-            statusText = `Y- ${t('active')}`;
+        const isXYJog = XY_JOG_COMMANDS.includes(command);
+        const jogSpeed = stateManager.get('jogSpeed');
+        let statusText = isXYJog ? `${getCommandName(command)} ${t('active')}` : t('inactive');
+        if (isXYJog && jogSpeed > 0) {
+            statusText += ` ${jogSpeed}%`;
         }
 
         this.statusElement.textContent = statusText;
@@ -276,7 +361,12 @@ class JoystickControl {
      * @param {Event} e - Mouse or touch event
      */
     handleMouseDown(e) {
-        if (!stateManager.get('isConnected')) return;
+        if (!commandController.isMotionAllowed()) return;
+
+        if (!commandController.isAvailableTo('joystick')) {
+            logger.error(`Joystick locked: ${getCommandName(commandController.getCommand())} is in progress`);
+            return;
+        }
 
         // Prevent slider from being active
         eventBus.emit('slider:reset');
@@ -288,7 +378,7 @@ class JoystickControl {
         stateManager.set('joystickPosition', this.position);
 
         const command = this.getCommand();
-        stateManager.set('currentCommand', command);
+        this.jog.set(command, this.getSpeed());
 
         this.updateStatus(command);
         this.draw();
@@ -309,18 +399,19 @@ class JoystickControl {
         stateManager.set('joystickPosition', this.position);
 
         const command = this.getCommand();
-        const currentCommand = stateManager.get('currentCommand');
 
         // Only update if command changed
-        if (currentCommand !== command) {
-            stateManager.set('currentCommand', command);
-            stateManager.set('acknowledgedCommand', 0); // Clear acknowledgment for new command
+        if (this.jog.command !== command) {
+            this.jog.set(command, this.getSpeed());
 
             this.updateStatus(command);
 
             if (command !== 0) {
                 eventBus.emit(Events.JOYSTICK_ACTIVE, { command });
             }
+        } else if (this.jog.setSpeed(this.getSpeed())) {
+            // Same direction, follow the deflection (proportional jog)
+            this.updateStatus(command);
         }
 
         this.draw();
@@ -337,8 +428,7 @@ class JoystickControl {
 
         this.position = { x: 0, y: 0 };
         stateManager.set('joystickPosition', { x: 0, y: 0 });
-        stateManager.set('currentCommand', 0);
-        stateManager.set('acknowledgedCommand', 0);
+        this.jog.release();
 
         this.updateStatus(0);
         this.draw();
@@ -351,9 +441,24 @@ class JoystickControl {
      * @param {boolean} connected - Connection status
      */
     handleConnectionStatus(connected) {
+        this.updateEnabledState();
+    }
+
+    /**
+     * Handle link health changes (RX watchdog in the main process)
+     * Motion stays disabled while the PLC data is stale.
+     */
+    handleLinkHealth() {
+        this.updateEnabledState();
+    }
+
+    /**
+     * Enable the joystick only while connected with fresh frames
+     */
+    updateEnabledState() {
         if (!this.canvas) return;
 
-        if (connected) {
+        if (commandController.isMotionAllowed()) {
             this.canvas.style.pointerEvents = 'auto';
             this.canvas.style.opacity = '1';
         } else {
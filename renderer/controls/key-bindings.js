@@ -0,0 +1,41 @@
+/**
+ * Key Bindings
+ * Keyboard map of the keyboard control (keyboard-control.js). Keys are
+ * KeyboardEvent.code values, so the map does not depend on the keyboard
+ * layout. Edit this table to change the keys; the on-screen legend is
+ * generated from it.
+ */
+
+import { COMMANDS } from '../core/command-registry.js';
+
+// How a binding sends its command
+export const KeyMode = {
+    HOLD: 'hold',   // Jog while the key is held, 0 on release (like the joystick)
+    PRESS: 'press'  // One command per key press (like clicking its button)
+};
+
+/**
+ * Bindings in legend order
+ * keys    - KeyboardEvent.code values
+ * label   - Keys as shown in the legend
+ * command - Command id
+ * mode    - KeyMode
+ */
+export const KEY_BINDINGS = [
+    { keys: ['ArrowUp', 'KeyW'], label: '↑ / W', command: COMMANDS.Y_PLUS, mode: KeyMode.HOLD },
+    { keys: ['ArrowDown', 'KeyS'], label: '↓ / S', command: COMMANDS.Y_MINUS, mode: KeyMode.HOLD },
+    { keys: ['ArrowLeft', 'KeyA'], label: '← / A', command: COMMANDS.X_MINUS, mode: KeyMode.HOLD },
+    { keys: ['ArrowRight', 'KeyD'], label: '→ / D', command: COMMANDS.X_PLUS, mode: KeyMode.HOLD },
+    { keys: ['PageUp'], label: 'PgUp', command: COMMANDS.Z_PLUS, mode: KeyMode.HOLD },
+    { keys: ['PageDown'], label: 'PgDn', command: COMMANDS.Z_MINUS, mode: KeyMode.HOLD },
+
+    { keys: ['Space'], label: 'Space', command: COMMANDS.STOP_XYZ, mode: KeyMode.PRESS },
+    { keys: ['Escape'], label: 'Esc', command: COMMANDS.EMERGENCY_STOP, mode: KeyMode.PRESS },
+
+    { keys: ['Digit1', 'Numpad1'], label: '1', command: COMMANDS.START_EXPERIMENT, mode: KeyMode.PRESS },
+    { keys: ['Digit2', 'Numpad2'], label: '2', command: COMMANDS.STOP_EXPERIMENT, mode: KeyMode.PRESS },
+    { keys: ['Digit3', 'Numpad3'], label: '3', command: COMMANDS.CLEAR_FAULTS, mode: KeyMode.PRESS },
+    { keys: ['Digit4', 'Numpad4'], label: '4', command: COMMANDS.STOP_X, mode: KeyMode.PRESS },
+    { keys: ['Digit5', 'Numpad5'], label: '5', command: COMMANDS.STOP_Y, mode: KeyMode.PRESS },
+    { keys: ['Digit6', 'Numpad6'], label: '6', command: COMMANDS.STOP_Z, mode: KeyMode.PRESS }
+];
@@ -0,0 +1,205 @@
+/**
+ * Keyboard Control
+ * Jogs, stops and common commands from the keyboard (map in key-bindings.js).
+ * Hold keys jog like the joystick: the command is sent while the key is held
+ * and released on key up (the most recently pressed held key wins). Press
+ * keys click the command's button. Keys are ignored while typing in a text
+ * field, and every jog is released when the window loses focus.
+ */
+
+import eventBus from '../core/event-bus.js';
+import logger from '../core/logger.js';
+import { getCommandName } from '../core/command-registry.js';
+import { HeldJog } from './held-jog.js';
+import { KEY_BINDINGS, KeyMode } from './key-bindings.js';
+
+// Inputs that do not take text, so the bindings stay active while they have focus
+const NON_TEXT_INPUT_TYPES = ['range', 'checkbox', 'radio', 'button', 'submit'];
+
+class KeyboardControl {
+    constructor() {
+        this.legendList = null;
+        this.enableToggle = null;
+        this.enabled = true;
+        this.bindingsByKey = new Map();
+        this.heldKeys = []; // Codes of the held jog keys, most recent last
+        this.jog = new HeldJog('keyboard', () => this.releaseAll());
+    }
+
+    /**
+     * Initialize keyboard control
+     */
+    init() {
+        this.legendList = document.getElementById('keyboard-legend-list');
+        this.enableToggle = document.getElementById('keyboard-control-toggle');
+
+        // Only initialize if the legend exists (doesn't exist in settings window)
+        if (!this.legendList) {
+            return;
+        }
+
+        KEY_BINDINGS.forEach(binding => {
+            binding.keys.forEach(key => this.bindingsByKey.set(key, binding));
+        });
+
+        this.enabled = localStorage.getItem('keyboard-control-enabled') !== 'false';
+        if (this.enableToggle) {
+            this.enableToggle.checked = this.enabled;
+            this.enableToggle.addEventListener('change', () => this.setEnabled(this.enableToggle.checked));
+        }
+
+        this.renderLegend();
+
+        window.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        window.addEventListener('keyup', (e) => this.handleKeyUp(e));
+
+        // Key up events are lost while the window has no focus
+        window.addEventListener('blur', () => this.releaseAll());
+
+        window.addEventListener('languageChanged', () => this.renderLegend());
+
+        // Stops, stale data and interlocks release every held key
+        this.jog.init();
+    }
+
+    /**
+     * Switch the key bindings on or off (saved in localStorage)
+     * @param {boolean} enabled - Whether the keys control the rig
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        localStorage.setItem('keyboard-control-enabled', String(enabled));
+
+        if (!enabled) {
+            this.releaseAll();
+        }
+        logger.info(`Keyboard control ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Handle key down
+     * @param {KeyboardEvent} e - Key event
+     */
+    handleKeyDown(e) {
+        const binding = this.bindingsByKey.get(e.code);
+        if (!binding || !this.enabled || this.isTypingTarget(e.target) || e.ctrlKey || e.altKey || e.metaKey) {
+            return;
+        }
+
+        // Keep arrows/PageUp/PageDown from scrolling and Space from clicking the focused button
+        e.preventDefault();
+        if (e.repeat) return;
+
+        if (binding.mode === KeyMode.HOLD) {
+            if (!this.heldKeys.includes(e.code)) {
+                this.heldKeys.push(e.code);
+            }
+            this.updateJog();
+        } else {
+            eventBus.emit('command-buttons:press', { commandId: binding.command });
+        }
+    }
+
+    /**
+     * Handle key up
+     * @param {KeyboardEvent} e - Key event
+     */
+    handleKeyUp(e) {
+        const binding = this.bindingsByKey.get(e.code);
+        if (!binding) return;
+
+        // Always release a held jog, even if the focus moved into a text field meanwhile
+        if (this.heldKeys.includes(e.code)) {
+            this.heldKeys = this.heldKeys.filter(key => key !== e.code);
+            this.updateJog();
+        }
+
+        if (this.enabled && !this.isTypingTarget(e.target)) {
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * Send the jog of the most recently pressed held key (0 = none held, release it)
+     */
+    updateJog() {
+        const key = this.heldKeys[this.heldKeys.length - 1];
+        const command = key ? this.bindingsByKey.get(key).command : 0;
+        this.jog.set(command);
+        this.updateLegendState();
+    }
+
+    /**
+     * Release every held jog key
+     */
+    releaseAll() {
+        this.heldKeys = [];
+        this.updateJog();
+    }
+
+    /**
+     * Whether the key goes to a text field rather than to the bindings
+     * @param {EventTarget} target - Key event target
+     * @returns {boolean}
+     */
+    isTypingTarget(target) {
+        if (!target || typeof target.closest !== 'function') return false;
+        if (target.isContentEditable) return true;
+
+        const field = target.closest('input, textarea, select');
+        if (!field) return false;
+        return !(field.tagName === 'INPUT' && NON_TEXT_INPUT_TYPES.includes(field.type));
+    }
+
+    /**
+     * Build the on-screen legend from the key bindings
+     */
+    renderLegend() {
+        const t = (key) => {
+            return typeof window.t === 'function' ? window.t(key) : key;
+        };
+
+        this.legendList.innerHTML = '';
+
+        KEY_BINDINGS.forEach(binding => {
+            const item = document.createElement('div');
+            item.className = 'keyboard-legend-item';
+            item.dataset.keyCommand = binding.command;
+
+            const keys = document.createElement('kbd');
+            keys.textContent = binding.label;
+            item.appendChild(keys);
+
+            const name = document.createElement('span');
+            name.textContent = binding.mode === KeyMode.HOLD
+                ? `${getCommandName(binding.command)} (${t('keyHold')})`
+                : getCommandName(binding.command);
+            item.appendChild(name);
+
+            this.legendList.appendChild(item);
+        });
+
+        this.updateLegendState();
+    }
+
+    /**
+     * Highlight the legend entry of the running jog
+     */
+    updateLegendState() {
+        if (!this.legendList) return;
+
+        this.legendList.querySelectorAll('.keyboard-legend-item').forEach(item => {
+            item.classList.toggle('active', this.jog.command !== 0 && parseInt(item.dataset.keyCommand) === this.jog.command);
+        });
+    }
+}
+
+// Export singleton instance
+const keyboardControl = new KeyboardControl();
+
+// For debugging in browser console
+if (typeof window !== 'undefined') {
+    window.__keyboardControl = keyboardControl;
+}
+
+export default keyboardControl;
@@ -0,0 +1,289 @@
+/**
+ * Position Panel
+ * Absolute position moves from the Control Commands tab: per axis the current
+ * position (RX Current X/Y/Z), an editable target (TX Target X/Y/Z, int-2..4)
+ * checked against its field range, the distance to go and a Go button
+ * sending X/Y/Z Position Move (13/15/17); Go XY sends XY Position Move (20).
+ * Go writes the target before the move command, and the position monitor
+ * shows the progress until the PLC reports Pos Complete.
+ */
+
+import stateManager from '../core/state-manager.js';
+import eventBus, { Events } from '../core/event-bus.js';
+import logger from '../core/logger.js';
+import commandController from '../core/command-controller.js';
+import interlocks from '../core/interlocks.js';
+import positionMonitor, { POSITION_AXES } from '../core/position-monitor.js';
+import { COMMANDS, getCommandName } from '../core/command-registry.js';
+import dataSender from '../connection/data-sender.js';
+import frameLayout from '../data/frame-layout.js';
+
+// Axes moved together by Go XY
+const XY_AXES = ['x', 'y'];
+
+class PositionPanel {
+    constructor() {
+        this.container = null;
+        this.goXYButton = null;
+        this.rows = {}; // Elements by axis: { row, current, target, toGo, go, progress, complete }
+        this.sending = false; // Targets being sent, the move follows
+    }
+
+    /**
+     * Initialize the position panel
+     */
+    init() {
+        this.container = document.getElementById('position-panel');
+        this.goXYButton = document.getElementById('position-go-xy');
+
+        // Only initialize if the panel exists (doesn't exist in settings window)
+        if (!this.container) {
+            return;
+        }
+
+        this.container.querySelectorAll('[data-position-axis]').forEach(row => {
+            const axis = row.dataset.positionAxis;
+            this.rows[axis] = {
+                row,
+                current: row.querySelector('.position-current'),
+                target: row.querySelector('.position-target'),
+                toGo: row.querySelector('.position-to-go'),
+                go: row.querySelector('.position-go'),
+                progress: row.querySelector('.position-progress-fill'),
+                complete: row.querySelector('.position-complete')
+            };
+        });
+
+        Object.entries(this.rows).forEach(([axis, elements]) => {
+            const { field, index } = frameLayout.getTxField(POSITION_AXES[axis].target);
+            if (field) {
+                elements.target.min = field.min !== undefined ? field.min : 0;
+                elements.target.max = field.max !== undefined ? field.max : 65535;
+                elements.target.step = field.integer === false ? 'any' : '1';
+
+                const saved = localStorage.getItem(`int-${index}`);
+                elements.target.value = saved !== null ? saved : 0;
+            }
+
+            elements.target.addEventListener('input', () => this.update());
+            elements.target.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.handleGo([axis]);
+            });
+            elements.go.addEventListener('click', () => this.handleGo([axis]));
+        });
+
+        if (this.goXYButton) {
+            this.goXYButton.addEventListener('click', () => this.handleGo(XY_AXES));
+        }
+
+        eventBus.on(Events.POSITIONS_UPDATED, () => this.update());
+        eventBus.on(Events.POSITION_MOVE_STARTED, () => this.update());
+        eventBus.on(Events.POSITION_MOVE_ENDED, () => this.update());
+        eventBus.on(Events.INTERLOCKS_CHANGED, () => this.update());
+
+        // Moves need a connection with fresh PLC data and a free command channel
+        stateManager.subscribe('isConnected', () => this.update());
+        stateManager.subscribe('linkHealth', () => this.update());
+        stateManager.subscribe('commandOwner', () => this.update());
+
+        window.addEventListener('languageChanged', () => this.update());
+
+        this.update();
+    }
+
+    /**
+     * Take over targets changed in the settings window
+     * Inputs being edited keep the operator's value.
+     * @param {number[]} values - TX integer values
+     */
+    handleTxValues(values) {
+        if (!this.container) return;
+
+        Object.entries(this.rows).forEach(([axis, elements]) => {
+            const { index } = frameLayout.getTxField(POSITION_AXES[axis].target);
+            const input = elements.target;
+            if (index >= 0 && values[index] !== undefined && input !== document.activeElement && input.value !== String(values[index])) {
+                input.value = values[index];
+            }
+        });
+
+        this.update();
+    }
+
+    /**
+     * Check an entered target against its field
+     * @param {string} axis - 'x', 'y' or 'z'
+     * @returns {Object} { valid: true, value } or { valid: false, error }
+     */
+    validateTarget(axis) {
+        const t = (key) => {
+            return typeof window.t === 'function' ? window.t(key) : key;
+        };
+
+        const { field } = frameLayout.getTxField(POSITION_AXES[axis].target);
+        const text = this.rows[axis].target.value.trim();
+        const value = Number(text);
+
+        if (!field) {
+            return { valid: false, error: `${POSITION_AXES[axis].target} missing from the frame layout` };
+        }
+        if (text === '' || !Number.isFinite(value)) {
+            return { valid: false, error: t('positionTargetInvalid') };
+        }
+        if (field.integer !== false && !Number.isInteger(value)) {
+            return { valid: false, error: t('positionTargetWhole') };
+        }
+
+        const min = field.min !== undefined ? field.min : 0;
+        const max = field.max !== undefined ? field.max : 65535;
+        if (value < min || value > max) {
+            return { valid: false, error: `${t('positionTargetRange')} ${min} … ${max} mm` };
+        }
+
+        return { valid: true, value };
+    }
+
+    /**
+     * Get the interlock blocking a move of the axes to their targets
+     * The move is interlocked like a jog towards the target on every moved axis.
+     * @param {number} command - Position move command
+     * @param {Object} targets - Target mm by axis
+     * @returns {Object|null} Rule, or null if the move is allowed
+     */
+    getBlockingRule(command, targets) {
+        const blocking = interlocks.getBlockingRule(command);
+        if (blocking) return blocking;
+
+        for (const [axis, target] of Object.entries(targets)) {
+            const position = positionMonitor.getPosition(axis);
+            if (position === undefined || target === position) continue;
+
+            const rule = interlocks.getBlockingRule(POSITION_AXES[axis].jogs[target > position ? 1 : -1]);
+            if (rule) return rule;
+        }
+        return null;
+    }
+
+    /**
+     * Move axes to their entered targets
+     * @param {string[]} axes - One axis, or x and y for XY Position Move
+     */
+    async handleGo(axes) {
+        const command = axes.length > 1 ? COMMANDS.XY_POSITION_MOVE : POSITION_AXES[axes[0]].move;
+        const commandName = getCommandName(command);
+
+        if (this.sending || positionMonitor.isMoving()) {
+            logger.warning(`${commandName} ignored: the previous move is not complete`);
+            return;
+        }
+
+        if (!commandController.isMotionAllowed()) {
+            logger.error(`${commandName} ignored: no connection or no fresh PLC data`);
+            return;
+        }
+
+        const targets = {};
+        const values = {};
+        for (const axis of axes) {
+            const result = this.validateTarget(axis);
+            if (!result.valid) {
+                logger.error(`${commandName} ignored: Target ${axis.toUpperCase()} - ${result.error}`);
+                return;
+            }
+            targets[axis] = result.value;
+            values[frameLayout.getTxField(POSITION_AXES[axis].target).index] = result.value;
+        }
+
+        const interlock = this.getBlockingRule(command, targets);
+        if (interlock) {
+            logger.error(`${commandName} blocked by interlock: ${interlocks.getReason(interlock)}`);
+            return;
+        }
+
+        if (!commandController.isAvailableTo('position-panel', command)) {
+            logger.error(`${commandName} ignored: ${getCommandName(commandController.getCommand())} is in progress`);
+            return;
+        }
+
+        // The targets go out before the move command; no move without them
+        this.sending = true;
+        this.update();
+        try {
+            await dataSender.setTxValues(values);
+        } catch (error) {
+            logger.error(`${commandName} failed: targets not sent (${error.message})`);
+            return;
+        } finally {
+            this.sending = false;
+            this.update();
+        }
+
+        // Connection lost while the targets were sent
+        if (!commandController.isMotionAllowed() || !commandController.request(command, 'position-panel')) {
+            return;
+        }
+
+        // Large moves take long: no timeout, a stop command ends the wait
+        positionMonitor.track({ command, source: 'position-panel', targets });
+
+        const description = axes.map(axis => `${axis.toUpperCase()} ${positionMonitor.getPosition(axis)} → ${targets[axis]}`).join(', ');
+        logger.info(`${commandName}: ${description} mm`);
+    }
+
+    /**
+     * Show positions, targets, distances and progress and enable the Go buttons
+     */
+    update() {
+        if (!this.container) return;
+
+        const t = (key) => {
+            return typeof window.t === 'function' ? window.t(key) : key;
+        };
+
+        const move = positionMonitor.getMove();
+        const canMove = commandController.isMotionAllowed() && !this.sending && move === null;
+        const validity = {};
+
+        Object.entries(this.rows).forEach(([axis, elements]) => {
+            const positionField = frameLayout.getRxField(POSITION_AXES[axis].position);
+            const position = positionMonitor.getPosition(axis);
+            const result = this.validateTarget(axis);
+            validity[axis] = result.valid;
+
+            elements.current.textContent = position !== undefined ? frameLayout.formatValue(positionField, position) : '–';
+
+            elements.target.classList.toggle('invalid', !result.valid);
+            elements.target.title = result.valid ? '' : result.error;
+
+            if (result.valid && position !== undefined) {
+                const distance = Math.round((result.value - position) * 10) / 10;
+                elements.toGo.textContent = distance > 0 ? `+${distance}` : String(distance);
+            } else {
+                elements.toGo.textContent = '–';
+            }
+
+            const moving = Boolean(move && move.axes[axis]);
+            elements.row.classList.toggle('moving', moving);
+            elements.progress.style.width = moving ? `${Math.round(positionMonitor.getProgress(axis) * 100)}%` : '0%';
+            elements.complete.classList.toggle('active', positionMonitor.isComplete(axis));
+            elements.complete.title = t('posComplete');
+
+            elements.go.disabled = !(canMove && result.valid && commandController.isAvailableTo('position-panel', POSITION_AXES[axis].move));
+        });
+
+        if (this.goXYButton) {
+            this.goXYButton.disabled = !(canMove && XY_AXES.every(axis => validity[axis]) &&
+                commandController.isAvailableTo('position-panel', COMMANDS.XY_POSITION_MOVE));
+        }
+    }
+}
+
+// Export singleton instance
+const positionPanel = new PositionPanel();
+
+// For debugging in browser console
+if (typeof window !== 'undefined') {
+    window.__positionPanel = positionPanel;
+}
+
+export default positionPanel;
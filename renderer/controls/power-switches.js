@@ -7,6 +7,17 @@
 import stateManager from '../core/state-manager.js';
 import eventBus, { Events } from '../core/event-bus.js';
 import logger from '../core/logger.js';
+import commandController, { CommandState } from '../core/command-controller.js';
+import { COMMANDS, getCommandName } from '../core/command-registry.js';
+
+// Commands of each switch (on, off)
+const SWITCH_COMMANDS = {
+    driver: { on: COMMANDS.DRIVER_POWER_ON, off: COMMANDS.DRIVER_POWER_OFF },
+    servo: { on: COMMANDS.SERVO_ON, off: COMMANDS.SERVO_OFF }
+};
+
+// Sources the switches request the command channel with
+const SWITCH_SOURCES = Object.keys(SWITCH_COMMANDS).map(name => `${name}-switch`);
 
 class PowerSwitchesManager {
     constructor() {
@@ -14,9 +25,6 @@ class PowerSwitchesManager {
         this.servoSwitch = null;
         this.driverGroup = null;
         this.servoGroup = null;
-        this.loadingIcon = null;
-        this.commandInput = null;
-        this.cmdDisplay = null;
     }
 
     /**
@@ -27,9 +35,6 @@ class PowerSwitchesManager {
         this.servoSwitch = document.getElementById('servo-module-switch');
         this.driverGroup = document.getElementById('driver-power-switch-group');
         this.servoGroup = document.getElementById('servo-module-switch-group');
-        this.loadingIcon = document.getElementById('cmd-loading-icon');
-        this.commandInput = document.getElementById('int-9');
-        this.cmdDisplay = document.getElementById('current-cmd-display');
 
         // Only initialize if switches exist (may not exist in settings window)
         if (!this.driverSwitch || !this.servoSwitch) {
@@ -41,6 +46,16 @@ class PowerSwitchesManager {
         // Listen for enable/disable events from other components
         eventBus.on('power-switches:enable', () => this.enableAll());
         eventBus.on('power-switches:disable', () => this.disableAll());
+
+        // Restore the controls once a switch command completed
+        eventBus.on(Events.COMMAND_STATE_CHANGED, ({ state, source }) => {
+            if (state === CommandState.COMPLETED && SWITCH_SOURCES.includes(source)) {
+                this.handleAcknowledgment();
+            }
+        });
+
+        // Revert a switch whose command the PLC never acknowledged
+        eventBus.on(Events.COMMAND_TIMEOUT, (data) => this.handleTimeout(data));
     }
 
     /**
@@ -75,9 +90,17 @@ class PowerSwitchesManager {
             return;
         }
 
+        this.clearTimedOut();
+
         const isOn = e.target.checked;
-        const commandId = parseInt(isOn ? e.target.dataset.cmdOn : e.target.dataset.cmdOff);
-        const commandName = `${e.target.dataset.name} ${isOn ? 'ON' : 'OFF'}`;
+        const commandId = isOn ? SWITCH_COMMANDS[switchName].on : SWITCH_COMMANDS[switchName].off;
+        const commandName = getCommandName(commandId);
+
+        if (!commandController.request(commandId, `${switchName}-switch`)) {
+            // Revert the switch
+            e.target.checked = !e.target.checked;
+            return;
+        }
 
         // Disable all command buttons while waiting for acknowledgment
         this.disableCommandButtons();
@@ -95,54 +118,56 @@ class PowerSwitchesManager {
             thisGroup.classList.add('waiting-ack');
         }
 
-        // Set waiting state
-        this.setWaitingForAcknowledgment(true);
-
-        // Update command
-        this.setCommand(commandId, commandName);
-
         logger.success(`Command set: ${commandName} (ID: ${commandId}) - waiting for acknowledgment...`);
-        eventBus.emit(Events.COMMAND_SET, { commandId, commandName, source: `${switchName}-switch` });
     }
 
     /**
-     * Disable all command buttons
+     * Handle command acknowledgment from PLC
+     * Called when a switch command completed; re-enables the switches and the
+     * command buttons locked while it was waiting
      */
-    disableCommandButtons() {
-        const commandButtons = document.querySelectorAll('.btn-command');
-        commandButtons.forEach(btn => btn.disabled = true);
+    handleAcknowledgment() {
+        this.enableAll();
+        eventBus.emit('command-buttons:enable');
+
+        logger.success('Command acknowledged and completed by PLC');
     }
 
     /**
-     * Set waiting for acknowledgment state
-     * @param {boolean} waiting - Whether waiting for acknowledgment
+     * Handle a switch command the PLC did not acknowledge in time
+     * The switch goes back to its previous position and is marked as timed out
+     * @param {Object} data - { commandId, source } of the COMMAND_TIMEOUT event
      */
-    setWaitingForAcknowledgment(waiting) {
-        stateManager.set('waitingForAcknowledgment', waiting);
-
-        // Show/hide loading icon
-        if (this.loadingIcon) {
-            this.loadingIcon.style.display = waiting ? 'inline-block' : 'none';
+    handleTimeout({ commandId, source }) {
+        const switches = {
+            'driver-switch': { input: this.driverSwitch, group: this.driverGroup, name: 'driver' },
+            'servo-switch': { input: this.servoSwitch, group: this.servoGroup, name: 'servo' }
+        };
+        const target = switches[source];
+        if (!target) return;
+
+        // The switch was flipped to the commanded state, so flip it back
+        target.input.checked = commandId !== SWITCH_COMMANDS[target.name].on;
+        if (target.group) {
+            target.group.classList.add('ack-timeout');
         }
     }
 
     /**
-     * Set current command
-     * @param {number} commandId - The command ID
-     * @param {string} commandName - The command name
+     * Remove the timed out mark from both switches
      */
-    setCommand(commandId, commandName) {
-        stateManager.set('currentCommand', commandId);
-
-        // Update int-9 display immediately
-        if (this.commandInput) {
-            this.commandInput.value = commandId;
-        }
+    clearTimedOut() {
+        [this.driverGroup, this.servoGroup].forEach(group => {
+            if (group) group.classList.remove('ack-timeout');
+        });
+    }
 
-        // Update current command display
-        if (this.cmdDisplay) {
-            this.cmdDisplay.textContent = `${commandId} - ${commandName}`;
-        }
+    /**
+     * Disable all command buttons
+     */
+    disableCommandButtons() {
+        const commandButtons = document.querySelectorAll('.btn-command');
+        commandButtons.forEach(btn => btn.disabled = true);
     }
 
     /**
@@ -0,0 +1,174 @@
+/**
+ * Proportional Jog
+ * Optional analog jogging for the joystick and the Z slider: how far the
+ * control is pushed beyond its deadzone is sent as a jog speed in % of the
+ * speed-mode speed (TX int-7) next to the direction command. 0 means full
+ * speed, so jogs of the keyboard, the gamepad or with the mode off are not
+ * scaled. The response curve and the maximum are set under Axis Movement and
+ * remembered.
+ */
+
+import stateManager from '../core/state-manager.js';
+import logger from '../core/logger.js';
+
+// Response curves from deflection to speed
+export const JogCurve = {
+    LINEAR: 'linear', // Speed grows with the deflection
+    EXPO: 'expo'      // Fine control near the deadzone, full speed at the edge
+};
+
+const EXPO_FACTOR = 0.7;     // Share of the cubic term in the expo curve
+const MAX_SPEED_RANGE = { min: 10, max: 100 };
+
+/**
+ * Jog speed of a deflection
+ * @param {number} deflection - Normalized deflection: 0 (center) to 1 (edge)
+ * @param {number} deadzone - Deflection below which no jog runs
+ * @param {Object} settings - { curve: JogCurve, maxSpeed: % }
+ * @returns {number} Speed in % (1 to maxSpeed), 0 inside the deadzone
+ */
+export function getJogSpeed(deflection, deadzone, { curve, maxSpeed }) {
+    if (deflection < deadzone) {
+        return 0;
+    }
+
+    const travel = Math.min(1, (deflection - deadzone) / (1 - deadzone));
+    const response = curve === JogCurve.EXPO
+        ? (1 - EXPO_FACTOR) * travel + EXPO_FACTOR * travel ** 3
+        : travel;
+
+    return Math.max(1, Math.round(response * maxSpeed));
+}
+
+class ProportionalJog {
+    constructor() {
+        this.enableToggle = null;
+        this.curveSelect = null;
+        this.maxSpeedInput = null;
+        this.enabled = false;
+        this.settings = { curve: JogCurve.LINEAR, maxSpeed: MAX_SPEED_RANGE.max };
+        this.speedSource = null; // Control whose jog the current speed belongs to
+    }
+
+    /**
+     * Initialize proportional jog
+     */
+    init() {
+        this.enableToggle = document.getElementById('proportional-jog-toggle');
+        this.curveSelect = document.getElementById('proportional-jog-curve');
+        this.maxSpeedInput = document.getElementById('proportional-jog-max');
+
+        // Only initialize if the toggle exists (doesn't exist in settings window)
+        if (!this.enableToggle || !this.curveSelect || !this.maxSpeedInput) {
+            return;
+        }
+
+        this.enabled = localStorage.getItem('proportional-jog-enabled') === 'true';
+        this.settings.curve = localStorage.getItem('proportional-jog-curve') === JogCurve.EXPO ? JogCurve.EXPO : JogCurve.LINEAR;
+        this.settings.maxSpeed = this.clampMaxSpeed(localStorage.getItem('proportional-jog-max'));
+
+        this.enableToggle.checked = this.enabled;
+        this.curveSelect.value = this.settings.curve;
+        this.maxSpeedInput.value = this.settings.maxSpeed;
+        this.updateEnabledState();
+
+        this.enableToggle.addEventListener('change', () => this.setEnabled(this.enableToggle.checked));
+        this.curveSelect.addEventListener('change', () => {
+            this.settings.curve = this.curveSelect.value;
+            localStorage.setItem('proportional-jog-curve', this.settings.curve);
+        });
+        this.maxSpeedInput.addEventListener('change', () => {
+            this.settings.maxSpeed = this.clampMaxSpeed(this.maxSpeedInput.value);
+            this.maxSpeedInput.value = this.settings.maxSpeed;
+            localStorage.setItem('proportional-jog-max', String(this.settings.maxSpeed));
+        });
+
+        // The speed belongs to the jog of one control: once another control
+        // (e.g. a stop button or the keyboard) takes the channel, it runs at full speed
+        stateManager.subscribe('commandOwner', (owner) => {
+            if (this.speedSource !== null && owner !== this.speedSource) {
+                this.release(this.speedSource);
+            }
+        });
+    }
+
+    /**
+     * Switch proportional jog on or off (saved in localStorage)
+     * @param {boolean} enabled - Whether the deflection sets the jog speed
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        localStorage.setItem('proportional-jog-enabled', String(enabled));
+        this.updateEnabledState();
+        logger.info(`Proportional jog ${enabled ? 'enabled' : 'disabled'}`);
+    }
+
+    /**
+     * Whether proportional jog is on
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Jog speed of a control's deflection
+     * @param {number} deflection - Normalized deflection: 0 to 1
+     * @param {number} deadzone - Deadzone of the control
+     * @returns {number} Speed in %, 0 (full speed) while proportional jog is off
+     */
+    getSpeed(deflection, deadzone) {
+        return this.enabled ? getJogSpeed(deflection, deadzone, this.settings) : 0;
+    }
+
+    /**
+     * Set the jog speed of a control
+     * Call before requesting the jog command, so the first frame carrying the
+     * command already carries its speed.
+     * @param {string} source - Control name ('joystick', 'slider')
+     * @param {number} speed - Speed in %, 0 = full speed
+     */
+    setSpeed(source, speed) {
+        this.speedSource = speed > 0 ? source : null;
+        stateManager.set('jogSpeed', speed);
+    }
+
+    /**
+     * Reset the jog speed if it belongs to the control
+     * @param {string} source - Control name
+     */
+    release(source) {
+        if (this.speedSource === source) {
+            this.setSpeed(source, 0);
+        }
+    }
+
+    /**
+     * Limit the maximum speed to its range
+     * @param {string|number} value - Entered value
+     * @returns {number} Maximum speed in %
+     */
+    clampMaxSpeed(value) {
+        const speed = parseInt(value);
+        if (isNaN(speed)) return MAX_SPEED_RANGE.max;
+        return Math.min(MAX_SPEED_RANGE.max, Math.max(MAX_SPEED_RANGE.min, speed));
+    }
+
+    /**
+     * The curve and maximum only apply while proportional jog is on
+     */
+    updateEnabledState() {
+        this.curveSelect.disabled = !this.enabled;
+        this.maxSpeedInput.disabled = !this.enabled;
+    }
+}
+
+// Export singleton instance
+const proportionalJog = new ProportionalJog();
+
+// For debugging in browser console
+if (typeof window !== 'undefined') {
+    window.__proportionalJog = proportionalJog;
+}
+
+export default proportionalJog;
@@ -1,18 +1,26 @@
 /**
  * Slider Control Manager
  * Handles Z-axis slider control
+ * With proportional jog on, the distance from the center also sets the jog speed.
  */
 
 import stateManager from '../core/state-manager.js';
 import eventBus, { Events } from '../core/event-bus.js';
-import logger from '../core/logger.js';
-import { COMMANDS } from './joystick-control.js';
+import commandController from '../core/command-controller.js';
+import { COMMANDS, getCommandName } from '../core/command-registry.js';
+import proportionalJog from './proportional-jog.js';
+import { HeldJog } from './held-jog.js';
+
+// Constants
+const SLIDER_RANGE = 100;     // Slider runs from -100 (Z-) to 100 (Z+)
+const SLIDER_DEADZONE = 0.1;  // 10% of the travel around the center
 
 class SliderControl {
     constructor() {
         this.slider = null;
         this.statusElement = null;
         this.isActive = false;
+        this.jog = new HeldJog('slider', () => this.reset());
     }
 
     /**
@@ -42,6 +50,9 @@ class SliderControl {
 
         // Listen for reset events from joystick
         eventBus.on('slider:reset', () => this.reset());
+
+        // Stops, stale data and interlocks return the slider to center
+        this.jog.init();
     }
 
     /**
@@ -57,20 +68,22 @@ class SliderControl {
      * @param {Event} e - Input event
      */
     handleInput(e) {
-        if (!stateManager.get('isConnected')) return;
+        if (!commandController.isMotionAllowed()) return;
+
+        if (!commandController.isAvailableTo('slider')) {
+            e.target.value = 0;
+            return;
+        }
 
         // Prevent joystick from being active
         eventBus.emit('joystick:mouseup');
 
         const value = parseInt(e.target.value);
+        const deflection = Math.min(1, Math.abs(value) / SLIDER_RANGE);
         let command = 0;
 
-        if (value > 0) {
-            command = COMMANDS.Z_PLUS;
-            this.isActive = true;
-            stateManager.set('isSliderActive', true);
-        } else if (value < 0) {
-            command = COMMANDS.Z_MINUS;
+        if (deflection >= SLIDER_DEADZONE) {
+            command = value > 0 ? COMMANDS.Z_PLUS : COMMANDS.Z_MINUS;
             this.isActive = true;
             stateManager.set('isSliderActive', true);
         } else {
@@ -78,14 +91,17 @@ class SliderControl {
             stateManager.set('isSliderActive', false);
         }
 
-        const currentCommand = stateManager.get('currentCommand');
-
-        // Clear acknowledgment if command changed
-        if (currentCommand !== command) {
-            stateManager.set('acknowledgedCommand', 0);
+        const speed = proportionalJog.getSpeed(deflection, SLIDER_DEADZONE);
+        if (command !== this.jog.command) {
+            if (!this.jog.set(command, speed)) {
+                // Refused (e.g. interlocked direction): back to center
+                this.reset();
+                return;
+            }
+        } else {
+            // Same direction, follow the deflection (proportional jog)
+            this.jog.setSpeed(speed);
         }
-
-        stateManager.set('currentCommand', command);
         this.updateStatus(command);
 
         if (command !== 0) {
@@ -116,12 +132,11 @@ class SliderControl {
             return typeof window.t === 'function' ? window.t(key) : key;
         };
 
-        let statusText = t('inactive');
-
-        if (command === COMMANDS.Z_PLUS) {
-            statusText = `Z+ ${t('active')}`;
-        } else if (command === COMMANDS.Z_MINUS) {
-            statusText = `Z- ${t('active')}`;
+        const isZJog = command === COMMANDS.Z_PLUS || command === COMMANDS.Z_MINUS;
+        const jogSpeed = stateManager.get('jogSpeed');
+        let statusText = isZJog ? `${getCommandName(command)} ${t('active')}` : t('inactive');
+        if (isZJog && jogSpeed > 0) {
+            statusText += ` ${jogSpeed}%`;
         }
 
         this.statusElement.textContent = statusText;
@@ -155,8 +170,9 @@ class SliderControl {
         this.isActive = false;
         stateManager.set('isSliderActive', false);
         this.slider.value = 0;
-        stateManager.set('currentCommand', 0);
-        stateManager.set('acknowledgedCommand', 0);
+
+        // Only clears the slider's own jog, never a command of another control
+        this.jog.release();
 
         this.updateStatus(0);
 
@@ -168,12 +184,28 @@ class SliderControl {
      * @param {boolean} connected - Connection status
      */
     handleConnectionStatus(connected) {
+        this.updateEnabledState();
+    }
+
+    /**
+     * Handle link health changes (RX watchdog in the main process)
+     * Motion stays disabled while the PLC data is stale.
+     */
+    handleLinkHealth() {
+        this.updateEnabledState();
+    }
+
+    /**
+     * Enable the slider only while connected with fresh frames
+     */
+    updateEnabledState() {
         if (!this.slider) return;
 
-        this.slider.disabled = !connected;
+        const enabled = commandController.isMotionAllowed();
+        this.slider.disabled = !enabled;
 
-        // Reset if disconnected and active
-        if (!connected && this.isActive) {
+        // Reset if disabled while active
+        if (!enabled && this.isActive) {
             this.reset();
         }
     }
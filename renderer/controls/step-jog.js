@@ -0,0 +1,235 @@
+/**
+ * Step Jog
+ * Moves an axis by a fixed increment for fine alignment. Each step takes the
+ * current position from the status ints, writes position + increment into
+ * Target X/Y/Z (int-2..4) and sends the axis' position move (13/15/17). The
+ * next step is only allowed once the position monitor saw the axis' Pos
+ * Complete bit for the new target. Another command (e.g. a stop) ends the wait.
+ */
+
+import stateManager from '../core/state-manager.js';
+import eventBus, { Events } from '../core/event-bus.js';
+import logger from '../core/logger.js';
+import commandController from '../core/command-controller.js';
+import interlocks from '../core/interlocks.js';
+import positionMonitor, { POSITION_AXES } from '../core/position-monitor.js';
+import { getCommandName } from '../core/command-registry.js';
+import dataSender from '../connection/data-sender.js';
+import frameLayout from '../data/frame-layout.js';
+
+// Selectable increments in mm (0.1 mm is only offered when the layout can carry it)
+const STEP_SIZES_MM = [0.1, 1, 10, 100];
+const DEFAULT_STEP_SIZE_MM = 1;
+
+// A step that has not reached Pos Complete this long after its acknowledgment is given up
+const STEP_MOVE_TIMEOUT_MS = 30000;
+
+class StepJog {
+    constructor() {
+        this.container = null;
+        this.sizeList = null;
+        this.statusElement = null;
+        this.stepButtons = [];
+        this.stepSize = DEFAULT_STEP_SIZE_MM;
+        this.sending = false; // Target being sent, the move follows
+    }
+
+    /**
+     * Initialize step jog
+     */
+    init() {
+        this.container = document.getElementById('step-jog');
+        this.sizeList = document.getElementById('step-jog-sizes');
+        this.statusElement = document.getElementById('step-jog-status');
+
+        // Only initialize if the panel exists (doesn't exist in settings window)
+        if (!this.container || !this.sizeList) {
+            return;
+        }
+
+        this.stepButtons = [...this.container.querySelectorAll('[data-step-axis]')];
+
+        const savedSize = parseFloat(localStorage.getItem('step-jog-size'));
+        this.stepSize = STEP_SIZES_MM.includes(savedSize) && this.isSizeSupported(savedSize) ? savedSize : DEFAULT_STEP_SIZE_MM;
+        this.renderSizes();
+
+        this.stepButtons.forEach(btn => {
+            btn.addEventListener('click', () => this.handleStepClick(btn.dataset.stepAxis, parseInt(btn.dataset.stepDirection)));
+        });
+
+        this.sizeList.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-step-size]');
+            if (btn) {
+                this.setStepSize(parseFloat(btn.dataset.stepSize));
+            }
+        });
+
+        // One move at a time, whichever panel started it
+        eventBus.on(Events.POSITION_MOVE_STARTED, () => this.update());
+        eventBus.on(Events.POSITION_MOVE_ENDED, () => this.update());
+
+        // Steps need a connection with fresh PLC data
+        stateManager.subscribe('isConnected', () => this.updateEnabledState());
+        stateManager.subscribe('linkHealth', () => this.updateEnabledState());
+
+        window.addEventListener('languageChanged', () => this.updateStatus());
+
+        this.update();
+    }
+
+    /**
+     * Build the increment buttons
+     * Increments finer than the position fields are left out: the shipped INT16
+     * targets and positions are whole mm, so 0.1 mm needs REAL ones in the layout.
+     */
+    renderSizes() {
+        this.sizeList.innerHTML = '';
+
+        STEP_SIZES_MM.filter(size => this.isSizeSupported(size)).forEach(size => {
+            const btn = document.createElement('button');
+            btn.className = 'btn step-jog-size';
+            btn.dataset.stepSize = size;
+            btn.textContent = `${size} mm`;
+            btn.classList.toggle('active', size === this.stepSize);
+            this.sizeList.appendChild(btn);
+        });
+    }
+
+    /**
+     * Select the increment (saved in localStorage)
+     * @param {number} size - Increment in mm
+     */
+    setStepSize(size) {
+        this.stepSize = size;
+        localStorage.setItem('step-jog-size', String(size));
+
+        this.sizeList.querySelectorAll('[data-step-size]').forEach(btn => {
+            btn.classList.toggle('active', parseFloat(btn.dataset.stepSize) === size);
+        });
+    }
+
+    /**
+     * Whether the target and position fields can hold a position moved by the increment
+     * @param {number} size - Increment in mm
+     * @returns {boolean}
+     */
+    isSizeSupported(size) {
+        if (Number.isInteger(size)) return true;
+
+        return Object.values(POSITION_AXES).every(axis => {
+            const { field } = frameLayout.getTxField(axis.target);
+            const positionField = frameLayout.getRxField(axis.position);
+            return (!field || field.integer === false) && (!positionField || positionField.integer === false);
+        });
+    }
+
+    /**
+     * Start a step of the selected increment
+     * @param {string} axisName - 'x', 'y' or 'z'
+     * @param {number} direction - 1 or -1
+     */
+    async handleStepClick(axisName, direction) {
+        const axis = POSITION_AXES[axisName];
+        const jogCommand = axis.jogs[direction];
+        const stepName = `Step ${getCommandName(jogCommand)} ${this.stepSize} mm`;
+
+        if (this.sending || positionMonitor.isMoving()) {
+            logger.warning(`${stepName} ignored: the previous move is not complete`);
+            return;
+        }
+
+        if (!commandController.isMotionAllowed()) {
+            logger.error(`${stepName} ignored: no connection or no fresh PLC data`);
+            return;
+        }
+
+        const position = positionMonitor.getPosition(axisName);
+        const { index, field } = frameLayout.getTxField(axis.target);
+        if (position === undefined || !field) {
+            logger.error(`${stepName} ignored: ${axis.position} or ${axis.target} missing from the frame layout`);
+            return;
+        }
+
+        // The move is interlocked like a jog in the same direction
+        const interlock = interlocks.getBlockingRule(jogCommand);
+        if (interlock) {
+            logger.error(`${stepName} blocked by interlock: ${interlocks.getReason(interlock)}`);
+            return;
+        }
+
+        if (!commandController.isAvailableTo('step-jog', axis.move)) {
+            logger.error(`${stepName} ignored: ${getCommandName(commandController.getCommand())} is in progress`);
+            return;
+        }
+
+        // Round away float noise of REAL positions (0.1 mm is the finest increment)
+        const target = frameLayout.coerceValue(field, Math.round((position + direction * this.stepSize) * 10) / 10);
+        if (target === position) {
+            logger.warning(`${stepName} ignored: the target is at the end of its range`);
+            return;
+        }
+
+        // The target goes out before the move command
+        this.sending = true;
+        this.update();
+        try {
+            await dataSender.setTxValues({ [index]: target });
+        } catch (error) {
+            logger.error(`${stepName} failed: target not sent (${error.message})`);
+            return;
+        } finally {
+            this.sending = false;
+            this.update();
+        }
+
+        // Connection lost while the target was sent
+        if (!commandController.isMotionAllowed() || !commandController.request(axis.move, 'step-jog')) {
+            return;
+        }
+
+        positionMonitor.track({ command: axis.move, source: 'step-jog', targets: { [axisName]: target }, timeoutMs: STEP_MOVE_TIMEOUT_MS });
+        logger.info(`${stepName}: ${getCommandName(axis.move)} from ${position} to ${target} mm`);
+    }
+
+    update() {
+        this.updateEnabledState();
+        this.updateStatus();
+    }
+
+    /**
+     * Enable the step buttons while motion is allowed and no move runs
+     */
+    updateEnabledState() {
+        const enabled = commandController.isMotionAllowed() && !this.sending && !positionMonitor.isMoving();
+        this.stepButtons.forEach(btn => { btn.disabled = !enabled; });
+    }
+
+    /**
+     * Show the running step
+     */
+    updateStatus() {
+        if (!this.statusElement) return;
+
+        const t = (key) => {
+            return typeof window.t === 'function' ? window.t(key) : key;
+        };
+
+        const move = positionMonitor.getMove();
+        const step = move && move.source === 'step-jog' ? Object.entries(move.axes)[0] : null;
+
+        this.statusElement.textContent = step
+            ? `${t('stepJogMoving')} ${step[0].toUpperCase()} → ${step[1].target} mm`
+            : t('stepJogReady');
+        this.statusElement.parentElement?.classList.toggle('active', Boolean(step));
+    }
+}
+
+// Export singleton instance
+const stepJog = new StepJog();
+
+// For debugging in browser console
+if (typeof window !== 'undefined') {
+    window.__stepJog = stepJog;
+}
+
+export default stepJog;
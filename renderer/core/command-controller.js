@@ -0,0 +1,241 @@
+/**
+ * Command Controller
+ * Owns the command channel (TX int-9) and the lifecycle of the command in it:
+ *
+ *   idle -> pending -> acknowledged -> completed -> idle   (latched: buttons, switches)
+ *   idle -> pending -> acknowledged -> ... -> idle         (momentary: jogs, until released)
+ *   pending -> timed-out -> idle                           (no acknowledgment, see command-timeout.js)
+ *
+ * Only one control (the owner) holds the channel at a time. A request from
+ * another control is rejected while a command is in progress, except stop
+ * commands, which always take the channel. Commands blocked by an active
+ * interlock (interlocks.js) are rejected as well. Controls never write
+ * currentCommand, acknowledgedCommand or waitingForAcknowledgment themselves;
+ * they request, release and listen to COMMAND_STATE_CHANGED.
+ */
+
+import stateManager from './state-manager.js';
+import eventBus, { Events } from './event-bus.js';
+import logger from './logger.js';
+import interlocks from './interlocks.js';
+import { CommandCategory, getCommand, getCommandName, isMomentary } from './command-registry.js';
+
+export const CommandState = {
+    IDLE: 'idle',
+    PENDING: 'pending',             // Set, waiting for the PLC to echo it
+    ACKNOWLEDGED: 'acknowledged',   // Echoed in RX int-9
+    COMPLETED: 'completed',         // Latched command acknowledged and cleared
+    TIMED_OUT: 'timed-out',         // Latched command given up without acknowledgment
+    REJECTED: 'rejected'            // Request refused (reported with COMMAND_REJECTED, the state stays)
+};
+
+class CommandController {
+    constructor() {
+        this.state = CommandState.IDLE;
+        this.commandId = 0;
+        this.owner = null;
+        this.resendTimer = null;
+    }
+
+    /**
+     * Get the command in the channel
+     * @returns {number} Command id (0 when idle)
+     */
+    getCommand() {
+        return this.commandId;
+    }
+
+    /**
+     * Get the control that owns the channel
+     * @returns {string|null} Owner, or null when idle
+     */
+    getOwner() {
+        return this.owner;
+    }
+
+    /**
+     * Whether a control may set a command now
+     * @param {string} source - Requesting control
+     * @param {number} [commandId] - Command it wants to set (stop commands are always allowed)
+     * @returns {boolean}
+     */
+    isAvailableTo(source, commandId = 0) {
+        if (this.owner === null || this.owner === source) return true;
+
+        const definition = getCommand(commandId);
+        return Boolean(definition && definition.category === CommandCategory.STOP);
+    }
+
+    /**
+     * Whether motion commands are allowed: connected and receiving fresh frames
+     * Jogs and position moves check this; stops are always allowed.
+     * @returns {boolean}
+     */
+    isMotionAllowed() {
+        return Boolean(stateManager.get('isConnected')) && stateManager.get('linkHealth') === 'ok';
+    }
+
+    /**
+     * Put a command in the channel
+     * The same owner may replace its own command (e.g. the joystick changing direction).
+     * @param {number} commandId - Command id (not 0, use release())
+     * @param {string} source - Requesting control ('button', 'driver-switch', 'joystick', ...)
+     * @returns {boolean} True if the command was set, false if rejected
+     */
+    request(commandId, source) {
+        const commandName = getCommandName(commandId);
+
+        if (!stateManager.get('isConnected')) {
+            this.reject(commandId, source, 'not connected');
+            return false;
+        }
+
+        const interlock = interlocks.getBlockingRule(commandId);
+        if (interlock) {
+            this.reject(commandId, source, `interlock - ${interlocks.getReason(interlock)}`);
+            return false;
+        }
+
+        if (!this.isAvailableTo(source, commandId)) {
+            this.reject(commandId, source, `${getCommandName(this.commandId)} from ${this.owner} is in progress`);
+            return false;
+        }
+
+        if (this.owner !== null && this.owner !== source) {
+            logger.warning(`${commandName} takes over the command channel from ${this.owner}`);
+        }
+
+        this.cancelResend();
+        this.commandId = commandId;
+        this.owner = source;
+
+        stateManager.update({
+            currentCommand: commandId,
+            acknowledgedCommand: 0,
+            waitingForAcknowledgment: !isMomentary(commandId),
+            commandOwner: source
+        });
+        this.transition(CommandState.PENDING);
+
+        eventBus.emit(Events.COMMAND_SET, { commandId, commandName, source });
+        return true;
+    }
+
+    /**
+     * Give the channel back (momentary controls on release)
+     * Ignored unless the source owns the channel, so a control resetting itself
+     * never clears another control's command.
+     * @param {string} source - Releasing control
+     * @returns {boolean} True if the channel was released
+     */
+    release(source) {
+        if (this.owner !== source) return false;
+
+        this.clearChannel();
+        return true;
+    }
+
+    /**
+     * Handle the PLC echo of the command (RX int-9 equals the command)
+     * @param {number} commandId - Acknowledged command id
+     * @returns {boolean} True on the first acknowledgment, false for repeats and stale echoes
+     */
+    acknowledge(commandId) {
+        if (commandId === 0 || commandId !== this.commandId || this.state !== CommandState.PENDING) {
+            return false;
+        }
+
+        stateManager.set('acknowledgedCommand', commandId);
+        this.transition(CommandState.ACKNOWLEDGED);
+        eventBus.emit(Events.COMMAND_ACKNOWLEDGED, { command: commandId, source: this.owner });
+
+        // Latched commands are done once the PLC has seen them
+        if (!isMomentary(commandId)) {
+            this.transition(CommandState.COMPLETED);
+            this.clearChannel();
+        }
+        return true;
+    }
+
+    /**
+     * Resend the pending command: 0 for a while, then the command again,
+     * so the PLC sees it as a new command
+     * @param {number} gapMs - Time the channel stays 0
+     */
+    resend(gapMs) {
+        if (this.state !== CommandState.PENDING) return;
+
+        const commandId = this.commandId;
+        this.cancelResend();
+        stateManager.set('currentCommand', 0);
+
+        this.resendTimer = setTimeout(() => {
+            this.resendTimer = null;
+            if (this.state === CommandState.PENDING && this.commandId === commandId) {
+                stateManager.set('currentCommand', commandId);
+            }
+        }, gapMs);
+    }
+
+    /**
+     * Give up on the pending command (no acknowledgment after the last attempt)
+     */
+    timeOut() {
+        if (this.state !== CommandState.PENDING) return;
+
+        this.transition(CommandState.TIMED_OUT);
+        this.clearChannel();
+    }
+
+    reject(commandId, source, reason) {
+        logger.error(`${getCommandName(commandId)} rejected: ${reason}`);
+        eventBus.emit(Events.COMMAND_REJECTED, { commandId, source, reason });
+        eventBus.emit(Events.COMMAND_STATE_CHANGED, {
+            state: CommandState.REJECTED,
+            previous: this.state,
+            commandId,
+            source
+        });
+    }
+
+    clearChannel() {
+        const { commandId, owner } = this;
+
+        this.cancelResend();
+        this.commandId = 0;
+        this.owner = null;
+
+        stateManager.update({
+            currentCommand: 0,
+            acknowledgedCommand: 0,
+            waitingForAcknowledgment: false,
+            commandOwner: null
+        });
+        this.transition(CommandState.IDLE, { commandId, source: owner });
+
+        eventBus.emit(Events.COMMAND_CLEARED, { commandId, source: owner });
+    }
+
+    cancelResend() {
+        clearTimeout(this.resendTimer);
+        this.resendTimer = null;
+    }
+
+    transition(state, { commandId = this.commandId, source = this.owner } = {}) {
+        const previous = this.state;
+        this.state = state;
+        stateManager.set('commandState', state);
+
+        eventBus.emit(Events.COMMAND_STATE_CHANGED, { state, previous, commandId, source });
+    }
+}
+
+// Export singleton instance
+const commandController = new CommandController();
+
+// For debugging in browser console
+if (typeof window !== 'undefined') {
+    window.__commandController = commandController;
+}
+
+export default commandController;
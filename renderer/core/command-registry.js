@@ -0,0 +1,211 @@
+/**
+ * Command Registry
+ * Single definition of the PLC control commands (TX int-9). The command
+ * buttons are generated from it, and the acknowledgment logic, logs and
+ * translations look commands up here - adding a PLC command means adding
+ * one entry below (plus its name in locales.js under "commands").
+ */
+
+// What a command does (used for grouping and by the acknowledgment logic)
+export const CommandCategory = {
+    SYSTEM: 'system',       // Experiment and fault handling
+    POWER: 'power',         // Driver power and servo module switches
+    JOG: 'jog',             // Axis jogs (joystick, Z slider)
+    POSITION: 'position',   // Moves to the target position and special functions
+    STOP: 'stop'            // Axis stops and emergency stop
+};
+
+// How the command is held in int-9
+export const AckMode = {
+    LATCHED: 'latched',     // Held until the PLC acknowledges it, then cleared (buttons, switches)
+    MOMENTARY: 'momentary'  // Held while the operator holds the control; the acknowledgment does not clear it (jogs)
+};
+
+// Effect of the command on the rig
+export const DangerLevel = {
+    SAFE: 'safe',           // Stops or de-energizes
+    CAUTION: 'caution',     // Energizes or changes the rig state without moving it
+    DANGER: 'danger'        // Moves axes or loads the rig
+};
+
+// Command button groups in the Commands tab (containers with data-command-panel)
+export const CommandPanel = {
+    SYSTEM: 'system',
+    POSITION: 'position',
+    STOPS: 'stops'
+};
+
+// Acknowledgment timeout of latched commands unless the definition sets ackTimeoutMs
+export const DEFAULT_ACK_TIMEOUT_MS = 2000;
+
+// Retries after a timeout unless the definition sets ackRetries: repeating a
+// stop or power-off is harmless, repeating a move or power-on is left to the operator
+const DEFAULT_ACK_RETRIES = {
+    [DangerLevel.SAFE]: 2,
+    [DangerLevel.CAUTION]: 0,
+    [DangerLevel.DANGER]: 0
+};
+
+const { SYSTEM, POWER, JOG, POSITION, STOP } = CommandCategory;
+const { LATCHED, MOMENTARY } = AckMode;
+const { SAFE, CAUTION, DANGER } = DangerLevel;
+
+/**
+ * Command definitions in button order
+ * id        - Value sent in TX int-9 (and echoed in RX int-9 as acknowledgment)
+ * key       - Constant name (COMMANDS.<key>)
+ * category  - CommandCategory
+ * ack       - AckMode
+ * danger    - DangerLevel
+ * i18nKey   - Translation key of the command name
+ * name      - English name (fallback without translations)
+ * panel     - Optional { group: CommandPanel, className } for a generated button
+ * ackTimeoutMs - Optional acknowledgment timeout (latched commands, default DEFAULT_ACK_TIMEOUT_MS)
+ * ackRetries   - Optional number of resends after a timeout (default by danger level)
+ * components   - Optional ids of the single-axis commands a combined command runs together
+ *                (diagonal jogs); interlocks of a component also block the combined command
+ */
+const COMMAND_DEFINITIONS = [
+    { id: 1, key: 'START_EXPERIMENT', category: SYSTEM, ack: LATCHED, danger: DANGER, i18nKey: 'commands.startExperiment', name: 'Start Experiment', panel: { group: CommandPanel.SYSTEM, className: 'btn-start' } },
+    { id: 2, key: 'STOP_EXPERIMENT', category: SYSTEM, ack: LATCHED, danger: SAFE, i18nKey: 'commands.stopExperiment', name: 'Stop Experiment', panel: { group: CommandPanel.SYSTEM, className: 'btn-stop' } },
+    { id: 30, key: 'CLEAR_FAULTS', category: SYSTEM, ack: LATCHED, danger: CAUTION, i18nKey: 'commands.clearFaults', name: 'Clear Faults', panel: { group: CommandPanel.SYSTEM } },
+
+    { id: 3, key: 'DRIVER_POWER_ON', category: POWER, ack: LATCHED, danger: CAUTION, i18nKey: 'commands.driverPowerOn', name: 'Driver Power ON' },
+    { id: 4, key: 'DRIVER_POWER_OFF', category: POWER, ack: LATCHED, danger: SAFE, i18nKey: 'commands.driverPowerOff', name: 'Driver Power OFF' },
+    { id: 5, key: 'SERVO_ON', category: POWER, ack: LATCHED, danger: CAUTION, i18nKey: 'commands.servoOn', name: 'Servo Module ON' },
+    { id: 6, key: 'SERVO_OFF', category: POWER, ack: LATCHED, danger: SAFE, i18nKey: 'commands.servoOff', name: 'Servo Module OFF' },
+
+    { id: 7, key: 'X_PLUS', category: JOG, ack: MOMENTARY, danger: DANGER, i18nKey: 'commands.xPlus', name: 'X+' },
+    { id: 8, key: 'X_MINUS', category: JOG, ack: MOMENTARY, danger: DANGER, i18nKey: 'commands.xMinus', name: 'X-' },
+    { id: 9, key: 'Y_PLUS', category: JOG, ack: MOMENTARY, danger: DANGER, i18nKey: 'commands.yPlus', name: 'Y+' },
+    { id: 10, key: 'Y_MINUS', category: JOG, ack: MOMENTARY, danger: DANGER, i18nKey: 'commands.yMinus', name: 'Y-' },
+    { id: 11, key: 'Z_PLUS', category: JOG, ack: MOMENTARY, danger: DANGER, i18nKey: 'commands.zPlus', name: 'Z+' },
+    { id: 12, key: 'Z_MINUS', category: JOG, ack: MOMENTARY, danger: DANGER, i18nKey: 'commands.zMinus', name: 'Z-' },
+    { id: 24, key: 'X_PLUS_Y_PLUS', category: JOG, ack: MOMENTARY, danger: DANGER, i18nKey: 'commands.xPlusYPlus', name: 'X+ Y+', components: [7, 9] },
+    { id: 25, key: 'X_PLUS_Y_MINUS', category: JOG, ack: MOMENTARY, danger: DANGER, i18nKey: 'commands.xPlusYMinus', name: 'X+ Y-', components: [7, 10] },
+    { id: 26, key: 'X_MINUS_Y_PLUS', category: JOG, ack: MOMENTARY, danger: DANGER, i18nKey: 'commands.xMinusYPlus', name: 'X- Y+', components: [8, 9] },
+    { id: 27, key: 'X_MINUS_Y_MINUS', category: JOG, ack: MOMENTARY, danger: DANGER, i18nKey: 'commands.xMinusYMinus', name: 'X- Y-', components: [8, 10] },
+
+    { id: 13, key: 'X_POSITION_MOVE', category: POSITION, ack: LATCHED, danger: DANGER, i18nKey: 'commands.xPositionMove', name: 'X Position Move' },
+    { id: 15, key: 'Y_POSITION_MOVE', category: POSITION, ack: LATCHED, danger: DANGER, i18nKey: 'commands.yPositionMove', name: 'Y Position Move' },
+    { id: 17, key: 'Z_POSITION_MOVE', category: POSITION, ack: LATCHED, danger: DANGER, i18nKey: 'commands.zPositionMove', name: 'Z Position Move' },
+    { id: 20, key: 'XY_POSITION_MOVE', category: POSITION, ack: LATCHED, danger: DANGER, i18nKey: 'commands.xyPositionMove', name: 'XY Position Move' },
+    { id: 21, key: 'PRECISION_ALIGN', category: POSITION, ack: LATCHED, danger: DANGER, i18nKey: 'commands.precisionAlign', name: 'Precision Align', panel: { group: CommandPanel.POSITION }, ackTimeoutMs: 5000 },
+    { id: 22, key: 'TENSION_SETTING', category: POSITION, ack: LATCHED, danger: CAUTION, i18nKey: 'commands.tensionSetting', name: 'Tension Setting', panel: { group: CommandPanel.POSITION } },
+
+    { id: 14, key: 'STOP_X', category: STOP, ack: LATCHED, danger: SAFE, i18nKey: 'commands.stopX', name: 'Stop X-Axis', panel: { group: CommandPanel.STOPS } },
+    { id: 16, key: 'STOP_Y', category: STOP, ack: LATCHED, danger: SAFE, i18nKey: 'commands.stopY', name: 'Stop Y-Axis', panel: { group: CommandPanel.STOPS } },
+    { id: 18, key: 'STOP_Z', category: STOP, ack: LATCHED, danger: SAFE, i18nKey: 'commands.stopZ', name: 'Stop Z-Axis', panel: { group: CommandPanel.STOPS } },
+    { id: 19, key: 'STOP_XYZ', category: STOP, ack: LATCHED, danger: SAFE, i18nKey: 'commands.stopXYZ', name: 'STOP XYZ', panel: { group: CommandPanel.STOPS, className: 'btn-emergency' } },
+    { id: 23, key: 'EMERGENCY_STOP', category: STOP, ack: LATCHED, danger: SAFE, i18nKey: 'commands.emergencyStop', name: 'Emergency Stop + Clear Pulse', panel: { group: CommandPanel.STOPS, className: 'btn-emergency' } }
+];
+
+const COMMANDS_BY_ID = new Map(COMMAND_DEFINITIONS.map(definition => [definition.id, Object.freeze(definition)]));
+
+/**
+ * Command ids by key, e.g. COMMANDS.X_PLUS === 7
+ */
+export const COMMANDS = Object.freeze(Object.fromEntries(COMMAND_DEFINITIONS.map(definition => [definition.key, definition.id])));
+
+/**
+ * Get the definition of a command
+ * @param {number} id - Command id
+ * @returns {Object|null} Definition, or null for 0 and unknown ids
+ */
+export function getCommand(id) {
+    return COMMANDS_BY_ID.get(id) || null;
+}
+
+/**
+ * Get all command definitions
+ * @returns {Object[]} Definitions in button order
+ */
+export function getAllCommands() {
+    return [...COMMANDS_BY_ID.values()];
+}
+
+/**
+ * Get the commands shown as buttons in one panel group
+ * @param {string} group - CommandPanel value
+ * @returns {Object[]} Definitions in button order
+ */
+export function getPanelCommands(group) {
+    return getAllCommands().filter(definition => definition.panel && definition.panel.group === group);
+}
+
+/**
+ * Get the acknowledgment timeout and retries of a latched command
+ * @param {number} id - Command id
+ * @returns {Object} { timeoutMs, retries }
+ */
+export function getAckPolicy(id) {
+    const definition = getCommand(id);
+    if (!definition) {
+        return { timeoutMs: DEFAULT_ACK_TIMEOUT_MS, retries: 0 };
+    }
+
+    return {
+        timeoutMs: definition.ackTimeoutMs ?? DEFAULT_ACK_TIMEOUT_MS,
+        retries: definition.ackRetries ?? DEFAULT_ACK_RETRIES[definition.danger]
+    };
+}
+
+/**
+ * Get the single-axis commands of a combined command
+ * @param {number} id - Command id
+ * @returns {number[]} Component command ids (empty for single commands)
+ */
+export function getCommandComponents(id) {
+    const definition = getCommand(id);
+    return definition && definition.components ? definition.components : [];
+}
+
+/**
+ * Get the display name of a command in the current language
+ * @param {number} id - Command id
+ * @returns {string} Name ('None' for 0, 'Command N' for unknown ids)
+ */
+export function getCommandName(id) {
+    const translate = (key, fallback) => {
+        if (typeof window !== 'undefined' && window.t) {
+            const translated = window.t(key);
+            if (translated && translated !== key) return translated;
+        }
+        return fallback;
+    };
+
+    if (id === 0) {
+        return translate('cmdNone', 'None');
+    }
+
+    const definition = getCommand(id);
+    return definition ? translate(definition.i18nKey, definition.name) : `Command ${id}`;
+}
+
+/**
+ * Whether the operator holds the command (jogs) rather than the PLC acknowledgment ending it
+ * @param {number} id - Command id
+ * @returns {boolean}
+ */
+export function isMomentary(id) {
+    const definition = getCommand(id);
+    return Boolean(definition && definition.ack === AckMode.MOMENTARY);
+}
+
+const commandRegistry = {
+    COMMANDS,
+    getCommand,
+    getAllCommands,
+    getPanelCommands,
+    getAckPolicy,
+    getCommandComponents,
+    getCommandName,
+    isMomentary
+};
+
+// For debugging in browser console
+if (typeof window !== 'undefined') {
+    window.__commandRegistry = commandRegistry;
+}
+
+export default commandRegistry;
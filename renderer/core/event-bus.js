@@ -158,6 +158,7 @@ export const Events = {
     // Connection events
     CONNECTION_STATUS: 'connection:status',
     CONNECTION_ERROR: 'connection:error',
+    LINK_HEALTH_CHANGED: 'connection:link-health',
     PROTOCOL_CHANGED: 'protocol:changed',
 
     // Data events
@@ -167,11 +168,18 @@ export const Events = {
     BOOLEANS_UPDATED: 'data:booleans-updated',
     INTEGERS_UPDATED: 'data:integers-updated',
     DEBUG_DATA_UPDATED: 'data:debug-updated',
+    LATENCY_TEST_UPDATED: 'data:latency-test-updated',
 
     // Command events
     COMMAND_SET: 'command:set',
     COMMAND_ACKNOWLEDGED: 'command:acknowledged',
+    COMMAND_PARTIAL_ACK: 'command:partial-ack',
+    COMMAND_RETRY: 'command:retry',
+    COMMAND_TIMEOUT: 'command:timeout',
     COMMAND_CLEARED: 'command:cleared',
+    COMMAND_REJECTED: 'command:rejected',
+    COMMAND_STATE_CHANGED: 'command:state-changed',
+    INTERLOCKS_CHANGED: 'command:interlocks-changed',
 
     // UI events
     TAB_CHANGED: 'ui:tab-changed',
@@ -182,6 +190,7 @@ export const Events = {
     AUTO_SEND_STARTED: 'autosend:started',
     AUTO_SEND_STOPPED: 'autosend:stopped',
     AUTO_SEND_INTERVAL_CHANGED: 'autosend:interval-changed',
+    AUTO_SEND_STATS: 'autosend:stats',
 
     // Control events
     JOYSTICK_ACTIVE: 'control:joystick-active',
@@ -189,6 +198,11 @@ export const Events = {
     SLIDER_ACTIVE: 'control:slider-active',
     SLIDER_RELEASED: 'control:slider-released',
 
+    // Position events
+    POSITIONS_UPDATED: 'position:updated',
+    POSITION_MOVE_STARTED: 'position:move-started',
+    POSITION_MOVE_ENDED: 'position:move-ended',
+
     // Settings events
     SETTINGS_LOADED: 'settings:loaded',
     SETTINGS_SAVED: 'settings:saved'
@@ -0,0 +1,117 @@
+/**
+ * Interlock Rules
+ * Conditions on the received status bits that block commands. A rule is
+ * active while any of its conditions matches the latest RX frame; while
+ * active, its commands are rejected by the command controller and marked on
+ * the buttons, joystick and slider. Edit this table to change the interlocks
+ * (reasons go in locales.js under "interlockRules").
+ */
+
+import { COMMANDS } from './command-registry.js';
+
+const {
+    START_EXPERIMENT,
+    X_PLUS, X_MINUS, Y_PLUS, Y_MINUS, Z_PLUS, Z_MINUS,
+    X_POSITION_MOVE, Y_POSITION_MOVE, Z_POSITION_MOVE, XY_POSITION_MOVE,
+    PRECISION_ALIGN, TENSION_SETTING
+} = COMMANDS;
+
+const MOTION_COMMANDS = [
+    START_EXPERIMENT,
+    X_PLUS, X_MINUS, Y_PLUS, Y_MINUS, Z_PLUS, Z_MINUS,
+    X_POSITION_MOVE, Y_POSITION_MOVE, Z_POSITION_MOVE, XY_POSITION_MOVE,
+    PRECISION_ALIGN, TENSION_SETTING
+];
+
+/**
+ * Rule definitions
+ * id          - Unique rule id (also the translation key under interlockRules)
+ * commands    - Command ids the rule blocks
+ * when        - Conditions { field, is }: RX bool field name (frame-layout.json) and the
+ *               value that blocks; the rule is active if any condition matches
+ * reason      - English reason (fallback without translations)
+ * overridable - Whether the operator may override it (with a logged confirmation)
+ */
+export const INTERLOCK_RULES = [
+    {
+        id: 'emergencyStop',
+        commands: MOTION_COMMANDS,
+        when: [{ field: 'emergencyStop', is: true }],
+        reason: 'Emergency stop is active',
+        overridable: false
+    },
+    {
+        id: 'xPlusHardLimit',
+        commands: [X_PLUS],
+        when: [{ field: 'xPlusHardLimit', is: true }],
+        reason: 'X+ hard limit reached',
+        overridable: false
+    },
+    {
+        id: 'xMinusHardLimit',
+        commands: [X_MINUS],
+        when: [{ field: 'xMinusHardLimit', is: true }],
+        reason: 'X- hard limit reached',
+        overridable: false
+    },
+    {
+        id: 'yPlusHardLimit',
+        commands: [Y_PLUS],
+        when: [{ field: 'yPlusHardLimit', is: true }],
+        reason: 'Y+ hard limit reached',
+        overridable: false
+    },
+    {
+        id: 'yMinusHardLimit',
+        commands: [Y_MINUS],
+        when: [{ field: 'yMinusHardLimit', is: true }],
+        reason: 'Y- hard limit reached',
+        overridable: false
+    },
+    {
+        id: 'xPlusSoftLimit',
+        commands: [X_PLUS],
+        when: [{ field: 'xPlusSoftLimit', is: true }],
+        reason: 'X+ soft limit reached',
+        overridable: true
+    },
+    {
+        id: 'xMinusSoftLimit',
+        commands: [X_MINUS],
+        when: [{ field: 'xMinusSoftLimit', is: true }],
+        reason: 'X- soft limit reached',
+        overridable: true
+    },
+    {
+        id: 'servosOff',
+        commands: [START_EXPERIMENT, XY_POSITION_MOVE, PRECISION_ALIGN, TENSION_SETTING],
+        when: [
+            { field: 'xServoActive', is: false },
+            { field: 'yServoActive', is: false },
+            { field: 'zServoActive', is: false }
+        ],
+        reason: 'Not all servos are active',
+        overridable: true
+    },
+    {
+        id: 'xServoOff',
+        commands: [X_PLUS, X_MINUS, X_POSITION_MOVE],
+        when: [{ field: 'xServoActive', is: false }],
+        reason: 'X servo is not active',
+        overridable: true
+    },
+    {
+        id: 'yServoOff',
+        commands: [Y_PLUS, Y_MINUS, Y_POSITION_MOVE],
+        when: [{ field: 'yServoActive', is: false }],
+        reason: 'Y servo is not active',
+        overridable: true
+    },
+    {
+        id: 'zServoOff',
+        commands: [Z_PLUS, Z_MINUS, Z_POSITION_MOVE],
+        when: [{ field: 'zServoActive', is: false }],
+        reason: 'Z servo is not active',
+        overridable: true
+    }
+];
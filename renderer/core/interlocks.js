@@ -0,0 +1,170 @@
+/**
+ * Interlocks
+ * Evaluates the interlock rules (interlock-rules.js) against every received
+ * frame and tells the command controller which commands are blocked. An
+ * overridable rule can be overridden by the operator after a confirmation;
+ * the override is logged and lasts until the rule's condition clears or the
+ * connection drops.
+ */
+
+import stateManager from './state-manager.js';
+import eventBus, { Events } from './event-bus.js';
+import logger from './logger.js';
+import { getCommandComponents } from './command-registry.js';
+import { INTERLOCK_RULES } from './interlock-rules.js';
+
+class Interlocks {
+    constructor() {
+        this.rules = INTERLOCK_RULES;
+        this.activeIds = new Set();
+        this.overriddenIds = new Set();
+    }
+
+    /**
+     * Initialize the interlocks (overrides end with the connection)
+     */
+    init() {
+        stateManager.subscribe('isConnected', (connected) => {
+            if (!connected && this.overriddenIds.size > 0) {
+                this.overriddenIds.clear();
+                logger.info('Interlock overrides cleared (disconnected)');
+                this.emitChange();
+            }
+        });
+    }
+
+    /**
+     * Evaluate the rules against a received frame
+     * Fields missing from the RX layout never match.
+     * @param {Object} bools - RX bool values by field name
+     */
+    evaluate(bools) {
+        const activeIds = new Set(this.rules
+            .filter(rule => rule.when.some(condition => condition.field in bools && bools[condition.field] === condition.is))
+            .map(rule => rule.id));
+
+        const raised = [...activeIds].filter(id => !this.activeIds.has(id));
+        const cleared = [...this.activeIds].filter(id => !activeIds.has(id));
+        if (raised.length === 0 && cleared.length === 0) return;
+
+        this.activeIds = activeIds;
+
+        raised.forEach(id => logger.warning(`Interlock active: ${this.getReason(this.getRule(id))}`));
+        cleared.forEach(id => {
+            logger.info(`Interlock cleared: ${this.getReason(this.getRule(id))}`);
+
+            // An override only covers the occurrence it was given for
+            this.overriddenIds.delete(id);
+        });
+
+        this.emitChange();
+    }
+
+    /**
+     * Get the active, not overridden rule that blocks a command
+     * @param {number} commandId - Command id
+     * @returns {Object|null} Rule, or null if the command is allowed
+     */
+    getBlockingRule(commandId) {
+        return this.rules.find(rule =>
+            this.activeIds.has(rule.id) && !this.overriddenIds.has(rule.id) && this.appliesTo(rule, commandId)
+        ) || null;
+    }
+
+    /**
+     * Get the overridden rules that would otherwise block a command
+     * @param {number} commandId - Command id
+     * @returns {Object[]} Rules
+     */
+    getOverriddenRules(commandId) {
+        return this.rules.filter(rule => this.overriddenIds.has(rule.id) && this.appliesTo(rule, commandId));
+    }
+
+    /**
+     * Whether a rule covers a command: listed itself, or one of its components
+     * (a diagonal jog is blocked by the limits of both axes)
+     * @param {Object} rule - Rule
+     * @param {number} commandId - Command id
+     * @returns {boolean}
+     */
+    appliesTo(rule, commandId) {
+        return rule.commands.includes(commandId) ||
+            getCommandComponents(commandId).some(component => rule.commands.includes(component));
+    }
+
+    /**
+     * Get the active rules
+     * @returns {Object[]} { rule, reason, overridden } in rule order
+     */
+    getActiveRules() {
+        return this.rules
+            .filter(rule => this.activeIds.has(rule.id))
+            .map(rule => ({ rule, reason: this.getReason(rule), overridden: this.overriddenIds.has(rule.id) }));
+    }
+
+    /**
+     * Override an active rule after the operator confirmed it
+     * @param {string} ruleId - Rule id
+     * @returns {boolean} True if the rule is now overridden
+     */
+    override(ruleId) {
+        const rule = this.getRule(ruleId);
+        if (!rule || !this.activeIds.has(ruleId) || this.overriddenIds.has(ruleId)) return false;
+
+        const reason = this.getReason(rule);
+        if (!rule.overridable) {
+            logger.error(`Interlock cannot be overridden: ${reason}`);
+            return false;
+        }
+
+        if (!window.confirm(`${translate('interlockConfirm', 'Override this interlock? The blocked commands will be sent to the PLC.')}\n\n${reason}`)) {
+            logger.info(`Interlock override cancelled: ${reason}`);
+            return false;
+        }
+
+        this.overriddenIds.add(ruleId);
+        logger.warning(`Interlock overridden by operator: ${reason}`);
+        this.emitChange();
+        return true;
+    }
+
+    /**
+     * Get a rule by id
+     * @param {string} ruleId - Rule id
+     * @returns {Object|undefined}
+     */
+    getRule(ruleId) {
+        return this.rules.find(rule => rule.id === ruleId);
+    }
+
+    /**
+     * Get the reason of a rule in the current language
+     * @param {Object} rule - Rule
+     * @returns {string}
+     */
+    getReason(rule) {
+        return translate(`interlockRules.${rule.id}`, rule.reason);
+    }
+
+    emitChange() {
+        eventBus.emit(Events.INTERLOCKS_CHANGED, { active: this.getActiveRules() });
+    }
+}
+
+function translate(key, fallback) {
+    if (typeof window !== 'undefined' && window.t) {
+        const translated = window.t(key);
+        if (translated && translated !== key) return translated;
+    }
+    return fallback;
+}
+
+// Export singleton instance
+const interlocks = new Interlocks();
+
+// For debugging in browser console
+if (typeof window !== 'undefined') {
+    window.__interlocks = interlocks;
+}
+
+export default interlocks;
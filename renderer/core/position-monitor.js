@@ -0,0 +1,216 @@
+/**
+ * Position Monitor
+ * Keeps the axis positions and Pos Complete bits of the latest received frame
+ * and follows one position move at a time (step jog, position panel) from
+ * its acknowledgment until the PLC reports Pos Complete for every moved axis
+ * at its target. A move ends early when another command is sent (e.g. a
+ * stop), the link goes stale, its command is rejected or times out, or after
+ * its optional timeout.
+ */
+
+import stateManager from './state-manager.js';
+import eventBus, { Events } from './event-bus.js';
+import logger from './logger.js';
+import commandController, { CommandState } from './command-controller.js';
+import { COMMANDS, getCommandName } from './command-registry.js';
+import frameLayout from '../data/frame-layout.js';
+
+// Layout fields and commands of each axis; the jog commands carry the direction for the interlocks
+export const POSITION_AXES = {
+    x: { target: 'targetX', position: 'currentX', complete: 'xPosComplete', move: COMMANDS.X_POSITION_MOVE, jogs: { 1: COMMANDS.X_PLUS, '-1': COMMANDS.X_MINUS } },
+    y: { target: 'targetY', position: 'currentY', complete: 'yPosComplete', move: COMMANDS.Y_POSITION_MOVE, jogs: { 1: COMMANDS.Y_PLUS, '-1': COMMANDS.Y_MINUS } },
+    z: { target: 'targetZ', position: 'currentZ', complete: 'zPosComplete', move: COMMANDS.Z_POSITION_MOVE, jogs: { 1: COMMANDS.Z_PLUS, '-1': COMMANDS.Z_MINUS } }
+};
+
+// Distance from the target at which a set Pos Complete bit belongs to the move
+const POSITION_TOLERANCE_MM = 0.05;
+
+class PositionMonitor {
+    constructor() {
+        this.rx = null;   // { ints, bools } of the latest frame by field name
+        this.move = null; // { command, source, acknowledged, axes: { x: { start, target, seenMoving, complete } } }
+        this.moveTimer = null;
+    }
+
+    /**
+     * Initialize the position monitor
+     */
+    init() {
+        eventBus.on(Events.DATA_RECEIVED, ({ data }) => this.handleFrame(data));
+        eventBus.on(Events.COMMAND_STATE_CHANGED, (change) => this.handleCommandState(change));
+
+        // Any other command (a stop, a jog, another move) ends the wait
+        eventBus.on(Events.COMMAND_SET, ({ commandId, source }) => {
+            if (this.move && (commandId !== this.move.command || source !== this.move.source)) {
+                this.end(`interrupted by ${getCommandName(commandId)}`);
+            }
+        });
+
+        // Without fresh PLC data the Pos Complete bits cannot be followed
+        const handleMotionAllowedChange = () => {
+            if (this.move && !commandController.isMotionAllowed()) {
+                this.end('no fresh PLC data', true);
+            }
+        };
+        stateManager.subscribe('isConnected', handleMotionAllowedChange);
+        stateManager.subscribe('linkHealth', handleMotionAllowedChange);
+    }
+
+    /**
+     * Current position of an axis
+     * @param {string} axis - 'x', 'y' or 'z'
+     * @returns {number|undefined} Position in mm (undefined before the first frame or without the field)
+     */
+    getPosition(axis) {
+        return this.rx ? this.rx.ints[POSITION_AXES[axis].position] : undefined;
+    }
+
+    /**
+     * Whether the PLC reports Pos Complete for an axis
+     * @param {string} axis - 'x', 'y' or 'z'
+     * @returns {boolean}
+     */
+    isComplete(axis) {
+        return Boolean(this.rx && this.rx.bools[POSITION_AXES[axis].complete]);
+    }
+
+    /**
+     * Whether a position move is being followed
+     * @returns {boolean}
+     */
+    isMoving() {
+        return this.move !== null;
+    }
+
+    /**
+     * The followed move
+     * @returns {Object|null} { command, source, acknowledged, axes }
+     */
+    getMove() {
+        return this.move;
+    }
+
+    /**
+     * Progress of an axis of the followed move
+     * @param {string} axis - 'x', 'y' or 'z'
+     * @returns {number|null} 0 to 1, null if the axis is not moving
+     */
+    getProgress(axis) {
+        const state = this.move && this.move.axes[axis];
+        if (!state) return null;
+        if (state.complete) return 1;
+
+        const total = Math.abs(state.target - state.start);
+        const position = this.getPosition(axis);
+        if (total === 0 || position === undefined) return 0;
+        return Math.min(1, Math.max(0, 1 - Math.abs(state.target - position) / total));
+    }
+
+    /**
+     * Follow a position move that was just requested
+     * @param {Object} move - { command, source, targets: { axis: target mm }, timeoutMs (optional, 0 = none) }
+     */
+    track({ command, source, targets, timeoutMs = 0 }) {
+        this.end('replaced by a new move');
+
+        const axes = {};
+        Object.entries(targets).forEach(([axis, target]) => {
+            axes[axis] = { start: this.getPosition(axis), target, seenMoving: false, complete: false };
+        });
+
+        this.move = { command, source, acknowledged: false, axes, timeoutMs };
+        eventBus.emit(Events.POSITION_MOVE_STARTED, { move: this.move });
+    }
+
+    /**
+     * Start waiting for Pos Complete once the PLC acknowledged the move
+     * @param {Object} change - { state, commandId, source }
+     */
+    handleCommandState({ state, commandId, source }) {
+        if (!this.move || commandId !== this.move.command || source !== this.move.source) return;
+
+        if (state === CommandState.ACKNOWLEDGED && !this.move.acknowledged) {
+            this.move.acknowledged = true;
+
+            const { timeoutMs } = this.move;
+            if (timeoutMs > 0) {
+                this.moveTimer = setTimeout(() => {
+                    this.end(`Pos Complete not reported within ${timeoutMs / 1000} s`, true);
+                }, timeoutMs);
+            }
+        } else if (state === CommandState.TIMED_OUT || state === CommandState.REJECTED) {
+            // Logged by the command controller and the acknowledgment timeout
+            this.end();
+        }
+    }
+
+    /**
+     * Keep the latest positions and mark the axes that reached their target
+     * @param {Object} data - Received frame { bools, ints }
+     */
+    handleFrame(data) {
+        const ints = {};
+        const bools = {};
+        frameLayout.getRxIntFields().forEach((field, i) => { ints[field.name] = data.ints[i]; });
+        frameLayout.getRxBoolFields().forEach((field, i) => { bools[field.name] = data.bools[i]; });
+        this.rx = { ints, bools };
+
+        if (this.move && this.move.acknowledged) {
+            Object.entries(this.move.axes).forEach(([axis, state]) => {
+                if (state.complete) return;
+
+                if (!bools[POSITION_AXES[axis].complete]) {
+                    state.seenMoving = true;
+                } else if (state.seenMoving || Math.abs(ints[POSITION_AXES[axis].position] - state.target) < POSITION_TOLERANCE_MM) {
+                    // Right after the acknowledgment the bit may still belong to the previous move
+                    state.complete = true;
+                }
+            });
+
+            if (Object.values(this.move.axes).every(state => state.complete)) {
+                const positions = Object.keys(this.move.axes).map(axis => `${axis.toUpperCase()} ${this.getPosition(axis)}`).join(', ');
+                logger.success(`${getCommandName(this.move.command)} complete: ${positions} mm`);
+                this.end();
+            }
+        }
+
+        eventBus.emit(Events.POSITIONS_UPDATED, { positions: this.rx });
+    }
+
+    /**
+     * Stop following the move
+     * @param {string} [reason] - Logged reason if the move did not complete
+     * @param {boolean} [failed] - Log the reason as an error
+     */
+    end(reason, failed = false) {
+        if (!this.move) return;
+
+        const move = this.move;
+        const completed = Object.values(move.axes).every(state => state.complete);
+
+        if (reason) {
+            const message = `${getCommandName(move.command)} ended: ${reason}`;
+            if (failed) {
+                logger.error(message);
+            } else {
+                logger.warning(message);
+            }
+        }
+
+        clearTimeout(this.moveTimer);
+        this.moveTimer = null;
+        this.move = null;
+
+        eventBus.emit(Events.POSITION_MOVE_ENDED, { move, completed, reason: reason || null });
+    }
+}
+
+// Export singleton instance
+const positionMonitor = new PositionMonitor();
+
+// For debugging in browser console
+if (typeof window !== 'undefined') {
+    window.__positionMonitor = positionMonitor;
+}
+
+export default positionMonitor;
@@ -10,21 +10,28 @@ class StateManager {
         this.state = {
             // Connection state
             isConnected: false,
-            currentProtocol: 'tcp', // 'tcp' or 'udp'
+            isReconnecting: false, // Link dropped, main process is retrying (auto-reconnect)
+            linkHealth: 'lost', // RX watchdog: 'ok', 'degraded' or 'lost' (stale or no data)
+            currentProtocol: 'tcp', // 'tcp', 'udp', 's7' or 'modbus'
 
             // Auto-send state
-            autoSendInterval: null,
+            autoSendActive: false, // Main process is sending cyclically
+            sendTiming: null, // Achieved send timing reported by the main process
             sendLatencyMs: 20, // Default 20ms interval
 
-            // Command state
+            // Command state (written only by the command controller)
             currentCommand: 0,
             waitingForAcknowledgment: false,
             acknowledgedCommand: 0,
+            commandState: 'idle', // CommandState of the command controller
+            commandOwner: null, // Control that owns the command channel ('button', 'joystick', ...)
+            jogSpeed: 0, // Proportional jog speed in % (int-7), 0 = full speed
 
             // Debug mode state
             debugModeEnabled: false,
             lastReceivedDebugInt: null,
             lastSentDebugInt: null,
+            latencyTest: null,
 
             // Joystick control state
             joystickCanvas: null,
@@ -189,15 +196,22 @@ class StateManager {
     reset() {
         this.update({
             isConnected: false,
+            isReconnecting: false,
+            linkHealth: 'lost',
             currentProtocol: 'tcp',
-            autoSendInterval: null,
+            autoSendActive: false,
+            sendTiming: null,
             sendLatencyMs: 20,
             currentCommand: 0,
             waitingForAcknowledgment: false,
             acknowledgedCommand: 0,
+            commandState: 'idle',
+            commandOwner: null,
+            jogSpeed: 0,
             debugModeEnabled: false,
             lastReceivedDebugInt: null,
             lastSentDebugInt: null,
+            latencyTest: null,
             isJoystickActive: false,
             joystickPosition: { x: 0, y: 0 },
             isSliderActive: false
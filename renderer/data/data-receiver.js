@@ -6,7 +6,9 @@
 import stateManager from '../core/state-manager.js';
 import eventBus, { Events } from '../core/event-bus.js';
 import logger from '../core/logger.js';
-import { COMMANDS } from '../controls/joystick-control.js';
+import { getCommandName, getCommandComponents } from '../core/command-registry.js';
+import interlocks from '../core/interlocks.js';
+import frameLayout from './frame-layout.js';
 
 // Boolean labels for display
 const BOOL_LABELS = [
@@ -27,6 +29,7 @@ class DataReceiver {
     constructor() {
         this.electronAPI = null;
         this.acknowledgmentHandler = null;
+        this.partialAckCommand = 0; // Combined jog the PLC echoed only one axis of (warned once)
     }
 
     /**
@@ -56,6 +59,9 @@ class DataReceiver {
         // Update integer display
         this.updateIntegerDisplay(data.ints);
 
+        // Re-evaluate the interlocks before anything reacts to the frame
+        this.evaluateInterlocks(data.bools);
+
         // Handle command acknowledgment
         this.handleCommandAcknowledgment(data.ints);
 
@@ -65,7 +71,7 @@ class DataReceiver {
 
     /**
      * Get boolean label (with translation support)
-     * @param {number} index - Boolean index (0-39)
+     * @param {number} index - Boolean index
      * @returns {string} Translated label
      */
     getBoolLabel(index) {
@@ -79,16 +85,17 @@ class DataReceiver {
             return window.LOCALES[currentLang].boolLabels[index] || BOOL_LABELS[index];
         }
 
-        // Fallback to English
-        return BOOL_LABELS[index];
+        // Fallback to English, then to the layout field name
+        const field = frameLayout.getRxBoolFields()[index];
+        return BOOL_LABELS[index] || (field && field.name) || `Status ${index + 1}`;
     }
 
     /**
      * Update boolean display
-     * @param {boolean[]} bools - Array of 40 booleans
+     * @param {boolean[]} bools - Array of booleans (count from the RX layout)
      */
     updateBooleanDisplay(bools) {
-        if (!bools || bools.length !== 40) return;
+        if (!bools || bools.length !== frameLayout.getRxBoolCount()) return;
 
         bools.forEach((value, index) => {
             const boolItem = document.getElementById(`bool-${index}`);
@@ -123,10 +130,12 @@ class DataReceiver {
 
     /**
      * Update integer display
-     * @param {number[]} ints - Array of 10 integers
+     * @param {number[]} ints - Array of integers (count from the RX layout)
      */
     updateIntegerDisplay(ints) {
-        if (!ints || ints.length !== 10) return;
+        if (!ints || ints.length !== frameLayout.getRxIntCount()) return;
+
+        const intFields = frameLayout.getRxIntFields();
 
         ints.forEach((value, index) => {
             const intItem = document.getElementById(`int-display-${index}`);
@@ -134,7 +143,7 @@ class DataReceiver {
 
             const valueElement = intItem.querySelector('.int-item-value');
             if (valueElement) {
-                valueElement.textContent = value;
+                valueElement.textContent = frameLayout.formatValue(intFields[index], value);
             }
         });
 
@@ -142,43 +151,63 @@ class DataReceiver {
         eventBus.emit(Events.INTEGERS_UPDATED, { ints });
     }
 
+    /**
+     * Evaluate the interlock rules against the received status bits
+     * @param {boolean[]} bools - Array of booleans (count from the RX layout)
+     */
+    evaluateInterlocks(bools) {
+        if (!bools || bools.length !== frameLayout.getRxBoolCount()) return;
+
+        const named = {};
+        frameLayout.getRxBoolFields().forEach((field, index) => {
+            named[field.name] = bools[index];
+        });
+        interlocks.evaluate(named);
+    }
+
     /**
      * Handle PLC command acknowledgment
-     * @param {number[]} ints - Array of 10 integers
+     * @param {number[]} ints - Array of received integers
      */
     handleCommandAcknowledgment(ints) {
-        if (!ints || ints.length !== 10) return;
+        if (!ints || ints.length !== frameLayout.getRxIntCount()) return;
 
         // Handle PLC command acknowledgment (10th int, index 9)
         const plcAcknowledgedCommand = ints[9];
         const currentCmd = stateManager.get('currentCommand');
 
+        // The handler passes it on to the command controller, which ignores repeats
         if (plcAcknowledgedCommand !== 0 && plcAcknowledgedCommand === currentCmd) {
-            // Store acknowledged command
-            stateManager.set('acknowledgedCommand', plcAcknowledgedCommand);
-
-            // Call acknowledgment handler if provided
+            this.partialAckCommand = 0;
             if (this.acknowledgmentHandler) {
                 this.acknowledgmentHandler(plcAcknowledgedCommand);
             }
-
-            // Emit acknowledgment event
-            eventBus.emit(Events.COMMAND_ACKNOWLEDGED, { command: plcAcknowledgedCommand });
+        } else if (plcAcknowledgedCommand !== 0 && getCommandComponents(currentCmd).includes(plcAcknowledgedCommand)) {
+            // A combined jog (diagonal) is only acknowledged by its own id: a PLC
+            // echoing one axis runs that axis alone
+            if (this.partialAckCommand !== currentCmd) {
+                this.partialAckCommand = currentCmd;
+                logger.warning(`PLC acknowledged only ${getCommandName(plcAcknowledgedCommand)} of ${getCommandName(currentCmd)} - combined jogs not supported?`);
+                eventBus.emit(Events.COMMAND_PARTIAL_ACK, { commandId: currentCmd, acknowledgedId: plcAcknowledgedCommand });
+            }
         }
     }
 
     /**
      * Handle debug mode updates
-     * @param {number[]} ints - Array of 10 integers
+     * @param {number[]} ints - Array of received integers
      */
     handleDebugMode(ints) {
-        if (!ints || ints.length !== 10) return;
+        if (!ints || ints.length !== frameLayout.getRxIntCount()) return;
 
         const debugModeEnabled = stateManager.get('debugModeEnabled');
         if (!debugModeEnabled) return;
 
         // Debug mode: capture the 10th received int
+        // The cyclic sender in the main process echoes the latest received value,
+        // so until this frame it has been sending the previous one
         const receivedDebugInt = ints[9];
+        stateManager.set('lastSentDebugInt', stateManager.get('lastReceivedDebugInt'));
         stateManager.set('lastReceivedDebugInt', receivedDebugInt);
 
         // Update debug display values
@@ -207,22 +236,7 @@ class DataReceiver {
      * @returns {string} Command name
      */
     getCommandName(commandId) {
-        const commandNames = {
-            [COMMANDS.X_PLUS]: 'X+',
-            [COMMANDS.X_MINUS]: 'X-',
-            [COMMANDS.Y_PLUS]: 'Y+',
-            [COMMANDS.Y_MINUS]: 'Y-',
-            [COMMANDS.Z_PLUS]: 'Z+',
-            [COMMANDS.Z_MINUS]: 'Z-',
-            1: 'Initialize',
-            2: 'Start',
-            3: 'Driver Power ON',
-            4: 'Driver Power OFF',
-            5: 'Servo Module ON',
-            6: 'Servo Module OFF'
-        };
-
-        return commandNames[commandId] || `Command ${commandId}`;
+        return getCommandName(commandId);
     }
 }
 
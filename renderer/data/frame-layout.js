@@ -0,0 +1,163 @@
+/**
+ * Frame Layout
+ * Holds the TX/RX frame layout (frame-layout.json) loaded from the main process
+ * so displays and send logic size themselves from it instead of fixed counts
+ */
+
+import logger from '../core/logger.js';
+
+// Counts of the original 32/26-byte protocol, used until the layout is loaded
+const DEFAULT_COUNTS = {
+    rxBools: 40,
+    rxInts: 10,
+    txInts: 16
+};
+
+class FrameLayout {
+    constructor() {
+        this.layout = null;
+    }
+
+    /**
+     * Load the layout from the main process
+     * @param {Object} electronAPI - The Electron API from preload
+     * @returns {Promise<void>}
+     */
+    async init(electronAPI) {
+        try {
+            this.layout = await electronAPI.getFrameLayout();
+        } catch (error) {
+            logger.error(`Failed to load frame layout: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the fields of a layout section
+     * @param {string} direction - 'tx' or 'rx'
+     * @param {boolean} bool - True for BOOL fields, false for numeric fields
+     * @returns {Object[]} Fields in layout order (empty if not loaded)
+     */
+    getFields(direction, bool) {
+        if (!this.layout || !this.layout[direction]) {
+            return [];
+        }
+        return this.layout[direction].fields.filter(field => (field.type === 'BOOL') === bool);
+    }
+
+    /**
+     * Get received BOOL fields
+     * @returns {Object[]} Fields with name, offset, bit
+     */
+    getRxBoolFields() {
+        return this.getFields('rx', true);
+    }
+
+    /**
+     * Get received numeric fields
+     * @returns {Object[]} Fields with name, offset, type, unit
+     */
+    getRxIntFields() {
+        return this.getFields('rx', false);
+    }
+
+    /**
+     * Get sent numeric fields
+     * @returns {Object[]} Fields with name, offset, type, unit
+     */
+    getTxIntFields() {
+        return this.getFields('tx', false);
+    }
+
+    /**
+     * Find a sent numeric field by name
+     * @param {string} name - Layout field name (e.g. 'targetX')
+     * @returns {Object} { index, field }: index of the int-N input, field null if the layout has no such field
+     */
+    getTxField(name) {
+        const fields = this.getTxIntFields();
+        const index = fields.findIndex(field => field.name === name);
+        return { index, field: index >= 0 ? fields[index] : null };
+    }
+
+    /**
+     * Find a received numeric field by name
+     * @param {string} name - Layout field name (e.g. 'currentX')
+     * @returns {Object|null} Field, null if the layout has no such field
+     */
+    getRxField(name) {
+        return this.getRxIntFields().find(field => field.name === name) || null;
+    }
+
+    /**
+     * Clamp a value to the range of a numeric field
+     * Integer types are rounded like frame-codec.js does before sending, so the
+     * value shown is the value on the wire; fields without range info fall back to UINT16.
+     * @param {Object} field - Numeric field (with min, max, integer from the main process)
+     * @param {*} value - Raw value (number or input string)
+     * @returns {number} Value within the field range
+     */
+    coerceValue(field, value) {
+        const min = field && field.min !== undefined ? field.min : 0;
+        const max = field && field.max !== undefined ? field.max : 65535;
+        const integer = field ? field.integer !== false : true;
+
+        let number = parseFloat(value);
+        if (!Number.isFinite(number)) {
+            number = 0;
+        }
+        if (integer) {
+            number = Math.round(number);
+        }
+
+        return Math.max(min, Math.min(max, number));
+    }
+
+    /**
+     * Format a received value for display
+     * REAL values are shown with float32 precision instead of the full double
+     * expansion (12.3 rather than 12.300000190734863).
+     * @param {Object} field - Numeric field
+     * @param {number} value - Decoded value
+     * @returns {string} Display text
+     */
+    formatValue(field, value) {
+        if (field && field.integer === false && Number.isFinite(value)) {
+            return String(parseFloat(value.toPrecision(7)));
+        }
+        return String(value);
+    }
+
+    /**
+     * Number of received booleans
+     * @returns {number} Count
+     */
+    getRxBoolCount() {
+        return this.layout ? this.getRxBoolFields().length : DEFAULT_COUNTS.rxBools;
+    }
+
+    /**
+     * Number of received integers
+     * @returns {number} Count
+     */
+    getRxIntCount() {
+        return this.layout ? this.getRxIntFields().length : DEFAULT_COUNTS.rxInts;
+    }
+
+    /**
+     * Number of sent integers
+     * @returns {number} Count
+     */
+    getTxIntCount() {
+        return this.layout ? this.getTxIntFields().length : DEFAULT_COUNTS.txInts;
+    }
+}
+
+// Export singleton instance
+const frameLayout = new FrameLayout();
+
+// For debugging in browser console
+if (typeof window !== 'undefined') {
+    window.__frameLayout = frameLayout;
+}
+
+export default frameLayout;
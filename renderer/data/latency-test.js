@@ -0,0 +1,180 @@
+/**
+ * Latency Test
+ * Round-trip latency test on the debug echo integers: the main process stamps
+ * TX[6] with a token on every sent frame and times the PLC echo in RX[9].
+ * Shows the live figures and histogram and exports the run as CSV.
+ */
+
+import stateManager from '../core/state-manager.js';
+import eventBus, { Events } from '../core/event-bus.js';
+import logger from '../core/logger.js';
+
+class LatencyTest {
+    constructor() {
+        this.electronAPI = null;
+        this.startBtn = null;
+        this.stopBtn = null;
+        this.exportBtn = null;
+        this.summaryDisplay = null;
+        this.histogramDisplay = null;
+    }
+
+    /**
+     * Initialize the latency test panel
+     * @param {Object} electronAPI - The Electron API from preload
+     */
+    init(electronAPI) {
+        this.electronAPI = electronAPI;
+        this.startBtn = document.getElementById('latency-start-btn');
+        this.stopBtn = document.getElementById('latency-stop-btn');
+        this.exportBtn = document.getElementById('latency-export-btn');
+        this.summaryDisplay = document.getElementById('latency-summary');
+        this.histogramDisplay = document.getElementById('latency-histogram');
+
+        // Only initialize if the panel exists (doesn't exist in settings window)
+        if (!this.startBtn) {
+            return;
+        }
+
+        this.startBtn.addEventListener('click', () => this.start());
+        this.stopBtn.addEventListener('click', () => this.stop());
+        this.exportBtn.addEventListener('click', () => this.exportCsv());
+
+        // Redraw the labels in the new language
+        window.addEventListener('languageChanged', () => this.render());
+
+        this.render();
+    }
+
+    /**
+     * Start a new test run
+     */
+    async start() {
+        const result = await this.electronAPI.startLatencyTest();
+
+        if (!result.success) {
+            logger.error(`Latency test not started: ${result.message}`);
+            return;
+        }
+
+        logger.info('Latency test started - the PLC echoes the token from TX[6] in RX[9]');
+        if (!stateManager.get('autoSendActive')) {
+            logger.warning('Auto-send is off - tokens only go out with manual sends');
+        }
+    }
+
+    /**
+     * Stop the test run (the samples stay available for export)
+     */
+    async stop() {
+        await this.electronAPI.stopLatencyTest();
+    }
+
+    /**
+     * Save the samples of the current or last run as CSV
+     */
+    async exportCsv() {
+        const result = await this.electronAPI.exportLatencyCsv();
+
+        if (result.success) {
+            logger.success(`Latency samples exported to ${result.filePath}`);
+        } else if (!result.canceled) {
+            logger.error(`Latency export failed: ${result.message}`);
+        }
+    }
+
+    /**
+     * Handle latency test updates from the main process (about once per second while running)
+     * @param {Object|null} latencyTest - Summary from the main process
+     */
+    handleState(latencyTest) {
+        const previous = stateManager.get('latencyTest');
+        stateManager.set('latencyTest', latencyTest);
+
+        if (latencyTest) {
+            eventBus.emit(Events.LATENCY_TEST_UPDATED, latencyTest);
+
+            if (previous && previous.running && !latencyTest.running) {
+                logger.info(`Latency test stopped: ${latencyTest.received} of ${latencyTest.sent} tokens echoed, ${latencyTest.lost} lost`);
+            }
+        }
+
+        this.render();
+    }
+
+    /**
+     * Enable or disable the buttons when the connection changes
+     * @param {boolean} connected - Connection status
+     */
+    handleConnectionStatus(connected) {
+        this.updateButtons(connected);
+    }
+
+    updateButtons(connected = stateManager.get('isConnected')) {
+        if (!this.startBtn) return;
+
+        const latencyTest = stateManager.get('latencyTest');
+        const running = Boolean(latencyTest && latencyTest.running);
+
+        this.startBtn.disabled = running || !connected;
+        this.stopBtn.disabled = !running;
+        this.exportBtn.disabled = !latencyTest || latencyTest.sent === 0;
+    }
+
+    render() {
+        if (!this.summaryDisplay) return;
+
+        const latencyTest = stateManager.get('latencyTest');
+        this.updateButtons();
+
+        if (!latencyTest) {
+            this.summaryDisplay.textContent = window.t('latencyNoRun');
+            this.histogramDisplay.innerHTML = '';
+            return;
+        }
+
+        const ms = value => (value === null ? '--' : value.toFixed(2));
+        const lostPercent = latencyTest.sent > 0 ? (100 * latencyTest.lost / latencyTest.sent).toFixed(2) : '0.00';
+
+        this.summaryDisplay.textContent =
+            `${window.t('latencySent')} ${latencyTest.sent} | ${window.t('latencyEchoed')} ${latencyTest.received} | ` +
+            `${window.t('latencyLost')} ${latencyTest.lost} (${lostPercent}%) | ` +
+            `min ${ms(latencyTest.minMs)} ${window.t('latencyMean')} ${ms(latencyTest.meanMs)} ` +
+            `p99 ${ms(latencyTest.p99Ms)} max ${ms(latencyTest.maxMs)} ms`;
+
+        this.renderHistogram(latencyTest.histogram);
+    }
+
+    /**
+     * Draw the histogram as bars scaled to the fullest bucket
+     * @param {Object[]} histogram - [{ upToMs, count }], upToMs null for the last bucket
+     */
+    renderHistogram(histogram) {
+        const maxCount = Math.max(1, ...histogram.map(bucket => bucket.count));
+
+        this.histogramDisplay.innerHTML = '';
+        histogram.forEach((bucket, index) => {
+            const label = bucket.upToMs !== null ? `≤${bucket.upToMs}` : `>${histogram[index - 1].upToMs}`;
+
+            const column = document.createElement('div');
+            column.className = 'latency-bucket';
+            column.title = `${label} ms: ${bucket.count}`;
+            column.innerHTML = `
+                <div class="latency-bucket-count">${bucket.count}</div>
+                <div class="latency-bucket-bar-area"><div class="latency-bucket-bar" style="height: ${(100 * bucket.count / maxCount).toFixed(1)}%"></div></div>
+                <div class="latency-bucket-label">${label}</div>
+            `;
+            this.histogramDisplay.appendChild(column);
+        });
+    }
+}
+
+// Export singleton instance
+const latencyTest = new LatencyTest();
+
+// For debugging in browser console
+if (typeof window !== 'undefined') {
+    window.__latencyTest = latencyTest;
+}
+
+export default latencyTest;
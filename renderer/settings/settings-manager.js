@@ -6,6 +6,43 @@
 import stateManager from '../core/state-manager.js';
 import eventBus, { Events } from '../core/event-bus.js';
 import logger from '../core/logger.js';
+import { PROTOCOLS } from '../connection/protocol-handler.js';
+
+// localStorage keys of the S7 inputs (same as the input element IDs)
+const S7_SETTING_KEYS = {
+    s7HostInput: 's7-host',
+    s7PortInput: 's7-port',
+    s7RackInput: 's7-rack',
+    s7SlotInput: 's7-slot',
+    s7WriteDbInput: 's7-write-db',
+    s7WriteOffsetInput: 's7-write-offset',
+    s7ReadDbInput: 's7-read-db',
+    s7ReadOffsetInput: 's7-read-offset'
+};
+
+// localStorage keys of the Modbus inputs (same as the input element IDs)
+const MODBUS_SETTING_KEYS = {
+    modbusHostInput: 'modbus-host',
+    modbusPortInput: 'modbus-port',
+    modbusUnitIdInput: 'modbus-unit-id',
+    modbusWriteAddressInput: 'modbus-write-address',
+    modbusBitSourceSelect: 'modbus-bit-source',
+    modbusBitAddressInput: 'modbus-bit-address',
+    modbusRegisterAddressInput: 'modbus-register-address'
+};
+
+// localStorage keys of the auto-reconnect inputs (read by main.js at startup)
+const RECONNECT_SETTING_KEYS = {
+    reconnectInitialDelayInput: 'reconnect-initial-delay-ms',
+    reconnectMaxDelayInput: 'reconnect-max-delay-ms',
+    reconnectMaxAttemptsInput: 'reconnect-max-attempts'
+};
+
+// localStorage keys of the RX watchdog inputs (read by main.js at startup)
+const RX_WATCHDOG_SETTING_KEYS = {
+    rxDegradedFactorInput: 'rx-degraded-factor',
+    rxLostFactorInput: 'rx-lost-factor'
+};
 
 class SettingsManager {
     constructor() {
@@ -28,6 +65,7 @@ class SettingsManager {
             udpTargetHostInput,
             udpTargetPortInput,
             autoSendToggle,
+            autoReconnectToggle,
             debugModeToggle,
             sendLatencyInput,
             updateProtocolUI
@@ -35,18 +73,12 @@ class SettingsManager {
 
         // Load protocol
         const savedProtocol = localStorage.getItem('protocol');
-        if (savedProtocol === 'tcp' || savedProtocol === 'udp') {
+        if (PROTOCOLS.includes(savedProtocol)) {
             this.currentProtocol = savedProtocol;
             stateManager.set('currentProtocol', savedProtocol);
-            if (protocolTcpRadio && protocolUdpRadio) {
-                if (savedProtocol === 'tcp') {
-                    protocolTcpRadio.checked = true;
-                } else {
-                    protocolUdpRadio.checked = true;
-                }
-                if (updateProtocolUI) {
-                    updateProtocolUI();
-                }
+            // Radio buttons and settings sections follow the current protocol
+            if (protocolTcpRadio && protocolUdpRadio && updateProtocolUI) {
+                updateProtocolUI();
             }
         }
 
@@ -82,10 +114,24 @@ class SettingsManager {
             if (savedTargetPort) udpTargetPortInput.value = savedTargetPort;
         }
 
+        // Load S7, Modbus, auto-reconnect and RX watchdog settings
+        Object.entries({
+            ...S7_SETTING_KEYS,
+            ...MODBUS_SETTING_KEYS,
+            ...RECONNECT_SETTING_KEYS,
+            ...RX_WATCHDOG_SETTING_KEYS
+        }).forEach(([elementName, key]) => {
+            const input = elements[elementName];
+            const savedValue = localStorage.getItem(key);
+            if (input && savedValue) {
+                input.value = savedValue;
+            }
+        });
+
         // Load integer parameters (int-0 through int-15)
         for (let i = 0; i < 16; i++) {
             const input = document.getElementById(`int-${i}`);
-            if (input && i !== 9) { // Don't load int-9 as it's the command
+            if (input && i !== 9 && i !== 7) { // Don't load int-9 (command) or int-7 (jog speed)
                 const savedValue = localStorage.getItem(`int-${i}`);
                 if (savedValue !== null) {
                     input.value = savedValue;
@@ -101,6 +147,14 @@ class SettingsManager {
             }
         }
 
+        // Load auto-reconnect toggle state
+        if (autoReconnectToggle) {
+            const savedAutoReconnect = localStorage.getItem('auto-reconnect-enabled');
+            if (savedAutoReconnect !== null) {
+                autoReconnectToggle.checked = savedAutoReconnect === 'true';
+            }
+        }
+
         // Load debug mode toggle state
         if (debugModeToggle) {
             const savedDebugMode = localStorage.getItem('debug-mode-enabled');
@@ -138,6 +192,7 @@ class SettingsManager {
             udpTargetHostInput,
             udpTargetPortInput,
             autoSendToggle,
+            autoReconnectToggle,
             debugModeToggle,
             sendLatencyInput
         } = elements;
@@ -171,10 +226,23 @@ class SettingsManager {
             localStorage.setItem('udp-target-port', udpTargetPortInput.value);
         }
 
+        // Save S7, Modbus, auto-reconnect and RX watchdog settings
+        Object.entries({
+            ...S7_SETTING_KEYS,
+            ...MODBUS_SETTING_KEYS,
+            ...RECONNECT_SETTING_KEYS,
+            ...RX_WATCHDOG_SETTING_KEYS
+        }).forEach(([elementName, key]) => {
+            const input = elements[elementName];
+            if (input) {
+                localStorage.setItem(key, input.value);
+            }
+        });
+
         // Save integer parameters (int-0 through int-15)
         for (let i = 0; i < 16; i++) {
             const input = document.getElementById(`int-${i}`);
-            if (input && i !== 9) { // Don't save int-9 as it's the command
+            if (input && i !== 9 && i !== 7) { // Don't save int-9 (command) or int-7 (jog speed)
                 localStorage.setItem(`int-${i}`, input.value);
             }
         }
@@ -184,6 +252,11 @@ class SettingsManager {
             localStorage.setItem('auto-send-enabled', autoSendToggle.checked.toString());
         }
 
+        // Save auto-reconnect toggle state
+        if (autoReconnectToggle) {
+            localStorage.setItem('auto-reconnect-enabled', autoReconnectToggle.checked.toString());
+        }
+
         // Save debug mode toggle state
         if (debugModeToggle) {
             localStorage.setItem('debug-mode-enabled', debugModeToggle.checked.toString());
@@ -200,7 +273,7 @@ class SettingsManager {
 
     /**
      * Get current protocol
-     * @returns {string} Current protocol ('tcp' or 'udp')
+     * @returns {string} Current protocol ('tcp', 'udp', 's7' or 'modbus')
      */
     getCurrentProtocol() {
         return this.currentProtocol;
@@ -208,7 +281,7 @@ class SettingsManager {
 
     /**
      * Set current protocol
-     * @param {string} protocol - Protocol to set ('tcp' or 'udp')
+     * @param {string} protocol - Protocol to set ('tcp', 'udp', 's7' or 'modbus')
      */
     setCurrentProtocol(protocol) {
         this.currentProtocol = protocol;
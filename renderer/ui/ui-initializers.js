@@ -4,7 +4,9 @@
  */
 
 import logger from '../core/logger.js';
+import stateManager from '../core/state-manager.js';
 import eventBus, { Events } from '../core/event-bus.js';
+import frameLayout from '../data/frame-layout.js';
 
 class UIInitializers {
     constructor() {
@@ -121,33 +123,99 @@ class UIInitializers {
         const boolLabels = labels.boolLabels || [];
         const intLabels = labels.intLabels || [];
 
-        // Create 40 boolean display items
+        // Grid sizes come from the RX frame layout
+        const boolFields = frameLayout.getRxBoolFields();
+        const intFields = frameLayout.getRxIntFields();
+        const boolCount = frameLayout.getRxBoolCount();
+        const intCount = frameLayout.getRxIntCount();
+
+        // Create boolean display items
         boolDisplay.innerHTML = '';
-        for (let i = 0; i < 40; i++) {
+        for (let i = 0; i < boolCount; i++) {
             const boolItem = document.createElement('div');
             boolItem.className = 'bool-item bool-false';
             boolItem.id = `bool-${i}`;
             boolItem.innerHTML = `
-                <div class="bool-label">${boolLabels[i] || `Status ${i+1}`}</div>
+                <div class="bool-label">${this.getBoolLabel(boolLabels, boolFields, i)}</div>
                 <div class="bool-value">FALSE</div>
             `;
             boolDisplay.appendChild(boolItem);
         }
 
-        // Create 10 integer display items
+        // Create integer display items
         intDisplay.innerHTML = '';
-        for (let i = 0; i < 10; i++) {
+        for (let i = 0; i < intCount; i++) {
             const intItem = document.createElement('div');
             intItem.className = 'int-item';
             intItem.id = `int-display-${i}`;
             intItem.innerHTML = `
-                <div class="int-item-label">${intLabels[i] || `Int ${i}`}</div>
+                <div class="int-item-label">${this.getIntLabel(intLabels, intFields, i)}</div>
                 <div class="int-item-value">0</div>
             `;
             intDisplay.appendChild(intItem);
         }
 
-        logger.info('Displays initialized (40 bools, 10 ints)');
+        // Rebuilt grids keep showing whether their values are fresh
+        this.updateDisplayHealth(stateManager.get('linkHealth'));
+
+        logger.info(`Displays initialized (${boolCount} bools, ${intCount} ints)`);
+    }
+
+    /**
+     * Grey out the monitor grids while the received values are stale
+     * @param {string} health - Link health from the RX watchdog ('ok', 'degraded' or 'lost')
+     */
+    updateDisplayHealth(health) {
+        ['bool-display', 'int-display'].forEach(id => {
+            const display = document.getElementById(id);
+            if (!display) return;
+
+            display.classList.toggle('link-degraded', health === 'degraded');
+            display.classList.toggle('link-lost', health === 'lost');
+        });
+    }
+
+    /**
+     * Get label for a boolean display item
+     * Translated label first, then the layout field name
+     * @param {string[]} boolLabels - Translated labels for the current language
+     * @param {Object[]} boolFields - RX BOOL fields from the frame layout
+     * @param {number} index - Boolean index
+     * @returns {string} Label text
+     */
+    getBoolLabel(boolLabels, boolFields, index) {
+        const field = boolFields[index];
+        return boolLabels[index] || (field && field.name) || `Status ${index + 1}`;
+    }
+
+    /**
+     * Get label for an integer display item, with the unit from the frame layout
+     * @param {string[]} intLabels - Translated labels for the current language
+     * @param {Object[]} intFields - RX numeric fields from the frame layout
+     * @param {number} index - Integer index
+     * @returns {string} Label text
+     */
+    getIntLabel(intLabels, intFields, index) {
+        const field = intFields[index];
+        const label = intLabels[index] || (field && field.name) || `Int ${index}`;
+        return field && field.unit ? `${label} (${field.unit})` : label;
+    }
+
+    /**
+     * Configure parameter inputs (int-0 through int-N) from the TX layout
+     * Signed fields accept negative values and REAL fields accept decimals.
+     */
+    initializeParameterInputs() {
+        frameLayout.getTxIntFields().forEach((field, index) => {
+            const input = document.getElementById(`int-${index}`);
+
+            // Only number inputs (Speed Mode is a select)
+            if (!input || input.type !== 'number') return;
+
+            input.min = field.min !== undefined ? field.min : 0;
+            input.max = field.max !== undefined ? field.max : 65535;
+            input.step = field.integer === false ? 'any' : '1';
+        });
     }
 
     /**
@@ -160,25 +228,27 @@ class UIInitializers {
         const labels = locales[currentLang] || locales['en'] || {};
         const boolLabels = labels.boolLabels || [];
         const intLabels = labels.intLabels || [];
+        const boolFields = frameLayout.getRxBoolFields();
+        const intFields = frameLayout.getRxIntFields();
 
         // Update boolean labels
-        for (let i = 0; i < 40; i++) {
+        for (let i = 0; i < frameLayout.getRxBoolCount(); i++) {
             const boolItem = document.getElementById(`bool-${i}`);
             if (boolItem) {
                 const labelElement = boolItem.querySelector('.bool-label');
                 if (labelElement) {
-                    labelElement.textContent = boolLabels[i] || `Status ${i+1}`;
+                    labelElement.textContent = this.getBoolLabel(boolLabels, boolFields, i);
                 }
             }
         }
 
         // Update integer labels
-        for (let i = 0; i < 10; i++) {
+        for (let i = 0; i < frameLayout.getRxIntCount(); i++) {
             const intItem = document.getElementById(`int-display-${i}`);
             if (intItem) {
                 const labelElement = intItem.querySelector('.int-item-label');
                 if (labelElement) {
-                    labelElement.textContent = intLabels[i] || `Int ${i}`;
+                    labelElement.textContent = this.getIntLabel(intLabels, intFields, i);
                 }
             }
         }
@@ -189,8 +259,9 @@ class UIInitializers {
     /**
      * Setup input change listeners for auto-save
      * @param {Function} saveCallback - Callback function to call when inputs change
+     * @param {Function} [txValuesCallback] - Callback function to call when a parameter input changes
      */
-    setupInputListeners(saveCallback) {
+    setupInputListeners(saveCallback, txValuesCallback) {
         // TCP settings
         const tcpHostInput = document.getElementById('tcp-host');
         const tcpPortInput = document.getElementById('tcp-port');
@@ -221,11 +292,27 @@ class UIInitializers {
             udpTargetPortInput.addEventListener('change', saveCallback);
         }
 
+        // S7 and Modbus settings
+        [
+            's7-host', 's7-port', 's7-rack', 's7-slot',
+            's7-write-db', 's7-write-offset', 's7-read-db', 's7-read-offset',
+            'modbus-host', 'modbus-port', 'modbus-unit-id', 'modbus-write-address',
+            'modbus-bit-source', 'modbus-bit-address', 'modbus-register-address'
+        ].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', saveCallback);
+            }
+        });
+
         // Integer inputs (int-0 through int-15)
         for (let i = 0; i < 16; i++) {
             const input = document.getElementById(`int-${i}`);
             if (input && i !== 9) { // Don't listen to int-9 as it's the command
                 input.addEventListener('change', saveCallback);
+                if (txValuesCallback) {
+                    input.addEventListener('change', txValuesCallback);
+                }
             }
         }
 
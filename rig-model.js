@@ -0,0 +1,462 @@
+// Rig Model - Kinematic model of the gravity reduce stand for the simulated PLC
+// Three axes (X, Y, Z) move toward their targets or jog at the speed-mode
+// speed once driver power and the servo module are on. The model follows the
+// PLC program's rules:
+//   - Position moves need a calibrated axis; Precision Align (21) homes all axes
+//     to 0 and calibrates them
+//   - Calibrated axes stop at the soft limits, uncalibrated ones run into the
+//     hard limits (the hard limit bit stays on until the axis moves off it)
+//   - Jogs (7-12, diagonal XY jogs 24-27) run while the command is held and stop when it is released
+//     or when no frame refreshes it for JOG_TIMEOUT_MS (lost link); a jog speed
+//     (int-7, 1-100 %) scales the speed-mode speed, 0 means full speed
+//   - Emergency stop (23) halts everything, cuts driver and servo power and
+//     latches until Clear Faults (30)
+// Time advances with the clock between updates, so motion does not depend on
+// the send rate.
+
+// Command ids (int-9), same numbering as the panel
+const RIG_COMMANDS = {
+    START_EXPERIMENT: 1,
+    STOP_EXPERIMENT: 2,
+    DRIVER_POWER_ON: 3,
+    DRIVER_POWER_OFF: 4,
+    SERVO_ON: 5,
+    SERVO_OFF: 6,
+    X_PLUS: 7,
+    X_MINUS: 8,
+    Y_PLUS: 9,
+    Y_MINUS: 10,
+    Z_PLUS: 11,
+    Z_MINUS: 12,
+    X_POSITION_MOVE: 13,
+    STOP_X: 14,
+    Y_POSITION_MOVE: 15,
+    STOP_Y: 16,
+    Z_POSITION_MOVE: 17,
+    STOP_Z: 18,
+    STOP_XYZ: 19,
+    XY_POSITION_MOVE: 20,
+    PRECISION_ALIGN: 21,
+    TENSION_SETTING: 22,
+    EMERGENCY_STOP: 23,
+    X_PLUS_Y_PLUS: 24,
+    X_PLUS_Y_MINUS: 25,
+    X_MINUS_Y_PLUS: 26,
+    X_MINUS_Y_MINUS: 27,
+    CLEAR_FAULTS: 30
+};
+
+const AXES = ['x', 'y', 'z'];
+
+// Jog commands: direction of each jogged axis (diagonal jogs move X and Y together)
+const JOG_COMMANDS = {
+    [RIG_COMMANDS.X_PLUS]: { x: 1 },
+    [RIG_COMMANDS.X_MINUS]: { x: -1 },
+    [RIG_COMMANDS.Y_PLUS]: { y: 1 },
+    [RIG_COMMANDS.Y_MINUS]: { y: -1 },
+    [RIG_COMMANDS.Z_PLUS]: { z: 1 },
+    [RIG_COMMANDS.Z_MINUS]: { z: -1 },
+    [RIG_COMMANDS.X_PLUS_Y_PLUS]: { x: 1, y: 1 },
+    [RIG_COMMANDS.X_PLUS_Y_MINUS]: { x: 1, y: -1 },
+    [RIG_COMMANDS.X_MINUS_Y_PLUS]: { x: -1, y: 1 },
+    [RIG_COMMANDS.X_MINUS_Y_MINUS]: { x: -1, y: -1 }
+};
+
+// Position moves: axes that move to their target
+const POSITION_MOVES = {
+    [RIG_COMMANDS.X_POSITION_MOVE]: ['x'],
+    [RIG_COMMANDS.Y_POSITION_MOVE]: ['y'],
+    [RIG_COMMANDS.Z_POSITION_MOVE]: ['z'],
+    [RIG_COMMANDS.XY_POSITION_MOVE]: ['x', 'y']
+};
+
+const AXIS_STOPS = {
+    [RIG_COMMANDS.STOP_X]: ['x'],
+    [RIG_COMMANDS.STOP_Y]: ['y'],
+    [RIG_COMMANDS.STOP_Z]: ['z'],
+    [RIG_COMMANDS.STOP_XYZ]: AXES
+};
+
+// Travel in mm (same for every axis)
+const AXIS_LIMITS = {
+    softMin: -450,
+    softMax: 450,
+    hardMin: -480,
+    hardMax: 480
+};
+
+const PRESET_SPEEDS = [10, 30, 60];  // Speed modes 0-2 (low, med, high) in mm/s
+const MAX_SPEED = 200;               // Upper bound for the custom speeds (modes 3-4) in mm/s
+const ALIGN_SPEED = 10;              // Homing speed of Precision Align in mm/s
+const JOG_TIMEOUT_MS = 300;          // A jog stops when no frame refreshes it for this long
+const TENSION_SETPOINT_N = 200;      // Tension after Tension Setting (22)
+
+// Where the axes stand after power-up (uncalibrated)
+const BOOT_POSITION = { x: 120, y: -80, z: 35 };
+
+class RigModel {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.now] - Clock in milliseconds (default Date.now)
+     */
+    constructor({ now = () => Date.now() } = {}) {
+        this.now = now;
+        this.reset();
+    }
+
+    /**
+     * Back to the power-up state (uncalibrated, power off, boot position)
+     */
+    reset() {
+        this.driverPower = false;
+        this.servoOn = false;
+        this.emergencyStop = false;
+        this.experimentActive = false;
+        this.aligning = false;
+        this.tension = 0;
+
+        this.axes = {};
+        AXES.forEach(axis => {
+            this.axes[axis] = {
+                position: BOOT_POSITION[axis],
+                speed: 0,            // Speed of the last update in mm/s
+                target: null,        // Target of a position move (null when not moving to a target)
+                calibrated: false,
+                posComplete: false
+            };
+        });
+
+        this.jog = null;             // { x, y, z } directions of the jogged axes while a jog command is held
+        this.jogRefreshedAt = 0;
+        this.inputs = { speedMode: 0, targetSpeed: 0, jogSpeed: 0, targets: { x: 0, y: 0, z: 0 } };
+        this.lastCommand = 0;
+        this.lastUpdateAt = this.now();
+    }
+
+    /**
+     * Process one received frame: advance the motion, then apply the command
+     * New command values are executed once; a held jog command keeps the jog alive.
+     * @param {Object} inputs - { speedMode, targetSpeed, jogSpeed, targets: { x, y, z } }
+     * @param {number} command - Control command (int-9)
+     */
+    update(inputs, command) {
+        this.advance();
+        this.inputs = inputs;
+
+        if (command !== this.lastCommand) {
+            // A held jog ends with any other command value
+            this.stopJog();
+            if (command !== 0) {
+                this.execute(command);
+            }
+            this.lastCommand = command;
+        }
+
+        if (this.jog && JOG_COMMANDS[command]) {
+            this.jogRefreshedAt = this.now();
+        }
+    }
+
+    /**
+     * Release a held command (e.g. the panel disconnected)
+     */
+    releaseCommand() {
+        this.advance();
+        this.stopJog();
+        this.lastCommand = 0;
+    }
+
+    /**
+     * Execute a command outside the frame flow (e.g. a scenario that trips a fault)
+     * Unlike update(), this does not touch the held command or the inputs.
+     * @param {number} command - Command id
+     */
+    inject(command) {
+        this.advance();
+        this.execute(command);
+    }
+
+    /**
+     * Move the axes by the time since the last update
+     */
+    advance() {
+        const now = this.now();
+        const previousUpdateAt = this.lastUpdateAt;
+        const dt = Math.max(0, now - previousUpdateAt) / 1000;
+        this.lastUpdateAt = now;
+
+        // The jog only runs until its last refresh times out
+        const jogTime = Math.min(dt, Math.max(0, this.jogRefreshedAt + JOG_TIMEOUT_MS - previousUpdateAt) / 1000);
+
+        AXES.forEach(axis => {
+            const state = this.axes[axis];
+            const startPosition = state.position;
+
+            if (this.jog && this.jog[axis]) {
+                this.moveAxis(axis, this.jog[axis] * this.getJogSpeed() * jogTime);
+            } else if (state.target !== null) {
+                const speed = this.aligning ? ALIGN_SPEED : this.getSpeed();
+                const distance = state.target - state.position;
+                const step = speed * dt;
+
+                if (Math.abs(distance) > step) {
+                    this.moveAxis(axis, Math.sign(distance) * step);
+                } else {
+                    this.moveAxis(axis, distance);
+
+                    // Target reached (unless a limit stopped the axis first)
+                    if (state.target !== null) {
+                        state.position = state.target;
+                        state.target = null;
+                        state.posComplete = true;
+                    }
+                }
+            }
+
+            state.speed = dt > 0 ? Math.abs(state.position - startPosition) / dt : 0;
+        });
+
+        if (this.jog && now - this.jogRefreshedAt > JOG_TIMEOUT_MS) {
+            const axes = Object.keys(this.jog).map(axis => axis.toUpperCase()).join('');
+            console.log(`Jog ${axes} stopped: command not refreshed for ${JOG_TIMEOUT_MS} ms`);
+            this.stopJog();
+        }
+
+        if (this.aligning && AXES.every(axis => this.axes[axis].target === null)) {
+            this.finishAlign();
+        }
+    }
+
+    // Move an axis by delta, stopping at the soft limits (calibrated) or hard limits (uncalibrated)
+    moveAxis(axis, delta) {
+        const state = this.axes[axis];
+        const min = state.calibrated ? AXIS_LIMITS.softMin : AXIS_LIMITS.hardMin;
+        const max = state.calibrated ? AXIS_LIMITS.softMax : AXIS_LIMITS.hardMax;
+        const position = Math.min(max, Math.max(min, state.position + delta));
+
+        if (position !== state.position + delta) {
+            const limit = state.calibrated ? 'soft' : 'hard';
+            console.log(`${axis.toUpperCase()} axis stopped at the ${position > 0 ? '+' : '-'} ${limit} limit (${position} mm)`);
+            this.stopAxis(axis);
+        }
+
+        state.position = position;
+    }
+
+    // Execute a new command (refused commands are logged and ignored)
+    execute(command) {
+        const refuse = reason => console.log(`Command ${command} refused: ${reason}`);
+        const motionBlocked = () => {
+            if (this.emergencyStop) return 'emergency stop active';
+            if (!this.servoOn) return 'servo module off';
+            return null;
+        };
+
+        if (JOG_COMMANDS[command]) {
+            const blocked = motionBlocked();
+            if (blocked) return refuse(blocked);
+
+            const directions = JOG_COMMANDS[command];
+            Object.keys(directions).forEach(axis => {
+                this.stopAxis(axis);
+                this.axes[axis].posComplete = false;
+            });
+            this.jog = { ...directions };
+            this.jogRefreshedAt = this.now();
+            return;
+        }
+
+        if (POSITION_MOVES[command]) {
+            const blocked = motionBlocked();
+            if (blocked) return refuse(blocked);
+
+            const axes = POSITION_MOVES[command];
+            const uncalibrated = axes.filter(axis => !this.axes[axis].calibrated);
+            if (uncalibrated.length > 0) {
+                return refuse(`${uncalibrated.join('/').toUpperCase()} not calibrated - run Precision Align first`);
+            }
+
+            axes.forEach(axis => {
+                const target = Math.min(AXIS_LIMITS.softMax, Math.max(AXIS_LIMITS.softMin, this.inputs.targets[axis]));
+                this.stopAxis(axis);
+                this.axes[axis].target = target;
+                this.axes[axis].posComplete = false;
+            });
+            return;
+        }
+
+        if (AXIS_STOPS[command]) {
+            AXIS_STOPS[command].forEach(axis => this.stopAxis(axis));
+            return;
+        }
+
+        switch (command) {
+            case RIG_COMMANDS.START_EXPERIMENT: {
+                const blocked = motionBlocked();
+                if (blocked) return refuse(blocked);
+                this.experimentActive = true;
+                break;
+            }
+            case RIG_COMMANDS.STOP_EXPERIMENT:
+                this.experimentActive = false;
+                break;
+            case RIG_COMMANDS.DRIVER_POWER_ON:
+                if (this.emergencyStop) return refuse('emergency stop active');
+                this.driverPower = true;
+                break;
+            case RIG_COMMANDS.DRIVER_POWER_OFF:
+                this.driverPower = false;
+                this.switchServoOff();
+                break;
+            case RIG_COMMANDS.SERVO_ON:
+                if (this.emergencyStop) return refuse('emergency stop active');
+                if (!this.driverPower) return refuse('driver power off');
+                this.servoOn = true;
+                break;
+            case RIG_COMMANDS.SERVO_OFF:
+                this.switchServoOff();
+                break;
+            case RIG_COMMANDS.PRECISION_ALIGN: {
+                const blocked = motionBlocked();
+                if (blocked) return refuse(blocked);
+                this.stopJog();
+                this.aligning = true;
+                AXES.forEach(axis => {
+                    this.axes[axis].target = 0;
+                    this.axes[axis].posComplete = false;
+                });
+                break;
+            }
+            case RIG_COMMANDS.TENSION_SETTING:
+                if (!this.servoOn) return refuse('servo module off');
+                this.tension = TENSION_SETPOINT_N;
+                break;
+            case RIG_COMMANDS.EMERGENCY_STOP:
+                this.emergencyStop = true;
+                this.driverPower = false;
+                this.switchServoOff();
+                console.log('EMERGENCY STOP - driver power cut, latched until Clear Faults');
+                break;
+            case RIG_COMMANDS.CLEAR_FAULTS:
+                if (this.emergencyStop) console.log('Emergency stop cleared');
+                this.emergencyStop = false;
+                break;
+            default:
+                return refuse('unknown command');
+        }
+    }
+
+    stopAxis(axis) {
+        this.axes[axis].target = null;
+        if (this.jog && this.jog[axis]) {
+            // A diagonal jog goes on with its other axis
+            delete this.jog[axis];
+            if (Object.keys(this.jog).length === 0) {
+                this.jog = null;
+            }
+        }
+        if (this.aligning) {
+            // An interrupted align leaves the axes uncalibrated
+            this.aligning = false;
+            AXES.forEach(other => { this.axes[other].target = null; });
+        }
+    }
+
+    stopJog() {
+        this.jog = null;
+    }
+
+    // Servo off stops all motion and ends the experiment
+    switchServoOff() {
+        this.servoOn = false;
+        this.experimentActive = false;
+        this.tension = 0;
+        AXES.forEach(axis => this.stopAxis(axis));
+    }
+
+    finishAlign() {
+        this.aligning = false;
+        AXES.forEach(axis => {
+            this.axes[axis].calibrated = true;
+            this.axes[axis].posComplete = true;
+        });
+        console.log('Precision Align complete - all axes calibrated at 0');
+    }
+
+    /**
+     * Speed for jogs and position moves from the speed mode (int-0) and target speed (int-1)
+     * @returns {number} Speed in mm/s
+     */
+    getSpeed() {
+        const { speedMode, targetSpeed } = this.inputs;
+
+        if (speedMode >= 0 && speedMode < PRESET_SPEEDS.length) {
+            return PRESET_SPEEDS[speedMode];
+        }
+        return Math.min(MAX_SPEED, Math.max(1, targetSpeed));
+    }
+
+    /**
+     * Speed for jogs: the speed-mode speed scaled by the jog speed (int-7)
+     * @returns {number} Speed in mm/s
+     */
+    getJogSpeed() {
+        const { jogSpeed } = this.inputs;
+
+        if (jogSpeed > 0 && jogSpeed < 100) {
+            return this.getSpeed() * jogSpeed / 100;
+        }
+        return this.getSpeed();
+    }
+
+    /**
+     * Get the status values, named like the RX fields of frame-layout.json
+     * @returns {Object} { bools: { name: boolean }, ints: { name: number } }
+     */
+    getStatus() {
+        const { x, y, z } = this.axes;
+        const atLimit = (state, side, kind) => {
+            if (kind === 'soft' && !state.calibrated) return false;
+            const limit = AXIS_LIMITS[`${kind}${side === '+' ? 'Max' : 'Min'}`];
+            return side === '+' ? state.position >= limit : state.position <= limit;
+        };
+        const atSoftLimit = state => atLimit(state, '+', 'soft') || atLimit(state, '-', 'soft');
+        const moving = AXES.some(axis => this.axes[axis].target !== null);
+
+        return {
+            bools: {
+                xPosComplete: x.posComplete,
+                yPosComplete: y.posComplete,
+                zPosComplete: z.posComplete,
+                xCalibrated: x.calibrated,
+                yCalibrated: y.calibrated,
+                zStatus: z.calibrated,
+                xServoActive: this.servoOn,
+                yServoActive: this.servoOn,
+                zServoActive: this.servoOn,
+                xPlusHardLimit: atLimit(x, '+', 'hard'),
+                xMinusHardLimit: atLimit(x, '-', 'hard'),
+                yPlusHardLimit: atLimit(y, '+', 'hard'),
+                yMinusHardLimit: atLimit(y, '-', 'hard'),
+                xPlusSoftLimit: atLimit(x, '+', 'soft'),
+                xMinusSoftLimit: atLimit(x, '-', 'soft'),
+                ySoftStatus: atSoftLimit(y),
+                zSoftStatus: atSoftLimit(z),
+                forceExpActive: this.experimentActive,
+                precisionAlign: this.aligning,
+                absPosMove: moving && !this.aligning,
+                emergencyStop: this.emergencyStop
+            },
+            ints: {
+                currentX: Math.round(x.position),
+                currentY: Math.round(y.position),
+                currentZ: Math.round(z.position),
+                currentSpeed: Math.round(Math.max(x.speed, y.speed, z.speed)),
+                forceValue: this.experimentActive ? this.tension : 0,
+                tensionValue: this.tension
+            }
+        };
+    }
+}
+
+module.exports = { RigModel, RIG_COMMANDS, AXIS_LIMITS, PRESET_SPEEDS, JOG_TIMEOUT_MS };
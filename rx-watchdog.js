@@ -0,0 +1,153 @@
+// RX Watchdog - Detects stale receive data
+// A UDP link or a half-open TCP socket still looks connected when the PLC has
+// stopped answering. The watchdog measures the time since the last received
+// frame in multiples of the send interval:
+//   ok       - frames keep arriving
+//   degraded - no frame for degradedFactor send intervals
+//   lost     - no frame for lostFactor send intervals (or not connected)
+
+const LINK_HEALTH = {
+    OK: 'ok',
+    DEGRADED: 'degraded',
+    LOST: 'lost'
+};
+
+const DEFAULT_RX_WATCHDOG_SETTINGS = {
+    sendIntervalMs: 20,     // Auto-send interval of the panel
+    degradedFactor: 3,      // Send intervals without a frame before 'degraded'
+    lostFactor: 10          // Send intervals without a frame before 'lost'
+};
+
+// Lower bound for both timeouts - with 1-20 ms send intervals, timer jitter
+// alone would otherwise flip the state
+const MIN_TIMEOUT_MS = 100;
+
+class RxWatchdog {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onChange - Called with the new link health
+     * @param {Object} [options.settings] - Overrides for DEFAULT_RX_WATCHDOG_SETTINGS
+     */
+    constructor({ onChange, settings = {} }) {
+        this.onChange = onChange;
+        this.settings = { ...DEFAULT_RX_WATCHDOG_SETTINGS };
+        this.health = LINK_HEALTH.LOST;
+        this.lastFrameAt = 0;
+        this.timer = null;
+        this.configure(settings);
+    }
+
+    /**
+     * Update the settings (invalid values keep their previous value)
+     * @param {Object} settings - { sendIntervalMs, degradedFactor, lostFactor }
+     * @returns {Object} The effective settings
+     */
+    configure(settings) {
+        const positive = (value, fallback) => (Number.isFinite(value) && value > 0 ? value : fallback);
+
+        this.settings = {
+            sendIntervalMs: positive(settings.sendIntervalMs, this.settings.sendIntervalMs),
+            degradedFactor: positive(settings.degradedFactor, this.settings.degradedFactor),
+            lostFactor: positive(settings.lostFactor, this.settings.lostFactor)
+        };
+        this.settings.lostFactor = Math.max(this.settings.lostFactor, this.settings.degradedFactor);
+
+        // New timeouts take effect immediately
+        if (this.timer) {
+            this.armTimer();
+        }
+
+        return this.getSettings();
+    }
+
+    /**
+     * Get a copy of the settings
+     * @returns {Object} { sendIntervalMs, degradedFactor, lostFactor }
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * Get the timeouts derived from the settings
+     * @returns {Object} { degradedAfterMs, lostAfterMs }
+     */
+    getTimeouts() {
+        const { sendIntervalMs, degradedFactor, lostFactor } = this.settings;
+
+        return {
+            degradedAfterMs: Math.max(sendIntervalMs * degradedFactor, MIN_TIMEOUT_MS),
+            lostAfterMs: Math.max(sendIntervalMs * lostFactor, MIN_TIMEOUT_MS)
+        };
+    }
+
+    /**
+     * Start watching (link connected)
+     * The first frame gets the same grace period as any later frame.
+     */
+    start() {
+        this.lastFrameAt = Date.now();
+        this.setHealth(LINK_HEALTH.OK);
+        this.armTimer();
+    }
+
+    /**
+     * Stop watching (link disconnected) - the data is no longer fresh
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.setHealth(LINK_HEALTH.LOST);
+    }
+
+    /**
+     * Record a complete received frame
+     */
+    frameReceived() {
+        this.lastFrameAt = Date.now();
+
+        if (this.timer && this.health !== LINK_HEALTH.OK) {
+            this.setHealth(LINK_HEALTH.OK);
+        }
+    }
+
+    /**
+     * Get the current link health
+     * @returns {string} 'ok', 'degraded' or 'lost'
+     */
+    getHealth() {
+        return this.health;
+    }
+
+    // Check four times per degraded timeout, so a state change is late by at most a quarter of it
+    armTimer() {
+        if (this.timer) {
+            clearInterval(this.timer);
+        }
+        this.timer = setInterval(() => this.check(), Math.max(10, Math.floor(this.getTimeouts().degradedAfterMs / 4)));
+    }
+
+    check() {
+        const silenceMs = Date.now() - this.lastFrameAt;
+        const { degradedAfterMs, lostAfterMs } = this.getTimeouts();
+
+        if (silenceMs >= lostAfterMs) {
+            this.setHealth(LINK_HEALTH.LOST);
+        } else if (silenceMs >= degradedAfterMs) {
+            this.setHealth(LINK_HEALTH.DEGRADED);
+        }
+    }
+
+    setHealth(health) {
+        if (health === this.health) return;
+
+        this.health = health;
+        if (this.onChange) {
+            this.onChange(health, Date.now() - this.lastFrameAt);
+        }
+    }
+}
+
+module.exports = { RxWatchdog, LINK_HEALTH, DEFAULT_RX_WATCHDOG_SETTINGS };
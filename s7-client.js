@@ -0,0 +1,269 @@
+// S7 Client - Reads and writes PLC data blocks over S7comm (ISO-on-TCP, port 102)
+// Unlike the raw TCP/UDP transports, the PLC needs no TSEND/TRCV program: the
+// panel writes the TX frame into one DB area and reads the RX frame from another.
+// On S7-1200/1500 the DBs must have "Optimized block access" disabled and the
+// CPU must permit PUT/GET communication from remote partners.
+//
+// Requests are serialized (the PLC is negotiated to one outstanding job).
+
+const net = require('net');
+const {
+    COTP_CONNECTION_CONFIRM,
+    COTP_DATA,
+    ROSCTR_JOB,
+    ROSCTR_ACK_DATA,
+    FUNC_READ_VAR,
+    FUNC_WRITE_VAR,
+    RETURN_CODE_SUCCESS,
+    DEFAULT_PDU_SIZE,
+    wrapData,
+    TpktReader,
+    parseCotp,
+    buildConnectionRequest,
+    buildPdu,
+    parsePdu,
+    buildSetupParams,
+    buildItemSpec,
+    buildDataItem,
+    parseDataItem,
+    describeReturnCode
+} = require('./s7-protocol');
+
+// Bytes of a read/write job that are not item data (S7 header, params, item header)
+const READ_OVERHEAD = 18;
+const WRITE_OVERHEAD = 28;
+
+class S7Client {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs=1000] - Timeout for each request
+     * @param {Function} [options.onClose] - Called with (error|null) when the connection ends
+     */
+    constructor(options = {}) {
+        this.timeoutMs = options.timeoutMs || 1000;
+        this.onClose = options.onClose || null;
+
+        this.socket = null;
+        this.reader = null;
+        this.waiter = null;
+        this.pduRef = 0;
+        this.pduSize = DEFAULT_PDU_SIZE;
+        this.queue = Promise.resolve();
+    }
+
+    /**
+     * Open the TCP connection, the COTP connection and negotiate the PDU size
+     * @param {Object} settings
+     * @param {string} settings.host - PLC address
+     * @param {number} [settings.port=102] - ISO-on-TCP port
+     * @param {number} [settings.rack=0] - CPU rack
+     * @param {number} [settings.slot=1] - CPU slot
+     * @returns {Promise<void>}
+     */
+    async connect({ host, port = 102, rack = 0, slot = 1 }) {
+        await new Promise((resolve, reject) => {
+            this.socket = net.connect({ host, port }, resolve);
+            this.socket.setNoDelay(true);
+            this.socket.setTimeout(this.timeoutMs * 5, () => {
+                this.socket.destroy(new Error('Connection timeout'));
+            });
+            this.socket.once('error', reject);
+        });
+
+        this.socket.setTimeout(0);
+        this.reader = new TpktReader(payload => this.handlePacket(payload));
+        this.socket.on('data', chunk => {
+            try {
+                this.reader.push(chunk);
+            } catch (error) {
+                this.socket.destroy(error);
+            }
+        });
+        this.socket.on('error', error => this.failPending(error));
+        this.socket.on('close', hadError => {
+            this.failPending(new Error('Connection closed'));
+            this.socket = null;
+            if (this.onClose) {
+                this.onClose(hadError ? new Error('Connection lost') : null);
+            }
+        });
+
+        try {
+            // COTP connection (rack/slot select the CPU)
+            const confirm = parseCotp(await this.exchange(buildConnectionRequest(rack, slot)));
+            if (confirm.type !== COTP_CONNECTION_CONFIRM) {
+                throw new Error(`PLC refused the connection (check rack ${rack} / slot ${slot})`);
+            }
+
+            // S7 setup communication - the PLC may lower the PDU size
+            const setup = await this.job(buildSetupParams(DEFAULT_PDU_SIZE));
+            this.pduSize = setup.params.readUInt16BE(6);
+        } catch (error) {
+            this.disconnect();
+            throw error;
+        }
+    }
+
+    /**
+     * Close the connection
+     */
+    disconnect() {
+        if (this.socket) {
+            this.socket.destroy();
+        }
+    }
+
+    /**
+     * Whether the connection is open
+     * @returns {boolean}
+     */
+    isConnected() {
+        return this.socket !== null && !this.socket.destroyed;
+    }
+
+    /**
+     * Read bytes from a data block
+     * @param {number} dbNumber - Data block number
+     * @param {number} start - Start byte offset
+     * @param {number} size - Number of bytes
+     * @returns {Promise<Buffer>} The bytes read
+     */
+    async readArea(dbNumber, start, size) {
+        if (size > this.pduSize - READ_OVERHEAD) {
+            throw new Error(`Read of ${size} bytes exceeds the PDU size ${this.pduSize}`);
+        }
+
+        const params = Buffer.concat([Buffer.from([FUNC_READ_VAR, 1]), buildItemSpec(dbNumber, start, size)]);
+        const response = await this.job(params);
+        const item = parseDataItem(response.data);
+
+        if (item.returnCode !== RETURN_CODE_SUCCESS) {
+            throw new Error(`Read DB${dbNumber}.DBB${start} failed: ${describeReturnCode(item.returnCode)}`);
+        }
+        if (item.bytes.length !== size) {
+            throw new Error(`Read DB${dbNumber}.DBB${start} returned ${item.bytes.length} of ${size} bytes`);
+        }
+        return Buffer.from(item.bytes);
+    }
+
+    /**
+     * Write bytes to a data block
+     * @param {number} dbNumber - Data block number
+     * @param {number} start - Start byte offset
+     * @param {Buffer} data - Bytes to write
+     * @returns {Promise<void>}
+     */
+    async writeArea(dbNumber, start, data) {
+        if (data.length > this.pduSize - WRITE_OVERHEAD) {
+            throw new Error(`Write of ${data.length} bytes exceeds the PDU size ${this.pduSize}`);
+        }
+
+        const params = Buffer.concat([Buffer.from([FUNC_WRITE_VAR, 1]), buildItemSpec(dbNumber, start, data.length)]);
+        const response = await this.job(params, buildDataItem(0x00, data));
+        const returnCode = response.data[0];
+
+        if (returnCode !== RETURN_CODE_SUCCESS) {
+            throw new Error(`Write DB${dbNumber}.DBB${start} failed: ${describeReturnCode(returnCode)}`);
+        }
+    }
+
+    /**
+     * Send an S7 job and wait for its ack data
+     * @param {Buffer} params - Parameter block
+     * @param {Buffer} [data] - Data block
+     * @returns {Promise<Object>} Parsed response PDU
+     */
+    job(params, data) {
+        return this.enqueue(async () => {
+            this.pduRef = (this.pduRef + 1) & 0xffff;
+            const pduRef = this.pduRef;
+            const packet = wrapData(buildPdu({ rosctr: ROSCTR_JOB, pduRef, params, data }));
+
+            const cotp = parseCotp(await this.exchange(packet, pduRef));
+            const response = parsePdu(cotp.body);
+
+            if (response.rosctr !== ROSCTR_ACK_DATA || response.errorClass !== 0) {
+                const code = ((response.errorClass << 8) | response.errorCode).toString(16).padStart(4, '0');
+                throw new Error(`PLC rejected the request (error 0x${code})`);
+            }
+            return response;
+        });
+    }
+
+    /**
+     * Run a task after all previously queued tasks
+     * @param {Function} task - Async function
+     * @returns {Promise<*>} Result of the task
+     */
+    enqueue(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Write a packet and wait for the next matching packet
+     * @param {Buffer} packet - Complete TPKT packet
+     * @param {number} [pduRef] - Expected S7 PDU reference (responses to timed-out jobs are ignored)
+     * @returns {Promise<Buffer>} TPKT payload of the response
+     */
+    exchange(packet, pduRef) {
+        if (!this.isConnected()) {
+            return Promise.reject(new Error('Not connected to PLC'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.waiter = null;
+                reject(new Error('PLC did not respond in time'));
+            }, this.timeoutMs);
+
+            this.waiter = {
+                pduRef,
+                resolve: payload => {
+                    clearTimeout(timer);
+                    this.waiter = null;
+                    resolve(payload);
+                },
+                reject: error => {
+                    clearTimeout(timer);
+                    this.waiter = null;
+                    reject(error);
+                }
+            };
+
+            this.socket.write(packet);
+        });
+    }
+
+    /**
+     * Route a received packet to the pending request
+     * @param {Buffer} payload - TPKT payload
+     */
+    handlePacket(payload) {
+        if (!this.waiter) {
+            return; // Late response to a request that already timed out
+        }
+
+        if (this.waiter.pduRef !== undefined) {
+            const cotp = parseCotp(payload);
+            if (cotp.type !== COTP_DATA || parsePdu(cotp.body).pduRef !== this.waiter.pduRef) {
+                return;
+            }
+        }
+
+        this.waiter.resolve(payload);
+    }
+
+    /**
+     * Reject the pending request
+     * @param {Error} error - Reason
+     */
+    failPending(error) {
+        if (this.waiter) {
+            this.waiter.reject(error);
+        }
+    }
+}
+
+module.exports = S7Client;
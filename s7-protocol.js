@@ -0,0 +1,337 @@
+// S7 Protocol - Shared framing for Siemens S7comm over ISO-on-TCP (RFC1006)
+// Used by the S7 client (main process) and the local S7 server stand-in.
+// Layering: TPKT (RFC1006, 4 bytes) -> COTP (ISO 8073) -> S7comm PDU.
+// Only what the panel needs is implemented: connection setup, PDU negotiation
+// and byte-wise read/write of data block (DB) areas.
+
+const TPKT_VERSION = 0x03;
+const TPKT_HEADER_SIZE = 4;
+
+// COTP PDU types
+const COTP_CONNECTION_REQUEST = 0xe0;
+const COTP_CONNECTION_CONFIRM = 0xd0;
+const COTP_DATA = 0xf0;
+
+// S7comm header
+const S7_PROTOCOL_ID = 0x32;
+const ROSCTR_JOB = 0x01;
+const ROSCTR_ACK_DATA = 0x03;
+const S7_JOB_HEADER_SIZE = 10;
+const S7_ACK_HEADER_SIZE = 12;
+
+// S7comm functions
+const FUNC_READ_VAR = 0x04;
+const FUNC_WRITE_VAR = 0x05;
+const FUNC_SETUP_COMMUNICATION = 0xf0;
+
+// Addressing
+const AREA_DB = 0x84;
+const TRANSPORT_SIZE_BYTE = 0x02;      // Item spec: count is in bytes
+const DATA_TRANSPORT_BIT = 0x03;       // Data item: length is in bits
+const DATA_TRANSPORT_BYTE = 0x04;      // Data item: length is in bits (BYTE/WORD/DWORD)
+const DATA_TRANSPORT_OCTET = 0x09;     // Data item: length is in bytes
+const ITEM_SPEC_SIZE = 12;
+
+// Data item return codes
+const RETURN_CODE_SUCCESS = 0xff;
+const RETURN_CODE_MESSAGES = {
+    0x01: 'Hardware fault',
+    0x03: 'Access denied (enable PUT/GET access on the PLC)',
+    0x05: 'Address out of range',
+    0x06: 'Data type not supported',
+    0x07: 'Data type inconsistent',
+    0x0a: 'Object does not exist (check DB number, DB must not be optimized)'
+};
+
+// Default PDU size requested during setup communication
+const DEFAULT_PDU_SIZE = 480;
+
+/**
+ * Wrap a COTP payload in a TPKT header
+ * @param {Buffer} payload - COTP header and data
+ * @returns {Buffer} Complete TPKT packet
+ */
+function wrapTpkt(payload) {
+    const header = Buffer.alloc(TPKT_HEADER_SIZE);
+    header[0] = TPKT_VERSION;
+    header[1] = 0x00;
+    header.writeUInt16BE(TPKT_HEADER_SIZE + payload.length, 2);
+    return Buffer.concat([header, payload]);
+}
+
+/**
+ * Wrap an S7comm PDU in COTP data (DT, last unit) and TPKT headers
+ * @param {Buffer} pdu - S7comm PDU
+ * @returns {Buffer} Complete TPKT packet
+ */
+function wrapData(pdu) {
+    return wrapTpkt(Buffer.concat([Buffer.from([0x02, COTP_DATA, 0x80]), pdu]));
+}
+
+/**
+ * Split a TCP byte stream into complete TPKT packets
+ * TPKT carries its own length, so partial and coalesced chunks are handled here.
+ */
+class TpktReader {
+    /**
+     * @param {Function} onPacket - Called with each TPKT payload (COTP header onwards)
+     */
+    constructor(onPacket) {
+        this.onPacket = onPacket;
+        this.buffer = Buffer.alloc(0);
+    }
+
+    /**
+     * Feed received bytes
+     * @param {Buffer} chunk - Raw bytes as received
+     */
+    push(chunk) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+        while (this.buffer.length >= TPKT_HEADER_SIZE) {
+            if (this.buffer[0] !== TPKT_VERSION) {
+                throw new Error(`Invalid TPKT version 0x${this.buffer[0].toString(16)}`);
+            }
+
+            const length = this.buffer.readUInt16BE(2);
+            if (length < TPKT_HEADER_SIZE + 1) {
+                throw new Error(`Invalid TPKT length ${length}`);
+            }
+            if (this.buffer.length < length) {
+                break; // Wait for the rest of the packet
+            }
+
+            const payload = Buffer.from(this.buffer.subarray(TPKT_HEADER_SIZE, length));
+            this.buffer = this.buffer.subarray(length);
+            this.onPacket(payload);
+        }
+    }
+}
+
+/**
+ * Parse the COTP header of a TPKT payload
+ * @param {Buffer} payload - TPKT payload
+ * @returns {Object} { type, body } where body is everything after the COTP header
+ */
+function parseCotp(payload) {
+    const headerLength = payload[0]; // Length indicator (excludes itself)
+    return {
+        type: payload[1] & 0xf0,
+        header: payload.subarray(0, headerLength + 1),
+        body: payload.subarray(headerLength + 1)
+    };
+}
+
+/**
+ * Build a COTP connection request
+ * The destination TSAP selects the CPU: connection type 0x01 (PG) and rack/slot.
+ * @param {number} rack - CPU rack (0 for S7-1200/1500)
+ * @param {number} slot - CPU slot (1 for S7-1200/1500, 2 for S7-300)
+ * @returns {Buffer} Complete TPKT packet
+ */
+function buildConnectionRequest(rack, slot) {
+    return wrapTpkt(Buffer.from([
+        0x11,                           // Length indicator
+        COTP_CONNECTION_REQUEST,
+        0x00, 0x00,                     // Destination reference
+        0x00, 0x01,                     // Source reference
+        0x00,                           // Class 0
+        0xc0, 0x01, 0x0a,               // TPDU size 1024
+        0xc1, 0x02, 0x01, 0x00,         // Source TSAP
+        0xc2, 0x02, 0x01, ((rack & 0x07) << 5) | (slot & 0x1f) // Destination TSAP
+    ]));
+}
+
+/**
+ * Build a COTP connection confirm for a received request (server side)
+ * @param {Buffer} requestHeader - COTP header of the connection request
+ * @returns {Buffer} Complete TPKT packet
+ */
+function buildConnectionConfirm(requestHeader) {
+    const confirm = Buffer.from(requestHeader);
+    confirm[1] = COTP_CONNECTION_CONFIRM;
+    // Swap references: our source becomes their destination
+    confirm[2] = requestHeader[4];
+    confirm[3] = requestHeader[5];
+    confirm[4] = 0x00;
+    confirm[5] = 0x01;
+    return wrapTpkt(confirm);
+}
+
+/**
+ * Build an S7comm PDU
+ * @param {Object} pdu
+ * @param {number} pdu.rosctr - ROSCTR_JOB or ROSCTR_ACK_DATA
+ * @param {number} pdu.pduRef - Reference echoed by the peer
+ * @param {Buffer} pdu.params - Parameter block
+ * @param {Buffer} [pdu.data] - Data block
+ * @param {number} [pdu.errorClass] - Ack only
+ * @param {number} [pdu.errorCode] - Ack only
+ * @returns {Buffer} S7comm PDU
+ */
+function buildPdu({ rosctr, pduRef, params, data = Buffer.alloc(0), errorClass = 0, errorCode = 0 }) {
+    const isAck = rosctr === ROSCTR_ACK_DATA;
+    const header = Buffer.alloc(isAck ? S7_ACK_HEADER_SIZE : S7_JOB_HEADER_SIZE);
+
+    header[0] = S7_PROTOCOL_ID;
+    header[1] = rosctr;
+    header.writeUInt16BE(0, 2);                 // Redundancy identification
+    header.writeUInt16BE(pduRef & 0xffff, 4);
+    header.writeUInt16BE(params.length, 6);
+    header.writeUInt16BE(data.length, 8);
+    if (isAck) {
+        header[10] = errorClass;
+        header[11] = errorCode;
+    }
+
+    return Buffer.concat([header, params, data]);
+}
+
+/**
+ * Parse an S7comm PDU
+ * @param {Buffer} buffer - S7comm PDU (after the COTP header)
+ * @returns {Object} { rosctr, pduRef, params, data, errorClass, errorCode }
+ */
+function parsePdu(buffer) {
+    if (buffer.length < S7_JOB_HEADER_SIZE || buffer[0] !== S7_PROTOCOL_ID) {
+        throw new Error('Invalid S7comm PDU');
+    }
+
+    const rosctr = buffer[1];
+    const headerSize = (rosctr === ROSCTR_ACK_DATA || rosctr === 0x02) ? S7_ACK_HEADER_SIZE : S7_JOB_HEADER_SIZE;
+    const paramLength = buffer.readUInt16BE(6);
+    const dataLength = buffer.readUInt16BE(8);
+
+    return {
+        rosctr,
+        pduRef: buffer.readUInt16BE(4),
+        errorClass: headerSize === S7_ACK_HEADER_SIZE ? buffer[10] : 0,
+        errorCode: headerSize === S7_ACK_HEADER_SIZE ? buffer[11] : 0,
+        params: buffer.subarray(headerSize, headerSize + paramLength),
+        data: buffer.subarray(headerSize + paramLength, headerSize + paramLength + dataLength)
+    };
+}
+
+/**
+ * Build the setup communication parameter block
+ * @param {number} pduSize - Requested/confirmed PDU size
+ * @returns {Buffer} Parameter block
+ */
+function buildSetupParams(pduSize) {
+    const params = Buffer.alloc(8);
+    params[0] = FUNC_SETUP_COMMUNICATION;
+    params[1] = 0x00;
+    params.writeUInt16BE(1, 2);     // Max AmQ calling
+    params.writeUInt16BE(1, 4);     // Max AmQ called
+    params.writeUInt16BE(pduSize, 6);
+    return params;
+}
+
+/**
+ * Build a 12-byte item specification addressing bytes in a DB
+ * @param {number} dbNumber - Data block number
+ * @param {number} start - Start byte offset
+ * @param {number} size - Number of bytes
+ * @returns {Buffer} Item specification
+ */
+function buildItemSpec(dbNumber, start, size) {
+    const item = Buffer.alloc(ITEM_SPEC_SIZE);
+    const bitAddress = start * 8;
+
+    item[0] = 0x12;                 // Variable specification
+    item[1] = 0x0a;                 // Length of the following address
+    item[2] = 0x10;                 // Syntax ID: S7ANY
+    item[3] = TRANSPORT_SIZE_BYTE;
+    item.writeUInt16BE(size, 4);
+    item.writeUInt16BE(dbNumber, 6);
+    item[8] = AREA_DB;
+    item[9] = (bitAddress >> 16) & 0xff;
+    item[10] = (bitAddress >> 8) & 0xff;
+    item[11] = bitAddress & 0xff;
+    return item;
+}
+
+/**
+ * Parse a 12-byte item specification (server side)
+ * @param {Buffer} buffer - Buffer holding the item
+ * @param {number} offset - Offset of the item
+ * @returns {Object} { area, dbNumber, start, size }
+ */
+function parseItemSpec(buffer, offset) {
+    const bitAddress = (buffer[offset + 9] << 16) | (buffer[offset + 10] << 8) | buffer[offset + 11];
+    return {
+        area: buffer[offset + 8],
+        dbNumber: buffer.readUInt16BE(offset + 6),
+        start: bitAddress >> 3,
+        size: buffer.readUInt16BE(offset + 4)
+    };
+}
+
+/**
+ * Build a data item (header + payload)
+ * @param {number} returnCode - RETURN_CODE_SUCCESS or an error code (0x00 in write requests)
+ * @param {Buffer} [bytes] - Item payload
+ * @returns {Buffer} Data item
+ */
+function buildDataItem(returnCode, bytes = Buffer.alloc(0)) {
+    const header = Buffer.alloc(4);
+    header[0] = returnCode;
+    header[1] = bytes.length > 0 ? DATA_TRANSPORT_BYTE : 0x00;
+    header.writeUInt16BE(bytes.length * 8, 2); // Length in bits
+    return Buffer.concat([header, bytes]);
+}
+
+/**
+ * Parse the first data item of a data block
+ * @param {Buffer} data - Data block
+ * @returns {Object} { returnCode, bytes }
+ */
+function parseDataItem(data) {
+    const returnCode = data[0];
+    const transportSize = data[1];
+    const length = data.readUInt16BE(2);
+    const byteLength = (transportSize === DATA_TRANSPORT_BIT || transportSize === DATA_TRANSPORT_BYTE)
+        ? Math.ceil(length / 8)
+        : length;
+
+    return { returnCode, bytes: data.subarray(4, 4 + byteLength) };
+}
+
+/**
+ * Describe a data item return code
+ * @param {number} code - Return code
+ * @returns {string} Human-readable message
+ */
+function describeReturnCode(code) {
+    return RETURN_CODE_MESSAGES[code] || `Return code 0x${code.toString(16).padStart(2, '0')}`;
+}
+
+module.exports = {
+    TPKT_HEADER_SIZE,
+    COTP_CONNECTION_REQUEST,
+    COTP_CONNECTION_CONFIRM,
+    COTP_DATA,
+    ROSCTR_JOB,
+    ROSCTR_ACK_DATA,
+    FUNC_READ_VAR,
+    FUNC_WRITE_VAR,
+    FUNC_SETUP_COMMUNICATION,
+    AREA_DB,
+    ITEM_SPEC_SIZE,
+    RETURN_CODE_SUCCESS,
+    DEFAULT_PDU_SIZE,
+    wrapTpkt,
+    wrapData,
+    TpktReader,
+    parseCotp,
+    buildConnectionRequest,
+    buildConnectionConfirm,
+    buildPdu,
+    parsePdu,
+    buildSetupParams,
+    buildItemSpec,
+    parseItemSpec,
+    buildDataItem,
+    parseDataItem,
+    describeReturnCode
+};
@@ -0,0 +1,202 @@
+// S7 Test Server - Local stand-in for a Siemens PLC reachable over S7comm
+// Answers COTP connection requests, S7 setup communication and DB read/write
+// jobs, so the 'S7' protocol can be tested without hardware.
+//
+// DB1 holds the panel's TX frame (written by the panel), DB2 the RX frame
+// (read by the panel). Every write to DB1 updates DB2 with the same simulated
+// PLC logic as the TCP test server (simulated-plc.js).
+//
+// Usage: node s7-test-server.js [port]   (default 102; ports < 1024 may need admin rights on Linux)
+
+const net = require('net');
+const { loadLayout, decodeFrame, encodeFrame } = require('./frame-codec');
+const { createSimulatedPlc } = require('./simulated-plc');
+const { RigModel } = require('./rig-model');
+const {
+    COTP_CONNECTION_REQUEST,
+    COTP_DATA,
+    ROSCTR_JOB,
+    ROSCTR_ACK_DATA,
+    FUNC_READ_VAR,
+    FUNC_WRITE_VAR,
+    FUNC_SETUP_COMMUNICATION,
+    AREA_DB,
+    RETURN_CODE_SUCCESS,
+    DEFAULT_PDU_SIZE,
+    wrapData,
+    TpktReader,
+    parseCotp,
+    buildConnectionConfirm,
+    buildPdu,
+    parsePdu,
+    buildSetupParams,
+    parseItemSpec,
+    buildDataItem,
+    parseDataItem
+} = require('./s7-protocol');
+
+const PORT = parseInt(process.argv[2]) || 102;
+const HOST = 'localhost';
+
+const TX_DB = 1;
+const RX_DB = 2;
+
+// Return codes used by the stand-in
+const RETURN_CODE_OUT_OF_RANGE = 0x05;
+const RETURN_CODE_NO_OBJECT = 0x0a;
+
+// Same frame layout as the Electron app (frame-layout.json)
+const frameLayout = loadLayout();
+
+// One simulated rig for the whole server: positions, power and calibration
+// survive reconnects, like the real stand
+const rig = new RigModel();
+
+// Create TCP server
+const server = net.createServer((socket) => {
+    console.log('Client connected:', socket.remoteAddress, socket.remotePort);
+
+    // Data blocks and simulated PLC response state PER CONNECTION
+    const dataBlocks = {
+        [TX_DB]: Buffer.alloc(frameLayout.tx.size),
+        [RX_DB]: Buffer.alloc(frameLayout.rx.size)
+    };
+    const plc = createSimulatedPlc(frameLayout, rig);
+
+    const reader = new TpktReader((payload) => {
+        const cotp = parseCotp(payload);
+
+        if (cotp.type === COTP_CONNECTION_REQUEST) {
+            console.log('COTP connection request - confirming');
+            socket.write(buildConnectionConfirm(cotp.header));
+        } else if (cotp.type === COTP_DATA) {
+            handleJob(parsePdu(cotp.body));
+        }
+    });
+
+    socket.on('data', (data) => {
+        try {
+            reader.push(data);
+        } catch (error) {
+            console.error('Protocol error:', error.message);
+            socket.destroy();
+        }
+    });
+
+    socket.on('end', () => {
+        console.log('Client disconnected');
+        // A held jog stops with the connection
+        plc.reset();
+    });
+
+    socket.on('error', (err) => {
+        console.error('Socket error:', err.message);
+    });
+
+    // Answer one S7 job
+    function handleJob(job) {
+        if (job.rosctr !== ROSCTR_JOB) {
+            return;
+        }
+
+        const reply = (params, data) => {
+            socket.write(wrapData(buildPdu({ rosctr: ROSCTR_ACK_DATA, pduRef: job.pduRef, params, data })));
+        };
+
+        switch (job.params[0]) {
+            case FUNC_SETUP_COMMUNICATION: {
+                const pduSize = Math.min(job.params.readUInt16BE(6), DEFAULT_PDU_SIZE);
+                console.log(`Setup communication - PDU size ${pduSize}`);
+                reply(buildSetupParams(pduSize));
+                break;
+            }
+
+            case FUNC_READ_VAR: {
+                const item = parseItemSpec(job.params, 2);
+                const result = accessArea(item);
+                reply(Buffer.from([FUNC_READ_VAR, 1]),
+                    buildDataItem(result.returnCode, result.returnCode === RETURN_CODE_SUCCESS
+                        ? result.block.subarray(item.start, item.start + item.size)
+                        : undefined));
+                break;
+            }
+
+            case FUNC_WRITE_VAR: {
+                const item = parseItemSpec(job.params, 2);
+                const result = accessArea(item);
+                if (result.returnCode === RETURN_CODE_SUCCESS) {
+                    parseDataItem(job.data).bytes.copy(result.block, item.start);
+                    if (item.dbNumber === TX_DB) {
+                        updateResponse();
+                    }
+                }
+                reply(Buffer.from([FUNC_WRITE_VAR, 1]), Buffer.from([result.returnCode]));
+                break;
+            }
+
+            default:
+                console.log(`Unsupported function 0x${job.params[0].toString(16)}`);
+                socket.write(wrapData(buildPdu({
+                    rosctr: ROSCTR_ACK_DATA,
+                    pduRef: job.pduRef,
+                    params: Buffer.alloc(0),
+                    errorClass: 0x81,
+                    errorCode: 0x04
+                })));
+        }
+    }
+
+    // Check that an item addresses an existing DB range
+    function accessArea(item) {
+        const block = item.area === AREA_DB ? dataBlocks[item.dbNumber] : undefined;
+        if (!block) {
+            return { returnCode: RETURN_CODE_NO_OBJECT };
+        }
+        if (item.start + item.size > block.length) {
+            return { returnCode: RETURN_CODE_OUT_OF_RANGE };
+        }
+        return { returnCode: RETURN_CODE_SUCCESS, block };
+    }
+
+    // Recompute the RX DB from the TX DB (one write = one PLC cycle)
+    function updateResponse() {
+        const receivedIntegers = decodeFrame(frameLayout.tx, dataBlocks[TX_DB]).ints;
+        encodeFrame(frameLayout.rx, plc.respond(receivedIntegers)).copy(dataBlocks[RX_DB]);
+    }
+});
+
+// Start server
+server.listen(PORT, HOST, () => {
+    console.log('═══════════════════════════════════════════');
+    console.log('  S7 Test Server Running');
+    console.log('═══════════════════════════════════════════');
+    console.log(`  Host: ${HOST}`);
+    console.log(`  Port: ${PORT}`);
+    console.log(`  TX: DB${TX_DB}, ${frameLayout.tx.size} bytes from DBB0`);
+    console.log(`  RX: DB${RX_DB}, ${frameLayout.rx.size} bytes from DBB0`);
+    console.log('  Any rack/slot is accepted');
+    console.log('═══════════════════════════════════════════');
+    console.log('\nWaiting for connections...\n');
+});
+
+server.on('error', (err) => {
+    if (err.code === 'EADDRINUSE') {
+        console.error(`Error: Port ${PORT} is already in use`);
+        console.error('Please close the other application or change the port');
+    } else if (err.code === 'EACCES') {
+        console.error(`Error: No permission to listen on port ${PORT}`);
+        console.error('Run with a port above 1024, e.g. node s7-test-server.js 1102');
+    } else {
+        console.error('Server error:', err.message);
+    }
+    process.exit(1);
+});
+
+// Handle graceful shutdown
+process.on('SIGINT', () => {
+    console.log('\n\nShutting down server...');
+    server.close(() => {
+        console.log('Server closed');
+        process.exit(0);
+    });
+});
@@ -0,0 +1,260 @@
+// Scenario Player - Replays scripted PLC behaviour in the test server
+// A scenario (scenarios/*.json) is a list of steps. Each step fires once,
+// either at a fixed time after the first client connected ("at": ms) or a
+// while after a command was first received ("when": { "command": N },
+// "after": ms). A step can:
+//   - "set":        override status bools/ints by RX field name (on top of the rig)
+//   - "release":    drop overrides again (field names, or "all")
+//   - "ack":        acknowledgment rules per command id: cycles, "withhold" or "default"
+//   - "rigCommand": execute a command on the rig (e.g. 6 = servo off on a fault)
+//   - "disconnect": drop every client connection
+//   - "log":        print a message
+// Field names are those of frame-layout.json (xServoActive = "X Servo Active").
+
+const fs = require('fs');
+const path = require('path');
+const { splitFields } = require('./frame-codec');
+
+const SCENARIO_DIR = path.join(__dirname, 'scenarios');
+
+const STEP_ACTIONS = ['set', 'release', 'ack', 'rigCommand', 'disconnect', 'log'];
+
+/**
+ * Find a scenario by name (scenarios/<name>.json) or path
+ * @param {string} nameOrPath - Scenario name or file path
+ * @returns {string} Path of the scenario file
+ * @throws {Error} If there is no such scenario
+ */
+function resolveScenario(nameOrPath) {
+    const candidates = [nameOrPath, path.join(SCENARIO_DIR, `${nameOrPath}.json`)];
+    const found = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+
+    if (!found) {
+        throw new Error(`Scenario "${nameOrPath}" not found (available: ${listScenarios().join(', ')})`);
+    }
+    return found;
+}
+
+/**
+ * Names of the scenarios in the scenarios directory
+ * @returns {string[]}
+ */
+function listScenarios() {
+    if (!fs.existsSync(SCENARIO_DIR)) return [];
+    return fs.readdirSync(SCENARIO_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'))
+        .sort();
+}
+
+/**
+ * Load and validate a scenario
+ * @param {string} nameOrPath - Scenario name or file path
+ * @param {Object} frameLayout - Validated frame layout (for the field names)
+ * @returns {Object} Validated scenario { name, description, steps }
+ * @throws {Error} If the file is not a valid scenario
+ */
+function loadScenario(nameOrPath, frameLayout) {
+    const filePath = resolveScenario(nameOrPath);
+    const scenario = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return validateScenario(scenario, frameLayout, path.basename(filePath, '.json'));
+}
+
+/**
+ * Check a scenario against the RX layout
+ * @param {Object} scenario - Parsed scenario
+ * @param {Object} frameLayout - Validated frame layout
+ * @param {string} [defaultName] - Name when the scenario has none
+ * @returns {Object} The scenario
+ * @throws {Error} On the first problem found
+ */
+function validateScenario(scenario, frameLayout, defaultName = 'scenario') {
+    const { boolFields, intFields } = splitFields(frameLayout.rx);
+    const boolNames = new Set(boolFields.map(field => field.name));
+    const intNames = new Set(intFields.map(field => field.name));
+
+    if (!scenario || !Array.isArray(scenario.steps)) {
+        throw new Error('Scenario needs a "steps" array');
+    }
+
+    scenario.steps.forEach((step, index) => {
+        const where = `Step ${index + 1}`;
+        const isCommandId = value => Number.isInteger(value) && value > 0 && value <= 65535;
+
+        if ((step.at === undefined) === (step.when === undefined)) {
+            throw new Error(`${where}: needs either "at" or "when"`);
+        }
+        if (step.at !== undefined && !(step.at >= 0)) {
+            throw new Error(`${where}: "at" must be a time in ms`);
+        }
+        if (step.when !== undefined && !isCommandId(step.when.command)) {
+            throw new Error(`${where}: "when" must name a command, e.g. { "command": 1 }`);
+        }
+        if (step.after !== undefined && !(step.after >= 0)) {
+            throw new Error(`${where}: "after" must be a time in ms`);
+        }
+        if (!STEP_ACTIONS.some(action => step[action] !== undefined)) {
+            throw new Error(`${where}: nothing to do (${STEP_ACTIONS.join(', ')})`);
+        }
+
+        if (step.set) {
+            Object.entries(step.set.bools || {}).forEach(([name, value]) => {
+                if (!boolNames.has(name)) throw new Error(`${where}: unknown status bool "${name}"`);
+                if (typeof value !== 'boolean') throw new Error(`${where}: ${name} must be true or false`);
+            });
+            Object.entries(step.set.ints || {}).forEach(([name, value]) => {
+                if (!intNames.has(name)) throw new Error(`${where}: unknown status int "${name}"`);
+                if (!Number.isInteger(value)) throw new Error(`${where}: ${name} must be an integer`);
+            });
+        }
+
+        if (step.release !== undefined && step.release !== 'all') {
+            if (!Array.isArray(step.release)) throw new Error(`${where}: "release" must be a list of names or "all"`);
+            step.release.forEach(name => {
+                if (!boolNames.has(name) && !intNames.has(name)) throw new Error(`${where}: unknown status field "${name}"`);
+            });
+        }
+
+        if (step.ack) {
+            Object.entries(step.ack).forEach(([command, rule]) => {
+                if (!isCommandId(Number(command))) throw new Error(`${where}: "${command}" is not a command id`);
+                if (rule !== 'withhold' && rule !== 'default' && !(Number.isInteger(rule) && rule >= 0)) {
+                    throw new Error(`${where}: ack rule for ${command} must be cycles, "withhold" or "default"`);
+                }
+            });
+        }
+
+        if (step.rigCommand !== undefined && !isCommandId(step.rigCommand)) {
+            throw new Error(`${where}: "rigCommand" must be a command id`);
+        }
+    });
+
+    return { name: scenario.name || defaultName, description: scenario.description || '', steps: scenario.steps };
+}
+
+class ScenarioPlayer {
+    /**
+     * @param {Object} scenario - Validated scenario (see loadScenario)
+     * @param {Object} [options]
+     * @param {RigModel} [options.rig] - Rig for "rigCommand" steps
+     * @param {Function} [options.onDisconnect] - Called for "disconnect" steps
+     */
+    constructor(scenario, { rig = null, onDisconnect = () => {} } = {}) {
+        this.scenario = scenario;
+        this.rig = rig;
+        this.onDisconnect = onDisconnect;
+        this.started = false;
+        this.timers = new Set();
+        this.seenCommands = new Set();
+        this.overrides = { bools: {}, ints: {} };
+        this.ackRules = {};  // command id -> cycles (Infinity = withheld)
+    }
+
+    /**
+     * Start the timeline (only the first call counts, e.g. when the first client connects)
+     */
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        console.log(`[scenario] ${this.scenario.name} started${this.scenario.description ? ` - ${this.scenario.description}` : ''}`);
+        this.scenario.steps.forEach(step => {
+            if (step.at !== undefined) {
+                this.schedule(step, step.at);
+            }
+        });
+    }
+
+    /**
+     * Cancel every pending step
+     */
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+
+    /**
+     * Note a new command from a client (arms the "when" steps of that command once)
+     * @param {number} command - Command id
+     */
+    commandReceived(command) {
+        if (this.seenCommands.has(command)) return;
+        this.seenCommands.add(command);
+
+        this.scenario.steps.forEach(step => {
+            if (step.when && step.when.command === command) {
+                this.schedule(step, step.after || 0);
+            }
+        });
+    }
+
+    /**
+     * Acknowledgment delay for a command under the current rules
+     * @param {number} command - Command id
+     * @param {number} defaultDelay - Delay in cycles without a rule
+     * @returns {number} Cycles before the acknowledgment (Infinity = never)
+     */
+    acknowledgmentDelay(command, defaultDelay) {
+        return command in this.ackRules ? this.ackRules[command] : defaultDelay;
+    }
+
+    /**
+     * Apply the status overrides
+     * @param {Object} status - { bools, ints } by field name (changed in place)
+     * @returns {Object} The status
+     */
+    applyOverrides(status) {
+        Object.assign(status.bools, this.overrides.bools);
+        Object.assign(status.ints, this.overrides.ints);
+        return status;
+    }
+
+    schedule(step, delayMs) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            this.runStep(step);
+        }, delayMs);
+        this.timers.add(timer);
+    }
+
+    runStep(step) {
+        if (step.log) {
+            console.log(`[scenario] ${step.log}`);
+        }
+
+        if (step.release === 'all') {
+            this.overrides = { bools: {}, ints: {} };
+        } else if (step.release) {
+            step.release.forEach(name => {
+                delete this.overrides.bools[name];
+                delete this.overrides.ints[name];
+            });
+        }
+
+        if (step.set) {
+            Object.assign(this.overrides.bools, step.set.bools || {});
+            Object.assign(this.overrides.ints, step.set.ints || {});
+        }
+
+        if (step.ack) {
+            Object.entries(step.ack).forEach(([command, rule]) => {
+                if (rule === 'default') {
+                    delete this.ackRules[command];
+                } else {
+                    this.ackRules[command] = rule === 'withhold' ? Infinity : rule;
+                }
+            });
+        }
+
+        if (step.rigCommand !== undefined && this.rig) {
+            this.rig.inject(step.rigCommand);
+        }
+
+        if (step.disconnect) {
+            console.log('[scenario] Disconnecting all clients');
+            this.onDisconnect();
+        }
+    }
+}
+
+module.exports = { ScenarioPlayer, loadScenario, validateScenario, listScenarios };
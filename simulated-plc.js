@@ -0,0 +1,115 @@
+// Simulated PLC - Response logic shared by the test servers (TCP, S7, Modbus)
+// Feeds the panel's sent integers into the rig model (rig-model.js) and turns
+// its status into received bools/ints in layout order. Fields are matched by
+// their frame-layout.json names; status fields the model does not know stay
+// FALSE/0. The control command (int-9) is acknowledged after a fixed number of
+// cycles, like the real PLC program. Latency test tokens in int-6 are echoed in
+// int-9 while no command is being acknowledged. An optional scenario
+// (scenario-player.js) overrides status values and acknowledgment delays.
+
+const { splitFields } = require('./frame-codec');
+const { LATENCY_TOKEN_MIN } = require('./latency-probe');
+const { RigModel } = require('./rig-model');
+
+const ACKNOWLEDGMENT_DELAY = 10; // Default number of cycles before acknowledging (simulates ~200ms at 50Hz)
+
+/**
+ * Create the response state for one client connection
+ * @param {Object} frameLayout - Validated frame layout
+ * @param {RigModel} [rig] - Rig to drive (share one rig so it keeps its state across connections)
+ * @param {Object} [options]
+ * @param {number} [options.acknowledgmentDelay] - Cycles before a command is acknowledged
+ * @param {ScenarioPlayer} [options.scenario] - Scenario shared by all connections
+ * @returns {Object} { respond(receivedIntegers) -> { bools, ints }, reset() }
+ */
+function createSimulatedPlc(frameLayout, rig = new RigModel(), { acknowledgmentDelay = ACKNOWLEDGMENT_DELAY, scenario = null } = {}) {
+    const rxBoolFields = splitFields(frameLayout.rx).boolFields;
+    const rxIntFields = splitFields(frameLayout.rx).intFields;
+
+    // Position of each TX value by field name
+    const txIndex = {};
+    splitFields(frameLayout.tx).intFields.forEach((field, index) => { txIndex[field.name] = index; });
+    const txValue = (integers, name) => (name in txIndex ? integers[txIndex[name]] : 0);
+
+    // Track command acknowledgment state PER CONNECTION (not shared!)
+    let lastReceivedCommand = 0;
+    let commandReceiveCount = 0;
+
+    // Echo back the control command after processing
+    function acknowledge(currentCommand) {
+        // Detect new command
+        if (currentCommand !== 0 && currentCommand !== lastReceivedCommand) {
+            lastReceivedCommand = currentCommand;
+            commandReceiveCount = 0;
+            console.log(`New command received: ${currentCommand} - Processing...`);
+            if (scenario) scenario.commandReceived(currentCommand);
+            return 0; // Don't acknowledge immediately
+        }
+        const delay = scenario ? scenario.acknowledgmentDelay(lastReceivedCommand, acknowledgmentDelay) : acknowledgmentDelay;
+        // Command is being processed (a withheld command stays here)
+        if (lastReceivedCommand !== 0 && commandReceiveCount < delay) {
+            commandReceiveCount++;
+            return 0; // Still processing
+        }
+        // Command processing complete - send acknowledgment
+        if (lastReceivedCommand !== 0 && commandReceiveCount >= delay) {
+            console.log(`Command acknowledged: ${lastReceivedCommand}`);
+            return lastReceivedCommand;
+        }
+        // Command cleared (currentCommand is 0)
+        if (currentCommand === 0 && lastReceivedCommand !== 0) {
+            // Reset state when command is cleared from client
+            lastReceivedCommand = 0;
+            commandReceiveCount = 0;
+            console.log('Command cleared');
+        }
+        // No active command
+        return 0;
+    }
+
+    return {
+        /**
+         * Generate the response to one received frame
+         * @param {number[]} receivedIntegers - Decoded TX integers
+         * @returns {Object} { bools, ints } in RX layout order
+         */
+        respond(receivedIntegers) {
+            rig.update({
+                speedMode: txValue(receivedIntegers, 'speedMode'),
+                targetSpeed: txValue(receivedIntegers, 'targetSpeed'),
+                jogSpeed: txValue(receivedIntegers, 'jogSpeed'),
+                targets: {
+                    x: txValue(receivedIntegers, 'targetX'),
+                    y: txValue(receivedIntegers, 'targetY'),
+                    z: txValue(receivedIntegers, 'targetZ')
+                }
+            }, receivedIntegers[9]);
+
+            const status = scenario ? scenario.applyOverrides(rig.getStatus()) : rig.getStatus();
+            const bools = rxBoolFields.map(field => status.bools[field.name] === true);
+
+            const ints = rxIntFields.map((field, i) => {
+                if (i === 9) {
+                    // 10th integer (index 9): command acknowledgment, else the debug echo of int-6
+                    const acknowledged = acknowledge(receivedIntegers[9]);
+                    const token = receivedIntegers[6] >= LATENCY_TOKEN_MIN ? receivedIntegers[6] : 0;
+                    return acknowledged !== 0 ? acknowledged : token;
+                }
+                return status.ints[field.name] || 0;
+            });
+
+            return { bools, ints };
+        },
+
+        /**
+         * Forget the active command (e.g. on disconnect) - a held jog stops
+         */
+        reset() {
+            lastReceivedCommand = 0;
+            commandReceiveCount = 0;
+            rig.releaseCommand();
+        }
+    };
+}
+
+module.exports = { createSimulatedPlc, ACKNOWLEDGMENT_DELAY };
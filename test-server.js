@@ -1,183 +1,383 @@
 const net = require('net');
+const dgram = require('dgram');
+const { loadLayout, decodeFrame, encodeFrame } = require('./frame-codec');
+const { createSimulatedPlc, ACKNOWLEDGMENT_DELAY } = require('./simulated-plc');
+const { RigModel } = require('./rig-model');
+const { FaultInjector, FAULTS } = require('./fault-injector');
+const FrameAssembler = require('./frame-assembler');
+const { ScenarioPlayer, loadScenario, listScenarios } = require('./scenario-player');
 
-const PORT = 8080;
-const HOST = 'localhost';
-
-// Create TCP server
-const server = net.createServer((socket) => {
-    console.log('Client connected:', socket.remoteAddress, socket.remotePort);
-
-    // Track command acknowledgment state PER CONNECTION (not shared!)
-    let lastReceivedCommand = 0;
-    let commandReceiveCount = 0;
-    const acknowledgmentDelay = 10; // Number of cycles before acknowledging (simulates ~200ms at 50Hz)
-
-    socket.on('data', (data) => {
-        console.log('\n--- Received Data ---');
-        console.log('Raw buffer:', data);
-        console.log('Length:', data.length, 'bytes');
-
-        // Parse received 16 integers (32 bytes)
-        if (data.length >= 32) {
-            const integers = [];
-            for (let i = 0; i < 16; i++) {
-                const offset = i * 2;
-                const value = (data[offset] << 8) | data[offset + 1];
-                integers.push(value);
+// Server options (node test-server.js --protocol udp --port 8080 --ack-delay 5)
+const options = {
+    protocol: 'tcp',
+    host: 'localhost',
+    port: 8080,
+    replyPort: null,        // UDP: null = reply to the sender's port (the panel sends from its listening port)
+    ackDelay: ACKNOWLEDGMENT_DELAY,
+    controlPort: null,
+    scenario: null          // Scenario name or file (scenarios/*.json)
+};
+
+// A UDP client that has sent nothing for this long is forgotten (its held jog stops)
+const UDP_CLIENT_TIMEOUT_MS = 5000;
+
+// Fault injection: flags on the command line (node test-server.js --drop 10 --stall-ack),
+// changed at run time through the control port (--control-port 8082)
+const faults = new FaultInjector();
+
+try {
+    parseArgs(process.argv.slice(2));
+} catch (error) {
+    console.error(`Error: ${error.message}`);
+    console.error('Usage: node test-server.js [--protocol tcp|udp] [--host H] [--port N] [--reply-port N] [--ack-delay N]');
+    console.error('                           [--scenario NAME] [--control-port N] [--<fault> N]... [--stall-ack]');
+    console.error(`Faults: ${Object.keys(FAULTS).join(', ')}`);
+    console.error(`Scenarios: ${listScenarios().join(', ')}`);
+    process.exit(1);
+}
+
+function parseArgs(args) {
+    const portArg = (name, value) => {
+        const port = Number(value);
+        if (!Number.isInteger(port) || port < 1 || port > 65535) {
+            throw new Error(`--${name} needs a port number (1-65535)`);
+        }
+        return port;
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const name = args[i].replace(/^--/, '');
+
+        if (name === 'protocol') {
+            options.protocol = String(args[++i]).toLowerCase();
+            if (options.protocol !== 'tcp' && options.protocol !== 'udp') {
+                throw new Error('--protocol must be tcp or udp');
+            }
+        } else if (name === 'host') {
+            options.host = args[++i];
+            if (!options.host) {
+                throw new Error('--host needs a host name or address');
+            }
+        } else if (name === 'port') {
+            options.port = portArg(name, args[++i]);
+        } else if (name === 'reply-port') {
+            options.replyPort = portArg(name, args[++i]);
+        } else if (name === 'scenario') {
+            options.scenario = args[++i];
+            if (!options.scenario) {
+                throw new Error('--scenario needs a scenario name or file');
             }
-            console.log('Parsed 16 integers:', integers);
-            console.log('Control Command (int-9):', integers[9]);
-
-            // Send response: 40 bools + 10 ints
-            const response = generateResponse(integers);
-            socket.write(response);
-            console.log('Sent response:', response.length, 'bytes');
-            logResponseData(response);
+        } else if (name === 'control-port') {
+            options.controlPort = portArg(name, args[++i]);
+        } else if (name === 'ack-delay') {
+            options.ackDelay = Number(args[++i]);
+            if (!Number.isInteger(options.ackDelay) || options.ackDelay < 0) {
+                throw new Error('--ack-delay needs a number of cycles (0 or more)');
+            }
+        } else if (FAULTS[name] && FAULTS[name].type === 'flag') {
+            faults.set(name, true);
         } else {
-            console.log('Received data too short, expected at least 32 bytes');
+            faults.set(name, args[++i]);
         }
-    });
+    }
+}
 
-    socket.on('end', () => {
-        console.log('Client disconnected');
-        // Reset state on disconnect
-        lastReceivedCommand = 0;
-        commandReceiveCount = 0;
-    });
+// Same frame layout as the Electron app (frame-layout.json)
+const frameLayout = loadLayout();
 
-    socket.on('error', (err) => {
-        console.error('Socket error:', err.message);
-    });
+// One simulated rig for the whole server: positions, power and calibration
+// survive reconnects, like the real stand. Several clients can be connected;
+// each has its own acknowledgment state and they all drive the same rig.
+const rig = new RigModel();
 
-    // Helper function to log response data in readable format
-    function logResponseData(buffer) {
-        // Parse and display booleans (bytes 0-4, bit-packed)
-        const bools = [];
-        for (let byteIndex = 0; byteIndex < 5; byteIndex++) {
-            const byteValue = buffer[byteIndex];
-            for (let bitIndex = 0; bitIndex < 8; bitIndex++) {
-                const boolValue = (byteValue & (1 << bitIndex)) !== 0;
-                bools.push(boolValue);
-            }
-        }
+// Connected clients: { label, reset() } (the control port can reset them)
+const clients = new Set();
 
-        // Parse and display integers (bytes 6-25)
-        const ints = [];
-        for (let i = 0; i < 10; i++) {
-            const offset = 6 + (i * 2);
-            const value = (buffer[offset] << 8) | buffer[offset + 1];
-            ints.push(value);
-        }
+// Scripted PLC behaviour (--scenario); the timeline starts with the first client
+let scenario = null;
+if (options.scenario) {
+    try {
+        scenario = new ScenarioPlayer(loadScenario(options.scenario, frameLayout), {
+            rig,
+            onDisconnect: () => clients.forEach(client => client.reset())
+        });
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+// Create the response state of one client
+// send(frame) writes to the client, reset() drops the connection
+function createClient(label, { send, reset }) {
+    const client = {
+        label,
+        plc: createSimulatedPlc(frameLayout, rig, { acknowledgmentDelay: options.ackDelay, scenario }),
+        channel: null,
+        reset
+    };
 
-        console.log('Response - 40 Bools (packed):', bools.map(b => b ? 1 : 0).join(''));
-        console.log('Response - 10 Ints:', ints);
-        console.log('Response - PLC Acknowledgment (int-9):', ints[9]);
+    // Responses go out through the fault injector
+    client.channel = faults.createChannel({
+        write: send,
+        get destroyed() { return !clients.has(client); },
+        resetAndDestroy: reset
+    });
+
+    clients.add(client);
+    console.log(`Client connected: ${label} (${clients.size} connected)`);
+
+    if (scenario) {
+        scenario.start();
     }
+    return client;
+}
 
-    // Generate response data
-    // Format: 5 bytes (40 bools packed as bits) + 1 unused byte + 20 bytes (10 ints) = 26 bytes total
-    function generateResponse(receivedIntegers) {
-        const buffer = Buffer.allocUnsafe(26);
-
-        // Get the control command from received int-9
-        const currentCommand = receivedIntegers[9];
-
-        // Generate 40 booleans packed into 5 bytes (bytes 0-4)
-        // 8 bools per byte, bit-packed
-        for (let byteIndex = 0; byteIndex < 5; byteIndex++) {
-            let byteValue = 0;
-            for (let bitIndex = 0; bitIndex < 8; bitIndex++) {
-                const boolIndex = byteIndex * 8 + bitIndex;
-                // Make some booleans true based on received integers for demo
-                const shouldBeTrue = (boolIndex % 2 === 0) || (receivedIntegers[boolIndex % 16] > 100);
-
-                if (shouldBeTrue) {
-                    byteValue |= (1 << bitIndex); // Set bit at position bitIndex
-                }
-            }
-            buffer[byteIndex] = byteValue;
-        }
+// Forget a client (disconnect, reset or timeout)
+function removeClient(client, reason) {
+    if (!clients.delete(client)) return;
 
-        // Byte 5: Unused/padding
-        buffer[5] = 0;
+    client.channel.close();
+    client.plc.reset();
+    console.log(`Client ${reason}: ${client.label} (${clients.size} connected)`);
+}
 
-        // Generate 10 integers starting from byte 6 (bytes 6-25)
-        for (let i = 0; i < 10; i++) {
-            const offset = 6 + (i * 2); // Start at byte 6
-            let value;
+// Answer one complete TX frame of a client
+function handleFrame(client, frame) {
+    console.log(`\n--- Received Data (${client.label}) ---`);
+    console.log('Raw buffer:', frame);
 
-            if (i === 9) {
-                // 10th integer (index 9): Echo back the control command after processing
+    // Parse received integers (TX layout of the panel)
+    const integers = decodeFrame(frameLayout.tx, frame).ints;
+    console.log(`Parsed ${integers.length} integers:`, integers);
+    console.log('Control Command (int-9):', integers[9]);
 
-                // Detect new command
-                if (currentCommand !== 0 && currentCommand !== lastReceivedCommand) {
-                    lastReceivedCommand = currentCommand;
-                    commandReceiveCount = 0;
-                    console.log(`New command received: ${currentCommand} - Processing...`);
-                    value = 0; // Don't acknowledge immediately
-                }
-                // Command is being processed
-                else if (lastReceivedCommand !== 0 && commandReceiveCount < acknowledgmentDelay) {
-                    commandReceiveCount++;
-                    value = 0; // Still processing
-                }
-                // Command processing complete - send acknowledgment
-                else if (lastReceivedCommand !== 0 && commandReceiveCount >= acknowledgmentDelay) {
-                    value = lastReceivedCommand;
-                    console.log(`Command acknowledged: ${lastReceivedCommand}`);
-                }
-                // Command cleared (currentCommand is 0)
-                else if (currentCommand === 0 && lastReceivedCommand !== 0) {
-                    // Reset state when command is cleared from client
-                    lastReceivedCommand = 0;
-                    commandReceiveCount = 0;
-                    value = 0;
-                    console.log(`Command cleared`);
-                }
-                // No active command
-                else {
-                    value = 0;
+    // Send response: bools + ints (RX layout of the panel)
+    const response = generateResponse(client, integers);
+    client.channel.send(response);
+    console.log('Sent response:', response.length, 'bytes');
+    logResponseData(response);
+}
+
+// Helper function to log response data in readable format
+function logResponseData(buffer) {
+    const { bools, ints } = decodeFrame(frameLayout.rx, buffer);
+
+    console.log(`Response - ${bools.length} Bools (packed):`, bools.map(b => b ? 1 : 0).join(''));
+    console.log(`Response - ${ints.length} Ints:`, ints);
+    console.log('Response - PLC Acknowledgment (int-9):', ints[9]);
+}
+
+// Generate response data
+// Format comes from the RX section of frame-layout.json (30 bytes by default)
+function generateResponse(client, receivedIntegers) {
+    return encodeFrame(frameLayout.rx, faults.applyToResponse(client.plc.respond(receivedIntegers)));
+}
+
+// Log received bytes that do not make up a complete frame
+function logDiscard(byteCount, reason) {
+    console.log(`Dropped ${byteCount} received bytes (${reason}), expected ${frameLayout.tx.size}-byte frames`);
+}
+
+// ========== TCP ==========
+function startTcpServer() {
+    const server = net.createServer((socket) => {
+        const client = createClient(`tcp ${socket.remoteAddress}:${socket.remotePort}`, {
+            send: chunk => socket.write(chunk),
+            reset: () => socket.resetAndDestroy()
+        });
+
+        // TCP is a byte stream: frames can arrive split or several in one chunk
+        const assembler = new FrameAssembler(frameLayout.tx.size, frame => handleFrame(client, frame), {
+            onDiscard: logDiscard
+        });
+
+        socket.on('data', (data) => {
+            assembler.push(data);
+        });
+
+        socket.on('close', () => {
+            removeClient(client, 'disconnected');
+        });
+
+        socket.on('error', (err) => {
+            console.error(`Socket error (${client.label}):`, err.message);
+        });
+    });
+
+    server.on('error', handleServerError);
+    server.listen(options.port, options.host, printBanner);
+    return server;
+}
+
+// ========== UDP ==========
+// Clients are told apart by their address and port. Replies go to the
+// sender's port - the panel sends from its bound listening port - unless
+// --reply-port names a fixed one.
+function startUdpServer() {
+    const socket = dgram.createSocket('udp4');
+    const udpClients = new Map(); // "address:port" -> { client, assembler, lastSeen }
+
+    socket.on('message', (datagram, rinfo) => {
+        const key = `${rinfo.address}:${rinfo.port}`;
+        let entry = udpClients.get(key);
+
+        if (!entry) {
+            const replyPort = options.replyPort || rinfo.port;
+            const client = createClient(`udp ${key} -> ${rinfo.address}:${replyPort}`, {
+                send: chunk => socket.send(chunk, replyPort, rinfo.address),
+                // UDP has no connection to reset: forget the client, the next datagram starts over
+                reset: () => {
+                    udpClients.delete(key);
+                    removeClient(client, 'reset');
                 }
-            } else {
-                // Other integers: use values derived from received integers
-                value = (receivedIntegers[i] + receivedIntegers[15 - i]) % 65536;
-            }
+            });
 
-            // Convert to big-endian (Int2Byte format)
-            buffer[offset] = (value >> 8) & 0xff;      // High byte
-            buffer[offset + 1] = value & 0xff;          // Low byte
+            entry = {
+                client,
+                assembler: new FrameAssembler(frameLayout.tx.size, frame => handleFrame(client, frame), {
+                    onDiscard: logDiscard
+                }),
+                lastSeen: 0
+            };
+            udpClients.set(key, entry);
         }
 
-        return buffer;
-    }
-});
+        entry.lastSeen = Date.now();
+        entry.assembler.pushDatagram(datagram);
+    });
 
-// Start server
-server.listen(PORT, HOST, () => {
+    // UDP has no disconnect either: forget clients that went quiet
+    const expiryTimer = setInterval(() => {
+        const now = Date.now();
+        udpClients.forEach((entry, key) => {
+            if (now - entry.lastSeen > UDP_CLIENT_TIMEOUT_MS) {
+                udpClients.delete(key);
+                removeClient(entry.client, 'timed out');
+            }
+        });
+    }, 1000);
+
+    socket.on('close', () => clearInterval(expiryTimer));
+    socket.on('error', handleServerError);
+    socket.bind(options.port, options.host, printBanner);
+    return socket;
+}
+
+function printBanner() {
     console.log('═══════════════════════════════════════════');
-    console.log('  TCP Test Server Running');
+    console.log(`  ${options.protocol.toUpperCase()} Test Server Running`);
     console.log('═══════════════════════════════════════════');
-    console.log(`  Host: ${HOST}`);
-    console.log(`  Port: ${PORT}`);
+    console.log(`  Host: ${options.host}`);
+    console.log(`  Port: ${options.port}`);
+    if (options.protocol === 'udp') {
+        console.log(`  Reply port: ${options.replyPort || 'sender port'}`);
+    }
+    console.log(`  Acknowledgment delay: ${options.ackDelay} cycles`);
+    console.log(`  Faults: ${faults.describe()}`);
+    if (scenario) {
+        console.log(`  Scenario: ${scenario.scenario.name}`);
+    }
+    if (options.controlPort) {
+        console.log(`  Control port: ${options.controlPort}`);
+    }
     console.log('═══════════════════════════════════════════');
     console.log('\nWaiting for connections...\n');
-});
+}
 
-server.on('error', (err) => {
+function handleServerError(err) {
     if (err.code === 'EADDRINUSE') {
-        console.error(`Error: Port ${PORT} is already in use`);
+        console.error(`Error: Port ${options.port} is already in use`);
         console.error('Please close the other application or change the port');
     } else {
         console.error('Server error:', err.message);
     }
     process.exit(1);
-});
+}
+
+// Start server
+const server = options.protocol === 'udp' ? startUdpServer() : startTcpServer();
+
+// Control port: one command per line, e.g. with `nc localhost 8082`
+//   drop 20 | delay 50 | stall-ack on | ...  change a fault
+//   status                                   show the active faults
+//   clear                                    switch all faults off
+//   reset                                    reset every client connection now
+const controlServer = options.controlPort ? net.createServer((control) => {
+    let pending = '';
+
+    const reply = (text) => control.write(`${text}\n`);
+    reply(`Faults: ${faults.describe()} - type help for the commands`);
+
+    control.on('data', (data) => {
+        pending += data.toString();
+        const lines = pending.split(/\r?\n/);
+        pending = lines.pop();
+
+        lines.map(line => line.trim()).filter(line => line !== '').forEach((line) => {
+            const [command, value] = line.split(/\s+/);
+
+            if (command === 'help') {
+                Object.entries(FAULTS).forEach(([name, fault]) => reply(`  ${name.padEnd(12)} ${fault.help}`));
+                reply('  status       show the active faults');
+                reply('  clear        switch all faults off');
+                reply('  reset        reset every client connection now');
+                return;
+            }
+
+            if (command === 'status') {
+                reply(`Faults: ${faults.describe()} (${clients.size} client(s))`);
+                return;
+            }
+
+            if (command === 'clear') {
+                faults.clear();
+            } else if (command === 'reset') {
+                const count = clients.size;
+                console.log(`[fault] Resetting ${count} client connection(s)`);
+                clients.forEach(client => client.reset());
+                reply(`Reset ${count} connection(s)`);
+                return;
+            } else {
+                try {
+                    faults.set(command, value);
+                } catch (error) {
+                    reply(`Error: ${error.message}`);
+                    return;
+                }
+            }
+
+            console.log(`[fault] Faults: ${faults.describe()}`);
+            reply(`Faults: ${faults.describe()}`);
+        });
+    });
+
+    control.on('error', (err) => {
+        console.error('Control socket error:', err.message);
+    });
+}) : null;
+
+if (controlServer) {
+    controlServer.listen(options.controlPort, options.host);
+    controlServer.on('error', (err) => {
+        console.error(`Control port ${options.controlPort}: ${err.message}`);
+        process.exit(1);
+    });
+}
 
 // Handle graceful shutdown
 process.on('SIGINT', () => {
     console.log('\n\nShutting down server...');
+    if (controlServer) {
+        controlServer.close();
+    }
+    if (scenario) {
+        scenario.stop();
+    }
     server.close(() => {
         console.log('Server closed');
         process.exit(0);
     });
+    // TCP: open connections keep the server from closing
+    clients.forEach(client => client.reset());
 });
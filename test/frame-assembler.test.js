@@ -0,0 +1,96 @@
+// Frame Assembler tests (node --test)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FrameAssembler = require('../frame-assembler');
+
+const FRAME_SIZE = 26;
+
+// Frame n filled with the byte n, so a frame spliced from two others shows up
+function makeFrame(n) {
+    return Buffer.alloc(FRAME_SIZE, n);
+}
+
+function createAssembler(options) {
+    const frames = [];
+    const assembler = new FrameAssembler(FRAME_SIZE, frame => frames.push(Buffer.from(frame)), options);
+    return { assembler, frames };
+}
+
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('splits coalesced chunks into frames', () => {
+    const { assembler, frames } = createAssembler();
+
+    assembler.push(Buffer.concat([makeFrame(1), makeFrame(2), makeFrame(3)]));
+
+    assert.deepStrictEqual(frames, [makeFrame(1), makeFrame(2), makeFrame(3)]);
+    assert.strictEqual(assembler.getStats().pendingBytes, 0);
+});
+
+test('keeps a partial frame whose tail arrives late', async () => {
+    const { assembler, frames } = createAssembler();
+    const first = makeFrame(1);
+
+    assembler.push(first.subarray(0, 13));
+    await wait(30);
+    assembler.push(Buffer.concat([first.subarray(13), makeFrame(2), makeFrame(3), makeFrame(4)]));
+
+    assert.deepStrictEqual(frames, [makeFrame(1), makeFrame(2), makeFrame(3), makeFrame(4)]);
+    assert.strictEqual(assembler.getStats().droppedBytes, 0);
+});
+
+test('resyncs after garbage once the partial frame goes stale', async () => {
+    const { assembler, frames } = createAssembler({ staleTimeoutMs: 50 });
+
+    // Three garbage bytes shift every following frame
+    assembler.push(Buffer.concat([Buffer.alloc(3, 0xee), makeFrame(1)]));
+    assembler.push(makeFrame(2));
+    assert.strictEqual(frames.length, 2);
+    assert.notDeepStrictEqual(frames[1], makeFrame(2));
+
+    // The misaligned stream never empties the buffer: the stale bytes go, the stream realigns
+    await wait(80);
+    assembler.push(makeFrame(3));
+    assembler.push(makeFrame(4));
+
+    assert.deepStrictEqual(frames.slice(2), [makeFrame(3), makeFrame(4)]);
+    assert.strictEqual(assembler.getStats().resyncs, 1);
+    assert.strictEqual(assembler.getStats().droppedBytes, 3);
+    assert.strictEqual(assembler.getStats().pendingBytes, 0);
+});
+
+test('does not resync while the buffer keeps returning to a frame boundary', async () => {
+    const { assembler, frames } = createAssembler({ staleTimeoutMs: 50 });
+    const chunks = Buffer.concat([makeFrame(1), makeFrame(2), makeFrame(3), makeFrame(4)]);
+
+    // Split mid-frame on every chunk but aligned again every second chunk
+    for (let offset = 0; offset < chunks.length; offset += 13) {
+        assembler.push(chunks.subarray(offset, offset + 13));
+        await wait(20);
+    }
+
+    assert.deepStrictEqual(frames, [makeFrame(1), makeFrame(2), makeFrame(3), makeFrame(4)]);
+    assert.strictEqual(assembler.getStats().resyncs, 0);
+});
+
+test('reset drops the partial frame of the previous connection', () => {
+    const { assembler, frames } = createAssembler();
+
+    assembler.push(makeFrame(1).subarray(0, 13));
+    assembler.reset();
+    assembler.push(makeFrame(2));
+
+    assert.deepStrictEqual(frames, [makeFrame(2)]);
+});
+
+test('drops trailing bytes of a datagram', () => {
+    const { assembler, frames } = createAssembler();
+
+    assembler.pushDatagram(Buffer.concat([makeFrame(1), Buffer.alloc(5)]));
+
+    assert.deepStrictEqual(frames, [makeFrame(1)]);
+    assert.strictEqual(assembler.getStats().droppedBytes, 5);
+});
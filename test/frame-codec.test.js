@@ -0,0 +1,97 @@
+// Frame Codec tests (node --test)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateLayout, decodeFrame, encodeFrame, coerceValue } = require('../frame-codec');
+
+// One field of every numeric type plus two BOOLs sharing a byte
+const SECTION = {
+    size: 12,
+    fields: [
+        { name: 'ready', offset: 0, type: 'BOOL', bit: 0 },
+        { name: 'fault', offset: 0, type: 'BOOL', bit: 7 },
+        { name: 'speed', offset: 2, type: 'UINT16' },
+        { name: 'position', offset: 4, type: 'INT16' },
+        { name: 'force', offset: 6, type: 'REAL' },
+        { name: 'padding', offset: 10, type: 'UINT16' }
+    ]
+};
+
+function layoutWith(rx) {
+    return { tx: { size: 2, fields: [{ name: 'command', offset: 0, type: 'UINT16' }] }, rx };
+}
+
+test('round-trips INT16, UINT16, REAL and BOOL fields', () => {
+    const values = { bools: [true, true], ints: [65535, -32768, 12.5, 7] };
+
+    const buffer = encodeFrame(SECTION, values);
+
+    assert.strictEqual(buffer.length, SECTION.size);
+    assert.deepStrictEqual(decodeFrame(SECTION, buffer), values);
+});
+
+test('writes multi-byte values big-endian', () => {
+    const buffer = encodeFrame(SECTION, { bools: [true, false], ints: [0x1234, -2, 1, 0] });
+
+    assert.strictEqual(buffer[0], 0x01);
+    assert.deepStrictEqual([...buffer.subarray(2, 4)], [0x12, 0x34]);
+    assert.deepStrictEqual([...buffer.subarray(4, 6)], [0xff, 0xfe]);
+    assert.deepStrictEqual([...buffer.subarray(6, 10)], [0x3f, 0x80, 0x00, 0x00]);
+});
+
+test('coerces out-of-range values to the field type', () => {
+    assert.strictEqual(coerceValue('UINT16', -5), 0);
+    assert.strictEqual(coerceValue('UINT16', 70000), 65535);
+    assert.strictEqual(coerceValue('INT16', 40000), 32767);
+    assert.strictEqual(coerceValue('INT16', 12.7), 13);
+    assert.strictEqual(coerceValue('INT16', -0.6), -1);
+    assert.strictEqual(coerceValue('INT16', 'abc'), 0);
+    assert.strictEqual(coerceValue('REAL', 0.25), 0.25);
+
+    const decoded = decodeFrame(SECTION, encodeFrame(SECTION, { ints: [-1, 99999, 1.5] }));
+    assert.deepStrictEqual(decoded.ints, [0, 32767, 1.5, 0]);
+});
+
+test('accepts a consistent layout', () => {
+    const layout = layoutWith(SECTION);
+
+    assert.strictEqual(validateLayout(layout), layout);
+});
+
+test('rejects a field that does not fit in the frame size', () => {
+    const rx = { size: 8, fields: [{ name: 'force', offset: 6, type: 'REAL' }] };
+
+    assert.throws(() => validateLayout(layoutWith(rx)), /force\) offset 6 does not fit in 8 bytes/);
+});
+
+test('rejects overlapping fields', () => {
+    const rx = {
+        size: 8,
+        fields: [
+            { name: 'force', offset: 0, type: 'REAL' },
+            { name: 'speed', offset: 2, type: 'UINT16' }
+        ]
+    };
+
+    assert.throws(() => validateLayout(layoutWith(rx)), /speed\) overlaps force at byte 2/);
+});
+
+test('rejects two BOOL fields on the same bit', () => {
+    const rx = {
+        size: 1,
+        fields: [
+            { name: 'ready', offset: 0, type: 'BOOL', bit: 0 },
+            { name: 'fault', offset: 0, type: 'BOOL', bit: 1 },
+            { name: 'busy', offset: 0, type: 'BOOL', bit: 0 }
+        ]
+    };
+
+    assert.throws(() => validateLayout(layoutWith(rx)), /busy\) overlaps ready at byte 0/);
+});
+
+test('rejects unknown types and missing sections', () => {
+    const rx = { size: 2, fields: [{ name: 'speed', offset: 0, type: 'WORD' }] };
+
+    assert.throws(() => validateLayout(layoutWith(rx)), /unknown type "WORD"/);
+    assert.throws(() => validateLayout({ tx: SECTION }), /"rx" must have an integer "size"/);
+});
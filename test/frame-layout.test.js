@@ -0,0 +1,67 @@
+// Shipped frame layout tests (node --test)
+// Frames are built by the simulated PLC of the test servers and decoded with
+// frame-layout.json, so a moved offset or a wrong size shows up here.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadLayout, decodeFrame, encodeFrame, splitFields } = require('../frame-codec');
+const { createSimulatedPlc } = require('../simulated-plc');
+const { RigModel } = require('../rig-model');
+
+const layout = loadLayout();
+
+// Decoded values by field name
+function byName(section, decoded) {
+    const { boolFields, intFields } = splitFields(section);
+    const values = {};
+    boolFields.forEach((field, i) => { values[field.name] = decoded.bools[i]; });
+    intFields.forEach((field, i) => { values[field.name] = decoded.ints[i]; });
+    return values;
+}
+
+// One simulated PLC reply to the given TX integers, encoded like the test servers do
+function reply(plc, txIntegers) {
+    return encodeFrame(layout.rx, plc.respond(txIntegers));
+}
+
+test('the shipped layout has the sizes of the S7 program', () => {
+    assert.strictEqual(layout.tx.size, 32);
+    assert.strictEqual(layout.rx.size, 30);
+    assert.strictEqual(splitFields(layout.tx).intFields.length, 16);
+    assert.strictEqual(splitFields(layout.rx).boolFields.length, 40);
+    assert.strictEqual(splitFields(layout.rx).intFields.length, 10);
+});
+
+test('decodes positions, REAL force and tension from a simulated PLC frame', () => {
+    const rig = new RigModel({ now: () => 0 });
+    rig.experimentActive = true;
+    rig.tension = 12.5;
+    const plc = createSimulatedPlc(layout, rig);
+
+    const frame = reply(plc, new Array(16).fill(0));
+    const values = byName(layout.rx, decodeFrame(layout.rx, frame));
+
+    assert.strictEqual(frame.length, layout.rx.size);
+    assert.strictEqual(values.currentX, 120);
+    assert.strictEqual(values.currentY, -80);
+    assert.strictEqual(values.currentZ, 35);
+    assert.strictEqual(values.forceValue, 12.5);
+    assert.strictEqual(values.tensionValue, 12.5);
+    assert.strictEqual(values.forceExpActive, true);
+
+    // REAL values sit at bytes 14 and 18, the status ints follow them
+    assert.strictEqual(frame.readFloatBE(14), 12.5);
+    assert.strictEqual(frame.readFloatBE(18), 12.5);
+});
+
+test('decodes the command echo at the end of the frame', () => {
+    const plc = createSimulatedPlc(layout, new RigModel({ now: () => 0 }), { acknowledgmentDelay: 0 });
+    const tx = new Array(16).fill(0);
+    tx[9] = 21;
+
+    reply(plc, tx);
+    const frame = reply(plc, tx);
+
+    assert.strictEqual(byName(layout.rx, decodeFrame(layout.rx, frame)).commandEcho, 21);
+    assert.strictEqual(frame.readUInt16BE(28), 21);
+});
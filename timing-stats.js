@@ -0,0 +1,61 @@
+// Timing Stats - Rolling statistics over the most recent samples
+// Keeps the last windowSize values (e.g. send periods in ms) in a ring buffer,
+// so the figures follow the current behaviour instead of the whole session.
+
+class TimingStats {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.windowSize=500] - Number of samples kept
+     */
+    constructor({ windowSize = 500 } = {}) {
+        this.samples = new Float64Array(windowSize);
+        this.count = 0;
+        this.next = 0;
+    }
+
+    /**
+     * Add a sample (the oldest one drops out once the window is full)
+     * @param {number} value - Sample value
+     */
+    record(value) {
+        this.samples[this.next] = value;
+        this.next = (this.next + 1) % this.samples.length;
+        this.count = Math.min(this.count + 1, this.samples.length);
+    }
+
+    /**
+     * Forget all samples
+     */
+    reset() {
+        this.count = 0;
+        this.next = 0;
+    }
+
+    /**
+     * Get the statistics of the samples in the window
+     * @returns {Object|null} { samples, mean, stdDev, p95, max }, or null without samples
+     */
+    summary() {
+        if (this.count === 0) return null;
+
+        const values = Array.from(this.samples.subarray(0, this.count)).sort((a, b) => a - b);
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / values.length;
+
+        return {
+            samples: values.length,
+            mean,
+            stdDev: Math.sqrt(variance),
+            p95: percentile(values, 0.95),
+            max: values[values.length - 1]
+        };
+    }
+}
+
+// Nearest-rank percentile of sorted values
+function percentile(sortedValues, fraction) {
+    const rank = Math.ceil(fraction * sortedValues.length);
+    return sortedValues[Math.max(0, rank - 1)];
+}
+
+module.exports = { TimingStats, percentile };